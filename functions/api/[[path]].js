@@ -3,6 +3,31 @@
 // - Frontend calls /api/*
 // - This file must live under: functions/api/[[path]].js
 
+import RuleEngine from "../lib/rule_engine.js";
+import ParcelGeo from "../lib/parcel_geo.js";
+import ZoningProvider from "../lib/zoning_provider.js";
+import GeoCache from "../lib/geo_cache.js";
+import UpstreamLimiter from "../lib/upstream_limiter.js";
+import AddressKr from "../lib/address_kr.js";
+import AddressProvider from "../lib/address_provider.js";
+import Massing from "../lib/massing.js";
+import Judge from "../lib/judge.js";
+
+// 로컬 GeoJSON provider 색인(asset 경로별) — isolate 가 살아 있는 동안 재사용
+const localProviderCache = new Map();
+
+// 룰셋 manifest(version 별, "" = 현재) — 요청마다 ASSETS 를 다시 읽지 않음
+const rulesetManifestCache = new Map();
+
+// 외부 조회 캐시 1차 저장소(isolate 메모리) — 요청마다 만드는 geoCache 가 공유
+const geoMemoryStore = GeoCache.createMemoryStore({ maxEntries: 500 });
+
+// 법정동코드 표 + 로컬 주소 provider(ADDRESS_JSON|PARCELS_GEOJSON asset 경로별)
+const addressDataCache = new Map();
+
+// 외부 provider 호출 제한(isolate 단위) — 첫 요청의 env(UPSTREAM_*)로 만들어 재사용
+let upstreamLimiter = null;
+
 export async function onRequest(context) {
   const { request, env, params } = context;
 
@@ -21,12 +46,17 @@ export async function onRequest(context) {
     /* =========================
        helpers
     ========================= */
-    const json = (obj, status = 200) =>
+    // 아래 loaders 에서 manifest 를 읽은 뒤 채워짐
+    const rulesetHeaders = {};
+
+    const json = (obj, status = 200, headers = {}) =>
       new Response(JSON.stringify(obj), {
         status,
         headers: {
           "content-type": "application/json; charset=utf-8",
           "cache-control": "no-store",
+          ...rulesetHeaders,
+          ...headers,
         },
       });
 
@@ -70,17 +100,60 @@ export async function onRequest(context) {
     /* =========================
        loaders
     ========================= */
-    const loadBaseRules = async () =>
-      (await assetJson("/rules/base_rules.json")) || (await assetJson("/public/rules/base_rules.json"));
+    // version 을 주면 고정(pinned) 룰셋: /rules/releases/<version>/ (scripts/build_rules.js 가 생성)
+    const ruleAsset = async (file, version) => {
+      const rel = version ? `releases/${version}/${file}` : file;
+      return (await assetJson(`/rules/${rel}`)) || (await assetJson(`/public/rules/${rel}`));
+    };
+
+    const loadBaseRules = async (version) => ruleAsset("base_rules.json", version);
 
-    const loadRuleEngine = async () =>
-      (await assetJson("/rules/rule_engine.json")) || (await assetJson("/public/rules/rule_engine.json"));
+    const loadRuleEngine = async (version) => ruleAsset("rule_engine.json", version);
 
-    const loadChecklists = async () =>
-      (await assetJson("/rules/checklists.json")) || (await assetJson("/public/rules/checklists.json"));
+    const loadChecklists = async (version) => ruleAsset("checklists.json", version);
 
-    const loadLaws = async () =>
-      (await assetJson("/rules/laws.json")) || (await assetJson("/public/rules/laws.json"));
+    const loadLaws = async (version) => ruleAsset("laws.json", version);
+
+    // scripts/build_rules.js 가 만든 manifest (없으면 null → 버전/해시 모름)
+    // asset 은 배포 단위로 고정이라 isolate 가 살아 있는 동안 재사용(Express 는 파일 mtime 캐시)
+    const loadRulesetManifest = async (version) => {
+      const key = version || "";
+      if (rulesetManifestCache.has(key)) return rulesetManifestCache.get(key);
+      const m = await ruleAsset("manifest.json", version);
+      if (m) rulesetManifestCache.set(key, m);
+      return m;
+    };
+
+    // ✅ 응답마다 지금 서빙 중인 룰셋 표시(Express 쪽과 다른 룰을 쓰는지 비교용)
+    const rulesetManifest = await loadRulesetManifest();
+    const setRulesetHeaders = (m) => {
+      if (m?.version) rulesetHeaders["x-ruleset-version"] = String(m.version);
+      if (m?.hash) rulesetHeaders["x-ruleset-hash"] = String(m.hash);
+    };
+    setRulesetHeaders(rulesetManifest);
+
+    /**
+     * ?ruleset=0.4.0 (judge 는 body.ruleset 도 허용) → 고정 룰셋 선택
+     * - { version, manifest } 또는 { error: Response } (형식 오류 400, 없는 버전 404)
+     */
+    const pickRuleset = async (rawIn) => {
+      const raw = String(rawIn ?? urlObj.searchParams.get("ruleset") ?? "").trim();
+      if (!raw) return { version: null, manifest: rulesetManifest };
+
+      if (!RuleEngine.isRulesetVersion(raw)) {
+        return { error: json({ ok: false, error: "invalid_ruleset", ruleset: raw }, 400) };
+      }
+
+      const manifest = await loadRulesetManifest(raw);
+      if (!manifest) {
+        return {
+          error: json({ ok: false, error: "ruleset_not_found", ruleset: raw, available: rulesetManifest?.releases || [] }, 404),
+        };
+      }
+
+      setRulesetHeaders(manifest);
+      return { version: raw, manifest };
+    };
 
     // ✅ base_rules.json 포맷 차이 흡수:
     // - 구버전: { zoning_rules: [...] }
@@ -93,331 +166,233 @@ export async function onRequest(context) {
       return a;
     };
 
-    const getChecklistArray = (raw) => {
-      const items = raw?.default_conditional || raw?.items || raw?.checklists || [];
-      return Array.isArray(items) ? items : [];
-    };
-
-    /* =========================
-       rule engine helpers
-    ========================= */
-    const normalizeStatus = (s) => {
-      const v = String(s || "").trim().toLowerCase();
-      if (v === "allow") return "allow";
-      if (v === "deny") return "deny";
-      if (v === "conditional") return "conditional";
-      if (v === "need_input") return "need_input";
-      if (v === "unknown") return "unknown";
-      if (v === "warn") return "conditional"; // legacy
-      return "unknown";
-    };
-
-    const toNum = (v) => {
-      if (v === "" || v === undefined || v === null) return null;
-      const n = Number(v);
-      return Number.isFinite(n) ? n : null;
+    // VWorld 를 못 쓸 때(키 없음/조회 실패) 용도지역 조회 동작 — Express 와 같은 정책
+    //  - ZONING_FALLBACK_MODE=manual(기본): found:false + degraded.reason + candidates → 화면에서 직접 선택
+    //  - strict: found:false + degraded.reason
+    //  - demo:   found:true + 데모 용도지역 + demo:true (이후 ?demo=1 / context.demo 로 이어진 응답에도 demo 표시)
+    const DEMO_ZONING = "제1종일반주거지역";
+    const DEMO_NOTE = "⚠️ 데모 데이터: 실제로 조회한 용도지역이 아닙니다. 상담/인허가 판단에 쓰지 마세요.";
+    const zoningFallbackMode = (() => {
+      const v = String(env?.ZONING_FALLBACK_MODE || "").trim().toLowerCase();
+      return ["manual", "strict", "demo"].includes(v) ? v : "manual";
+    })();
+    const degradedReasons = {
+      no_key: "VWORLD_KEY(또는 ZONING_GEOJSON) 미설정으로 용도지역을 자동 조회할 수 없습니다.",
+      provider_error: "용도지역 조회(VWorld/로컬 GeoJSON)에 실패했습니다.",
     };
 
-    const isMissingValue = (v) => {
-      if (v === undefined || v === null) return true;
-      if (typeof v === "number") return !Number.isFinite(v);
-      return String(v).trim() === "";
-    };
-
-    const evalCond = (cond, values) => {
-      if (!cond || !cond.key || !cond.op) return false;
-
-      const op = String(cond.op).trim().toLowerCase();
-      const key = String(cond.key).trim();
-      const raw = values?.[key];
-
-      if (op === "missing") return isMissingValue(raw);
-      if (op === "present") return !isMissingValue(raw);
-
-      if (op === "in" || op === "not_in") {
-        const arr = Array.isArray(cond.value) ? cond.value : [];
-        const hit = arr.map((x) => String(x)).includes(String(raw));
-        return op === "in" ? hit : !hit;
+    const zoningFallback = async (code, detail) => {
+      const mode = zoningFallbackMode;
+      const reason = { code, message: degradedReasons[code] || code, detail: detail ? String(detail) : undefined };
+      if (mode === "demo") return { demo: true, demo_note: DEMO_NOTE, degraded: { mode, reason } };
+
+      const out = { found: false, zoning: "", source: `degraded_${mode}`, degraded: { mode, reason } };
+      if (mode === "manual") {
+        const list = getZoningRulesArray(await loadBaseRules())
+          .map((r) => String(r?.zoning || "").trim())
+          .filter(Boolean);
+        out.candidates = Array.from(new Set(list));
+        out.note = "용도지역을 직접 선택해 주세요.";
       }
-
-      const vNum = toNum(raw);
-      const tNum = toNum(cond.value);
-
-      if (op === "eq") {
-        if (vNum != null && tNum != null) return vNum === tNum;
-        return String(raw) === String(cond.value);
-      }
-      if (op === "neq") {
-        if (vNum != null && tNum != null) return vNum !== tNum;
-        return String(raw) !== String(cond.value);
-      }
-
-      if (vNum == null || tNum == null) return false;
-      if (op === "lt") return vNum < tNum;
-      if (op === "lte") return vNum <= tNum;
-      if (op === "gt") return vNum > tNum;
-      if (op === "gte") return vNum >= tNum;
-
-      return false;
+      return out;
     };
 
-    const ruleMatches = (rule, values) => {
-      if (!rule) return false;
-
-      if (rule.when) return evalCond(rule.when, values);
-
-      if (Array.isArray(rule.when_all) && rule.when_all.length > 0) {
-        return rule.when_all.every((c) => evalCond(c, values));
-      }
-
-      if (Array.isArray(rule.when_any) && rule.when_any.length > 0) {
-        return rule.when_any.some((c) => evalCond(c, values));
-      }
-
-      return false;
-    };
+    const demoTag = (flag) => (flag === true || isTrue(flag) ? { demo: true, demo_note: DEMO_NOTE } : {});
 
-    const evaluateAutoRules = (engineItem, values) => {
-      const rules = Array.isArray(engineItem?.auto_rules) ? engineItem.auto_rules : [];
-      if (!rules.length) return null;
+    /* =========================
+       routes
+    ========================= */
 
-      const sorted = rules
-        .slice()
-        .sort((a, b) => (toNum(b.priority) ?? 0) - (toNum(a.priority) ?? 0));
+    /* =========================
+       외부 조회 캐시 (lib/geo_cache.js)
+       - GEO_CACHE=off 면 끔
+       - 2차 저장소: KV 바인딩 GEO_CACHE_KV 가 있으면 KV, 없으면 Cache API(*.pages.dev 에서는 저장 안 됨)
+    ========================= */
+    const geoCache = (() => {
+      if (String(env?.GEO_CACHE || "").trim().toLowerCase() === "off") return null;
+      const stores = [geoMemoryStore];
+      if (env?.GEO_CACHE_KV) stores.push(GeoCache.createKvStore(env.GEO_CACHE_KV));
+      else if (typeof caches !== "undefined" && caches?.default) stores.push(GeoCache.createCacheApiStore(caches.default));
+      return GeoCache.createGeoCache({
+        stores,
+        ttlMs: GeoCache.ttlMsFromEnv(env),
+        onError: (e, store, op) => {
+          if (DEBUG_ON) console.warn(`[geo_cache] ${store.name}.${op} 실패:`, e?.message || e);
+        },
+      });
+    })();
 
-      for (const r of sorted) {
-        if (!ruleMatches(r, values)) continue;
-        return {
-          result: normalizeStatus(r.result),
-          message: String(r.message || "").trim(),
-          rule_id: r.id || null,
-          priority: toNum(r.priority) ?? 0,
-        };
-      }
-      return null;
+    // → { value, cache } (GEO_CACHE=off 면 cache: bypass)
+    const cachedLookup = async (kind, input, fetcher, opts) => {
+      if (!geoCache) return { value: await fetcher(), cache: GeoCache.BYPASS };
+      return geoCache.wrap(kind, input, fetcher, opts);
     };
 
-    const buildNeedKeys = (checkItem, engineItem) => {
-      const inputs = Array.isArray(checkItem?.inputs) ? checkItem.inputs : [];
-      const keys = inputs
-        .map((x) => (typeof x === "string" ? x : x?.key))
-        .filter(Boolean)
-        .map(String);
+    // fetcher 안에서 응답 실패를 밖으로 돌려줄 때(캐시에 저장하지 않고 해당 status 로 응답)
+    const upstreamError = (error, status) => Object.assign(new Error(error), { status });
 
-      const optional = new Set(
-        (Array.isArray(engineItem?.optional_inputs) ? engineItem.optional_inputs : [])
-          .filter(Boolean)
-          .map(String)
+    /* =========================
+       외부 provider 호출 제한 (lib/upstream_limiter.js)
+       - UPSTREAM_RATE_NOMINATIM / UPSTREAM_BURST_NOMINATIM (기본 1/s, 1), UPSTREAM_RATE_VWORLD / UPSTREAM_BURST_VWORLD
+       - UPSTREAM_MAX_WAIT_MS 안에 토큰이 채워지면 기다렸다 호출, 넘으면 429 + retry-after
+    ========================= */
+    if (!upstreamLimiter) upstreamLimiter = UpstreamLimiter.createLimiter(UpstreamLimiter.optionsFromEnv(env));
+    const upstream = upstreamLimiter;
+
+    const rateLimited = (e, extra = {}) =>
+      json(
+        { ok: false, error: "rate_limited", provider: e.provider, retry_after_s: e.retry_after_s, message: e.message, ...extra },
+        429,
+        { "retry-after": String(e.retry_after_s) }
       );
 
-      return keys.filter((k) => !optional.has(k));
-    };
-
-    const computeMissingInputs = (needKeys, values) => {
-      const missing = [];
-      for (const k of needKeys) {
-        const v = values?.[k];
-        if (isMissingValue(v)) missing.push({ key: k, label: k });
-      }
-      return missing;
-    };
-
-    const judgeOneItem = (checkItem, engineItem, values, { forceNeedInputOnMissing = false } = {}) => {
-      const ruleSet = engineItem?.rule_set || {};
-      const defaultResult = normalizeStatus(ruleSet.default_result || "conditional");
-      const defaultMessage = String(ruleSet.default_message || "⚠️ 추가 검토가 필요합니다.").trim();
-
-      const needKeys = buildNeedKeys(checkItem, engineItem);
-      const missing_inputs = computeMissingInputs(needKeys, values);
-
-      const hit = evaluateAutoRules(engineItem, values);
-
-      let status = hit?.result ? normalizeStatus(hit.result) : defaultResult;
-      let message = hit?.message ? String(hit.message).trim() : defaultMessage;
-
-      if (forceNeedInputOnMissing && missing_inputs.length > 0 && status !== "deny") {
-        status = "need_input";
-        if (!message) message = "❓ 입력이 필요합니다.";
-      }
-
-      if (status === "need_input" && missing_inputs.length === 0) {
-        status = "conditional";
-        message = message || defaultMessage;
-      }
-
-      return {
-        id: checkItem.id,
-        status,
-        message,
-        missing_inputs,
-        judge: hit || null,
-      };
-    };
+    // Nominatim 1 req/s 정책 → upstream 제한(같은 URL 동시 요청은 한 번만 호출), 실패는 failCode 로 502
+    const nominatimJson = (nomUrl, headers, failCode) =>
+      upstream.run("nominatim", nomUrl.toString(), async () => {
+        const r = await fetch(nomUrl.toString(), { headers });
+        if (!r.ok) throw upstreamError(failCode, 502);
+        return r.json().catch(() => null);
+      });
 
     /* =========================
-       applies_to filtering
+       주소 해석 + geocode provider (lib/address_kr.js, lib/address_provider.js)
+       - ADDRESS_PROVIDER=auto(기본) | nominatim | local, ADDRESS_JSON = 법정동코드 표 asset 경로 — Express 와 같음
     ========================= */
-    const includesStr = (arr, s) => {
-      if (!Array.isArray(arr) || arr.length === 0) return true;
-      return arr.map((x) => String(x).trim()).includes(String(s || "").trim());
+    const NOMINATIM_HEADERS = {
+      "user-agent": "my-archi-2 (Cloudflare Pages Functions)",
+      "accept-language": "ko-KR,ko;q=0.9,en;q=0.8",
     };
 
-    const appliesToPass = (item, ctx) => {
-      const a = item?.applies_to;
-      if (!a) return true;
-
-      if (Array.isArray(a.zoning_in) && a.zoning_in.length > 0) {
-        if (!includesStr(a.zoning_in, ctx.zoning)) return false;
-      }
-      if (Array.isArray(a.use_in) && a.use_in.length > 0) {
-        if (!includesStr(a.use_in, ctx.use)) return false;
-      }
-      if (Array.isArray(a.jurisdiction_in) && a.jurisdiction_in.length > 0) {
-        if (!includesStr(a.jurisdiction_in, ctx.jurisdiction)) return false;
-      }
-
-      const curArea = toNum(ctx.gross_area_m2);
-      const curFloors = toNum(ctx.floors);
-      const curHeight = toNum(ctx.height_m);
-
-      if (a.min_gross_area_m2 != null) {
-        const th = toNum(a.min_gross_area_m2);
-        if (th != null) {
-          if (curArea == null) return true;
-          if (curArea < th) return false;
-        }
-      }
-      if (a.min_floors != null) {
-        const th = toNum(a.min_floors);
-        if (th != null) {
-          if (curFloors == null) return true;
-          if (curFloors < th) return false;
-        }
-      }
-      if (a.min_height_m != null) {
-        const th = toNum(a.min_height_m);
-        if (th != null) {
-          if (curHeight == null) return true;
-          if (curHeight < th) return false;
+    // 지번/도로명은 표준 표기로 먼저, 없으면 번지/건물번호를 뺀 읍면동·도로까지만(precision:"area"). PNU 는 호출 안 함
+    const nominatimAddressProvider = AddressProvider.defineProvider({
+      name: "nominatim",
+      async geocode(query, { parsed, limit = AddressProvider.MAX_CANDIDATES }) {
+        if (parsed.kind === "pnu") return { found: false, candidates: [], source: "nominatim", raw_status: "PNU_NOT_SUPPORTED" };
+
+        const structured = parsed.kind === "jibun" || parsed.kind === "road";
+        const tries = [{ text: structured ? parsed.normalized : query, precision: "address" }];
+        if (structured) tries.push({ text: AddressKr.formatAddress(parsed, { withLot: false }), precision: "area" });
+
+        for (const t of tries) {
+          const nomUrl = AddressProvider.nominatimSearchUrl(t.text, { limit });
+          const arr = await nominatimJson(nomUrl, NOMINATIM_HEADERS, "geocode_failed");
+          const list = Array.isArray(arr) ? arr.slice(0, limit) : [];
+          if (!list.length) continue;
+          return {
+            found: true,
+            candidates: list.map((hit) => AddressProvider.nominatimCandidate(hit, t.precision)),
+            source: "nominatim",
+            query: t.text,
+          };
         }
-      }
-
-      return true;
-    };
-
-    const mergeJudgeValues = (ctx, values) => {
-      const merged = { ...(values || {}) };
-
-      if (ctx?.zoning && merged.zoning === undefined) merged.zoning = String(ctx.zoning).trim();
-      if (ctx?.use && merged.use === undefined) merged.use = String(ctx.use).trim();
-      if (ctx?.jurisdiction && merged.jurisdiction === undefined) merged.jurisdiction = String(ctx.jurisdiction).trim();
-
-      const floors = toNum(ctx?.floors);
-      const height_m = toNum(ctx?.height_m);
-      const gross_area_m2 = toNum(ctx?.gross_area_m2);
-
-      if (floors != null && merged.floors === undefined) merged.floors = floors;
-      if (height_m != null && merged.height_m === undefined) merged.height_m = height_m;
-      if (gross_area_m2 != null && merged.gross_area_m2 === undefined) merged.gross_area_m2 = gross_area_m2;
-
-      return merged;
-    };
-
-    const summarizeResults = (results) => {
-      const counts = { allow: 0, conditional: 0, deny: 0, need_input: 0, unknown: 0 };
-      const missingKeys = new Set();
-
-      for (const r of results) {
-        const st = normalizeStatus(r?.status);
-        if (counts[st] == null) counts.unknown++;
-        else counts[st]++;
-
-        const miss = Array.isArray(r?.missing_inputs) ? r.missing_inputs : [];
-        miss.forEach((m) => {
-          const k = String(m?.key || "").trim();
-          if (k) missingKeys.add(k);
-        });
-      }
-
-      let status = "unknown";
-      if (counts.deny > 0) status = "deny";
-      else if (counts.need_input > 0) status = "need_input";
-      else if (counts.conditional > 0) status = "conditional";
-      else if (counts.allow > 0) status = "allow";
-
-      const total = results?.length ?? 0;
+        return { found: false, candidates: [], source: "nominatim", query: tries[0].text };
+      },
+    });
 
-      return {
-        status,
-        total,
-        counts,
-        missing_inputs: Array.from(missingKeys),
-        note: total === 0 ? "적용되는 체크리스트 항목이 없습니다. (조건/필터 결과)" : undefined,
+    // → { table, local } (ADDRESS_JSON asset 을 못 읽으면 throw)
+    const loadAddressData = async () => {
+      const addressPath = String(env?.ADDRESS_JSON || "").trim();
+      const parcelsPath = String(env?.PARCELS_GEOJSON || "").trim();
+      const key = `${addressPath}|${parcelsPath}`;
+      if (addressDataCache.has(key)) return addressDataCache.get(key);
+
+      const [address, parcels] = await Promise.all([
+        addressPath ? assetJson(addressPath) : null,
+        parcelsPath ? assetJson(parcelsPath) : null,
+      ]);
+      if (addressPath && !Array.isArray(address?.codes)) throw new Error(`ADDRESS_JSON 을 읽을 수 없습니다: ${addressPath}`);
+      const data = {
+        table: AddressKr.createCodeTable(address?.codes),
+        local: address ? AddressProvider.createLocalProvider({ address, parcels }) : null,
       };
+      addressDataCache.set(key, data);
+      return data;
     };
 
-    /* =========================
-       routes
-    ========================= */
-
-    // ---------- route: /api/calc ----------
-    if (segs[0] === "calc" && method === "GET") {
-      const url = new URL(request.url);
-      const site = Number(url.searchParams.get("site"));
-      const coverage = Number(url.searchParams.get("coverage"));
-      const far = Number(url.searchParams.get("far"));
-      const floor = Number(url.searchParams.get("floor") || 3.3);
-
-      if (![site, coverage, far, floor].every((n) => Number.isFinite(n) && n > 0)) {
-        return json({ ok: false, error: "invalid_params" }, 400);
-      }
-
-      const maxBuildingArea_m2 = (site * coverage) / 100;
-      const maxTotalFloorArea_m2 = (site * far) / 100;
-      const estFloors = Math.max(1, Math.floor(maxTotalFloorArea_m2 / Math.max(1, maxBuildingArea_m2)));
-      const estHeight_m = estFloors * floor;
-
-      return json({
-        ok: true,
-        result: { maxBuildingArea_m2, maxTotalFloorArea_m2, estFloors, estHeight_m },
-        note: "단순 산정(간이)입니다. 실제는 도로·조례·심의·지구단위 등으로 달라질 수 있어요.",
-      });
-    }
+    // ADDRESS_PROVIDER=local 인데 ADDRESS_JSON 이 없으면 nominatim (응답 provider 로 표시)
+    const pickAddressProvider = (data) =>
+      String(env?.ADDRESS_PROVIDER || "").trim().toLowerCase() === "local" && data.local
+        ? data.local
+        : nominatimAddressProvider;
 
     // ---------- route: /api/geocode ----------
+    //  q: 도로명/지번 주소 또는 PNU → result + candidates(점수순) + confidence + address{ kind, 시도~번지, bjd_code, pnu }
     if (segs[0] === "geocode" && method === "GET") {
       const url = new URL(request.url);
       const q = (url.searchParams.get("q") || "").trim();
       if (!q) return json({ ok: false, error: "missing_q" }, 400);
+      const limit = Math.min(
+        AddressProvider.MAX_CANDIDATES,
+        Math.max(1, Math.floor(Number(url.searchParams.get("limit"))) || AddressProvider.DEFAULT_CANDIDATES)
+      );
 
-      const nomUrl = new URL("https://nominatim.openstreetmap.org/search");
-      nomUrl.searchParams.set("q", q);
-      nomUrl.searchParams.set("format", "json");
-      nomUrl.searchParams.set("limit", "1");
-      nomUrl.searchParams.set("addressdetails", "1");
-
-      const r = await fetch(nomUrl.toString(), {
-        headers: {
-          "user-agent": "my-archi-2 (Cloudflare Pages Functions)",
-          "accept-language": "ko-KR,ko;q=0.9,en;q=0.8",
-        },
-      });
-      if (!r.ok) return json({ ok: false, error: "geocode_failed" }, 502);
+      let data;
+      try {
+        data = await loadAddressData();
+      } catch (e) {
+        return json({ ok: false, error: String(e?.message || e) }, 500);
+      }
+      const parsed = AddressKr.parseAddress(q, { table: data.table });
+      const address = AddressKr.describeAddress(parsed, data.table);
+      const provider = pickAddressProvider(data);
+
+      // PNU 만 넣었으면 법정동 이름 + 지번으로 찾음(로컬 provider 는 PNU 로 바로 찾음)
+      const lookup =
+        parsed.kind === "pnu" && address.bjd_name && provider.name !== "local"
+          ? AddressKr.parseAddress(`${address.bjd_name} ${address.jibun}`, { table: data.table })
+          : parsed;
+
+      // 캐시 키는 표준 표기(붙여쓰기/약칭이 달라도 같은 주소면 같은 키), 로컬 provider 는 캐시 안 함
+      let got;
+      try {
+        got =
+          provider.name === "local"
+            ? { value: await provider.geocode(q, { parsed: lookup }), cache: GeoCache.BYPASS }
+            : await cachedLookup("geocode", lookup.normalized, () => provider.geocode(q, { parsed: lookup }), {
+                scope: provider.name,
+              });
+      } catch (e) {
+        if (UpstreamLimiter.isRateLimited(e)) return rateLimited(e, { cache: e.cache });
+        return json({ ok: false, error: e?.status ? e.message : "geocode_failed", cache: e?.cache }, e?.status || 502);
+      }
 
-      const arr = await r.json().catch(() => []);
-      const hit = Array.isArray(arr) && arr.length ? arr[0] : null;
+      // 점수는 원래 입력(parsed) 기준 — PNU 입력이면 번지만 비교
+      const { value, cache } = got;
+      const { candidates, confidence } = AddressProvider.rankCandidates(parsed, value.candidates, { limit });
+      const first = candidates[0] || null;
+      // 고르기 전(low)에는 1위 후보의 PNU 를 주소 PNU 로 삼지 않음
+      if (!address.pnu && confidence?.level !== "low" && (first?.pnu || value.pnu)) address.pnu = first?.pnu || value.pnu;
+      const common = { address, provider: provider.name, source: value.source, cache };
 
-      if (!hit) return json({ ok: true, found: false, result: null });
+      if (!first) {
+        return json({
+          ok: true,
+          found: false,
+          result: null,
+          candidates,
+          confidence,
+          needs_confirmation: false,
+          raw_status: value.raw_status,
+          ...common,
+        });
+      }
 
       return json({
         ok: true,
         found: true,
         result: {
-          lat: hit.lat,
-          lon: hit.lon,
-          display_name: hit.display_name,
-          address: hit.address || null,
+          lat: first.lat,
+          lon: first.lon,
+          display_name: first.display_name,
+          precision: first.precision,
+          pnu: first.pnu,
+          score: first.score,
+          address: first.address || null,
         },
+        candidates,
+        confidence,
+        needs_confirmation: confidence.level === "low",
+        ...common,
       });
     }
 
@@ -430,28 +405,30 @@ export async function onRequest(context) {
         return json({ ok: false, error: "invalid_latlon" }, 400);
       }
 
-      const nomUrl = new URL("https://nominatim.openstreetmap.org/reverse");
-      nomUrl.searchParams.set("lat", String(lat));
-      nomUrl.searchParams.set("lon", String(lon));
-      nomUrl.searchParams.set("format", "json");
-      nomUrl.searchParams.set("zoom", "12");
-      nomUrl.searchParams.set("addressdetails", "1");
-
-      const r = await fetch(nomUrl.toString(), {
-        headers: { "user-agent": "my-archi-2 (Cloudflare Pages Functions)" },
-      });
-      if (!r.ok) return json({ ok: false, error: "reverse_failed" }, 502);
-
-      const data = await r.json().catch(() => null);
-      const addr = data?.address || {};
-      const jurisdiction = addr.city || addr.county || addr.state || addr.region || addr.town || addr.village || "";
+      // 키는 반올림 좌표(GeoCache.COORD_DIGITS.reverse) — 가까운 좌표는 같은 행정구역으로 봄
+      let got;
+      try {
+        got = await cachedLookup("reverse", { lat, lon }, async () => {
+          const nomUrl = new URL("https://nominatim.openstreetmap.org/reverse");
+          nomUrl.searchParams.set("format", "jsonv2");
+          nomUrl.searchParams.set("lat", String(lat));
+          nomUrl.searchParams.set("lon", String(lon));
+
+          const data = await nominatimJson(nomUrl, NOMINATIM_HEADERS, "reverse_failed");
+          const addr = data?.address || {};
+          // Express 와 같은 모양: jurisdiction 은 광역~읍면동을 이어 붙임, raw 는 address 만
+          return {
+            found: true,
+            jurisdiction: AddressKr.jurisdictionOf(addr),
+            raw: addr,
+          };
+        });
+      } catch (e) {
+        if (UpstreamLimiter.isRateLimited(e)) return rateLimited(e, { cache: e.cache });
+        return json({ ok: false, error: e?.status ? e.message : "reverse_failed", cache: e?.cache }, e?.status || 502);
+      }
 
-      return json({
-        ok: true,
-        found: true,
-        jurisdiction: String(jurisdiction || "").trim(),
-        raw: data,
-      });
+      return json({ ok: true, ...got.value, cache: got.cache });
     }
 
     /* =========================
@@ -589,40 +566,224 @@ export async function onRequest(context) {
       return { ok: true, features: arr, raw: parsed, request_url: DEBUG_ON ? u.toString() : undefined };
     };
 
-    const stripParen = (s) => String(s || "").replace(/\([^)]*\)/g, "");
-    const normalizeZoningKey = (s) =>
-      stripParen(String(s || ""))
-        .trim()
-        .replace(/\s+/g, "")
-        .replace(/[·ㆍ]/g, "")
-        .toLowerCase();
+    // 용도지역 명칭(VWorld 표기/약칭/옛 명칭/UQ 코드) → base_rules 항목 (RuleEngine.resolveZoning, Express 와 같은 매칭)
+    //  → { rule, zoning, resolved, candidates:[zoning...] } (모호/못 맞춤이면 rule=null, candidates 는 점수 높은 순)
+    const resolveZoningToBase = (rawName, base) => {
+      const resolved = RuleEngine.resolveZoning(rawName, base);
+      const rule = resolved.matched
+        ? getZoningRulesArray(base).find((r) => String(r?.zoning || "").trim() === resolved.zoning) || null
+        : null;
+      return { rule, zoning: rule ? resolved.zoning : "", resolved, candidates: resolved.candidates.map((c) => c.zoning) };
+    };
 
-    const resolveZoningToBase = (rawName, baseRulesArr) => {
-      const raw = String(rawName || "").trim();
-      if (!raw) return { matched: false, zoning: "", raw_name: "", normalized: "" };
+    // 혼재 대지(/api/calc?zones=용도지역:㎡,...) → ParcelGeo.mixedZoneCaps + 용도지역별 상한 내역(zones)
+    const mixedZoneCapsOf = (base, parts, jurisdiction) => {
+      const zones = parts.map((p) => {
+        const { rule } = resolveZoningToBase(p.zoning, base);
+        const caps = rule ? RuleEngine.zoningCaps(rule, jurisdiction, base) : null;
+        return {
+          zoning: rule?.zoning || p.zoning,
+          area_m2: p.area_m2,
+          matched: !!rule,
+          bcr_max: caps?.bcr_max ?? null,
+          far_max: caps?.far_max ?? null,
+          layers: caps?.layers || null,
+        };
+      });
+      const caps = ParcelGeo.mixedZoneCaps(zones);
+      return caps && { ...caps, zones };
+    };
 
-      const nz = normalizeZoningKey(raw);
+    const unresolvedNote = (resolved) =>
+      resolved.ambiguous ? "용도지역 명칭이 여러 후보와 겹칩니다. 후보에서 선택해 주세요." : "zoning rule not found";
 
-      const exact = baseRulesArr.find((r) => String(r?.zoning || "").trim() === raw);
-      if (exact) return { matched: true, zoning: String(exact.zoning), raw_name: raw, normalized: nz };
+    /* =========================
+       VWorld helpers (Data API: 필지/용도지역 폴리곤)
+    ========================= */
 
-      const hitNorm = baseRulesArr.find((r) => normalizeZoningKey(r?.zoning) === nz);
-      if (hitNorm) return { matched: true, zoning: String(hitNorm.zoning), raw_name: raw, normalized: nz };
+    const vworldDataGetFeature = async ({ data, geomFilter, attrFilter, size = 100 }) => {
+      const key = env?.VWORLD_KEY || env?.V_WORLD_KEY || env?.VWORLD_API_KEY;
+      if (!key) return { ok: false, error: "missing_vworld_key" };
 
-      const candidates = baseRulesArr
-        .map((r) => String(r?.zoning || "").trim())
-        .filter(Boolean)
-        .filter((z) => {
-          const nz2 = normalizeZoningKey(z);
-          return nz.includes(nz2) || nz2.includes(nz);
-        });
+      const u = new URL("https://api.vworld.kr/req/data");
+      u.searchParams.set("service", "data");
+      u.searchParams.set("version", "2.0");
+      u.searchParams.set("request", "GetFeature");
+      u.searchParams.set("format", "json");
+      u.searchParams.set("crs", "EPSG:4326");
+      u.searchParams.set("geometry", "true");
+      u.searchParams.set("size", String(size));
+      u.searchParams.set("data", data);
+      if (geomFilter) u.searchParams.set("geomFilter", geomFilter);
+      if (attrFilter) u.searchParams.set("attrFilter", attrFilter);
+      u.searchParams.set("key", key);
+      const domain = getVworldDomainParam();
+      if (domain) u.searchParams.set("domain", domain);
 
-      const uniq = Array.from(new Set(candidates));
-      if (uniq.length === 1) {
-        return { matched: true, zoning: uniq[0], raw_name: raw, normalized: nz, candidates: uniq };
+      const ac = new AbortController();
+      const t = setTimeout(() => ac.abort("timeout"), Number(env?.VWORLD_TIMEOUT_MS || 8000));
+      try {
+        const r = await fetch(u.toString(), {
+          signal: ac.signal,
+          headers: { accept: "application/json", "user-agent": "my-archi-2 (Cloudflare Pages Functions)" },
+        });
+        if (!r.ok) return { ok: false, error: "vworld_http_error", status: r.status, data };
+        const parsed = await r.json().catch(() => null);
+        const root = parsed?.response || parsed;
+        const status = String(root?.status || "").toUpperCase();
+        if (status !== "OK") return { ok: true, status: status || "UNKNOWN", features: [] };
+        const fc = root?.result?.featureCollection || root?.result?.featurecollection || root?.result || {};
+        return { ok: true, status, features: Array.isArray(fc.features) ? fc.features : [] };
+      } catch (e) {
+        return { ok: false, error: "vworld_fetch_failed", detail: String(e?.message || e), data };
+      } finally {
+        clearTimeout(t);
       }
+    };
+
+    /* =========================
+       zoning provider (lib/zoning_provider.js)
+       - ZONING_PROVIDER=auto(기본) | vworld | local — Express 와 같은 선택 규칙
+       - local: ZONING_GEOJSON(+ PARCELS_GEOJSON) = public 아래 asset 경로(예: /geodata/zoning.geojson)
+    ========================= */
+
+    const vworldKey = env?.VWORLD_KEY || env?.V_WORLD_KEY || env?.VWORLD_API_KEY;
+
+    // ✅ WMS 레이어는 소문자!
+    //  - VWORLD_ZONING_LAYERS : 용도지역
+    //  - VWORLD_OVERLAY_LAYERS: 용도지구/용도구역 (종류는 명칭 끝말로 구분: RuleEngine.buildOverlays)
+    const splitLayers = (v, fallback) =>
+      String(v || fallback)
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean);
+    const zoneLayers = splitLayers(env?.VWORLD_ZONING_LAYERS, "lt_c_uq111,lt_c_uq112,lt_c_uq113,lt_c_uq114");
+    const overlayLayers = splitLayers(
+      env?.VWORLD_OVERLAY_LAYERS,
+      "lt_c_uq121,lt_c_uq123,lt_c_uq124,lt_c_uq125,lt_c_uq126,lt_c_uq128,lt_c_uq129,lt_c_uq130,lt_c_ud801"
+    ).filter((l) => !zoneLayers.includes(l));
+
+    // 데이터 소스 전체 실패 → throw (errors 는 디버그용으로 붙여 둠)
+    const providerError = (message, errors) => Object.assign(new Error(String(message || "provider_error")), { errors });
+
+    // VWorld 직접 호출(제한 없음) — 아래 vworldProvider 가 upstream.run 으로 감쌈
+    const vworldCalls = {
+      // 레이어마다 점에 걸린 feature 전부 수집(첫 레이어에서 멈추지 않음)
+      async lookupZoning({ lat, lon }) {
+        const layers = [
+          ...zoneLayers.map((layer) => ({ layer, type: "zone" })),
+          ...overlayLayers.map((layer) => ({ layer, type: null })),
+        ];
+        const tried = layers.map((l) => l.layer);
+        const results = await Promise.all(layers.map((l) => vworldWmsGetFeatureInfoAtPoint({ lon, lat, layer: l.layer })));
+
+        const features = [];
+        const errors = [];
+        let requestUrl = null;
+        results.forEach((res, i) => {
+          const { layer, type } = layers[i];
+          if (!res.ok) {
+            errors.push({ layer, ...res });
+            return;
+          }
+          requestUrl = res.request_url || requestUrl;
+          (res.features || []).forEach((f) => {
+            const name = pickFirstZoningName(f);
+            if (name) features.push({ name, layer, type });
+          });
+        });
+        if (errors.length === layers.length) throw providerError(errors[0]?.detail || errors[0]?.error, errors);
+
+        return {
+          found: features.length > 0,
+          features,
+          source: "vworld_wms",
+          meta: { tried, request_url: requestUrl },
+          errors,
+        };
+      },
+
+      async lookupParcel(pnu) {
+        const parcelData = String(env?.VWORLD_PARCEL_DATA || "LP_PA_CBND_BUBUN").trim();
+        const got = await vworldDataGetFeature({ data: parcelData, attrFilter: `pnu:=:${pnu}`, size: 1 });
+        if (!got.ok) throw providerError(got.detail || got.error, [got]);
+        const f = got.features[0] || null;
+        const polygons = f ? ParcelGeo.parsePolygonInput(f.geometry) : null;
+        if (!polygons) return { found: false, pnu, raw_status: got.status };
+        const p = f.properties || {};
+        return { found: true, pnu, polygons, jibun: String(p.jibun || "").trim(), addr: String(p.addr || "").trim() };
+      },
+
+      // Data API 데이터셋명은 대문자(WMS 레이어명과 같은 목록을 씀)
+      async lookupZonePolygons(polygons) {
+        const zoneData = zoneLayers.map((l) => l.toUpperCase());
+        const bb = ParcelGeo.bboxOf(polygons);
+        const geomFilter = `BOX(${bb.minx},${bb.miny},${bb.maxx},${bb.maxy})`;
+        const results = await Promise.all(zoneData.map((data) => vworldDataGetFeature({ data, geomFilter })));
+
+        const zones = [];
+        const errors = [];
+        results.forEach((r, i) => {
+          if (!r.ok) {
+            errors.push(r);
+            return;
+          }
+          r.features.forEach((f) => {
+            const name = pickFirstZoningName(f);
+            const fp = ParcelGeo.parsePolygonInput(f.geometry);
+            if (name && fp) zones.push({ name, layer: zoneData[i], type: "zone", polygons: fp });
+          });
+        });
+        if (errors.length === zoneData.length) throw providerError(errors[0]?.detail || errors[0]?.error, errors);
+        return { zones, source: zones.length ? "vworld_data_api" : "vworld_no_features", errors, meta: { tried: zoneData } };
+      },
+    };
+
+    // 레이어 수만큼 토큰(cost), 같은 좌표/PNU/bbox 동시 조회는 한 번만 호출
+    const vworldProvider = ZoningProvider.defineProvider({
+      name: "vworld",
+      lookupZoning: ({ lat, lon }) =>
+        upstream.run("vworld", GeoCache.cacheKey("zoning", { lat, lon }), () => vworldCalls.lookupZoning({ lat, lon }), {
+          cost: zoneLayers.length + overlayLayers.length,
+        }),
+      lookupParcel: (pnu) => upstream.run("vworld", `parcel:${pnu}`, () => vworldCalls.lookupParcel(pnu)),
+      lookupZonePolygons: (polygons) =>
+        upstream.run(
+          "vworld",
+          `zones:${JSON.stringify(ParcelGeo.bboxOf(polygons))}`,
+          () => vworldCalls.lookupZonePolygons(polygons),
+          { cost: zoneLayers.length }
+        ),
+    });
 
-      return { matched: false, zoning: "", raw_name: raw, normalized: nz, candidates: uniq };
+    const zoningProviderName = () => {
+      const v = String(env?.ZONING_PROVIDER || "").trim().toLowerCase();
+      const geojson = String(env?.ZONING_GEOJSON || "").trim();
+      if (v === "vworld") return vworldKey ? "vworld" : null;
+      if (v === "local") return geojson ? "local" : null;
+      if (vworldKey) return "vworld";
+      return geojson ? "local" : null;
+    };
+
+    // → provider | null (로컬 asset 을 못 읽으면 throw)
+    const pickZoningProvider = async () => {
+      const name = zoningProviderName();
+      if (name === "vworld") return vworldProvider;
+      if (name !== "local") return null;
+
+      const zoningPath = String(env.ZONING_GEOJSON).trim();
+      const parcelsPath = String(env?.PARCELS_GEOJSON || "").trim();
+      const cacheKey = `${zoningPath}|${parcelsPath}`;
+      if (localProviderCache.has(cacheKey)) return localProviderCache.get(cacheKey);
+
+      const [zoning, parcels] = await Promise.all([assetJson(zoningPath), parcelsPath ? assetJson(parcelsPath) : null]);
+      if (!Array.isArray(zoning?.features)) throw new Error(`ZONING_GEOJSON 을 읽을 수 없습니다: ${zoningPath}`);
+      if (parcelsPath && !Array.isArray(parcels?.features)) {
+        throw new Error(`PARCELS_GEOJSON 을 읽을 수 없습니다: ${parcelsPath}`);
+      }
+      const provider = ZoningProvider.createLocalProvider({ zoning, parcels, source: zoningPath });
+      localProviderCache.set(cacheKey, provider);
+      return provider;
     };
 
     // ---------- route: /api/zoning/by-coord ----------
@@ -635,101 +796,246 @@ export async function onRequest(context) {
         return json({ ok: false, error: "invalid_latlon" }, 400);
       }
 
-      const hasKey = !!(env?.VWORLD_KEY || env?.V_WORLD_KEY || env?.VWORLD_API_KEY);
-      if (!hasKey) {
+      // 조회 불가 → ZONING_FALLBACK_MODE (데모값을 몰래 found:true 로 주지 않음)
+      const byCoordFallback = async (code, detail, extra = {}) => {
+        const fb = await zoningFallback(code, detail);
+        extra = { cache: GeoCache.BYPASS, ...extra };
+        if (!fb.demo) return json({ ok: true, ...fb, overlays: [], ...extra });
         return json({
           ok: true,
-          found: false,
-          zoning: "",
-          note: "VWORLD_KEY 환경변수가 없어 자동 조회를 건너뛰었습니다. (수동 선택 가능)",
-          debug: DEBUG_ON ? { envKeysTried: ["VWORLD_KEY", "V_WORLD_KEY", "VWORLD_API_KEY"] } : undefined,
+          found: true,
+          zoning: DEMO_ZONING,
+          overlays: RuleEngine.buildOverlays([{ name: DEMO_ZONING }]),
+          source: code === "no_key" ? "demo_stub" : "demo_fallback_after_vworld_error",
+          ...fb,
+          ...extra,
         });
-      }
-
-      const base = await loadBaseRules();
-      const baseArr = getZoningRulesArray(base);
-
-      // ✅ WMS 레이어는 소문자!
-      const layers = String(env?.VWORLD_ZONING_LAYERS || "lt_c_uq111,lt_c_uq112,lt_c_uq113")
-        .split(",")
-        .map((s) => s.trim())
-        .filter(Boolean);
-
-      const tried = [];
-      let lastError = null;
-      let lastRequestUrl = null;
-
-      for (const layer of layers) {
-        tried.push(layer);
-
-        const res = await vworldWmsGetFeatureInfoAtPoint({ lon, lat, layer });
-
-        if (!res.ok) {
-          lastError = res;
-          continue;
-        }
+      };
 
-        lastRequestUrl = res.request_url || lastRequestUrl;
+      let provider;
+      try {
+        provider = await pickZoningProvider();
+      } catch (e) {
+        return byCoordFallback("provider_error", e?.message || e);
+      }
+      if (!provider) {
+        return byCoordFallback("no_key", null, {
+          debug: DEBUG_ON ? { envKeysTried: ["VWORLD_KEY", "V_WORLD_KEY", "VWORLD_API_KEY", "ZONING_GEOJSON"] } : undefined,
+        });
+      }
 
-        const first = res.features?.[0] || null;
-        const rawName = pickFirstZoningName(first);
-        if (!rawName) {
-          // features가 있는데 필드명이 예상과 다를 수도 있으니 다음 레이어도 시도
-          continue;
+      // 외부 provider(vworld)만 캐시(키: provider + 반올림 좌표). 일부 레이어 실패(errors)가 섞인 응답은 저장 안 함
+      let got;
+      let cache = GeoCache.BYPASS;
+      try {
+        if (provider.name === "local") got = await provider.lookupZoning({ lat, lon });
+        else {
+          ({ value: got, cache } = await cachedLookup("zoning", { lat, lon }, () => provider.lookupZoning({ lat, lon }), {
+            scope: provider.name,
+            cacheable: (v) => !v?.errors?.length,
+          }));
         }
+      } catch (e) {
+        // 호출 한도 초과는 degraded 가 아니라 429(잠시 뒤 다시 시도하면 되므로 수동 선택으로 넘기지 않음)
+        if (UpstreamLimiter.isRateLimited(e)) return rateLimited(e, { cache: e.cache });
+        return byCoordFallback("provider_error", e?.message || e, {
+          cache: e?.cache || GeoCache.BYPASS,
+          debug: DEBUG_ON ? { errors: e?.errors, domain_param_used: getVworldDomainParam() } : undefined,
+        });
+      }
 
-        const mapped = resolveZoningToBase(rawName, baseArr);
+      const overlays = RuleEngine.buildOverlays(got.features || []);
+      // Express 와 같은 응답 모양(source 는 provider 가 준 문자열, 시도한 레이어 등은 meta)
+      const common = {
+        overlays,
+        source: got.source,
+        provider: provider.name,
+        meta: got.meta || null,
+        errors: got.errors,
+        cache,
+        debug: DEBUG_ON ? { domain_param_used: getVworldDomainParam() } : undefined,
+      };
 
-        if (mapped.matched && mapped.zoning) {
+      // 대표 용도지역: base_rules 로 해석되는 첫 번째 용도지역(표기 차이/약칭/코드는 resolveZoning 이 맞춤)
+      const zones = overlays.filter((o) => o.type === "zone");
+      if (zones.length) {
+        const base = await loadBaseRules();
+        const hits = zones.map((z) => ({ z, m: resolveZoningToBase(z.name, base) }));
+        const hit = hits.find((h) => h.m.rule) || null;
+        if (hit) {
           return json({
             ok: true,
             found: true,
-            zoning: mapped.zoning,
-            source: { provider: "vworld_wms", layer },
-            raw_name: mapped.raw_name,
-            note: "좌표 기반 자동 조회 결과(WMS GetFeatureInfo + 정규화 매칭)입니다. 실제 적용은 지구단위/조례 등 추가 검토 필요.",
-            debug: DEBUG_ON
-              ? {
-                  domain_param_used: getVworldDomainParam(),
-                  normalized: mapped.normalized,
-                  tried,
-                  request_url: lastRequestUrl,
-                }
-              : undefined,
+            zoning: hit.m.zoning,
+            raw_name: hit.z.name,
+            resolved: hit.m.resolved,
+            ...common,
           });
         }
+        const first = hits[0].m;
+        return json({
+          ok: true,
+          found: false,
+          zoning: "",
+          raw_name: first.resolved.input,
+          candidates: first.candidates,
+          resolved: first.resolved,
+          note: "용도지역 명칭은 찾았지만 base_rules 용도지역과 맞추지 못했습니다. 후보에서 선택해 주세요.",
+          ...common,
+        });
+      }
+      return json({ ok: true, found: false, zoning: "", raw_status: got.raw_status || null, ...common });
+    }
+
+    // ---------- route: /api/zoning/by-parcel ----------
+    //  GET ?pnu=<19자리> | POST { pnu } | { polygon:[[lat,lon],...] | GeoJSON } (+ jurisdiction: 용도지역별 상한에 조례 적용)
+    //  → zones(용도지역별 면적/비율) + weighted(면적 가중 건폐율/용적률) — Express 와 같은 응답 모양
+    if (segs[0] === "zoning" && segs[1] === "by-parcel" && (method === "GET" || method === "POST")) {
+      let src = Object.fromEntries(urlObj.searchParams);
+      if (method === "POST") {
+        const body = await readJson();
+        if (body?.__invalid_json) return json({ ok: false, error: "invalid_json" }, 400);
+        src = body || {};
+      }
+
+      let polygons = null;
+      const pnu = String(src.pnu || "").replace(/[\s-]/g, "");
+      if (pnu) {
+        if (!/^\d{19}$/.test(pnu)) return json({ ok: false, error: "invalid_pnu (19 digits)" }, 400);
+      } else {
+        let raw = src.polygon;
+        if (!raw) return json({ ok: false, error: "missing pnu or polygon" }, 400);
+        if (typeof raw === "string") {
+          try {
+            raw = JSON.parse(raw);
+          } catch {
+            return json({ ok: false, error: "invalid_polygon" }, 400);
+          }
+        }
+        polygons = ParcelGeo.parsePolygonInput(raw);
+        const area = polygons ? ParcelGeo.polygonsArea(polygons) : 0;
+        if (area <= 0) return json({ ok: false, error: "invalid_polygon" }, 400);
+        if (area > 100000) {
+          return json({ ok: false, error: "polygon_too_large", area_m2: Math.round(area), max_m2: 100000 }, 400);
+        }
+      }
+
+      const rs = await pickRuleset(src.ruleset);
+      if (rs.error) return rs.error;
+      const base = await loadBaseRules(rs.version);
+      const ruleset = RuleEngine.rulesetBlock(rs.manifest, { pinned: !!rs.version, loaded: { base_rules: base } });
+
+      const jurisdiction = String(src.jurisdiction || "").trim();
+      const respond = (parcel, zones, source, extra = {}) => {
+        const shares = ParcelGeo.zoneShares(parcel.polygons, zones);
+        const parts = shares.parts.map((p) => {
+          const { rule } = resolveZoningToBase(p.name, base);
+          const caps = rule ? RuleEngine.zoningCaps(rule, jurisdiction, base) : null;
+          return {
+            zoning: rule?.zoning || p.name,
+            raw_name: p.name,
+            layer: p.layer || null,
+            matched: !!rule,
+            area_m2: p.area_m2,
+            pct: p.pct,
+            bcr_max: caps?.bcr_max ?? null,
+            far_max: caps?.far_max ?? null,
+            layers: caps?.layers || null,
+          };
+        });
+        const weighted = ParcelGeo.mixedZoneLimits(parts);
+        return json({
+          ok: true,
+          found: parts.length > 0,
+          zoning: weighted?.dominant_zoning || "",
+          parcel: {
+            pnu: parcel.pnu || null,
+            jibun: parcel.jibun || "",
+            addr: parcel.addr || "",
+            area_m2: shares.parcel_area_m2,
+            geometry: parcel.pnu ? { type: "MultiPolygon", coordinates: parcel.polygons } : null,
+          },
+          zones: parts,
+          weighted,
+          uncovered_pct: shares.uncovered_pct,
+          method: { type: "grid_sampling", samples: shares.samples },
+          source,
+          ...extra,
+          ruleset,
+        });
+      };
+      // 조회 불가: demo 모드 + 폴리곤이 있으면 데모 용도지역 100%, 아니면 found:false (by-coord 와 같은 정책)
+      const fallback = async (parcel, code, detail) => {
+        const fb = await zoningFallback(code, detail);
+        if (fb.demo && parcel.polygons) {
+          const source = code === "no_key" ? "demo_stub" : "demo_fallback_after_vworld_error";
+          return respond(parcel, [{ name: DEMO_ZONING, polygons: parcel.polygons }], source, fb);
+        }
+        const rest = { ...fb };
+        delete rest.demo;
+        delete rest.demo_note;
+        const area = parcel.polygons ? Math.round(ParcelGeo.polygonsArea(parcel.polygons) * 100) / 100 : null;
+        return json({
+          ok: true,
+          found: false,
+          zoning: "",
+          source: `degraded_${zoningFallbackMode}`,
+          ...rest,
+          zones: [],
+          parcel: { pnu: parcel.pnu || null, area_m2: area },
+          note:
+            parcel.pnu && code === "no_key"
+              ? "PNU 조회에는 VWORLD_KEY(또는 PARCELS_GEOJSON)가 필요합니다. 지도에 대지 경계를 그려 주세요."
+              : rest.note,
+          ruleset,
+        });
+      };
 
-        const tryAll = isTrue(env?.VWORLD_TRY_ALL_DATASETS);
-        if (!tryAll) {
+      let provider;
+      try {
+        provider = await pickZoningProvider();
+      } catch (e) {
+        return fallback({ pnu: pnu || null, polygons }, "provider_error", e?.message || e);
+      }
+      if (!provider) return fallback({ pnu: pnu || null, polygons }, "no_key");
+
+      let parcel = { pnu: pnu || null, polygons };
+      if (pnu) {
+        let got;
+        try {
+          got = await provider.lookupParcel(pnu);
+        } catch (e) {
+          if (UpstreamLimiter.isRateLimited(e)) return rateLimited(e, { ruleset });
+          return fallback(parcel, "provider_error", e?.message || e);
+        }
+        if (!got.found) {
           return json({
             ok: true,
             found: false,
             zoning: "",
-            source: { provider: "vworld_wms", layer, tried },
-            raw_name: mapped.raw_name,
-            normalized: mapped.normalized,
-            candidates: mapped.candidates || [],
-            note:
-              "V월드(WMS)에서 명칭은 찾았지만 base_rules.json의 용도지역명과 매칭되지 않아 자동 설정을 중단했습니다. (수동 선택 가능)",
-            debug: DEBUG_ON
-              ? {
-                  hint: "base_rules.json의 zoning 문자열과 VWorld 반환 문자열(공백/괄호/표기)이 다를 수 있어요.",
-                  domain_param_used: getVworldDomainParam(),
-                  request_url: lastRequestUrl,
-                }
-              : undefined,
+            zones: [],
+            source: `${provider.name}_parcel_not_found`,
+            provider: provider.name,
+            pnu,
+            raw_status: got.raw_status,
+            ruleset,
           });
         }
+        parcel = got;
       }
 
-      return json({
-        ok: true,
-        found: false,
-        zoning: "",
-        source: { provider: "vworld_wms", tried },
-        note:
-          "V월드(WMS) 조회는 했지만 해당 좌표에서 용도지역 명칭을 추출하지 못했습니다. (레이어/필드명이 다를 수 있어요)",
-        debug: DEBUG_ON ? { lastError, domain_param_used: getVworldDomainParam(), request_url: lastRequestUrl } : undefined,
+      let got;
+      try {
+        got = await provider.lookupZonePolygons(parcel.polygons);
+      } catch (e) {
+        if (UpstreamLimiter.isRateLimited(e)) return rateLimited(e, { ruleset });
+        return fallback(parcel, "provider_error", e?.message || e);
+      }
+      // 면적 비율은 용도지역끼리만(용도지구/구역은 겹쳐 있으므로 제외)
+      const zones = got.zones.filter((z) => RuleEngine.overlayType(z.name, z.type) === "zone");
+      return respond(parcel, zones, got.source, {
+        provider: provider.name,
+        debug: DEBUG_ON ? { errors: got.errors, tried: got.meta?.tried } : undefined,
       });
     }
 
@@ -747,32 +1053,138 @@ export async function onRequest(context) {
       return json({ ok: true, list: uniq });
     }
 
+    // ---------- route: /api/rules/manifest ----------
+    if (segs[0] === "rules" && segs[1] === "manifest" && method === "GET") {
+      if (!rulesetManifest) return json({ ok: false, error: "manifest_not_found" }, 404);
+      return json({ ok: true, data: rulesetManifest, source: "rules/manifest.json" });
+    }
+
+    // ---------- route: /api/calc ----------
+    // zoning 이 오면 base_rules 의 건폐율/용적률 상한과 맞춰 봄(enforce=clamp 기본: 넘으면 상한으로, flag: 표시만)
+    // zones=용도지역:㎡,... (둘 이상)이면 혼재 대지: 용도지역별 상한을 면적 가중 (Express 와 같음)
+    if (segs[0] === "calc" && method === "GET") {
+      const url = new URL(request.url);
+      const input = Massing.inputFromQuery((k) => url.searchParams.get(k));
+      const zones = ParcelGeo.parseZoneParts(url.searchParams.get("zones"));
+      const zoning = (url.searchParams.get("zoning") || "").trim() || (zones?.length === 1 ? zones[0].zoning : "");
+      const jurisdiction = (url.searchParams.get("jurisdiction") || "").trim() || null;
+      const enforce = (url.searchParams.get("enforce") || "clamp").trim();
+      const demo = demoTag(url.searchParams.get("demo"));
+      const invalid = (errors, extra = {}) =>
+        json({ ok: false, error: `invalid params: ${errors.join(", ")}`, errors, ...extra }, 400);
+
+      if (!Massing.ENFORCE_MODES.includes(enforce)) {
+        return json({ ok: false, error: "invalid enforce", enforce, allowed: Massing.ENFORCE_MODES }, 400);
+      }
+
+      if (!zoning && !zones) {
+        const errors = Massing.validateInput(input);
+        if (errors.length) return invalid(errors);
+
+        const { result, steps } = Massing.computeMassing(input);
+        return json({ ok: true, result, steps, note: Massing.NOTE, ...demo });
+      }
+
+      const rs = await pickRuleset();
+      if (rs.error) return rs.error;
+
+      const base = await loadBaseRules(rs.version);
+      const ruleset = RuleEngine.rulesetBlock(rs.manifest, { pinned: !!rs.version, loaded: { base_rules: base } });
+
+      // 혼재 대지: 용도지역별 상한(조례 > 국가)을 면적 가중, 일조 대상 여부는 가장 넓은 용도지역 (Express 와 같음)
+      const mixedCaps = zones && zones.length > 1 ? mixedZoneCapsOf(base, zones, jurisdiction) : null;
+      if (mixedCaps) {
+        const errors = Massing.validateInput(Massing.applyLimits(input, mixedCaps, { mode: enforce }).input);
+        if (errors.length) return invalid(errors);
+
+        const { dominant_zoning: dominant, mode, partial, note } = mixedCaps.mixed;
+        const { result, steps, limits, compare } = Massing.computeWithLimits(input, mixedCaps, { mode: enforce, zoning: dominant });
+        return json({
+          ok: true,
+          result,
+          steps,
+          limits: {
+            zoning: dominant,
+            jurisdiction,
+            found: true,
+            source: "parcel_weighted",
+            ordinance: null,
+            mixed: { mode, partial, note, zones: mixedCaps.zones },
+            ...limits,
+          },
+          compare,
+          note: Massing.NOTE,
+          ruleset,
+          ...demo,
+        });
+      }
+
+      const { rule: zr, resolved, candidates } = resolveZoningToBase(zoning, base);
+
+      // 못 맞춘 명칭이면 상한을 지어내지 않고 입력값 그대로 계산 + 후보
+      if (!zr) {
+        const limits = { zoning, jurisdiction, found: false, resolved, note: unresolvedNote(resolved), candidates };
+        const errors = Massing.validateInput(input);
+        if (errors.length) return invalid(errors, { limits });
+
+        const { result, steps } = Massing.computeMassing(input);
+        return json({ ok: true, result, steps, limits, compare: null, note: Massing.NOTE, ruleset, ...demo });
+      }
+
+      const caps = RuleEngine.zoningCaps(zr, jurisdiction, base);
+      const errors = Massing.validateInput(Massing.applyLimits(input, caps, { mode: enforce }).input);
+      if (errors.length) return invalid(errors);
+
+      const { result, steps, limits, compare } = Massing.computeWithLimits(input, caps, {
+        mode: enforce,
+        zoning: zr.zoning,
+      });
+      return json({
+        ok: true,
+        result,
+        steps,
+        limits: { zoning: zr.zoning, jurisdiction, found: true, resolved, source: "base_rules", ordinance: caps.ordinance, ...limits },
+        compare,
+        note: Massing.NOTE,
+        ruleset,
+        ...demo,
+      });
+    }
+
     // ---------- route: /api/rules/apply ----------
+    // jurisdiction(역지오코딩 지자체)이 오면 base_rules.ordinances 조례 상한이 국가 상한보다 먼저
     if (segs[0] === "rules" && segs[1] === "apply" && method === "GET") {
       const url = new URL(request.url);
       const zoning = (url.searchParams.get("zoning") || "").trim();
       if (!zoning) return json({ ok: false, error: "missing_zoning" }, 400);
+      const jurisdiction = (url.searchParams.get("jurisdiction") || "").trim() || null;
 
-      const base = await loadBaseRules();
-      const rulesArr = getZoningRulesArray(base);
+      const rs = await pickRuleset();
+      if (rs.error) return rs.error;
+
+      const base = await loadBaseRules(rs.version);
+      const ruleset = RuleEngine.rulesetBlock(rs.manifest, { pinned: !!rs.version, loaded: { base_rules: base } });
 
-      const zr = rulesArr.find((r) => String(r?.zoning || "") === zoning) || null;
+      const { rule: zr, resolved, candidates } = resolveZoningToBase(zoning, base);
 
       if (!zr) {
         return json({
           ok: true,
-          rule: { zoning, bcr_max: null, far_max: null },
-          note: "zoning rule not found",
+          rule: { zoning, bcr_max: null, far_max: null, source: "not_found" },
+          resolved,
+          note: unresolvedNote(resolved),
+          candidates,
+          ruleset,
+          ...demoTag(url.searchParams.get("demo")),
         });
       }
 
       return json({
         ok: true,
-        rule: {
-          zoning,
-          bcr_max: zr.bcr_max ?? zr.bcr ?? null,
-          far_max: zr.far_max ?? zr.far ?? null,
-        },
+        rule: { ...zr, ...RuleEngine.zoningCaps(zr, jurisdiction, base), jurisdiction, source: "base_rules" },
+        resolved,
+        ruleset,
+        ...demoTag(url.searchParams.get("demo")),
       });
     }
 
@@ -790,78 +1202,67 @@ export async function onRequest(context) {
       const use = (url.searchParams.get("use") || "").trim();
       if (!zoning || !use) return json({ ok: false, error: "missing_zoning_or_use" }, 400);
 
-      const engine = await loadRuleEngine();
-
-      let status = "conditional";
-      let message = "⚠️ 추가 검토가 필요합니다. 체크리스트를 확인해 주세요.";
+      const rs = await pickRuleset();
+      if (rs.error) return rs.error;
 
-      const map = engine?.use_matrix || engine?.use_rules || null;
-      if (map && map[zoning] && map[zoning][use]) {
-        const hit = map[zoning][use];
-        status = hit.status || hit.result || status;
-        message = hit.message || message;
-      }
+      const base = await loadBaseRules(rs.version);
+      const ruleset = RuleEngine.rulesetBlock(rs.manifest, { pinned: !!rs.version, loaded: { base_rules: base } });
 
-      return json({ ok: true, zoning, use, status, message });
+      // 판정/문구는 RuleEngine.checkUse (Express/브라우저와 동일, base_rules.rules[].uses)
+      const checked = RuleEngine.checkUse(base, zoning, use);
+      return json({
+        ok: true,
+        ...checked,
+        ...(checked.resolved.matched ? {} : { candidates: checked.resolved.candidates.map((c) => c.zoning) }),
+        ruleset,
+        ...demoTag(url.searchParams.get("demo")),
+      });
     }
 
     // ---------- route: /api/checklists/enriched ----------
     if (segs[0] === "checklists" && segs[1] === "enriched" && method === "GET") {
       const url = new URL(request.url);
-      const zoning = (url.searchParams.get("zoning") || "").trim();
-      const use = (url.searchParams.get("use") || "").trim();
-      const jurisdiction = (url.searchParams.get("jurisdiction") || "").trim();
-
-      const floors = toNum(url.searchParams.get("floors"));
-      const height_m = toNum(url.searchParams.get("height_m"));
-      const gross_area_m2 = toNum(url.searchParams.get("gross_area_m2"));
-
-      const ctx = { zoning, use, jurisdiction, floors, height_m, gross_area_m2 };
-
-      const [rawChecklist, engine] = await Promise.all([loadChecklists(), loadRuleEngine()]);
-      const baseItems = getChecklistArray(rawChecklist);
-
-      const engineItems = Array.isArray(engine?.default_conditional) ? engine.default_conditional : [];
-      const engineById = new Map(engineItems.map((x) => [String(x?.id || ""), x]).filter(([k]) => k));
-
-      const values = {
-        floors: floors ?? undefined,
-        height_m: height_m ?? undefined,
-        gross_area_m2: gross_area_m2 ?? undefined,
+      const context = {
+        zoning: url.searchParams.get("zoning"),
+        use: url.searchParams.get("use"),
+        jurisdiction: url.searchParams.get("jurisdiction"),
+        overlays: url.searchParams.get("overlays"),
+        floors: url.searchParams.get("floors"),
+        height_m: url.searchParams.get("height_m"),
+        gross_area_m2: url.searchParams.get("gross_area_m2"),
       };
+      // explain=1 → 항목별 평가 과정(룰/조건 실제값/스킵 이유)
+      const explain = RuleEngine.parseFlag(url.searchParams.get("explain"));
 
-      const enriched = baseItems
-        .filter((it) => appliesToPass(it, ctx))
-        .map((it) => {
-          const id = String(it?.id || "");
-          const eng = engineById.get(id) || null;
-
-          const fallbackEngine = eng || {
-            id,
-            rule_set: { default_result: "conditional", default_message: "⚠️ 추가 검토가 필요합니다." },
-            optional_inputs: [],
-            auto_rules: [],
-          };
+      const rs = await pickRuleset();
+      if (rs.error) return rs.error;
 
-          const judged = judgeOneItem(it, fallbackEngine, values, { forceNeedInputOnMissing: false });
+      const [rawChecklist, engine, laws] = await Promise.all([
+        loadChecklists(rs.version),
+        loadRuleEngine(rs.version),
+        loadLaws(rs.version),
+      ]);
+      const enriched = RuleEngine.enrichChecklist({ checklists: rawChecklist, ruleEngine: engine, context, explain });
 
-          return {
-            ...it,
-            server_judge: { result: judged.status, message: judged.message, rule_id: judged.judge?.rule_id || null },
-            missing_inputs: judged.missing_inputs || [],
-          };
-        });
+      const lawsMap = laws || {};
+      const missingRefs = RuleEngine.collectRefs(enriched.items).filter((c) => !lawsMap[c]);
 
       return json({
         ok: true,
-        data: { default_conditional: enriched },
+        data: { default_conditional: enriched.items },
         meta: {
-          zoning,
-          use,
-          jurisdiction,
-          values,
+          ctx: enriched.context,
+          values: enriched.values,
+          derived: enriched.derived,
+          missing_refs: missingRefs,
+          explain,
           source: "checklists.json + rule_engine.json",
         },
+        ruleset: RuleEngine.rulesetBlock(rs.manifest, {
+          pinned: !!rs.version,
+          loaded: { checklists: rawChecklist, rule_engine: engine },
+        }),
+        ...demoTag(url.searchParams.get("demo")),
       });
     }
 
@@ -874,72 +1275,51 @@ export async function onRequest(context) {
       if (!body) {
         return json({ ok: false, error: "missing_body" }, 400);
       }
-
-      const ctx = body?.context || {};
-      const rawValues = body?.values || {};
-
-      const [rawChecklist, engine, laws] = await Promise.all([loadChecklists(), loadRuleEngine(), loadLaws()]);
-      const items = getChecklistArray(rawChecklist);
-
-      const engineItems = Array.isArray(engine?.default_conditional) ? engine.default_conditional : [];
-      const engineById = new Map(engineItems.map((x) => [String(x?.id || ""), x]).filter(([k]) => k));
-
-      const values = mergeJudgeValues(ctx, rawValues);
-
-      const ctxForFilter = { ...(ctx || {}) };
-      if (toNum(ctxForFilter.floors) == null && toNum(values.floors) != null) ctxForFilter.floors = toNum(values.floors);
-      if (toNum(ctxForFilter.height_m) == null && toNum(values.height_m) != null)
-        ctxForFilter.height_m = toNum(values.height_m);
-      if (toNum(ctxForFilter.gross_area_m2) == null && toNum(values.gross_area_m2) != null)
-        ctxForFilter.gross_area_m2 = toNum(values.gross_area_m2);
-
-      const missingRefSet = new Set();
-      const lawsMap = laws || {};
-
-      const filtered = items.filter((it) => appliesToPass(it, ctxForFilter));
-
-      const results = filtered.map((it) => {
-        const id = String(it?.id || "");
-        const eng = engineById.get(id) || null;
-
-        const fallbackEngine = eng || {
-          id,
-          rule_set: { default_result: "conditional", default_message: "⚠️ 추가 검토가 필요합니다." },
-          optional_inputs: [],
-          auto_rules: [],
-        };
-
-        const refs = Array.isArray(it?.refs) ? it.refs : [];
-        refs.forEach((c) => {
-          const code = String(c || "").trim();
-          if (!code) return;
-          if (!lawsMap[code]) missingRefSet.add(code);
-        });
-
-        const judged = judgeOneItem(it, fallbackEngine, values, { forceNeedInputOnMissing: false });
-
-        return {
-          id,
-          status: judged.status,
-          message: judged.message,
-          missing_inputs: judged.missing_inputs || [],
-          matched_rule_id: judged.judge?.rule_id || null,
-          priority: judged.judge?.priority ?? 0,
-          judge: judged.judge,
-        };
+      // explain=1 (쿼리 또는 body.explain) → results[].explain
+      const explain = RuleEngine.parseFlag(new URL(request.url).searchParams.get("explain") ?? body.explain);
+
+      const rs = await pickRuleset(urlObj.searchParams.get("ruleset") ?? body.ruleset);
+      if (rs.error) return rs.error;
+
+      const [rawChecklist, engine, base, laws] = await Promise.all([
+        loadChecklists(rs.version),
+        loadRuleEngine(rs.version),
+        loadBaseRules(rs.version),
+        loadLaws(rs.version),
+      ]);
+      const context = body?.context || {};
+
+      // 법정 주차대수 · 일조 여유를 채운 뒤 판정(lib/judge.js, Express 와 같음)
+      const judged = Judge.judge({
+        checklists: rawChecklist,
+        ruleEngine: engine,
+        baseRules: base,
+        context,
+        values: body?.values || {},
+        explain,
       });
+      const { parking, daylight } = judged;
 
-      const summary = summarizeResults(results);
+      const lawsMap = laws || {};
+      const missingRefs = RuleEngine.collectRefs(judged.items).filter((c) => !lawsMap[c]);
 
       return json({
         ok: true,
-        data: { summary, results },
+        data: { summary: judged.summary, results: judged.results },
         meta: {
-          context: ctxForFilter,
-          values,
-          missing_refs: Array.from(missingRefSet),
+          ctx: judged.context,
+          values: judged.values,
+          missing_refs: missingRefs,
+          explain,
+          parking,
+          daylight,
           source: "rule_engine.json + checklists.json",
         },
+        ruleset: RuleEngine.rulesetBlock(rs.manifest, {
+          pinned: !!rs.version,
+          loaded: { checklists: rawChecklist, rule_engine: engine, base_rules: base },
+        }),
+        ...demoTag(urlObj.searchParams.get("demo") ?? body.demo ?? body.context?.demo),
       });
     }
 
@@ -978,6 +1358,12 @@ export async function onRequest(context) {
       });
     }
 
+    // ---------- route: /api/admin/rules/* ----------
+    // 룰 저장소(Firestore draft/publish)는 Express(functions/index.js) 전용 — 여기서는 번들 public/rules 만 서빙
+    if (segs[0] === "admin" && segs[1] === "rules") {
+      return json({ ok: false, error: "rules_store_not_supported", hint: "Firebase Functions(/api/admin/rules) 에서만 지원" }, 501);
+    }
+
     // fallback
     return notFound("unknown_api_route");
   } catch (err) {
@@ -4,18 +4,22 @@
  *
  * Endpoints used by public/script.js:
  *  - GET  /api/__env
- *  - GET  /api/calc?site&coverage&far&floor
- *  - GET  /api/geocode?q
+ *  - GET  /api/calc?site&coverage&far&floor (+ zoning,zones,jurisdiction,enforce, 대지/층 입력)
+ *  - GET  /api/geocode?q&limit
  *  - GET  /api/reverse?lat&lon
  *  - GET  /api/zoning/by-coord?lat&lon
+ *  - GET  /api/zoning/by-parcel?pnu  | POST { pnu } | { polygon }
  *  - GET  /api/rules/zoning
- *  - GET  /api/rules/apply?zoning
+ *  - GET  /api/rules/manifest
+ *  - GET  /api/rules/apply?zoning&jurisdiction
  *  - GET  /api/uses
  *  - GET  /api/uses/check?zoning&use
- *  - GET  /api/checklists/enriched?... (zoning,use,jurisdiction,floors,height_m,gross_area_m2)
- *  - POST /api/checklists/judge   { context:{zoning,use,jurisdiction}, values:{...} }
+ *  - GET  /api/checklists/enriched?... (zoning,use,jurisdiction,overlays,floors,height_m,gross_area_m2)
+ *  - POST /api/checklists/judge   { context:{zoning,use,jurisdiction,overlays}, values:{...} }
  *  - GET  /api/laws?codes=A,B,C  | /api/laws?all=1
  *  - GET  /api/laws/:code
+ *
+ * Admin (FIRESTORE_RULES=true): /api/admin/rules[/:kind[/:key[/publish|discard|revert]]], /api/admin/rules/reload
  */
 
 const path = require("path");
@@ -27,10 +31,25 @@ const express = require("express");
 const admin = require("firebase-admin");
 const { onRequest } = require("firebase-functions/v2/https");
 
+const RuleEngine = require("./lib/rule_engine");
+const RulesStore = require("./lib/rules_store");
+const RulesLint = require("./lib/rules_lint");
+const ParcelGeo = require("./lib/parcel_geo");
+const ZoningProvider = require("./lib/zoning_provider");
+const GeoCache = require("./lib/geo_cache");
+const UpstreamLimiter = require("./lib/upstream_limiter");
+const AddressKr = require("./lib/address_kr");
+const AddressProvider = require("./lib/address_provider");
+const Massing = require("./lib/massing");
+const Judge = require("./lib/judge");
+
+const { toNum } = RuleEngine;
+
 // -------------------------
 // Env flags
 // -------------------------
-const RULES_DIR = path.join(__dirname, "rules");
+// RULES_DIR: 기본은 functions/rules (conformance 등에서 다른 룰셋을 물릴 때만 env로 교체)
+const RULES_DIR = process.env.RULES_DIR ? path.resolve(process.env.RULES_DIR) : path.join(__dirname, "rules");
 
 // "에뮬레이터/로컬" 판별 (배포 런타임이면 false 쪽으로 수렴)
 const IS_EMULATOR =
@@ -49,6 +68,16 @@ if (IS_EMULATOR) {
 
 const FIRESTORE_LAWS = String(process.env.FIRESTORE_LAWS || "").toLowerCase() === "true";
 
+// ✅ Firestore 룰 저장소(rules_store) — 게시본을 번들 룰 위에 덮어씀 + 관리자 API
+const FIRESTORE_RULES = String(process.env.FIRESTORE_RULES || "").toLowerCase() === "true";
+const RULES_STORE_TTL_MS = Math.max(0, Number(process.env.RULES_STORE_TTL_MS || 30_000) || 0);
+
+// 관리자: ID 토큰의 custom claim rules_admin=true 또는 아래 이메일(인증된 이메일만)
+const RULES_ADMIN_EMAILS = String(process.env.RULES_ADMIN_EMAILS || "")
+  .split(",")
+  .map((s) => s.trim().toLowerCase())
+  .filter(Boolean);
+
 // ✅ VWorld (optional) — 좌표로 용도지역 추정
 const VWORLD_KEY = String(process.env.VWORLD_KEY || "").trim();
 
@@ -65,9 +94,85 @@ function normalizeVworldDomain(input) {
 }
 
 const VWORLD_DOMAIN = normalizeVworldDomain(process.env.VWORLD_DOMAIN);
-const VWORLD_ZONING_DATA = String(process.env.VWORLD_ZONING_DATA || "LT_C_UQ126").trim();
+// 좌표에 겹치는 레이어를 전부 조회(쉼표 구분 데이터셋 목록)
+//  - VWORLD_ZONING_DATA : 용도지역 (도시/관리/농림/자연환경보전)
+//  - VWORLD_OVERLAY_DATA: 용도지구/용도구역 (경관·고도·방화·방재·보호·취락·개발진흥·특정용도제한지구, 개발제한구역 등)
+// 종류(지역/지구/구역)는 데이터셋이 아니라 반환된 명칭 끝말로 구분(RuleEngine.buildOverlays)
+function parseDatasetList(input, fallback) {
+  const list = String(input || fallback)
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  return Array.from(new Set(list));
+}
+
+const VWORLD_ZONING_DATA = parseDatasetList(process.env.VWORLD_ZONING_DATA, "LT_C_UQ111,LT_C_UQ112,LT_C_UQ113,LT_C_UQ114");
+const VWORLD_OVERLAY_DATA = parseDatasetList(
+  process.env.VWORLD_OVERLAY_DATA,
+  "LT_C_UQ121,LT_C_UQ123,LT_C_UQ124,LT_C_UQ125,LT_C_UQ126,LT_C_UQ128,LT_C_UQ129,LT_C_UQ130,LT_C_UD801"
+);
+// VWorld 를 못 쓸 때(VWORLD_KEY 없음 / 조회 실패) 용도지역 자동 조회 동작
+//  - manual(기본): found:false + degraded.reason + candidates(룰에 있는 용도지역) → 화면에서 직접 선택
+//  - strict:       found:false + degraded.reason (후보 없음)
+//  - demo:         found:true + 데모 용도지역 + demo:true → 이후 판정/요약에도 데모 표시
+const ZONING_FALLBACK_MODES = ["manual", "strict", "demo"];
+const ZONING_FALLBACK_MODE = (() => {
+  const v = String(process.env.ZONING_FALLBACK_MODE || "").trim().toLowerCase();
+  return ZONING_FALLBACK_MODES.includes(v) ? v : "manual";
+})();
+
+// 연속지적도(PNU → 필지 폴리곤)
+const VWORLD_PARCEL_DATA = String(process.env.VWORLD_PARCEL_DATA || "LP_PA_CBND_BUBUN").trim();
 const VWORLD_ENDPOINT = "https://api.vworld.kr/req/data";
 
+// ✅ 용도지역/필지 조회 provider (lib/zoning_provider.js)
+//  - ZONING_PROVIDER=auto(기본) | vworld | local
+//      auto: VWORLD_KEY 가 있으면 vworld, 없고 ZONING_GEOJSON 이 있으면 local, 둘 다 없으면 degraded(no_key)
+//  - ZONING_GEOJSON:  로컬 용도지역/지구/구역 GeoJSON (functions/ 기준 상대경로 가능, 예: geodata/zoning.sample.geojson)
+//  - PARCELS_GEOJSON: (선택) 로컬 필지 GeoJSON(properties.pnu) → by-parcel ?pnu=
+const ZONING_PROVIDERS = ["auto", "vworld", "local"];
+const ZONING_PROVIDER = (() => {
+  const v = String(process.env.ZONING_PROVIDER || "").trim().toLowerCase();
+  return ZONING_PROVIDERS.includes(v) ? v : "auto";
+})();
+const resolveFromFunctions = (p) => (p ? path.resolve(__dirname, String(p).trim()) : "");
+const ZONING_GEOJSON = resolveFromFunctions(process.env.ZONING_GEOJSON);
+const PARCELS_GEOJSON = resolveFromFunctions(process.env.PARCELS_GEOJSON);
+
+// ✅ 주소 해석(lib/address_kr.js) + geocode provider(lib/address_provider.js)
+//  - ADDRESS_PROVIDER=auto(기본) | nominatim | local
+//      auto/nominatim: Nominatim(지번 주소는 표준 표기로 보내고, 못 찾으면 읍면동/도로까지만 다시 찾음)
+//      local: ADDRESS_JSON + PARCELS_GEOJSON 만으로 지번/도로명/PNU → 필지 좌표(도로명주소 API 대신 쓰는 stub)
+//  - ADDRESS_JSON: 법정동코드 표 { codes:[{ code, name }], roads? } (예: geodata/address.sample.json)
+//      provider 와 상관없이 지번 주소 → PNU(19자리) 만들 때 씀. 없으면 응답 address.pnu 는 null
+const ADDRESS_PROVIDERS = ["auto", "nominatim", "local"];
+const ADDRESS_PROVIDER = (() => {
+  const v = String(process.env.ADDRESS_PROVIDER || "").trim().toLowerCase();
+  return ADDRESS_PROVIDERS.includes(v) ? v : "auto";
+})();
+const ADDRESS_JSON = resolveFromFunctions(process.env.ADDRESS_JSON);
+
+// /api/zoning/by-parcel: 그린 폴리곤 상한(실수로 동네 전체를 그린 경우 방지)
+const PARCEL_MAX_AREA_M2 = 100_000;
+
+// ✅ 외부 조회 캐시(lib/geo_cache.js) — geocode/reverse(Nominatim), by-coord(VWorld)
+//  - GEO_CACHE=memory(기본) | firestore(메모리 + Firestore geo_cache 컬렉션, 인스턴스 사이 공유) | off
+//  - GEO_CACHE_TTL_GEOCODE_S / GEO_CACHE_TTL_REVERSE_S / GEO_CACHE_TTL_ZONING_S: 종류별 TTL(초, 0 이면 캐시 안 함)
+//    기본값은 GeoCache.DEFAULT_TTL_MS(geocode 7일, reverse 30일, zoning 1일)
+//  - GEO_CACHE_TTL_NEGATIVE_S: 못 찾은 응답(geocode/by-coord found:false) TTL(기본 10분)
+const GEO_CACHE_MODES = ["memory", "firestore", "off"];
+const GEO_CACHE_MODE = (() => {
+  const v = String(process.env.GEO_CACHE || "").trim().toLowerCase();
+  return GEO_CACHE_MODES.includes(v) ? v : "memory";
+})();
+const GEO_CACHE_TTL_MS = GeoCache.ttlMsFromEnv(process.env);
+
+// ✅ 외부 provider 호출 제한(lib/upstream_limiter.js) — 인스턴스 단위 token bucket + 같은 조회 동시 요청 합치기
+//  - UPSTREAM_RATE_NOMINATIM / UPSTREAM_BURST_NOMINATIM (기본 1/s, 1 — Nominatim 사용 정책)
+//  - UPSTREAM_RATE_VWORLD / UPSTREAM_BURST_VWORLD (기본 10/s, 20 — HTTP 요청 수 기준)
+//  - UPSTREAM_MAX_WAIT_MS: 토큰이 이 안에 채워지면 기다렸다 호출, 넘으면 429 + Retry-After (기본 2000)
+const UPSTREAM_LIMITS = UpstreamLimiter.optionsFromEnv(process.env);
+
 // -------------------------
 // Firebase Admin init
 // -------------------------
@@ -81,7 +186,7 @@ try {
 // Express app
 // -------------------------
 const app = express();
-app.use(cors({ origin: true }));
+app.use(cors({ origin: true, exposedHeaders: ["X-Ruleset-Version", "X-Ruleset-Hash"] }));
 app.use(express.json({ limit: "1mb" }));
 
 // -------------------------
@@ -116,26 +221,42 @@ function fileExists(absPath) {
 // -------------------------
 // Data loaders
 // -------------------------
-function loadChecklists() {
-  const p = path.join(RULES_DIR, "checklists.json");
+// version 을 주면 고정(pinned) 룰셋: RULES_DIR/releases/<version>/ (scripts/build_rules.js 가 생성)
+function rulesDirFor(version) {
+  return version ? path.join(RULES_DIR, "releases", version) : RULES_DIR;
+}
+
+function loadChecklists(version) {
+  const p = path.join(rulesDirFor(version), "checklists.json");
   return readJsonFileSafe(p, { default_conditional: [] });
 }
 
-function loadRuleEngine() {
-  const p = path.join(RULES_DIR, "rule_engine.json");
+function loadRuleEngine(version) {
+  const p = path.join(rulesDirFor(version), "rule_engine.json");
   return readJsonFileSafe(p, { default_conditional: [] });
 }
 
-function loadBaseRules() {
-  const p = path.join(RULES_DIR, "base_rules.json");
+function loadBaseRules(version) {
+  const p = path.join(rulesDirFor(version), "base_rules.json");
   return readJsonFileSafe(p, null);
 }
 
-function loadLawsFromFile() {
-  const p = path.join(RULES_DIR, "laws.json");
+function loadLawsFromFile(version) {
+  const p = path.join(rulesDirFor(version), "laws.json");
   return readJsonFileSafe(p, {});
 }
 
+// scripts/build_rules.js 가 만든 manifest (없으면 null → 버전/해시 모름)
+function loadRulesetManifest(version) {
+  const p = path.join(rulesDirFor(version), "manifest.json");
+  return readJsonFileSafe(p, null);
+}
+
+function rulesetInfo() {
+  const m = loadRulesetManifest();
+  return { version: m?.version || null, hash: m?.hash || null };
+}
+
 // -------------------------
 // Utilities
 // -------------------------
@@ -147,164 +268,28 @@ function bad(res, error, status = 400, extra = {}) {
   res.status(status).json({ ok: false, error: String(error || "bad_request"), ...extra });
 }
 
-function toNum(v) {
-  if (v === "" || v === undefined || v === null) return null;
-  const n = Number(v);
-  return Number.isFinite(n) ? n : null;
-}
-
-function normalizeStatus(s) {
-  const v = String(s || "").trim().toLowerCase();
-  if (v === "allow") return "allow";
-  if (v === "deny") return "deny";
-  if (v === "conditional") return "conditional";
-  if (v === "need_input") return "need_input";
-  if (v === "unknown") return "unknown";
-  if (v === "warn") return "conditional";
-  return "unknown";
-}
-
-function isMissing(val) {
-  if (val === undefined || val === null) return true;
-  if (typeof val === "number") return !Number.isFinite(val);
-  return String(val).trim() === "";
-}
-
-// -------------------------
-// Rule engine (same semantics as public/script.js)
-// -------------------------
-function evalCond(cond, values) {
-  if (!cond || !cond.key || !cond.op) return false;
-
-  const op = String(cond.op).trim().toLowerCase();
-  const key = String(cond.key).trim();
-  const raw = values ? values[key] : undefined;
-
-  if (op === "missing") return isMissing(raw);
-  if (op === "present") return !isMissing(raw);
-
-  if (op === "in" || op === "not_in") {
-    const arr = Array.isArray(cond.value) ? cond.value : [];
-    const hit = arr.map((x) => String(x)).includes(String(raw));
-    return op === "in" ? hit : !hit;
-  }
-
-  const vNum = toNum(raw);
-  const tNum = toNum(cond.value);
-
-  if (op === "eq") {
-    if (vNum != null && tNum != null) return vNum === tNum;
-    return String(raw) === String(cond.value);
-  }
-  if (op === "neq") {
-    if (vNum != null && tNum != null) return vNum !== tNum;
-    return String(raw) !== String(cond.value);
-  }
-
-  if (vNum == null || tNum == null) return false;
-  if (op === "lt") return vNum < tNum;
-  if (op === "lte") return vNum <= tNum;
-  if (op === "gt") return vNum > tNum;
-  if (op === "gte") return vNum >= tNum;
-
-  return false;
-}
-
-function ruleMatches(rule, values) {
-  if (!rule) return false;
-  if (rule.when) return evalCond(rule.when, values);
-
-  if (Array.isArray(rule.when_all) && rule.when_all.length > 0) {
-    return rule.when_all.every((c) => evalCond(c, values));
-  }
-  if (Array.isArray(rule.when_any) && rule.when_any.length > 0) {
-    return rule.when_any.some((c) => evalCond(c, values));
-  }
-  return false;
-}
-
-function evaluateFirstMatch(autoRules, values) {
-  const rules = Array.isArray(autoRules) ? autoRules : [];
-  const sorted = rules
-    .slice()
-    .sort((a, b) => (toNum(b.priority) ?? 0) - (toNum(a.priority) ?? 0));
-
-  for (const r of sorted) {
-    if (!ruleMatches(r, values)) continue;
-    return {
-      result: normalizeStatus(r.result),
-      message: String(r.message || "").trim(),
-      rule_id: r.id || null,
-      priority: toNum(r.priority) ?? 0,
-    };
-  }
-  return null;
-}
-
-function indexRuleEngineById(ruleEngineJson) {
-  const map = new Map();
-  const arr = ruleEngineJson?.default_conditional || [];
-  arr.forEach((x) => {
-    if (x && x.id) map.set(String(x.id), x);
-  });
-  return map;
-}
-
-function buildMissingInputs(checkItem, values, optionalKeys = []) {
-  const inputs = Array.isArray(checkItem?.inputs) ? checkItem.inputs : [];
-  const opt = new Set((optionalKeys || []).map((k) => String(k)));
-
-  const missing = [];
-  for (const inp of inputs) {
-    if (typeof inp === "string") continue;
-    const key = String(inp.key || "").trim();
-    if (!key) continue;
-    if (opt.has(key)) continue;
-
-    const v = values ? values[key] : undefined;
-    if (isMissing(v)) {
-      missing.push({
-        key,
-        label: String(inp.label || key),
-      });
-    }
-  }
-  return missing;
-}
-
-// -------------------------
-// applies_to filter (for enriched list)
-// -------------------------
-function passesAppliesTo(item, ctx) {
-  const a = item?.applies_to;
-  if (!a) return true;
+/**
+ * ?ruleset=0.4.0 (POST는 body.ruleset 도 허용) → 고정 룰셋 선택
+ * - 없으면 현재 룰셋, 형식 오류 400, 없는 버전 404 (응답 후 null 반환)
+ */
+function pickRuleset(req, res) {
+  const raw = String(req.query.ruleset ?? req.body?.ruleset ?? "").trim();
+  if (!raw) return { version: null, manifest: loadRulesetManifest() };
 
-  if (Array.isArray(a.zoning_in) && a.zoning_in.length > 0) {
-    if (!a.zoning_in.includes(String(ctx.zoning || ""))) return false;
-  }
-  if (Array.isArray(a.use_in) && a.use_in.length > 0) {
-    if (!a.use_in.includes(String(ctx.use || ""))) return false;
-  }
-  if (Array.isArray(a.jurisdiction_in) && a.jurisdiction_in.length > 0) {
-    if (!a.jurisdiction_in.includes(String(ctx.jurisdiction || ""))) return false;
+  if (!RuleEngine.isRulesetVersion(raw)) {
+    bad(res, "invalid_ruleset", 400, { ruleset: raw });
+    return null;
   }
 
-  const floors = toNum(ctx.floors);
-  const height_m = toNum(ctx.height_m);
-  const gross_area_m2 = toNum(ctx.gross_area_m2);
-
-  function meetsMin(th, val) {
-    const t = toNum(th);
-    if (t == null) return true;
-    if (val == null) return true;
-    return val >= t;
+  const manifest = loadRulesetManifest(raw);
+  if (!manifest) {
+    bad(res, "ruleset_not_found", 404, { ruleset: raw, available: loadRulesetManifest()?.releases || [] });
+    return null;
   }
 
-  if (!meetsMin(a.min_floors, floors)) return false;
-  if (!meetsMin(a.min_height_m, height_m)) return false;
-  if (!meetsMin(a.min_gross_area_m2, gross_area_m2)) return false;
-
-  return true;
+  res.set("X-Ruleset-Version", String(manifest.version || raw));
+  if (manifest.hash) res.set("X-Ruleset-Hash", String(manifest.hash));
+  return { version: raw, manifest };
 }
 
 // -------------------------
@@ -319,14 +304,15 @@ async function firestoreAvailable() {
   }
 }
 
-async function getLawsByCodes(codes) {
+// version 을 주면 고정 룰셋의 laws.json 만(룰과 같은 시점의 조문으로 재현, Firestore 안 봄)
+async function getLawsByCodes(codes, version = null) {
   const unique = Array.from(
     new Set((codes || []).map((c) => String(c || "").trim()).filter(Boolean))
   );
   const out = {};
   const missing = [];
 
-  if (FIRESTORE_LAWS && (await firestoreAvailable())) {
+  if (!version && FIRESTORE_LAWS && (await firestoreAvailable())) {
     try {
       const db = admin.firestore();
       const col = db.collection("laws");
@@ -352,7 +338,7 @@ async function getLawsByCodes(codes) {
     }
   }
 
-  const fileDb = loadLawsFromFile() || {};
+  const fileDb = loadLawsFromFile(version) || {};
   unique.forEach((c) => {
     if (fileDb[c]) out[c] = { code: c, ...fileDb[c] };
     else missing.push(c);
@@ -382,24 +368,86 @@ async function getAllLaws() {
   return { list: out, limited: false, source: "file_fallback" };
 }
 
+// -------------------------
+// Rules: bundled files + Firestore published overrides
+// -------------------------
+const rulesStore = RulesStore.createRulesStore({ getDb: () => admin.firestore(), ttlMs: RULES_STORE_TTL_MS });
+
+function loadBundledRules(version) {
+  return {
+    checklists: loadChecklists(version),
+    rule_engine: loadRuleEngine(version),
+    base_rules: loadBaseRules(version),
+  };
+}
+
+/**
+ * 판정에 쓸 룰 3종 (+ overrides: 덮어쓴 게시본 정보, 없으면 null)
+ * - 고정 룰셋(version)은 항상 번들 파일 그대로(재현용)
+ * - Firestore 읽기 실패 시 번들 파일로 계속(overrides.source = "file_fallback")
+ */
+async function loadRules(version) {
+  const files = loadBundledRules(version);
+  if (version || !FIRESTORE_RULES || !(await firestoreAvailable())) {
+    return { checklists: files.checklists, ruleEngine: files.rule_engine, base: files.base_rules, overrides: null };
+  }
+
+  try {
+    const pub = await rulesStore.getPublished();
+    const merged = RulesStore.applyEntries(files, pub.entries);
+    return {
+      checklists: merged.checklists,
+      ruleEngine: merged.rule_engine,
+      base: merged.base_rules,
+      overrides: pub.entries.length
+        ? {
+            source: "firestore",
+            count: pub.entries.length,
+            updated_at: pub.updated_at,
+            entries: pub.entries.map((e) => ({ kind: e.kind, key: e.key, op: e.op, revision: e.revision })),
+          }
+        : null,
+    };
+  } catch (e) {
+    return {
+      checklists: files.checklists,
+      ruleEngine: files.rule_engine,
+      base: files.base_rules,
+      overrides: { source: "file_fallback", error: String(e?.message || e) },
+    };
+  }
+}
+
+// 판정 응답의 ruleset 블록 (+ Firestore 게시본을 덮어썼으면 overrides)
+function rulesetBlockFor(rs, rules, loaded) {
+  const block = RuleEngine.rulesetBlock(rs.manifest, { pinned: !!rs.version, loaded });
+  return rules.overrides ? { ...block, overrides: rules.overrides } : block;
+}
+
 // -------------------------
 // ✅ VWorld: zoning lookup by coord (optional)
 // -------------------------
-function buildVworldUrlForPoint({ lon, lat }) {
+function buildVworldUrl({ data, geomFilter, attrFilter, size = 10, geometry = false }) {
   const params = new URLSearchParams();
   params.set("service", "data");
   params.set("version", "2.0");
   params.set("request", "GetFeature");
   params.set("format", "json");
-  params.set("size", "1");
+  params.set("size", String(size));
   params.set("crs", "EPSG:4326");
-  params.set("data", VWORLD_ZONING_DATA);
-  params.set("geomFilter", `POINT(${lon} ${lat})`);
+  params.set("data", data);
+  if (geomFilter) params.set("geomFilter", geomFilter);
+  if (attrFilter) params.set("attrFilter", attrFilter);
+  params.set("geometry", geometry ? "true" : "false");
   params.set("key", VWORLD_KEY);
   if (VWORLD_DOMAIN) params.set("domain", VWORLD_DOMAIN);
   return `${VWORLD_ENDPOINT}?${params.toString()}`;
 }
 
+function buildVworldUrlForPoint({ lon, lat, data }) {
+  return buildVworldUrl({ data, geomFilter: `POINT(${lon} ${lat})` });
+}
+
 function pickFirstNonEmpty(obj, keys) {
   for (const k of keys) {
     const v = obj?.[k];
@@ -410,47 +458,29 @@ function pickFirstNonEmpty(obj, keys) {
   return "";
 }
 
-function parseVworldFeature(data) {
+const VWORLD_NAME_FIELDS = ["uname", "name", "dname", "zone_name", "UQ126_NM", "UQ126_NAME", "LU_NM", "SCLS_NM"];
+
+// 데이터셋 하나의 응답 → 걸린 feature 전부 { status, features:[{ name, props, geometry }] }
+//  - geometry 는 geometry=true 로 요청했을 때만 채워짐(GeoJSON, EPSG:4326)
+function parseVworldFeatures(data, { requireName = true } = {}) {
   const root = data?.response ? data.response : data;
 
   const status = String(root?.status || "").toUpperCase();
-  if (status !== "OK") {
-    return { ok: true, found: false, zoning: "", raw_status: status || "UNKNOWN" };
-  }
+  if (status !== "OK") return { status: status || "UNKNOWN", features: [] };
 
   const result = root?.result || null;
   const fc = result?.featureCollection || result?.featurecollection || result || null;
-
-  const feats = fc?.features;
-  const first = Array.isArray(feats) && feats.length ? feats[0] : null;
-  if (!first) return { ok: true, found: false, zoning: "", source: "vworld_no_features" };
-
-  const props = first?.properties || {};
-  const zoning = pickFirstNonEmpty(props, [
-    "uname",
-    "name",
-    "dname",
-    "zone_name",
-    "UQ126_NM",
-    "UQ126_NAME",
-    "LU_NM",
-    "SCLS_NM",
-  ]);
-
-  if (!zoning) {
-    return { ok: true, found: false, zoning: "", source: "vworld_no_zoning_name" };
-  }
+  const feats = Array.isArray(fc?.features) ? fc.features : [];
 
   return {
-    ok: true,
-    found: true,
-    zoning,
-    source: "vworld_data_api",
-    meta: {
-      data: VWORLD_ZONING_DATA,
-      sido_name: props?.sido_name || "",
-      sigg_name: props?.sigg_name || "",
-    },
+    status,
+    features: feats
+      .map((f) => ({
+        name: pickFirstNonEmpty(f?.properties || {}, VWORLD_NAME_FIELDS),
+        props: f?.properties || {},
+        geometry: f?.geometry || null,
+      }))
+      .filter((f) => f.name || !requireName),
   };
 }
 
@@ -468,12 +498,8 @@ async function fetchWithTimeout(url, ms, headers = {}) {
   }
 }
 
-async function queryVworldZoning({ lon, lat }) {
-  if (!VWORLD_KEY) {
-    return { ok: true, found: false, zoning: "", source: "no_key" };
-  }
-
-  const url = buildVworldUrlForPoint({ lon, lat });
+async function queryVworldDataset({ lon, lat, data, url: urlIn, requireName = true }) {
+  const url = urlIn || buildVworldUrlForPoint({ lon, lat, data });
 
   // ✅ 타임아웃: 10초
   const r = await fetchWithTimeout(
@@ -487,15 +513,171 @@ async function queryVworldZoning({ lon, lat }) {
 
   if (!r.ok) {
     const t = await r.text().catch(() => "");
-    throw new Error(`vworld ${r.status} ${r.statusText} ${t ? `(${t.slice(0, 160)}...)` : ""}`);
+    throw new Error(`vworld ${data} ${r.status} ${r.statusText} ${t ? `(${t.slice(0, 160)}...)` : ""}`);
+  }
+
+  const json = await r.json().catch(() => null);
+  if (!json) throw new Error(`vworld ${data} invalid json`);
+
+  return parseVworldFeatures(json, { requireName });
+}
+
+/**
+ * 좌표 → 겹치는 용도지역/용도지구/용도구역 전부 (데이터셋별 병렬 조회, provider.lookupZoning)
+ * - features: [{ name, layer, type }] (type 은 용도지역 데이터셋이면 "zone", 나머지는 명칭으로 판별)
+ * - 일부 데이터셋만 실패하면 나머지로 계속(errors 에 기록), 전부 실패하면 throw
+ */
+async function queryVworldZoning({ lon, lat }) {
+  const datasets = [
+    ...VWORLD_ZONING_DATA.map((data) => ({ data, type: "zone" })),
+    ...VWORLD_OVERLAY_DATA.filter((d) => !VWORLD_ZONING_DATA.includes(d)).map((data) => ({ data, type: null })),
+  ];
+  const settled = await Promise.allSettled(datasets.map((d) => queryVworldDataset({ lon, lat, data: d.data })));
+
+  const raw = [];
+  const errors = [];
+  const statuses = new Set();
+  let firstZoneProps = null;
+  settled.forEach((r, i) => {
+    const { data, type } = datasets[i];
+    if (r.status === "rejected") {
+      errors.push(String(r.reason?.message || r.reason));
+      return;
+    }
+    statuses.add(r.value.status);
+    r.value.features.forEach((f) => {
+      raw.push({ name: f.name, layer: data, type });
+      if (!firstZoneProps && RuleEngine.overlayType(f.name, type) === "zone") firstZoneProps = f.props;
+    });
+  });
+  if (errors.length === datasets.length) throw new Error(errors[0]);
+
+  return {
+    found: raw.length > 0,
+    features: raw,
+    source: raw.length ? "vworld_data_api" : "vworld_no_features",
+    meta: {
+      data: datasets.map((d) => d.data),
+      sido_name: firstZoneProps?.sido_name || "",
+      sigg_name: firstZoneProps?.sigg_name || "",
+    },
+    raw_status: Array.from(statuses).join(",") || null,
+    errors: errors.length ? errors : undefined,
+  };
+}
+
+// PNU(19자리) → 연속지적도 필지 폴리곤 { found, pnu, polygons, jibun, addr } (provider.lookupParcel)
+async function queryVworldParcel(pnu) {
+  const url = buildVworldUrl({ data: VWORLD_PARCEL_DATA, attrFilter: `pnu:=:${pnu}`, size: 1, geometry: true });
+  const got = await queryVworldDataset({ data: VWORLD_PARCEL_DATA, url, requireName: false });
+  const f = got.features[0] || null;
+  const polygons = f ? ParcelGeo.parsePolygonInput(f.geometry) : null;
+  if (!polygons) return { found: false, pnu, raw_status: got.status };
+
+  return {
+    found: true,
+    pnu,
+    polygons,
+    jibun: String(f.props?.jibun || "").trim(),
+    addr: String(f.props?.addr || "").trim(),
+  };
+}
+
+/**
+ * 필지 bbox 에 걸린 용도지역 폴리곤 전부 (VWORLD_ZONING_DATA 병렬)
+ * → { zones:[{ name, layer, type, polygons }], source, errors }  (전부 실패하면 throw, provider.lookupZonePolygons)
+ */
+async function queryVworldZonePolygons(parcel) {
+  const bb = ParcelGeo.bboxOf(parcel);
+  const geomFilter = `BOX(${bb.minx},${bb.miny},${bb.maxx},${bb.maxy})`;
+
+  const settled = await Promise.allSettled(
+    VWORLD_ZONING_DATA.map((data) =>
+      queryVworldDataset({ data, url: buildVworldUrl({ data, geomFilter, size: 100, geometry: true }) })
+    )
+  );
+
+  const zones = [];
+  const errors = [];
+  settled.forEach((r, i) => {
+    if (r.status === "rejected") {
+      errors.push(String(r.reason?.message || r.reason));
+      return;
+    }
+    r.value.features.forEach((f) => {
+      const polygons = ParcelGeo.parsePolygonInput(f.geometry);
+      if (polygons) zones.push({ name: f.name, layer: VWORLD_ZONING_DATA[i], type: "zone", polygons });
+    });
+  });
+  if (errors.length === VWORLD_ZONING_DATA.length) throw new Error(errors[0]);
+
+  return { zones, source: zones.length ? "vworld_data_api" : "vworld_no_features", errors };
+}
+
+// 외부 호출은 upstream.run 으로만: 데이터셋 수만큼 토큰(cost), 같은 좌표/PNU/bbox 동시 조회는 한 번만 호출
+const upstream = UpstreamLimiter.createLimiter(UPSTREAM_LIMITS);
+const VWORLD_POINT_DATASETS = new Set([...VWORLD_ZONING_DATA, ...VWORLD_OVERLAY_DATA]).size;
+
+const vworldProvider = ZoningProvider.defineProvider({
+  name: "vworld",
+  lookupZoning: ({ lat, lon }) =>
+    upstream.run("vworld", GeoCache.cacheKey("zoning", { lat, lon }), () => queryVworldZoning({ lat, lon }), {
+      cost: VWORLD_POINT_DATASETS,
+    }),
+  lookupParcel: (pnu) => upstream.run("vworld", `parcel:${pnu}`, () => queryVworldParcel(pnu)),
+  lookupZonePolygons: (parcel) =>
+    upstream.run("vworld", `zones:${JSON.stringify(ParcelGeo.bboxOf(parcel))}`, () => queryVworldZonePolygons(parcel), {
+      cost: VWORLD_ZONING_DATA.length,
+    }),
+});
+
+// 로컬 GeoJSON provider: 파일이 바뀌면(mtime) 다시 색인 — 읽기/파싱 실패는 throw(→ provider_error)
+let _localProvider = null; // { key, provider }
+function localZoningProvider() {
+  const stamp = (p) => (p && fileExists(p) ? fs.statSync(p).mtimeMs : null);
+  const key = `${ZONING_GEOJSON}:${stamp(ZONING_GEOJSON)}|${PARCELS_GEOJSON}:${stamp(PARCELS_GEOJSON)}`;
+  if (_localProvider?.key === key) return _localProvider.provider;
+
+  const zoning = readJsonFileSafe(ZONING_GEOJSON, null);
+  if (!Array.isArray(zoning?.features)) throw new Error(`ZONING_GEOJSON 을 읽을 수 없습니다: ${ZONING_GEOJSON}`);
+  const parcels = PARCELS_GEOJSON ? readJsonFileSafe(PARCELS_GEOJSON, null) : null;
+  if (PARCELS_GEOJSON && !Array.isArray(parcels?.features)) {
+    throw new Error(`PARCELS_GEOJSON 을 읽을 수 없습니다: ${PARCELS_GEOJSON}`);
   }
 
-  const data = await r.json().catch(() => null);
-  if (!data) throw new Error("vworld invalid json");
+  const provider = ZoningProvider.createLocalProvider({
+    zoning,
+    parcels,
+    source: path.relative(__dirname, ZONING_GEOJSON),
+  });
+  _localProvider = { key, provider };
+  return provider;
+}
 
-  return parseVworldFeature(data);
+// ZONING_PROVIDER 에 따른 provider 이름(쓸 수 있는 게 없으면 null → degraded no_key)
+function zoningProviderName() {
+  if (ZONING_PROVIDER === "vworld") return VWORLD_KEY ? "vworld" : null;
+  if (ZONING_PROVIDER === "local") return ZONING_GEOJSON ? "local" : null;
+  if (VWORLD_KEY) return "vworld";
+  return ZONING_GEOJSON ? "local" : null;
 }
 
+// → provider | null (로컬 파일 오류는 throw)
+function pickZoningProvider() {
+  const name = zoningProviderName();
+  if (name === "vworld") return vworldProvider;
+  if (name === "local") return localZoningProvider();
+  return null;
+}
+
+// ✅ 응답마다 지금 서빙 중인 룰셋 표시(Cloudflare 쪽과 다른 룰을 쓰는지 비교용)
+app.use("/api", (req, res, next) => {
+  const rs = rulesetInfo();
+  if (rs.version) res.set("X-Ruleset-Version", rs.version);
+  if (rs.hash) res.set("X-Ruleset-Hash", rs.hash);
+  next();
+});
+
 // -------------------------
 // API: env/debug
 // -------------------------
@@ -505,11 +687,39 @@ app.get("/api/__env", (req, res) => {
     dirname: __dirname,
     cwd: process.cwd(),
     RULES_DIR,
+    ruleset: rulesetInfo(),
     IS_EMULATOR: !!IS_EMULATOR,
     FIRESTORE_LAWS,
+    FIRESTORE_RULES,
+    ZONING_FALLBACK_MODE,
+    ZONING: {
+      provider: ZONING_PROVIDER,
+      active: zoningProviderName(),
+      geojson: ZONING_GEOJSON ? path.relative(__dirname, ZONING_GEOJSON) : "",
+      geojson_exists: ZONING_GEOJSON ? fileExists(ZONING_GEOJSON) : false,
+      parcels_geojson: PARCELS_GEOJSON ? path.relative(__dirname, PARCELS_GEOJSON) : "",
+    },
+    ADDRESS: {
+      provider: ADDRESS_PROVIDER,
+      address_json: ADDRESS_JSON ? path.relative(__dirname, ADDRESS_JSON) : "",
+      address_json_exists: ADDRESS_JSON ? fileExists(ADDRESS_JSON) : false,
+    },
+    UPSTREAM: {
+      limits: upstream.limits,
+      max_wait_ms: upstream.maxWaitMs,
+      ...upstream.snapshot(),
+    },
+    GEO_CACHE: {
+      mode: GEO_CACHE_MODE,
+      stores: geoCache ? geoCache.stores : [],
+      ttl_s: geoCache ? geoCache.ttl_s : null,
+      stats: geoCache ? geoCache.stats() : null,
+    },
     VWORLD: {
       enabled: !!VWORLD_KEY,
       data: VWORLD_ZONING_DATA,
+      overlay_data: VWORLD_OVERLAY_DATA,
+      parcel_data: VWORLD_PARCEL_DATA,
       has_domain: !!VWORLD_DOMAIN,
       domain_value: VWORLD_DOMAIN || "",
       key_hint: VWORLD_KEY ? `${VWORLD_KEY.slice(0, 4)}****${VWORLD_KEY.slice(-2)}` : "",
@@ -526,74 +736,275 @@ app.get("/api/__env", (req, res) => {
 // -------------------------
 // API: calc
 // -------------------------
-app.get("/api/calc", (req, res) => {
-  const site = toNum(req.query.site);
-  const coverage = toNum(req.query.coverage);
-  const far = toNum(req.query.far);
-  const floor = toNum(req.query.floor) ?? 3.3;
-
-  if (site == null || site <= 0 || coverage == null || coverage <= 0 || far == null || far <= 0) {
-    return bad(res, "invalid params: site/coverage/far must be > 0", 400);
-  }
+// 규모 산정(lib/massing.js): 제약을 적용한 순서대로 steps 에 전/후 값 + 이유
+// zoning 이 오면 base_rules 의 건폐율/용적률 상한과 맞춰 봄(enforce=clamp 기본: 넘으면 상한으로, flag: 표시만)
+// zones=용도지역:㎡,... (둘 이상)이면 혼재 대지: 용도지역별 상한을 면적 가중(limits.source=parcel_weighted, limits.mixed)
+app.get("/api/calc", async (req, res) => {
+  try {
+    const input = Massing.inputFromQuery((k) => req.query[k]);
+    const zones = ParcelGeo.parseZoneParts(req.query.zones);
+    const zoning = String(req.query.zoning || "").trim() || (zones?.length === 1 ? zones[0].zoning : "");
+    const jurisdiction = String(req.query.jurisdiction || "").trim() || null;
+    const enforce = String(req.query.enforce || "clamp").trim();
+    if (!Massing.ENFORCE_MODES.includes(enforce)) {
+      return bad(res, "invalid enforce", 400, { enforce, allowed: Massing.ENFORCE_MODES });
+    }
 
-  const maxBuildingArea_m2 = (site * coverage) / 100;
-  const maxTotalFloorArea_m2 = (site * far) / 100;
+    if (!zoning && !zones) {
+      const errors = Massing.validateInput(input);
+      if (errors.length) return bad(res, `invalid params: ${errors.join(", ")}`, 400, { errors });
 
-  const estFloorsRaw =
-    maxBuildingArea_m2 > 0 ? maxTotalFloorArea_m2 / maxBuildingArea_m2 : null;
-  const estFloors = estFloorsRaw != null ? Math.max(1, Math.round(estFloorsRaw)) : null;
+      const { result, steps } = Massing.computeMassing(input);
+      return ok(res, { result, steps, note: Massing.NOTE, ...demoTagOf(req) });
+    }
 
-  const estHeight_m = estFloors != null ? estFloors * floor : null;
+    const rs = pickRuleset(req, res);
+    if (!rs) return;
 
-  ok(res, {
-    result: {
-      maxBuildingArea_m2,
-      maxTotalFloorArea_m2,
-      estFloors,
-      estHeight_m,
-    },
-    note: "※ 단순 산정입니다. 실제는 대지형상/도로/주차/높이제한/심의 등으로 달라질 수 있어요.",
-  });
+    const rules = await loadRules(rs.version);
+    const ruleset = rulesetBlockFor(rs, rules, { base_rules: rules.base });
+
+    // 혼재 대지: 용도지역별 상한(조례 > 국가)을 면적 가중, 일조 대상 여부는 가장 넓은 용도지역
+    const mixedCaps = zones && zones.length > 1 ? mixedZoneCapsOf(rules.base, zones, jurisdiction) : null;
+    if (mixedCaps) {
+      const errors = Massing.validateInput(Massing.applyLimits(input, mixedCaps, { mode: enforce }).input);
+      if (errors.length) return bad(res, `invalid params: ${errors.join(", ")}`, 400, { errors });
+
+      const { dominant_zoning: dominant, mode, partial, note } = mixedCaps.mixed;
+      const { result, steps, limits, compare } = Massing.computeWithLimits(input, mixedCaps, { mode: enforce, zoning: dominant });
+      return ok(res, {
+        result,
+        steps,
+        limits: {
+          zoning: dominant,
+          jurisdiction,
+          found: true,
+          source: "parcel_weighted",
+          ordinance: null,
+          mixed: { mode, partial, note, zones: mixedCaps.zones },
+          ...limits,
+        },
+        compare,
+        note: Massing.NOTE,
+        ruleset,
+        ...demoTagOf(req),
+      });
+    }
+
+    const { rule, resolved } = resolveZoningRule(rules.base, zoning);
+
+    // 못 맞춘 명칭이면 상한을 지어내지 않고 입력값 그대로 계산 + 후보
+    if (!rule) {
+      const limits = { zoning, jurisdiction, found: false, resolved, ...unresolvedZoningExtra(resolved) };
+      const errors = Massing.validateInput(input);
+      if (errors.length) return bad(res, `invalid params: ${errors.join(", ")}`, 400, { errors, limits });
+
+      const { result, steps } = Massing.computeMassing(input);
+      return ok(res, { result, steps, limits, compare: null, note: Massing.NOTE, ruleset, ...demoTagOf(req) });
+    }
+
+    const caps = RuleEngine.zoningCaps(rule, jurisdiction, rules.base);
+    const errors = Massing.validateInput(Massing.applyLimits(input, caps, { mode: enforce }).input);
+    if (errors.length) return bad(res, `invalid params: ${errors.join(", ")}`, 400, { errors });
+
+    const { result, steps, limits, compare } = Massing.computeWithLimits(input, caps, {
+      mode: enforce,
+      zoning: rule.zoning,
+    });
+    ok(res, {
+      result,
+      steps,
+      limits: {
+        zoning: rule.zoning,
+        jurisdiction,
+        found: true,
+        resolved,
+        source: "base_rules",
+        ordinance: caps.ordinance,
+        ...limits,
+      },
+      compare,
+      note: Massing.NOTE,
+      ruleset,
+      ...demoTagOf(req),
+    });
+  } catch (e) {
+    bad(res, e, 500);
+  }
 });
 
 // -------------------------
 // API: geocode / reverse (Nominatim)
 // -------------------------
-async function nominatimFetch(url) {
-  const r = await fetch(url, {
-    headers: {
-      "User-Agent": "my-archi-law-checker/0.3 (firebase-functions)",
-      "Accept-Language": "ko",
-    },
+// 1 req/s 정책 → upstream 제한(같은 URL 동시 요청은 한 번만 호출)
+function nominatimFetch(url) {
+  return upstream.run("nominatim", url, async () => {
+    const r = await fetch(url, {
+      headers: {
+        "User-Agent": "my-archi-law-checker/0.3 (firebase-functions)",
+        "Accept-Language": "ko",
+      },
+    });
+    if (!r.ok) throw new Error(`nominatim ${r.status} ${r.statusText}`);
+    return r.json();
   });
-  if (!r.ok) throw new Error(`nominatim ${r.status} ${r.statusText}`);
-  return r.json();
+}
+
+// 외부 호출 한도 초과(UpstreamLimiter.rateLimitedError) → 429 + Retry-After
+function rateLimited(res, e, extra = {}) {
+  res.set("Retry-After", String(e.retry_after_s));
+  bad(res, "rate_limited", 429, { provider: e.provider, retry_after_s: e.retry_after_s, message: e.message, ...extra });
+}
+
+// 외부 조회 캐시: 메모리(인스턴스) + GEO_CACHE=firestore 면 Firestore(만료는 expires_at 으로 판단)
+const geoCache =
+  GEO_CACHE_MODE === "off"
+    ? null
+    : GeoCache.createGeoCache({
+        stores: [
+          GeoCache.createMemoryStore({ maxEntries: 1000 }),
+          ...(GEO_CACHE_MODE === "firestore" ? [GeoCache.createFirestoreStore({ getDb: () => admin.firestore() })] : []),
+        ],
+        ttlMs: GEO_CACHE_TTL_MS,
+        onError: (e, store, op) => console.warn(`[geo_cache] ${store.name}.${op} 실패:`, e?.message || e),
+      });
+
+// → { value, cache } (GEO_CACHE=off 면 cache: bypass)
+async function cachedLookup(kind, input, fetcher, opts) {
+  if (!geoCache) return { value: await fetcher(), cache: GeoCache.BYPASS };
+  return geoCache.wrap(kind, input, fetcher, opts);
+}
+
+/**
+ * Nominatim geocode provider
+ *  - 지번/도로명 주소는 표준 표기(시도 정식 명칭, 번지 붙여쓰기 정리)로 먼저 찾고,
+ *    없으면 번지/건물번호를 뺀 읍면동·도로까지만 다시 찾음(precision:"area")
+ *  - PNU 는 Nominatim 이 모르므로 호출하지 않음(호출 쪽에서 법정동 이름 + 지번으로 바꿔서 넘김)
+ */
+const nominatimAddressProvider = AddressProvider.defineProvider({
+  name: "nominatim",
+  async geocode(query, { parsed, limit = AddressProvider.MAX_CANDIDATES }) {
+    if (parsed.kind === "pnu") return { found: false, candidates: [], source: "nominatim", raw_status: "PNU_NOT_SUPPORTED" };
+
+    const structured = parsed.kind === "jibun" || parsed.kind === "road";
+    const tries = [{ text: structured ? parsed.normalized : query, precision: "address" }];
+    if (structured) tries.push({ text: AddressKr.formatAddress(parsed, { withLot: false }), precision: "area" });
+
+    for (const t of tries) {
+      const data = await nominatimFetch(AddressProvider.nominatimSearchUrl(t.text, { limit }));
+      const list = Array.isArray(data) ? data.slice(0, limit) : [];
+      if (!list.length) continue;
+      return {
+        found: true,
+        candidates: list.map((d) => AddressProvider.nominatimCandidate(d, t.precision)),
+        source: "nominatim",
+        query: t.text,
+      };
+    }
+    return { found: false, candidates: [], source: "nominatim", query: tries[0].text };
+  },
+});
+
+// 법정동코드 표 + 로컬 주소 provider: 파일이 바뀌면(mtime) 다시 읽음 — 읽기 실패는 throw
+let _addressData = null; // { key, table, local }
+function addressData() {
+  const stamp = (p) => (p && fileExists(p) ? fs.statSync(p).mtimeMs : null);
+  const key = `${ADDRESS_JSON}:${stamp(ADDRESS_JSON)}|${PARCELS_GEOJSON}:${stamp(PARCELS_GEOJSON)}`;
+  if (_addressData?.key === key) return _addressData;
+
+  const address = ADDRESS_JSON ? readJsonFileSafe(ADDRESS_JSON, null) : null;
+  if (ADDRESS_JSON && !Array.isArray(address?.codes)) throw new Error(`ADDRESS_JSON 을 읽을 수 없습니다: ${ADDRESS_JSON}`);
+  const parcels = PARCELS_GEOJSON ? readJsonFileSafe(PARCELS_GEOJSON, null) : null;
+
+  _addressData = {
+    key,
+    table: AddressKr.createCodeTable(address?.codes),
+    local: address ? AddressProvider.createLocalProvider({ address, parcels }) : null,
+  };
+  return _addressData;
+}
+
+// ADDRESS_PROVIDER=local 인데 ADDRESS_JSON 이 없으면 nominatim (응답 provider 로 표시)
+function pickAddressProvider(data) {
+  if (ADDRESS_PROVIDER === "local" && data.local) return data.local;
+  return nominatimAddressProvider;
 }
 
 app.get("/api/geocode", async (req, res) => {
   const q = String(req.query.q || "").trim();
   if (!q) return bad(res, "missing q", 400);
+  const limit = Math.min(
+    AddressProvider.MAX_CANDIDATES,
+    Math.max(1, Math.floor(toNum(req.query.limit)) || AddressProvider.DEFAULT_CANDIDATES)
+  );
 
+  let data;
+  try {
+    data = addressData();
+  } catch (e) {
+    return bad(res, e?.message || e, 500);
+  }
+  const parsed = AddressKr.parseAddress(q, { table: data.table });
+  const address = AddressKr.describeAddress(parsed, data.table);
+  const provider = pickAddressProvider(data);
+
+  // PNU 만 넣었으면 법정동 이름 + 지번으로 찾음(로컬 provider 는 PNU 로 바로 찾음)
+  const lookup =
+    parsed.kind === "pnu" && address.bjd_name && provider.name !== "local"
+      ? AddressKr.parseAddress(`${address.bjd_name} ${address.jibun}`, { table: data.table })
+      : parsed;
+
+  // 캐시 키는 표준 표기(붙여쓰기/약칭이 달라도 같은 주소면 같은 키), 로컬 provider 는 캐시 안 함
+  // provider 실패는 502 geocode_failed (Cloudflare 와 같음)
+  let got;
   try {
-    const url =
-      "https://nominatim.openstreetmap.org/search" +
-      `?format=jsonv2&limit=1&q=${encodeURIComponent(q)}`;
-    const data = await nominatimFetch(url);
-    const first = Array.isArray(data) && data.length ? data[0] : null;
+    got =
+      provider.name === "local"
+        ? { value: await provider.geocode(q, { parsed: lookup }), cache: GeoCache.BYPASS }
+        : await cachedLookup("geocode", lookup.normalized, () => provider.geocode(q, { parsed: lookup }), {
+            scope: provider.name,
+          });
+  } catch (e) {
+    if (UpstreamLimiter.isRateLimited(e)) return rateLimited(res, e, { cache: e.cache });
+    return bad(res, "geocode_failed", 502, { cache: e?.cache });
+  }
 
-    if (!first) return ok(res, { found: false, result: null });
+  const { value, cache } = got;
+  // 점수는 원래 입력(parsed) 기준 — PNU 입력이면 번지만 비교
+  const { candidates, confidence } = AddressProvider.rankCandidates(parsed, value.candidates, { limit });
+  const first = candidates[0] || null;
+  // 고르기 전(low)에는 1위 후보의 PNU 를 주소 PNU 로 삼지 않음
+  if (!address.pnu && confidence?.level !== "low" && (first?.pnu || value.pnu)) address.pnu = first?.pnu || value.pnu;
+  const common = { address, provider: provider.name, source: value.source, cache };
 
-    ok(res, {
-      found: true,
-      result: {
-        lat: first.lat,
-        lon: first.lon,
-        display_name: first.display_name,
-      },
+  if (!first) {
+    return ok(res, {
+      found: false,
+      result: null,
+      candidates,
+      confidence,
+      needs_confirmation: false,
+      raw_status: value.raw_status,
+      ...common,
     });
-  } catch (e) {
-    bad(res, e, 500);
   }
+
+  ok(res, {
+    found: true,
+    result: {
+      lat: first.lat,
+      lon: first.lon,
+      display_name: first.display_name,
+      precision: first.precision,
+      pnu: first.pnu,
+      score: first.score,
+      address: first.address || null,
+    },
+    candidates,
+    confidence,
+    needs_confirmation: confidence.level === "low",
+    ...common,
+  });
 });
 
 app.get("/api/reverse", async (req, res) => {
@@ -602,75 +1013,328 @@ app.get("/api/reverse", async (req, res) => {
   if (lat == null || lon == null) return bad(res, "missing lat/lon", 400);
 
   try {
-    const url =
-      "https://nominatim.openstreetmap.org/reverse" +
-      `?format=jsonv2&lat=${encodeURIComponent(lat)}&lon=${encodeURIComponent(lon)}`;
-    const data = await nominatimFetch(url);
-
-    const addr = data?.address || {};
-    const parts = [];
-    if (addr.state) parts.push(addr.state);
-    if (addr.city) parts.push(addr.city);
-    if (addr.county) parts.push(addr.county);
-    if (addr.town) parts.push(addr.town);
-    if (addr.village) parts.push(addr.village);
-    if (addr.suburb) parts.push(addr.suburb);
-
-    ok(res, {
-      found: true,
-      jurisdiction: parts.join(" ") || "",
-      raw: addr,
+    // 키는 반올림 좌표(GeoCache.COORD_DIGITS.reverse) — 가까운 좌표는 같은 행정구역으로 봄
+    const { value, cache } = await cachedLookup("reverse", { lat, lon }, async () => {
+      const url =
+        "https://nominatim.openstreetmap.org/reverse" +
+        `?format=jsonv2&lat=${encodeURIComponent(lat)}&lon=${encodeURIComponent(lon)}`;
+      const data = await nominatimFetch(url);
+
+      const addr = data?.address || {};
+      return {
+        found: true,
+        jurisdiction: AddressKr.jurisdictionOf(addr),
+        raw: addr,
+      };
     });
+
+    ok(res, { ...value, cache });
   } catch (e) {
-    bad(res, e, 500);
+    if (UpstreamLimiter.isRateLimited(e)) return rateLimited(res, e, { cache: e.cache });
+    bad(res, e, 500, { cache: e?.cache });
   }
 });
 
 // -------------------------
-// ✅ API: zoning by coord (VWorld if configured, else demo stub)
+// ✅ 용도지역 조회 불가(degraded) 처리 — ZONING_FALLBACK_MODE
+// -------------------------
+const DEMO_ZONING = "제1종일반주거지역";
+const DEMO_NOTE = "⚠️ 데모 데이터: 실제로 조회한 용도지역이 아닙니다. 상담/인허가 판단에 쓰지 마세요.";
+
+const DEGRADED_REASONS = {
+  no_key: "VWORLD_KEY(또는 ZONING_GEOJSON) 미설정으로 용도지역을 자동 조회할 수 없습니다.",
+  provider_error: "용도지역 조회(VWorld/로컬 GeoJSON)에 실패했습니다.",
+};
+
+/**
+ * 조회 불가 시 응답 조각 { degraded:{ mode, reason:{ code, message, detail } }, ... }
+ *  - demo 모드면 { demo:true, demo_note, degraded } (found/zoning 은 호출 쪽에서 데모값으로 채움)
+ *  - 그 밖에는 found:false (+ manual 이면 candidates)
+ */
+function zoningFallback(code, detail, base) {
+  const mode = ZONING_FALLBACK_MODE;
+  const reason = { code, message: DEGRADED_REASONS[code] || code, detail: detail ? String(detail) : undefined };
+  if (mode === "demo") return { demo: true, demo_note: DEMO_NOTE, degraded: { mode, reason } };
+
+  return {
+    found: false,
+    zoning: "",
+    source: `degraded_${mode}`,
+    degraded: { mode, reason },
+    ...(mode === "manual" ? { candidates: extractZoningList(base), note: "용도지역을 직접 선택해 주세요." } : {}),
+  };
+}
+
+// 데모 용도지역에서 이어진 요청(?demo=1, body.demo, body.context.demo) → 응답에도 demo 표시
+function demoTagOf(req) {
+  const body = req.body || {};
+  const on = RuleEngine.parseFlag(req.query.demo ?? body.demo ?? body.context?.demo);
+  return on ? { demo: true, demo_note: DEMO_NOTE } : {};
+}
+
+// -------------------------
+// ✅ API: zoning by coord (ZONING_PROVIDER: VWorld Data API 또는 로컬 GeoJSON)
+//  - zoning: 대표 용도지역(기존 호환)
+//  - overlays: 좌표에 겹치는 용도지역/용도지구/용도구역 전부 [{ type, type_label, name, layer }]
+//    → checklists applies_to.overlay_in 필터용으로 context.overlays 에 이름을 넘기면 됨
+//  - 키 없음/조회 실패는 ZONING_FALLBACK_MODE 에 따라 degraded 응답(데모값을 몰래 found:true 로 주지 않음)
 // -------------------------
+async function byCoordFallback(code, detail) {
+  const fb = zoningFallback(code, detail, (await loadRules()).base);
+  if (!fb.demo) return { ...fb, overlays: [] };
+  return {
+    found: true,
+    zoning: DEMO_ZONING,
+    overlays: RuleEngine.buildOverlays([{ name: DEMO_ZONING }]),
+    source: code === "no_key" ? "demo_stub" : "demo_fallback_after_vworld_error",
+    ...fb,
+  };
+}
+
 app.get("/api/zoning/by-coord", async (req, res) => {
   const lat = toNum(req.query.lat);
   const lon = toNum(req.query.lon);
   if (lat == null || lon == null) return bad(res, "missing lat/lon", 400);
 
-  if (VWORLD_KEY) {
-    try {
-      const got = await queryVworldZoning({ lon, lat });
-      if (got.found) {
+  let provider;
+  try {
+    provider = pickZoningProvider();
+  } catch (e) {
+    return ok(res, { ...(await byCoordFallback("provider_error", e?.message || e)), cache: GeoCache.BYPASS });
+  }
+  if (!provider) return ok(res, { ...(await byCoordFallback("no_key")), cache: GeoCache.BYPASS });
+
+  try {
+    // 외부 provider(vworld)만 캐시(키: provider + 반올림 좌표). 일부 데이터셋 실패(errors)가 섞인 응답은 저장 안 함
+    const { value: got, cache } =
+      provider.name === "local"
+        ? { value: await provider.lookupZoning({ lat, lon }), cache: GeoCache.BYPASS }
+        : await cachedLookup("zoning", { lat, lon }, () => provider.lookupZoning({ lat, lon }), {
+            scope: provider.name,
+            cacheable: (v) => !v?.errors?.length,
+          });
+    const overlays = RuleEngine.buildOverlays(got.features || []);
+    const common = {
+      overlays,
+      source: got.source,
+      provider: provider.name,
+      meta: got.meta || null,
+      errors: got.errors,
+      cache,
+    };
+
+    // 대표 용도지역: base_rules 로 해석되는 첫 번째 용도지역(표기 차이/약칭/코드는 resolveZoning 이 맞춤)
+    const zones = overlays.filter((o) => o.type === "zone");
+    if (zones.length) {
+      const { base } = await loadRules();
+      const hits = zones.map((z) => ({ z, r: resolveZoningRule(base, z.name) }));
+      const hit = hits.find((h) => h.r.rule) || null;
+      if (hit) {
         return ok(res, {
           found: true,
-          zoning: got.zoning,
-          source: got.source,
-          meta: got.meta || null,
+          zoning: hit.r.rule.zoning,
+          raw_name: hit.z.name,
+          resolved: hit.r.resolved,
+          ...common,
         });
       }
+      const first = hits[0].r.resolved;
       return ok(res, {
         found: false,
         zoning: "",
-        source: got.source || "vworld_not_found",
-        meta: got.meta || null,
-        raw_status: got.raw_status || null,
-      });
-    } catch (e) {
-      // 개발환경(Workstations)에서 vworld fetch가 막히는 케이스가 많아서:
-      // - 서비스가 멈추지 않게 demo fallback
-      return ok(res, {
-        found: true,
-        zoning: "제1종일반주거지역",
-        source: "demo_fallback_after_vworld_error",
-        error: String(e?.message || e),
+        raw_name: first.input,
+        candidates: first.candidates.map((c) => c.zoning),
+        resolved: first,
+        note: "용도지역 명칭은 찾았지만 base_rules 용도지역과 맞추지 못했습니다. 후보에서 선택해 주세요.",
+        ...common,
       });
     }
+    return ok(res, { found: false, zoning: "", raw_status: got.raw_status || null, ...common });
+  } catch (e) {
+    // 호출 한도 초과는 degraded 가 아니라 429(잠시 뒤 다시 시도하면 되므로 수동 선택으로 넘기지 않음)
+    if (UpstreamLimiter.isRateLimited(e)) return rateLimited(res, e, { cache: e.cache });
+    // 개발환경(Workstations)에서 vworld fetch가 막히는 케이스가 많음 → 멈추지 않고 degraded 응답
+    return ok(res, { ...(await byCoordFallback("provider_error", e?.message || e)), cache: e?.cache || GeoCache.BYPASS });
   }
+});
 
-  ok(res, {
-    found: true,
-    zoning: "제1종일반주거지역",
-    source: "demo_stub",
-    hint: "VWORLD_KEY 미설정이라 demo_stub으로 동작 중",
+// -------------------------
+// ✅ API: zoning by parcel (필지 폴리곤 기준, 용도지역별 면적/비율)
+//  - GET  /api/zoning/by-parcel?pnu=<19자리>
+//  - POST /api/zoning/by-parcel { pnu } | { polygon }
+//      polygon: 지도에서 그린 점 [[lat, lon], ...] 또는 GeoJSON(Polygon/MultiPolygon/Feature)
+//      jurisdiction(선택): 지자체 — 용도지역별 상한에 조례 적용(/api/calc?zones 와 같은 상한)
+//  - zones: [{ zoning, raw_name, area_m2, pct, bcr_max, far_max, layers, matched }] (면적 큰 순)
+//  - weighted: 걸친 용도지역별 건폐율/용적률을 면적 가중(ParcelGeo.mixedZoneLimits, 국토계획법 제84조)
+//    → 점 하나만 보는 by-coord 와 달리 핀이 어디 찍혔는지에 따라 결과가 바뀌지 않음
+// -------------------------
+function parseParcelInput(src) {
+  const jurisdiction = String(src?.jurisdiction || "").trim();
+  const pnu = String(src?.pnu || "").replace(/[\s-]/g, "");
+  if (pnu) return /^\d{19}$/.test(pnu) ? { pnu, jurisdiction } : { error: "invalid_pnu (19 digits)" };
+
+  let raw = src?.polygon;
+  if (!raw) return { error: "missing pnu or polygon" };
+  if (typeof raw === "string") {
+    try {
+      raw = JSON.parse(raw);
+    } catch {
+      return { error: "invalid_polygon" };
+    }
+  }
+  const polygons = ParcelGeo.parsePolygonInput(raw);
+  return polygons ? { polygons, jurisdiction } : { error: "invalid_polygon" };
+}
+
+function buildParcelPayload({ parcel, zones, base, jurisdiction, source, extra = {} }) {
+  const shares = ParcelGeo.zoneShares(parcel.polygons, zones);
+  const parts = shares.parts.map((p) => {
+    const { rule } = resolveZoningRule(base, p.name);
+    const caps = rule ? RuleEngine.zoningCaps(rule, jurisdiction, base) : null;
+    return {
+      zoning: rule?.zoning || p.name,
+      raw_name: p.name,
+      layer: p.layer || null,
+      matched: !!rule,
+      area_m2: p.area_m2,
+      pct: p.pct,
+      bcr_max: caps?.bcr_max ?? null,
+      far_max: caps?.far_max ?? null,
+      layers: caps?.layers || null,
+    };
   });
-});
+  const weighted = ParcelGeo.mixedZoneLimits(parts);
+
+  return {
+    found: parts.length > 0,
+    zoning: weighted?.dominant_zoning || "",
+    parcel: {
+      pnu: parcel.pnu || null,
+      jibun: parcel.jibun || "",
+      addr: parcel.addr || "",
+      area_m2: shares.parcel_area_m2,
+      geometry: parcel.pnu ? { type: "MultiPolygon", coordinates: parcel.polygons } : null,
+    },
+    zones: parts,
+    weighted,
+    uncovered_pct: shares.uncovered_pct,
+    method: { type: "grid_sampling", samples: shares.samples },
+    source,
+    ...extra,
+  };
+}
+
+async function handleZoningByParcel(req, res, src) {
+  const input = parseParcelInput(src);
+  if (input.error) return bad(res, input.error, 400);
+
+  if (input.polygons) {
+    const area = ParcelGeo.polygonsArea(input.polygons);
+    if (area <= 0) return bad(res, "invalid_polygon", 400);
+    if (area > PARCEL_MAX_AREA_M2) {
+      return bad(res, "polygon_too_large", 400, { area_m2: Math.round(area), max_m2: PARCEL_MAX_AREA_M2 });
+    }
+  }
+
+  const rs = pickRuleset(req, res);
+  if (!rs) return;
+
+  try {
+    const rules = await loadRules(rs.version);
+    const base = rules.base;
+    const ruleset = rulesetBlockFor(rs, rules, { base_rules: base });
+    // 조회 불가: demo 모드 + 폴리곤이 있으면 데모 용도지역 100%, 아니면 found:false (by-coord 와 같은 정책)
+    const fallback = (parcel, code, detail) => {
+      const fb = zoningFallback(code, detail, base);
+      if (fb.demo && parcel.polygons) {
+        const sourceName = code === "no_key" ? "demo_stub" : "demo_fallback_after_vworld_error";
+        const zones = [{ name: DEMO_ZONING, polygons: parcel.polygons }];
+        return buildParcelPayload({
+          parcel,
+          zones,
+          base,
+          jurisdiction: input.jurisdiction,
+          source: sourceName,
+          extra: { ...fb, ruleset },
+        });
+      }
+      // demo 모드라도 그릴 폴리곤이 없으면(키 없는 PNU 조회) 데모값 없이 found:false
+      const rest = { ...fb };
+      delete rest.demo;
+      delete rest.demo_note;
+      const area = parcel.polygons ? Math.round(ParcelGeo.polygonsArea(parcel.polygons) * 100) / 100 : null;
+      return {
+        found: false,
+        zoning: "",
+        source: `degraded_${ZONING_FALLBACK_MODE}`,
+        ...rest,
+        zones: [],
+        parcel: { pnu: parcel.pnu || null, area_m2: area },
+        hint:
+          parcel.pnu && code === "no_key"
+            ? "PNU 조회에는 VWORLD_KEY(또는 PARCELS_GEOJSON)가 필요해요. 지도에 대지 경계를 그려 주세요."
+            : undefined,
+        ruleset,
+      };
+    };
+
+    let provider;
+    try {
+      provider = pickZoningProvider();
+    } catch (e) {
+      return ok(res, fallback(input, "provider_error", e?.message || e));
+    }
+    if (!provider) return ok(res, fallback(input, "no_key"));
+
+    let parcel = input;
+    if (input.pnu) {
+      let got;
+      try {
+        got = await provider.lookupParcel(input.pnu);
+      } catch (e) {
+        if (UpstreamLimiter.isRateLimited(e)) return rateLimited(res, e, { ruleset });
+        return ok(res, fallback(input, "provider_error", e?.message || e));
+      }
+      if (!got.found) {
+        return ok(res, {
+          found: false,
+          zoning: "",
+          zones: [],
+          source: `${provider.name}_parcel_not_found`,
+          provider: provider.name,
+          pnu: input.pnu,
+          raw_status: got.raw_status,
+          ruleset,
+        });
+      }
+      parcel = got;
+    }
+
+    try {
+      const got = await provider.lookupZonePolygons(parcel.polygons);
+      // 면적 비율은 용도지역끼리만(용도지구/구역은 겹쳐 있으므로 제외)
+      const zones = got.zones.filter((z) => RuleEngine.overlayType(z.name, z.type) === "zone");
+      const errors = got.errors || [];
+      ok(res, buildParcelPayload({
+        parcel,
+        zones,
+        base,
+        jurisdiction: input.jurisdiction,
+        source: got.source,
+        extra: { provider: provider.name, errors: errors.length ? errors : undefined, ruleset },
+      }));
+    } catch (e) {
+      if (UpstreamLimiter.isRateLimited(e)) return rateLimited(res, e, { ruleset });
+      ok(res, fallback(parcel, "provider_error", e?.message || e));
+    }
+  } catch (e) {
+    bad(res, e, 500);
+  }
+}
+
+app.get("/api/zoning/by-parcel", (req, res) => handleZoningByParcel(req, res, req.query));
+
+app.post("/api/zoning/by-parcel", (req, res) => handleZoningByParcel(req, res, req.body || {}));
 
 // -------------------------
 // API: rules (base_rules.json 기반)
@@ -713,38 +1377,111 @@ function findRuleByZoning(baseRulesJson, zoning) {
   return null;
 }
 
-app.get("/api/rules/zoning", (req, res) => {
-  const base = loadBaseRules();
-  const list = extractZoningList(base);
-
-  const fallback = [
-    "제1종일반주거지역",
-    "제2종일반주거지역",
-    "제3종일반주거지역",
-    "일반상업지역",
-    "준공업지역",
-  ];
+/**
+ * 용도지역 명칭(VWorld 표기/약칭/옛 명칭/UQ 코드) → { rule, resolved }
+ *  - resolved: RuleEngine.resolveZoning 결과(Cloudflare 와 같은 매칭, 모호하면 candidates 순위)
+ *  - rule: 하나로 정해졌을 때의 base_rules 항목(아니면 null)
+ */
+function resolveZoningRule(baseRulesJson, name) {
+  const resolved = RuleEngine.resolveZoning(name, baseRulesJson);
+  const rule = findRuleByZoning(baseRulesJson, resolved.matched ? resolved.zoning : resolved.input);
+  return { rule: rule && typeof rule !== "string" ? rule : null, resolved };
+}
 
-  ok(res, {
-    list: list.length ? list : fallback,
-    source: list.length ? "base_rules" : "fallback",
+// 혼재 대지(/api/calc?zones=용도지역:㎡,...) → ParcelGeo.mixedZoneCaps + 용도지역별 상한 내역(zones)
+function mixedZoneCapsOf(baseRulesJson, parts, jurisdiction) {
+  const zones = parts.map((p) => {
+    const { rule } = resolveZoningRule(baseRulesJson, p.zoning);
+    const caps = rule ? RuleEngine.zoningCaps(rule, jurisdiction, baseRulesJson) : null;
+    return {
+      zoning: rule?.zoning || p.zoning,
+      area_m2: p.area_m2,
+      matched: !!rule,
+      bcr_max: caps?.bcr_max ?? null,
+      far_max: caps?.far_max ?? null,
+      layers: caps?.layers || null,
+    };
   });
+  const caps = ParcelGeo.mixedZoneCaps(zones);
+  return caps && { ...caps, zones };
+}
+
+// 못 맞춘 명칭 → 응답 조각 { note, candidates:[zoning...] } (candidates 는 점수 높은 순)
+function unresolvedZoningExtra(resolved) {
+  return {
+    note: resolved.ambiguous
+      ? "용도지역 명칭이 여러 후보와 겹칩니다. 후보에서 선택해 주세요."
+      : "zoning rule not found",
+    candidates: resolved.candidates.map((c) => c.zoning),
+  };
+}
+
+// -------------------------
+// API: rules/manifest
+// -------------------------
+app.get("/api/rules/manifest", (req, res) => {
+  const manifest = loadRulesetManifest();
+  if (!manifest) return bad(res, "manifest_not_found", 404, { RULES_DIR });
+  ok(res, { data: manifest, source: "rules/manifest.json" });
 });
 
-app.get("/api/rules/apply", (req, res) => {
-  const zoning = String(req.query.zoning || "").trim();
-  if (!zoning) return bad(res, "missing zoning", 400);
+app.get("/api/rules/zoning", async (req, res) => {
+  try {
+    const { base } = await loadRules();
+    const list = extractZoningList(base);
 
-  const base = loadBaseRules();
-  const rule = findRuleByZoning(base, zoning);
+    const fallback = [
+      "제1종일반주거지역",
+      "제2종일반주거지역",
+      "제3종일반주거지역",
+      "일반상업지역",
+      "준공업지역",
+    ];
 
-  if (!rule || typeof rule === "string") {
-    return ok(res, {
-      rule: { zoning, bcr_max: 60, far_max: 200, source: "fallback" },
+    ok(res, {
+      list: list.length ? list : fallback,
+      source: list.length ? "base_rules" : "fallback",
     });
+  } catch (e) {
+    bad(res, e, 500);
   }
+});
+
+// jurisdiction(역지오코딩 지자체)이 오면 base_rules.ordinances 조례 상한이 국가 상한보다 먼저
+app.get("/api/rules/apply", async (req, res) => {
+  try {
+    const zoning = String(req.query.zoning || "").trim();
+    if (!zoning) return bad(res, "missing zoning", 400);
+    const jurisdiction = String(req.query.jurisdiction || "").trim() || null;
+
+    const rs = pickRuleset(req, res);
+    if (!rs) return;
+
+    const rules = await loadRules(rs.version);
+    const base = rules.base;
+    const { rule, resolved } = resolveZoningRule(base, zoning);
+    const ruleset = rulesetBlockFor(rs, rules, { base_rules: base });
+
+    // 못 맞추면 상한을 지어내지 않고 null + 후보(모호한 명칭이면 순위대로)
+    if (!rule) {
+      return ok(res, {
+        rule: { zoning, bcr_max: null, far_max: null, source: "not_found" },
+        resolved,
+        ...unresolvedZoningExtra(resolved),
+        ruleset,
+        ...demoTagOf(req),
+      });
+    }
 
-  ok(res, { rule: { ...rule, source: "base_rules" } });
+    ok(res, {
+      rule: { ...rule, ...RuleEngine.zoningCaps(rule, jurisdiction, base), jurisdiction, source: "base_rules" },
+      resolved,
+      ruleset,
+      ...demoTagOf(req),
+    });
+  } catch (e) {
+    bad(res, e, 500);
+  }
 });
 
 // -------------------------
@@ -770,56 +1507,44 @@ function getUsesCatalogFromBase(baseRulesJson) {
   return cleaned.length ? cleaned : null;
 }
 
-function buildUseMessage(status) {
-  const s = normalizeStatus(status);
-  if (s === "allow") return "✅ 가능(1차 통과)";
-  if (s === "conditional") return "⚠️ 조건부 가능(추가 검토 필요)";
-  if (s === "deny") return "❌ 불가/제한 가능성 큼(추가 검토 필요)";
-  if (s === "need_input") return "❓ 입력이 필요합니다(추가 정보 필요)";
-  return "❓ 정보가 부족해요(간이 판정)";
-}
-
-app.get("/api/uses", (req, res) => {
-  const base = loadBaseRules();
-  const fromBase = getUsesCatalogFromBase(base);
-  ok(res, {
-    list: fromBase || USES_FALLBACK,
-    source: fromBase ? "base_rules.uses_catalog" : "fallback",
-  });
+app.get("/api/uses", async (req, res) => {
+  try {
+    const { base } = await loadRules();
+    const fromBase = getUsesCatalogFromBase(base);
+    ok(res, {
+      list: fromBase || USES_FALLBACK,
+      source: fromBase ? "base_rules.uses_catalog" : "fallback",
+    });
+  } catch (e) {
+    bad(res, e, 500);
+  }
 });
 
-app.get("/api/uses/check", (req, res) => {
-  const zoning = String(req.query.zoning || "").trim();
-  const use = String(req.query.use || "").trim();
-  if (!zoning) return bad(res, "missing zoning", 400);
-  if (!use) return bad(res, "missing use", 400);
+app.get("/api/uses/check", async (req, res) => {
+  try {
+    const zoning = String(req.query.zoning || "").trim();
+    const use = String(req.query.use || "").trim();
+    if (!zoning) return bad(res, "missing zoning", 400);
+    if (!use) return bad(res, "missing use", 400);
+
+    const rs = pickRuleset(req, res);
+    if (!rs) return;
 
-  const base = loadBaseRules();
-  const rule = findRuleByZoning(base, zoning);
+    const rules = await loadRules(rs.version);
+    const base = rules.base;
+    const ruleset = rulesetBlockFor(rs, rules, { base_rules: base });
 
-  if (!rule || typeof rule === "string") {
-    const status = "unknown";
-    return ok(res, {
-      zoning,
-      use,
-      status,
-      message: "❓ 해당 용도지역 룰이 없습니다(간이 판정 불가)",
-      source: "base_rules_not_found",
+    // 판정/문구는 RuleEngine.checkUse (Cloudflare/브라우저와 동일)
+    const checked = RuleEngine.checkUse(base, zoning, use);
+    ok(res, {
+      ...checked,
+      ...(checked.resolved.matched ? {} : { candidates: checked.resolved.candidates.map((c) => c.zoning) }),
+      ruleset,
+      ...demoTagOf(req),
     });
+  } catch (e) {
+    bad(res, e, 500);
   }
-
-  const usesMap = rule?.uses || {};
-  const rawStatus = usesMap?.[use];
-  const status = normalizeStatus(rawStatus || "unknown");
-  const message = buildUseMessage(status);
-
-  ok(res, {
-    zoning,
-    use,
-    status,
-    message,
-    source: "base_rules.rules[].uses",
-  });
 });
 
 // -------------------------
@@ -881,66 +1606,33 @@ app.get("/api/laws/:code", async (req, res) => {
 // -------------------------
 app.get("/api/checklists/enriched", async (req, res) => {
   try {
-    const zoning = String(req.query.zoning || "").trim();
-    const use = String(req.query.use || "").trim();
-    const jurisdiction = String(req.query.jurisdiction || "").trim();
-
-    const floors = toNum(req.query.floors);
-    const height_m = toNum(req.query.height_m);
-    const gross_area_m2 = toNum(req.query.gross_area_m2);
-
-    const values = { floors, height_m, gross_area_m2 };
-    const ctx = { zoning, use, jurisdiction, floors, height_m, gross_area_m2 };
-
-    const checklists = loadChecklists();
-    const ruleEngine = loadRuleEngine();
-    const ruleMap = indexRuleEngineById(ruleEngine);
-
-    const listRaw = checklists?.default_conditional || [];
-    const filtered = listRaw.filter((it) => passesAppliesTo(it, ctx));
-
-    const enriched = filtered.map((it) => {
-      const eng = ruleMap.get(String(it.id)) || {};
-      const rule_set = eng.rule_set || null;
-      const auto_rules = Array.isArray(eng.auto_rules) ? eng.auto_rules : [];
-      const optional_inputs = Array.isArray(eng.optional_inputs) ? eng.optional_inputs : [];
-
-      let server_judge = null;
-      const judged = evaluateFirstMatch(auto_rules, values);
-      if (judged) {
-        server_judge = judged;
-      } else if (rule_set && rule_set.default_result) {
-        server_judge = {
-          result: normalizeStatus(rule_set.default_result),
-          message: String(rule_set.default_message || "").trim(),
-          rule_id: null,
-          priority: 0,
-        };
-      }
+    const context = {
+      zoning: req.query.zoning,
+      use: req.query.use,
+      jurisdiction: req.query.jurisdiction,
+      overlays: req.query.overlays,
+      floors: req.query.floors,
+      height_m: req.query.height_m,
+      gross_area_m2: req.query.gross_area_m2,
+    };
+    // explain=1 → 항목별 평가 과정(룰/조건 실제값/스킵 이유)
+    const explain = RuleEngine.parseFlag(req.query.explain);
 
-      const missing_inputs =
-        server_judge && server_judge.result === "need_input"
-          ? buildMissingInputs(it, values, optional_inputs)
-          : [];
+    const rs = pickRuleset(req, res);
+    if (!rs) return;
 
-      return {
-        ...it,
-        rule_set,
-        auto_rules,
-        optional_inputs,
-        server_judge,
-        missing_inputs,
-      };
-    });
+    const rules = await loadRules(rs.version);
+    const { checklists, ruleEngine } = rules;
+    const enriched = RuleEngine.enrichChecklist({ checklists, ruleEngine, context, explain });
 
-    const refs = new Set();
-    enriched.forEach((it) => (it.refs || []).forEach((c) => refs.add(c)));
-    await getLawsByCodes(Array.from(refs)); // 유지
+    const laws = await getLawsByCodes(RuleEngine.collectRefs(enriched.items), rs.version);
 
     ok(res, {
-      data: { default_conditional: enriched },
-      meta: { ctx },
+      data: { default_conditional: enriched.items },
+      meta: { ctx: enriched.context, values: enriched.values, derived: enriched.derived, missing_refs: laws.missing, explain },
+      ruleset: rulesetBlockFor(rs, rules, { checklists, rule_engine: ruleEngine }),
       source: "checklists+rule_engine",
+      ...demoTagOf(req),
     });
   } catch (e) {
     bad(res, e, 500);
@@ -953,74 +1645,252 @@ app.get("/api/checklists/enriched", async (req, res) => {
 app.post("/api/checklists/judge", async (req, res) => {
   try {
     const body = req.body || {};
+    // explain=1 (쿼리 또는 body.explain) → results[].explain
+    const explain = RuleEngine.parseFlag(req.query.explain ?? body.explain);
+
+    const rs = pickRuleset(req, res);
+    if (!rs) return;
+
+    const rules = await loadRules(rs.version);
+    const { checklists, ruleEngine, base } = rules;
     const context = body.context || {};
-    const zoning = String(context.zoning || "").trim();
-    const use = String(context.use || "").trim();
-    const jurisdiction = String(context.jurisdiction || "").trim();
-
-    const valuesIn = body.values || {};
-    const values = {};
-    Object.keys(valuesIn).forEach((k) => {
-      const v = valuesIn[k];
-      const n = toNum(v);
-      values[k] = n != null ? n : v;
+
+    // 법정 주차대수(parking_required) · 일조 여유(daylight_margin_m) 를 채운 뒤 판정 → meta.parking / meta.daylight
+    const judged = Judge.judge({ checklists, ruleEngine, baseRules: base, context, values: body.values || {}, explain });
+    const { parking, daylight } = judged;
+
+    const laws = await getLawsByCodes(RuleEngine.collectRefs(judged.items), rs.version);
+
+    ok(res, {
+      data: { summary: judged.summary, results: judged.results },
+      meta: { ctx: judged.context, values: judged.values, missing_refs: laws.missing, explain, parking, daylight },
+      ruleset: rulesetBlockFor(rs, rules, { checklists, rule_engine: ruleEngine, base_rules: base }),
+      source: "judge_engine",
+      ...demoTagOf(req),
     });
+  } catch (e) {
+    bad(res, e, 500);
+  }
+});
 
-    const ctx = { zoning, use, jurisdiction };
+// -------------------------
+// Admin: rules store (Firestore draft → publish)
+// -------------------------
+async function requireRulesAdmin(req, res, next) {
+  if (!FIRESTORE_RULES) return bad(res, "rules_store_disabled", 503, { hint: "FIRESTORE_RULES=true" });
 
-    const checklists = loadChecklists();
-    const ruleEngine = loadRuleEngine();
-    const ruleMap = indexRuleEngineById(ruleEngine);
+  const m = String(req.get("authorization") || "").match(/^Bearer\s+(.+)$/i);
+  if (!m) return bad(res, "missing_token", 401);
 
-    const listRaw = checklists?.default_conditional || [];
-    const filtered = listRaw.filter((it) => passesAppliesTo(it, { ...ctx, ...values }));
+  let token;
+  try {
+    token = await admin.auth().verifyIdToken(m[1].trim());
+  } catch (e) {
+    return bad(res, "invalid_token", 401);
+  }
 
-    const results = filtered.map((it) => {
-      const eng = ruleMap.get(String(it.id)) || {};
-      const rule_set = eng.rule_set || null;
-      const auto_rules = Array.isArray(eng.auto_rules) ? eng.auto_rules : [];
-      const optional_inputs = Array.isArray(eng.optional_inputs) ? eng.optional_inputs : [];
+  const email = String(token.email || "").toLowerCase();
+  const byEmail = !!email && token.email_verified === true && RULES_ADMIN_EMAILS.includes(email);
+  if (token.rules_admin !== true && !byEmail) return bad(res, "forbidden", 403);
 
-      const judged = evaluateFirstMatch(auto_rules, values);
-      let status = "unknown";
-      let message = "";
+  req.rulesAdmin = email || token.uid;
+  next();
+}
 
-      if (judged) {
-        status = normalizeStatus(judged.result);
-        message = judged.message || "";
-      } else if (rule_set) {
-        status = normalizeStatus(rule_set.default_result);
-        message = String(rule_set.default_message || "").trim();
-      }
+app.use("/api/admin/rules", requireRulesAdmin);
 
-      let missing_inputs = [];
-      if (status === "need_input") {
-        missing_inputs = buildMissingInputs(it, values, optional_inputs);
-      }
+// :kind/:key 검사 → { kind, key } (잘못되면 응답 후 null)
+function pickStoreTarget(req, res) {
+  const kind = String(req.params.kind || "").trim();
+  const key = String(req.params.key ?? "").trim();
+  if (!RulesStore.isKind(kind)) {
+    bad(res, "invalid_kind", 400, { kind, kinds: Object.keys(RulesStore.KINDS) });
+    return null;
+  }
+  if (req.params.key !== undefined && !RulesStore.isValidKey(key)) {
+    bad(res, "invalid_key", 400, { key });
+    return null;
+  }
+  return { kind, key };
+}
 
-      return {
-        id: it.id,
-        status,
-        message,
-        missing_inputs,
-        judge: judged || null,
-      };
+function storeSummary(doc) {
+  if (!doc) return { draft: null, published: null };
+  const d = doc.draft;
+  const p = doc.published;
+  return {
+    draft: d ? { op: d.op, updated_at: d.updated_at || null, updated_by: d.updated_by || null } : null,
+    published: p
+      ? { op: p.op, revision: p.revision || 0, published_at: p.published_at || null, published_by: p.published_by || null }
+      : null,
+  };
+}
+
+/**
+ * 게시본 전체(target 항목은 next 로 교체, next=null 이면 번들 상태) 를 번들 룰에 덮어쓴 뒤 lint
+ * → 게시/복귀 전에 "판정에 실제로 쓰일 룰셋" 이 깨지지 않는지 확인
+ */
+async function lintWithEntry(kind, key, next) {
+  const pub = await rulesStore.getPublished();
+  const entries = pub.entries.filter((e) => !(e.kind === kind && e.key === key));
+  if (next) entries.push({ kind, key, op: next.op, data: next.data });
+
+  const merged = RulesStore.applyEntries(loadBundledRules(), entries);
+  const laws = FIRESTORE_LAWS ? (await getAllLaws()).list : loadLawsFromFile();
+  return RulesLint.lintRuleset({ ...merged, laws }, { skipSchema: ["laws"] });
+}
+
+app.get("/api/admin/rules", async (req, res) => {
+  try {
+    const docs = await rulesStore.listDocs();
+    ok(res, {
+      kinds: Object.keys(RulesStore.KINDS),
+      list: docs.map((d) => ({ kind: d.kind, key: d.key, ...storeSummary(d) })),
+      meta: { count: docs.length, ttl_ms: RULES_STORE_TTL_MS },
+      source: "firestore",
+    });
+  } catch (e) {
+    bad(res, e, 500);
+  }
+});
+
+app.post("/api/admin/rules/reload", async (req, res) => {
+  try {
+    rulesStore.invalidate();
+    const pub = await rulesStore.getPublished();
+    ok(res, { published: pub.entries.length, updated_at: pub.updated_at });
+  } catch (e) {
+    bad(res, e, 500);
+  }
+});
+
+app.get("/api/admin/rules/:kind", async (req, res) => {
+  try {
+    const t = pickStoreTarget(req, res);
+    if (!t) return;
+
+    const spec = RulesStore.KINDS[t.kind];
+    const fileKeys = spec.list(loadBundledRules()[spec.file]).map((item) => RulesStore.fileKeyOf(t.kind, item));
+    const docs = await rulesStore.listDocs(t.kind);
+    const byKey = new Map(docs.map((d) => [d.key, d]));
+
+    const keys = Array.from(new Set([...fileKeys.filter(Boolean), ...byKey.keys()]));
+    ok(res, {
+      kind: t.kind,
+      list: keys.map((key) => ({ key, in_file: fileKeys.includes(key), ...storeSummary(byKey.get(key)) })),
+      source: "file+firestore",
     });
+  } catch (e) {
+    bad(res, e, 500);
+  }
+});
+
+app.get("/api/admin/rules/:kind/:key", async (req, res) => {
+  try {
+    const t = pickStoreTarget(req, res);
+    if (!t) return;
 
-    const refs = new Set();
-    filtered.forEach((it) => (it.refs || []).forEach((c) => refs.add(c)));
-    await getLawsByCodes(Array.from(refs)); // 유지
+    const spec = RulesStore.KINDS[t.kind];
+    const findIn = (data) => spec.list(data).find((item) => RulesStore.fileKeyOf(t.kind, item) === t.key) || null;
+
+    const bundled = loadBundledRules();
+    const doc = await rulesStore.getEntry(t.kind, t.key);
+    const pub = await rulesStore.getPublished();
+    const effective = RulesStore.applyEntries(bundled, pub.entries);
 
     ok(res, {
-      data: { results },
-      meta: { ctx },
-      source: "judge_engine",
+      kind: t.kind,
+      key: t.key,
+      file: findIn(bundled[spec.file]),
+      draft: doc?.draft || null,
+      published: doc?.published || null,
+      effective: findIn(effective[spec.file]),
     });
   } catch (e) {
     bad(res, e, 500);
   }
 });
 
+// 초안 저장(생성/수정) — 판정에는 게시 전까지 반영 안 됨
+app.put("/api/admin/rules/:kind/:key", async (req, res) => {
+  try {
+    const t = pickStoreTarget(req, res);
+    if (!t) return;
+
+    const data = req.body?.data;
+    const invalid = RulesStore.checkEntryData(t.kind, t.key, "upsert", data);
+    if (invalid) return bad(res, "invalid_data", 400, { detail: invalid });
+
+    const draft = await rulesStore.saveDraft(t.kind, t.key, { op: "upsert", data }, req.rulesAdmin);
+    const lint = await lintWithEntry(t.kind, t.key, draft);
+    ok(res, { kind: t.kind, key: t.key, draft, lint });
+  } catch (e) {
+    bad(res, e, 500);
+  }
+});
+
+// 삭제 초안 저장 — 게시하면 번들 파일의 항목도 판정에서 빠짐
+app.delete("/api/admin/rules/:kind/:key", async (req, res) => {
+  try {
+    const t = pickStoreTarget(req, res);
+    if (!t) return;
+
+    const draft = await rulesStore.saveDraft(t.kind, t.key, { op: "delete" }, req.rulesAdmin);
+    const lint = await lintWithEntry(t.kind, t.key, draft);
+    ok(res, { kind: t.kind, key: t.key, draft, lint });
+  } catch (e) {
+    bad(res, e, 500);
+  }
+});
+
+app.post("/api/admin/rules/:kind/:key/publish", async (req, res) => {
+  try {
+    const t = pickStoreTarget(req, res);
+    if (!t) return;
+
+    const doc = await rulesStore.getEntry(t.kind, t.key);
+    if (!doc?.draft) return bad(res, "no_draft", 409, { kind: t.kind, key: t.key });
+
+    const lint = await lintWithEntry(t.kind, t.key, doc.draft);
+    if (lint.errors.length) return bad(res, "lint_failed", 422, { lint });
+
+    const out = await rulesStore.publish(t.kind, t.key, req.rulesAdmin);
+    if (!out.published) return bad(res, "no_draft", 409, { kind: t.kind, key: t.key });
+    ok(res, { kind: t.kind, key: t.key, published: out.published, lint });
+  } catch (e) {
+    bad(res, e, 500);
+  }
+});
+
+app.post("/api/admin/rules/:kind/:key/discard", async (req, res) => {
+  try {
+    const t = pickStoreTarget(req, res);
+    if (!t) return;
+
+    const out = await rulesStore.discardDraft(t.kind, t.key);
+    if (!out.discarded) return bad(res, "no_draft", 409, { kind: t.kind, key: t.key });
+    ok(res, { kind: t.kind, key: t.key, discarded: true });
+  } catch (e) {
+    bad(res, e, 500);
+  }
+});
+
+app.post("/api/admin/rules/:kind/:key/revert", async (req, res) => {
+  try {
+    const t = pickStoreTarget(req, res);
+    if (!t) return;
+
+    const lint = await lintWithEntry(t.kind, t.key, null);
+    if (lint.errors.length) return bad(res, "lint_failed", 422, { lint });
+
+    const out = await rulesStore.revert(t.kind, t.key);
+    if (!out.reverted) return bad(res, "not_found", 404, { kind: t.kind, key: t.key });
+    ok(res, { kind: t.kind, key: t.key, reverted: true, lint });
+  } catch (e) {
+    bad(res, e, 500);
+  }
+});
+
 // -------------------------
 // Health
 // -------------------------
@@ -0,0 +1,417 @@
+/**
+ * functions/lib/address_kr.js
+ * 한국 주소(도로명/지번) 파싱 + 법정동코드 표 + PNU(19자리) (Express / Cloudflare Pages Functions 공용)
+ *
+ * 사용처:
+ *  - Express(functions/index.js):        const AddressKr = require("./lib/address_kr");
+ *  - Cloudflare(functions/api/[[path]]): import AddressKr from "../lib/address_kr.js";
+ *
+ * parseAddress("서울 강남구 역삼동 737-12")
+ *   → { kind:"jibun", sido:"서울특별시", sigungu:"강남구", eupmyeondong:"역삼동", san:false, bunji:{ main:737, sub:12 }, ... }
+ * parseAddress("서울특별시 중구 세종대로 110")
+ *   → { kind:"road", road:"세종대로", building_no:{ main:110, sub:0 }, ... }
+ *
+ * PNU = 법정동코드(10: 시도 2 + 시군구 3 + 읍면동 3 + 리 2) + 산 여부(1: 일반, 2: 산) + 본번(4) + 부번(4)
+ * 법정동코드는 이름만으로 만들 수 없어서 코드 표(createCodeTable)가 필요함
+ *  - 전체 표: 행정표준코드관리시스템 "법정동코드 전체자료" → [{ code, name }] JSON 으로 변환
+ *  - 개발용 일부: functions/geodata/address.sample.json
+ */
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.AddressKr = api;
+})(typeof globalThis !== "undefined" ? globalThis : this, () => {
+  "use strict";
+
+  // 시도: 정식 명칭 + 법정동코드 앞 2자리 + 흔한 약칭
+  //  강원(2023, 42→51)·전북(2024, 45→52)은 특별자치도 전환 후 코드
+  //  "광주시" 는 경기도 광주시와 겹쳐서 약칭에서 뺌
+  const SIDO = [
+    { name: "서울특별시", code: "11", aliases: ["서울", "서울시"] },
+    { name: "부산광역시", code: "26", aliases: ["부산", "부산시"] },
+    { name: "대구광역시", code: "27", aliases: ["대구", "대구시"] },
+    { name: "인천광역시", code: "28", aliases: ["인천", "인천시"] },
+    { name: "광주광역시", code: "29", aliases: ["광주"] },
+    { name: "대전광역시", code: "30", aliases: ["대전", "대전시"] },
+    { name: "울산광역시", code: "31", aliases: ["울산", "울산시"] },
+    { name: "세종특별자치시", code: "36", aliases: ["세종", "세종시"] },
+    { name: "경기도", code: "41", aliases: ["경기"] },
+    { name: "충청북도", code: "43", aliases: ["충북"] },
+    { name: "충청남도", code: "44", aliases: ["충남"] },
+    { name: "전라남도", code: "46", aliases: ["전남"] },
+    { name: "경상북도", code: "47", aliases: ["경북"] },
+    { name: "경상남도", code: "48", aliases: ["경남"] },
+    { name: "제주특별자치도", code: "50", aliases: ["제주", "제주도"] },
+    { name: "강원특별자치도", code: "51", aliases: ["강원", "강원도"] },
+    { name: "전북특별자치도", code: "52", aliases: ["전북", "전라북도"] },
+  ];
+
+  const SIDO_BY_NAME = new Map();
+  SIDO.forEach((s) => [s.name, ...s.aliases].forEach((n) => SIDO_BY_NAME.set(n, s)));
+
+  function findSido(token) {
+    return SIDO_BY_NAME.get(String(token || "").trim()) || null;
+  }
+
+  // 번지 토큰: 737 / 737-12 / 산12-3
+  const LOT_RE = /^(산)?(\d{1,4})(?:-(\d{1,4}))?$/;
+  const ROAD_RE = /^[가-힣A-Za-z0-9·.]+(로|길)$/;
+  const DONG_RE = /^[가-힣0-9·.]+(동|가)$/;
+  const EUPMYEON_RE = /^[가-힣0-9·.]+(읍|면)$/;
+  const RI_RE = /^[가-힣0-9·.]+리$/;
+  const SIGUNGU_RE = /^[가-힣]+(시|군|구)$/;
+
+  /**
+   * 입력 정리: NFC, 대시/쉼표/"번지" 통일, 괄호 안(도로명 주소의 참고항목 "(역삼동, ○○빌딩)")은 ref 로 따로
+   * 붙여 쓴 번지("역삼동737-12", "세종대로110")는 띄어서 토큰으로
+   */
+  function tokenize(text) {
+    let s = String(text ?? "")
+      .normalize("NFC")
+      .replace(/[‐‑‒–—―−－]/g, "-")
+      .replace(/[０-９]/g, (d) => String.fromCharCode(d.charCodeAt(0) - 0xfee0));
+
+    const refs = [];
+    s = s.replace(/\(([^)]*)\)/g, (_, inner) => {
+      refs.push(...inner.split(/[,\s]+/).filter(Boolean));
+      return " ";
+    });
+
+    s = s
+      .replace(/,/g, " ")
+      .replace(/번지/g, " ")
+      .replace(/\s*-\s*/g, "-")
+      .replace(/\s+/g, " ")
+      .trim();
+
+    const tokens = [];
+    s.split(" ")
+      .filter(Boolean)
+      .forEach((t) => {
+        const lot = t.match(/^(.+?[동리가])(산?\d{1,4}(?:-\d{1,4})?)$/);
+        const road = t.match(/^(.+(?:로|길))(\d{1,5}(?:-\d{1,4})?)$/);
+        if (lot) tokens.push(lot[1], lot[2]);
+        else if (road) tokens.push(road[1], road[2]);
+        else tokens.push(t);
+      });
+    return { tokens, refs, text: s };
+  }
+
+  const num = (v) => (v == null || v === "" ? 0 : Number(v));
+
+  /**
+   * 주소 문자열 → 구조화된 부분
+   *  kind: road(도로명 + 건물번호) | jibun(읍면동/리 + 번지) | pnu(19자리 숫자) | partial(행정구역까지만) | unknown
+   *  rest: 해석하지 못한 나머지(건물명/동호수 등)
+   *  table: (선택) createCodeTable — "세종로 81-3" 처럼 '로'로 끝나는 법정동을 도로명과 구분
+   */
+  function parseAddress(text, { table = null } = {}) {
+    const { tokens, refs, text: cleaned } = tokenize(text);
+    const out = {
+      input: String(text ?? ""),
+      normalized: "",
+      kind: "unknown",
+      sido: "",
+      sido_code: "",
+      sigungu: "",
+      eupmyeondong: "",
+      ri: "",
+      road: "",
+      underground: false,
+      building_no: null,
+      san: false,
+      bunji: null,
+      ref_dong: "",
+      pnu: null,
+      rest: [],
+    };
+
+    // PNU 를 그대로 넣은 경우(하이픈/공백 허용)
+    const pnu = /^[\d\s-]+$/.test(cleaned) ? parsePnu(cleaned) : null;
+    if (pnu) {
+      out.kind = "pnu";
+      out.pnu = pnu.pnu;
+      out.san = pnu.san;
+      out.bunji = pnu.bunji;
+      out.normalized = pnu.pnu;
+      return out;
+    }
+
+    let i = 0;
+    const sido = findSido(tokens[0]);
+    if (sido) {
+      out.sido = sido.name;
+      out.sido_code = sido.code;
+      i = 1;
+    }
+
+    // 시군구: "성남시 분당구" 처럼 두 개까지 (세종특별자치시는 시군구 없음)
+    const sigungu = [];
+    while (i < tokens.length && sigungu.length < 2 && SIGUNGU_RE.test(tokens[i]) && !findSido(tokens[i])) {
+      sigungu.push(tokens[i]);
+      i++;
+    }
+    out.sigungu = sigungu.join(" ");
+
+    let pendingSan = false;
+    for (; i < tokens.length; i++) {
+      const t = tokens[i];
+      if (t === "산" && LOT_RE.test(tokens[i + 1] || "")) {
+        pendingSan = true;
+        continue;
+      }
+      if (t === "지하" && out.road && !out.building_no) {
+        out.underground = true;
+        continue;
+      }
+
+      const lot = t.match(LOT_RE);
+      if (lot) {
+        const main = num(lot[2]);
+        const sub = num(lot[3]);
+        if (out.road && !out.building_no && !lot[1] && !pendingSan) {
+          out.building_no = { main, sub };
+          continue;
+        }
+        if ((out.eupmyeondong || out.ri) && !out.bunji && !out.road) {
+          out.san = !!lot[1] || pendingSan;
+          out.bunji = { main, sub };
+          pendingSan = false;
+          continue;
+        }
+        out.rest.push(t);
+        continue;
+      }
+
+      if (!out.road && !out.bunji && ROAD_RE.test(t) && !out.ri) {
+        out.road = t;
+        continue;
+      }
+      if (!out.eupmyeondong && !out.road && (DONG_RE.test(t) || EUPMYEON_RE.test(t))) {
+        out.eupmyeondong = t;
+        continue;
+      }
+      if (!out.ri && !out.road && out.eupmyeondong && EUPMYEON_RE.test(out.eupmyeondong) && RI_RE.test(t)) {
+        out.ri = t;
+        continue;
+      }
+      out.rest.push(t);
+    }
+
+    // 도로명 주소 참고항목의 법정동 "(역삼동)"
+    const ref = refs.find((r) => DONG_RE.test(r) || RI_RE.test(r));
+    if (ref) out.ref_dong = ref;
+    out.rest.push(...refs.filter((r) => r !== ref));
+
+    // 코드 표에 같은 이름의 읍면동이 있으면 지번 주소("종로구 세종로 81-3")
+    if (out.road && out.building_no && !out.eupmyeondong && !out.underground && table?.hasDong(out.road)) {
+      out.eupmyeondong = out.road;
+      out.bunji = out.building_no;
+      out.road = "";
+      out.building_no = null;
+    }
+
+    if (out.road && out.building_no) out.kind = "road";
+    else if ((out.eupmyeondong || out.ri) && out.bunji) out.kind = "jibun";
+    else if (out.sido || out.sigungu || out.eupmyeondong || out.road) out.kind = "partial";
+
+    out.normalized = formatAddress(out) || cleaned;
+    return out;
+  }
+
+  function lotText(no, san = false) {
+    if (!no) return "";
+    return `${san ? "산" : ""}${no.main}${no.sub ? `-${no.sub}` : ""}`;
+  }
+
+  // 구조화된 부분 → 표준 표기("서울특별시 강남구 역삼동 737-12" / "서울특별시 중구 세종대로 110")
+  function formatAddress(p, { withLot = true } = {}) {
+    const area = [p.sido, p.sigungu].filter(Boolean);
+    if (p.road) {
+      const no = withLot && p.building_no ? `${p.underground ? "지하 " : ""}${lotText(p.building_no)}` : "";
+      return [...area, p.road, no].filter(Boolean).join(" ");
+    }
+    return [...area, p.eupmyeondong, p.ri, withLot ? lotText(p.bunji, p.san) : ""].filter(Boolean).join(" ");
+  }
+
+  /* =========================
+     법정동코드 표
+  ========================= */
+
+  // 행정동("역삼1동", "종로1·2·3·4가동") → 법정동 추정("역삼동"): 숫자/가 붙은 행정동 표기만 걷어냄
+  function legalDongGuess(name) {
+    return String(name || "")
+      .replace(/[0-9·.]+동$/, "동")
+      .replace(/제(\d+)동$/, "동");
+  }
+
+  /**
+   * rows: [{ code:"1168010100", name:"서울특별시 강남구 역삼동" }] (폐지 코드는 빼고 넣기)
+   * → { size, lookup(parsed) → { code, name, ambiguous, candidates:[{ code, name }] } | null, byCode(code) }
+   */
+  function createCodeTable(rows) {
+    const list = [];
+    (Array.isArray(rows) ? rows : []).forEach((r) => {
+      const code = String(r?.code || "").trim();
+      const name = String(r?.name || "").trim();
+      if (!/^\d{10}$/.test(code) || !name) return;
+      const toks = name.split(/\s+/);
+      const sido = findSido(toks[0]);
+      const body = sido ? toks.slice(1) : toks;
+      const isRi = RI_RE.test(body[body.length - 1] || "") && body.length >= 2 && EUPMYEON_RE.test(body[body.length - 2]);
+      const dong = isRi ? body[body.length - 2] : body[body.length - 1] || "";
+      const ri = isRi ? body[body.length - 1] : "";
+      const sigungu = body.slice(0, body.length - (isRi ? 2 : 1)).join(" ");
+      // 시군구/시도 자체 행(읍면동 코드 000)은 읍면동 검색에 안 씀
+      if (code.slice(5) === "00000") return;
+      list.push({ code, name, sido: sido?.name || "", sigungu, dong, ri });
+    });
+    const byCodeMap = new Map(list.map((r) => [r.code, r]));
+
+    function match(parsed, dong) {
+      return list.filter((r) => {
+        if (r.dong !== dong) return false;
+        if (parsed.ri ? r.ri !== parsed.ri : r.ri) return false;
+        if (parsed.sido && r.sido && parsed.sido !== r.sido) return false;
+        // "분당구" 만 적어도 "성남시 분당구" 와 맞음
+        if (parsed.sigungu && !parsed.sigungu.split(" ").every((t) => r.sigungu.split(" ").includes(t))) return false;
+        return true;
+      });
+    }
+
+    function lookup(parsed) {
+      const dong = parsed?.eupmyeondong || parsed?.ref_dong || "";
+      if (!dong) return null;
+      let hits = match(parsed, dong);
+      let via = "legal_dong";
+      if (!hits.length && legalDongGuess(dong) !== dong) {
+        hits = match(parsed, legalDongGuess(dong));
+        via = "admin_dong_guess";
+      }
+      const candidates = hits.slice(0, 10).map((r) => ({ code: r.code, name: r.name }));
+      if (hits.length !== 1) return { code: null, name: "", via, ambiguous: hits.length > 1, candidates };
+      return { code: hits[0].code, name: hits[0].name, via, ambiguous: false, candidates };
+    }
+
+    const dongNames = new Set(list.map((r) => r.dong));
+
+    return {
+      size: list.length,
+      lookup,
+      hasDong: (name) => dongNames.has(String(name || "")),
+      byCode: (code) => byCodeMap.get(String(code || "")) || null,
+    };
+  }
+
+  /* =========================
+     PNU
+  ========================= */
+
+  const pad4 = (n) => String(n).padStart(4, "0");
+
+  // → 19자리 문자열 | null (법정동코드 10자리, 본번 1~9999, 부번 0~9999)
+  function buildPnu({ bjdCode, san = false, main, sub = 0 }) {
+    const code = String(bjdCode || "");
+    const m = Number(main);
+    const s = Number(sub || 0);
+    if (!/^\d{10}$/.test(code)) return null;
+    if (!Number.isInteger(m) || m < 1 || m > 9999 || !Number.isInteger(s) || s < 0 || s > 9999) return null;
+    return `${code}${san ? "2" : "1"}${pad4(m)}${pad4(s)}`;
+  }
+
+  // 19자리 PNU → 부분 코드 | null
+  function parsePnu(pnu) {
+    const p = String(pnu || "").replace(/[\s-]/g, "");
+    if (!/^\d{19}$/.test(p) || !/^[12]$/.test(p[10])) return null;
+    const san = p[10] === "2";
+    const main = Number(p.slice(11, 15));
+    const sub = Number(p.slice(15, 19));
+    return {
+      pnu: p,
+      bjd_code: p.slice(0, 10),
+      sido_code: p.slice(0, 2),
+      sigungu_code: p.slice(0, 5),
+      eupmyeondong_code: p.slice(0, 8),
+      ri_code: p.slice(8, 10),
+      san,
+      bunji: { main, sub },
+      jibun: lotText({ main, sub }, san),
+    };
+  }
+
+  /**
+   * 파싱 결과 + 코드 표 → 응답에 싣는 address 블록
+   *  { kind, normalized, sido, sigungu, eupmyeondong, ri, road, building_no, san, bunji, jibun,
+   *    bjd_code, bjd_name, pnu, pnu_note, candidates? }
+   *  PNU 는 지번 주소 + 법정동코드가 하나로 정해질 때만(도로명은 건물 → 필지 연결 자료가 있어야 함)
+   */
+  function describeAddress(parsed, table) {
+    const { rest, ...parts } = parsed;
+    delete parts.input;
+    const out = {
+      ...parts,
+      jibun: lotText(parsed.bunji, parsed.san),
+      rest: rest.length ? rest : undefined,
+      bjd_code: null,
+      bjd_name: "",
+      pnu: null,
+      pnu_note: "",
+    };
+
+    if (parsed.kind === "pnu") {
+      const p = parsePnu(parsed.pnu);
+      const row = table ? table.byCode(p.bjd_code) : null;
+      return {
+        ...out,
+        bjd_code: p.bjd_code,
+        bjd_name: row?.name || "",
+        pnu: p.pnu,
+        pnu_note: row ? "" : "법정동코드 표에 없는 코드입니다(주소 표기 없이 PNU 만 사용).",
+      };
+    }
+
+    const hit = table && table.size ? table.lookup(parsed) : null;
+    if (hit?.code) {
+      out.bjd_code = hit.code;
+      out.bjd_name = hit.name;
+      if (hit.via === "admin_dong_guess") out.bjd_via = hit.via;
+    } else if (hit?.ambiguous) {
+      out.bjd_candidates = hit.candidates;
+    }
+
+    if (parsed.kind === "jibun" && out.bjd_code) {
+      out.pnu = buildPnu({ bjdCode: out.bjd_code, san: parsed.san, main: parsed.bunji.main, sub: parsed.bunji.sub });
+      if (!out.pnu) out.pnu_note = "번지 범위를 벗어나 PNU 를 만들 수 없습니다.";
+    } else if (parsed.kind === "road") {
+      out.pnu_note = "도로명 주소는 건물 → 필지 연결 자료(주소 provider)가 있어야 PNU 를 알 수 있습니다.";
+    } else if (parsed.kind === "jibun") {
+      out.pnu_note = !table || !table.size
+        ? "법정동코드 표가 없어 PNU 를 만들 수 없습니다."
+        : hit?.ambiguous
+          ? "같은 이름의 법정동이 여러 곳입니다. 시도/시군구를 함께 입력해 주세요."
+          : "법정동코드 표에서 읍면동을 찾지 못했습니다.";
+    }
+    return out;
+  }
+
+  // Nominatim reverse 의 address → 지자체 문자열(광역 → 기초 → 읍면동, /api/reverse 의 jurisdiction)
+  const JURISDICTION_FIELDS = ["state", "city", "county", "town", "village", "suburb"];
+
+  function jurisdictionOf(addr) {
+    return JURISDICTION_FIELDS.map((k) => String(addr?.[k] || "").trim())
+      .filter(Boolean)
+      .join(" ");
+  }
+
+  return {
+    SIDO,
+    findSido,
+    parseAddress,
+    formatAddress,
+    createCodeTable,
+    buildPnu,
+    parsePnu,
+    describeAddress,
+    jurisdictionOf,
+  };
+});
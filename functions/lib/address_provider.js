@@ -0,0 +1,300 @@
+/**
+ * functions/lib/address_provider.js
+ * 주소 → 좌표(geocode) provider 인터페이스 + 로컬(주소DB 방식) provider (Express / Cloudflare Pages Functions 공용)
+ *
+ * 사용처:
+ *  - Express(functions/index.js):        const AddressProvider = require("./lib/address_provider");
+ *  - Cloudflare(functions/api/[[path]]): import AddressProvider from "../lib/address_provider.js";
+ *
+ * provider 는 geocode 하나를 가진 객체(AddressProvider.defineProvider 로 모양 검사):
+ *  - geocode(query, { parsed, limit }) → { found, candidates:[{ lat, lon, display_name, precision, parts, pnu? }], source, query? }
+ *      parsed:    AddressKr.parseAddress 결과(호출 쪽에서 한 번 파싱해 넘김)
+ *      precision: parcel(필지 중심) | address(주소 지점) | area(읍면동/도로까지만 맞음)
+ *      parts:     { sido, sigungu, eupmyeondong, road, number, postcode } — 후보가 가리키는 주소 구성요소
+ *  데이터 소스 전체가 실패하면 throw
+ *
+ * rankCandidates(parsed, candidates, { limit }) → 입력 주소와 맞춰 본 점수(score 0~1, matched/missed) 순으로 정렬 +
+ *   confidence { level: high|low, score, reasons } — low 면 화면에서 사용자가 후보를 고른 뒤에만 용도지역/룰 적용
+ *
+ * Nominatim 구현은 런타임별(fetch/호출 제한이 달라서)로 각 파일에 있고(URL 은 nominatimSearchUrl, 후보 모양은 nominatimCandidate 공용),
+ * 로컬 구현(createLocalProvider)은 법정동코드 표 + 도로명 → PNU 표 + 필지 GeoJSON 만으로 동작(도로명주소 API 자리를 대신하는 stub)
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./address_kr"), require("./parcel_geo"));
+  } else root.AddressProvider = factory(root.AddressKr, root.ParcelGeo);
+})(typeof globalThis !== "undefined" ? globalThis : this, (AddressKr, ParcelGeo) => {
+  "use strict";
+
+  function defineProvider(impl) {
+    const name = String(impl?.name || "").trim();
+    if (!name) throw new Error("address provider: name 이 필요합니다");
+    if (typeof impl.geocode !== "function") throw new Error(`address provider ${name}: geocode 가 필요합니다`);
+    return { name, geocode: impl.geocode };
+  }
+
+  // 필지 안쪽 점: bbox 중심이 필지 밖이면(ㄱ자 필지 등) 외곽 꼭짓점 평균
+  function pointOnParcel(polygons) {
+    const bb = ParcelGeo.bboxOf(polygons);
+    if (!bb) return null;
+    const center = [(bb.minx + bb.maxx) / 2, (bb.miny + bb.maxy) / 2];
+    if (ParcelGeo.pointInPolygons(center, polygons)) return center;
+    const ring = polygons[0][0];
+    return [ring.reduce((s, p) => s + p[0], 0) / ring.length, ring.reduce((s, p) => s + p[1], 0) / ring.length];
+  }
+
+  /* =========================
+     후보 구성요소 + 점수(입력 주소와 얼마나 맞는지)
+  ========================= */
+
+  // Nominatim addressdetails → parts (광역시/특별시는 city 로 오는 경우가 많아 시도로 옮김)
+  function nominatimParts(a) {
+    if (!a || typeof a !== "object") return null;
+    const metro = /(특별시|광역시|특별자치시)$/;
+    const sido = a.province || a.state || (metro.test(a.city || "") ? a.city : "");
+    const sigungu = [a.city !== sido ? a.city : "", a.county, a.borough, a.city_district].filter(Boolean);
+    return {
+      sido: sido || "",
+      sigungu: [...new Set(sigungu)].join(" "),
+      eupmyeondong: a.quarter || a.suburb || a.town || a.village || a.neighbourhood || "",
+      road: a.road || "",
+      number: a.house_number || "",
+      postcode: a.postcode || "",
+    };
+  }
+
+  // Nominatim 검색 URL — 두 런타임이 같은 형식(jsonv2 + addressdetails)으로 물어보게 여기서만 만듦
+  const NOMINATIM_SEARCH_URL = "https://nominatim.openstreetmap.org/search";
+  function nominatimSearchUrl(text, { limit = MAX_CANDIDATES } = {}) {
+    const params = new URLSearchParams({ format: "jsonv2", addressdetails: "1", limit: String(limit), q: String(text || "") });
+    return `${NOMINATIM_SEARCH_URL}?${params}`;
+  }
+
+  // Nominatim 검색 결과 1건 → 후보 (importance 는 주소 구성요소가 없을 때 점수 대신 씀, address 는 Nominatim 원본 addressdetails)
+  function nominatimCandidate(hit, precision) {
+    return {
+      lat: hit.lat,
+      lon: hit.lon,
+      display_name: hit.display_name,
+      precision,
+      parts: nominatimParts(hit.address),
+      importance: Number.isFinite(Number(hit.importance)) ? Number(hit.importance) : null,
+      address: hit.address || null,
+    };
+  }
+
+  const squash = (s) => String(s || "").replace(/[\s,()]/g, "");
+  const lotText = (n) => (n ? (n.sub ? `${n.main}-${n.sub}` : String(n.main)) : "");
+
+  // 입력 주소의 구성요소별 가중치(있는 것만 합쳐서 0~1 로 맞춤)
+  const SCORE_WEIGHTS = { sido: 0.15, sigungu: 0.3, place: 0.3, number: 0.25 };
+
+  /**
+   * 후보 1건 점수: 입력에 있는 시도/시군구/읍면동·도로/번지·건물번호가 후보(parts + display_name)에 들어 있는지
+   *  - 시도는 약칭(서울), 읍면동은 행정동 번호(역삼1동 ↔ 역삼동)도 맞는 것으로 봄
+   *  - 입력에 구성요소가 하나도 없으면(자유 검색어) Nominatim importance, 그것도 없으면 0.5
+   * → { score, matched:[...], missed:[...] }
+   */
+  function scoreCandidate(parsed, cand) {
+    const p = cand?.parts || {};
+    const base = squash([p.sido, p.sigungu, p.eupmyeondong, p.road, cand?.display_name].join(" "));
+    const hay = `${base}|${base.replace(/(\D)\d+동/g, "$1동")}`;
+    const spaced = ` ${[p.number, cand?.display_name].join(" ").replace(/[,()]/g, " ")} `;
+    const has = (t) => !!t && hay.includes(squash(t));
+
+    const checks = [];
+    if (parsed?.sido) {
+      const sido = AddressKr.findSido(parsed.sido);
+      checks.push(["sido", [parsed.sido, ...(sido?.aliases || [])].some(has)]);
+    }
+    if (parsed?.sigungu) checks.push(["sigungu", parsed.sigungu.split(/\s+/).every(has)]);
+    if (parsed?.road) checks.push(["place", has(parsed.road)]);
+    else if (parsed?.eupmyeondong) {
+      const dong = parsed.eupmyeondong;
+      checks.push(["place", has(dong) || has(dong.replace(/\d+(동)$/, "$1"))]);
+    }
+    const num = lotText(parsed?.road ? parsed.building_no : parsed?.bunji);
+    if (num) {
+      const re = new RegExp(`[^\\d-]${num}(?![\\d-]*\\d)`);
+      checks.push(["number", cand?.pnu ? true : re.test(spaced)]);
+    }
+
+    if (!checks.length) {
+      const score = cand?.importance != null ? Math.min(1, cand.importance) : 0.5;
+      return { score: Math.round(score * 100) / 100, matched: [], missed: [] };
+    }
+    const total = checks.reduce((s, [k]) => s + SCORE_WEIGHTS[k], 0);
+    const got = checks.reduce((s, [k, hit]) => s + (hit ? SCORE_WEIGHTS[k] : 0), 0);
+    return {
+      score: Math.round((got / total) * 100) / 100,
+      matched: checks.filter(([, hit]) => hit).map(([k]) => k),
+      missed: checks.filter(([, hit]) => !hit).map(([k]) => k),
+    };
+  }
+
+  // 두 후보 사이 거리(m, 근사) — 같은 건물의 node/way 처럼 가까운 중복을 합칠 때
+  function distanceM(a, b) {
+    const lat1 = Number(a.lat);
+    const lat2 = Number(b.lat);
+    const dx = (Number(a.lon) - Number(b.lon)) * Math.cos((((lat1 + lat2) / 2) * Math.PI) / 180);
+    return Math.hypot(dx, lat1 - lat2) * 111320;
+  }
+
+  // provider 에는 항상 MAX_CANDIDATES 개를 요청(캐시 값 하나로 ?limit 이 달라도 씀), 응답은 ?limit(기본 DEFAULT_CANDIDATES)
+  const MAX_CANDIDATES = 10;
+  const DEFAULT_CANDIDATES = 5;
+
+  const SAME_PLACE_M = 50;
+  const CONFIDENT_SCORE = 0.75;
+  const CLOSE_SCORE = 0.1;
+
+  /**
+   * 후보 정렬 + 신뢰도
+   *  - 점수순(같으면 provider 순서), SAME_PLACE_M 안의 중복은 앞의 것만
+   *  - low: 1위 점수가 CONFIDENT_SCORE 미만 / 1위가 읍면동·도로 수준(area) / 점수 차 CLOSE_SCORE 안에 다른 곳 후보
+   * → { candidates:[{ ...cand, rank, score, matched, missed }], confidence:{ level, score, reasons:[{ code, message }] } | null }
+   */
+  function rankCandidates(parsed, candidates, { limit = DEFAULT_CANDIDATES } = {}) {
+    const scored = (Array.isArray(candidates) ? candidates : [])
+      .map((c, i) => ({ c: { ...c, ...scoreCandidate(parsed, c) }, i }))
+      .sort((a, b) => b.c.score - a.c.score || a.i - b.i)
+      .map((x) => x.c);
+
+    const list = [];
+    scored.forEach((c) => {
+      if (list.length >= limit) return;
+      if (list.some((k) => distanceM(k, c) <= SAME_PLACE_M)) return;
+      list.push(c);
+    });
+    list.forEach((c, i) => {
+      c.rank = i + 1;
+    });
+    if (!list.length) return { candidates: list, confidence: null };
+
+    const [top, second] = list;
+    const reasons = [];
+    if (top.score < CONFIDENT_SCORE) {
+      reasons.push({ code: "low_score", message: `입력 주소와 맞지 않는 부분이 있습니다(${top.missed.join(", ") || "-"}).` });
+    }
+    if (top.precision === "area") {
+      reasons.push({ code: "area_only", message: "번지/건물번호까지는 찾지 못해 읍면동·도로 위치입니다." });
+    }
+    if (second && top.score - second.score <= CLOSE_SCORE) {
+      reasons.push({ code: "ambiguous", message: `비슷하게 맞는 다른 위치 후보가 ${list.length - 1}곳 있습니다.` });
+    }
+    return {
+      candidates: list,
+      confidence: { level: reasons.length ? "low" : "high", score: top.score, reasons },
+    };
+  }
+
+  /* =========================
+     local provider (도로명주소 API/주소DB 대신 쓰는 stub)
+  ========================= */
+
+  /**
+   *  address: { codes:[{ code, name }], roads:[{ sigungu, road, main, sub, pnu }] } (geodata/address.sample.json 모양)
+   *  parcels: 필지 FeatureCollection(properties.pnu) — 좌표는 필지 안쪽 점
+   *  지번/PNU 는 법정동코드 표로 PNU 를 만들고, 도로명은 roads 표로 PNU 를 찾은 뒤 필지에서 좌표를 구함
+   *  건물번호 없이 도로명만 적으면(kind:"partial") 그 도로의 건물 전부가 후보
+   */
+  function createLocalProvider({ address, parcels = null, source = "local_address" } = {}) {
+    const table = AddressKr.createCodeTable(address?.codes);
+    const roads = (Array.isArray(address?.roads) ? address.roads : []).filter((r) => r && r.road && r.pnu);
+    const lots = new Map();
+    (Array.isArray(parcels?.features) ? parcels.features : []).forEach((f) => {
+      const pnu = String(f?.properties?.pnu || f?.properties?.PNU || "").trim();
+      const polygons = ParcelGeo.parsePolygonInput(f?.geometry);
+      if (pnu && polygons) lots.set(pnu, { polygons });
+    });
+
+    // 도로명 (+ 건물번호) → roads 행 ("중구" 만 적어도 "서울특별시 중구" 와 맞음)
+    function roadRows(parsed) {
+      const area = [parsed.sido, ...String(parsed.sigungu || "").split(" ")].filter(Boolean);
+      const no = parsed.building_no;
+      return roads.filter(
+        (r) =>
+          r.road === parsed.road &&
+          (!no || (Number(r.main) === no.main && Number(r.sub || 0) === no.sub)) &&
+          area.every((t) => String(r.sigungu || "").split(/\s+/).includes(t))
+      );
+    }
+
+    // PNU → 후보 (필지가 없으면 null)
+    function lotCandidate(pnu, road = null) {
+      const lot = lots.get(pnu);
+      if (!lot) return null;
+      const pt = pointOnParcel(lot.polygons);
+      const row = table.byCode(pnu.slice(0, 10));
+      const area = row ? AddressKr.parseAddress(row.name) : null;
+      const jibun = AddressKr.parsePnu(pnu).jibun;
+      return {
+        lat: String(pt[1]),
+        lon: String(pt[0]),
+        display_name: [row?.name, jibun].filter(Boolean).join(" ") || pnu,
+        precision: "parcel",
+        parts: {
+          sido: area?.sido || "",
+          sigungu: area?.sigungu || "",
+          eupmyeondong: area?.eupmyeondong || "",
+          road: road ? road.road : "",
+          number: road ? `${road.main}${Number(road.sub) ? `-${road.sub}` : ""}` : jibun,
+          postcode: "",
+        },
+        pnu,
+      };
+    }
+
+    return defineProvider({
+      name: "local",
+
+      async geocode(query, { parsed = null } = {}) {
+        const p = parsed || AddressKr.parseAddress(query, { table });
+        if (p.kind === "partial" && p.road) {
+          const candidates = roadRows(p)
+            .map((r) => lotCandidate(String(r.pnu), r))
+            .filter(Boolean);
+          if (candidates.length) return { found: true, candidates, source };
+          return { found: false, candidates: [], source: `${source}_not_found`, pnu: null, raw_status: "NO_ROAD" };
+        }
+
+        let pnu = null;
+        let road = null;
+        if (p.kind === "pnu") pnu = p.pnu;
+        else if (p.kind === "jibun") pnu = AddressKr.describeAddress(p, table).pnu;
+        else if (p.kind === "road") {
+          const rows = roadRows(p);
+          road = rows.length === 1 ? rows[0] : null;
+          pnu = road ? String(road.pnu) : null;
+        }
+
+        const cand = pnu ? lotCandidate(pnu, road) : null;
+        if (!cand) {
+          return {
+            found: false,
+            candidates: [],
+            source: `${source}_not_found`,
+            pnu,
+            raw_status: pnu ? (parcels ? "NO_PARCEL" : "NO_PARCEL_DATA") : "NO_PNU",
+          };
+        }
+
+        return { found: true, candidates: [cand], source };
+      },
+    });
+  }
+
+  return {
+    MAX_CANDIDATES,
+    DEFAULT_CANDIDATES,
+    defineProvider,
+    pointOnParcel,
+    nominatimParts,
+    NOMINATIM_SEARCH_URL,
+    nominatimSearchUrl,
+    nominatimCandidate,
+    scoreCandidate,
+    rankCandidates,
+    createLocalProvider,
+  };
+});
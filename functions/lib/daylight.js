@@ -0,0 +1,188 @@
+/**
+ * functions/lib/daylight.js
+ * 정북방향 일조 사선: 층별 허용 높이 / 여유(margin) 산정
+ * (Express / Cloudflare Pages Functions 공용)
+ *
+ * 사용처: lib/judge.js(POST /api/checklists/judge 판정 파이프라인), lib/massing.js(규모 산정의 정북 이격)
+ *
+ * 건축법 시행령 제86조 제1항(전용·일반주거지역, 정북방향 인접 대지경계선에서)
+ *  - 높이 10m 이하 부분: 1.5m 이상 띄움
+ *  - 높이 10m 초과 부분: 그 부분 높이의 1/2 이상 띄움
+ *  → 경계선까지 거리 d 에서 허용 높이 = d < 1.5 ? 0 : max(10, 2d)
+ *
+ * appliesToZoning(zoning): 정북방향 일조 대상 용도지역(전용·일반주거지역)인지
+ * ZONINGS: 대상 용도지역 정식 명칭(체크리스트 daylight 항목 applies_to.zoning_in 과 같은 목록)
+ *
+ * computeEnvelope({ floor_heights, north_gap_m, north_gaps }) → { floors:[...], height_m, margin_m, floors_allowed, ... }
+ *  - 층마다 맨 위(top) 높이를 그 층의 경계 거리 허용 높이와 비교(계단형이면 north_gaps 로 층별 거리)
+ *  - margin_m: 층별 (허용 높이 - 층 top) 중 가장 작은 값(음수면 저촉)
+ *
+ * judgeValues({ context, values }) → { values, daylight }
+ *  - POST /api/checklists/judge 용: daylight_margin_m / daylight_max_height_m / daylight_floors_allowed 를 values 에 넣음
+ *  - 층고: floor_heights_m("4,3,3") > floors + ground_floor_height_m/floor_height_m > floors + height_m(균등) > height_m(한 덩어리)
+ *  - 경계 거리: setback_m(모든 층 같음) 또는 north_gaps_m("1.5,1.5,1.5,4.5": 아래층부터)
+ *  - 판정 기준(여유 몇 m 부터 allow 인지)은 rule_engine.json daylight auto_rules 에 둠
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./rule_engine"));
+  else root.Daylight = factory(root.RuleEngine);
+})(typeof globalThis !== "undefined" ? globalThis : this, (RuleEngine) => {
+  "use strict";
+
+  const LOW_HEIGHT_M = 10;
+  const LOW_GAP_M = 1.5;
+  const BASIS = "건축법 제61조 제1항, 시행령 제86조 제1항";
+
+  // 시행령 제86조 제1항: 전용주거지역과 일반주거지역
+  //  ZONINGS 는 체크리스트 daylight 항목 applies_to.zoning_in 과 같아야 함(rules_lint 가 검사)
+  const ZONING_PATTERN = /(전용|일반)주거지역$/;
+  const ZONINGS = ["제1종전용주거지역", "제2종전용주거지역", "제1종일반주거지역", "제2종일반주거지역", "제3종일반주거지역"];
+
+  const NOTE = "※ 지표면·대지경계선 기준 간이 산정입니다. 지자체 조례(완화/강화), 공동주택 채광 기준 등은 별도 확인해 주세요.";
+
+  const r2 = (n) => (Number.isFinite(n) ? Math.round(n * 100) / 100 : null);
+  const EPS = 1e-9;
+
+  // 숫자 입력 해석은 RuleEngine.toNum 하나로(빈 문자열/공백은 0 이 아니라 값 없음)
+  const num = RuleEngine.toNum;
+
+  // [4, 3] 또는 "4,3" / "4 3" → 숫자 배열(하나라도 숫자가 아니면 null)
+  function numList(v) {
+    if (v == null || v === "") return null;
+    const parts = Array.isArray(v) ? v : String(v).split(/[\s,]+/).filter(Boolean);
+    const out = parts.map(num);
+    return out.length && out.every((n) => n != null) ? out : null;
+  }
+
+  function appliesToZoning(zoning) {
+    return ZONING_PATTERN.test(String(zoning || "").trim());
+  }
+
+  // 경계선까지 거리 → 허용 높이(m)
+  function maxHeightAt(gap) {
+    if (!(gap + EPS >= LOW_GAP_M)) return 0;
+    return Math.max(LOW_HEIGHT_M, 2 * gap);
+  }
+
+  // 높이 → 필요한 경계 거리(m)
+  function requiredGap(height) {
+    return height <= LOW_HEIGHT_M + EPS ? LOW_GAP_M : height / 2;
+  }
+
+  /**
+   * floor_heights: 아래층부터 층고 [m]
+   * north_gap_m: 모든 층 공통 경계 거리, north_gaps: 층별 거리(모자라면 마지막 값을 위층에 계속 씀)
+   * → { floors:[{ floor, bottom_m, top_m, gap_m, required_gap_m, max_height_m, margin_m, ok }],
+   *     height_m, gap_m, max_height_m, margin_m, floors_allowed, over_floors:[floor...] }
+   *   floors_allowed: 아래층부터 연속으로 허용 높이 안에 드는 층수
+   */
+  function computeEnvelope({ floor_heights, north_gap_m = null, north_gaps = null } = {}) {
+    const heights = numList(floor_heights);
+    if (!heights || heights.some((h) => !(h > 0))) {
+      throw Object.assign(new Error("floor_heights 는 0보다 큰 숫자 목록이어야 합니다"), { code: "invalid_params" });
+    }
+    const gaps = numList(north_gaps);
+    const base = num(north_gap_m);
+    if (base == null && !gaps) {
+      throw Object.assign(new Error("north_gap_m 또는 north_gaps 가 필요합니다"), { code: "invalid_params" });
+    }
+    if ((base != null && base < 0) || (gaps && gaps.some((g) => g < 0))) {
+      throw Object.assign(new Error("경계 거리는 0 이상이어야 합니다"), { code: "invalid_params" });
+    }
+
+    let bottom = 0;
+    const floors = heights.map((h, i) => {
+      const gap = gaps ? gaps[Math.min(i, gaps.length - 1)] : base;
+      const top = bottom + h;
+      const maxH = maxHeightAt(gap);
+      const row = {
+        floor: i + 1,
+        bottom_m: r2(bottom),
+        top_m: r2(top),
+        gap_m: r2(gap),
+        required_gap_m: r2(requiredGap(top)),
+        max_height_m: r2(maxH),
+        margin_m: r2(maxH - top),
+        ok: top <= maxH + EPS,
+      };
+      bottom = top;
+      return row;
+    });
+
+    const firstOver = floors.findIndex((f) => !f.ok);
+    return {
+      floors,
+      height_m: r2(bottom),
+      gap_m: gaps ? r2(gaps[0]) : r2(base),
+      max_height_m: r2(Math.min(...floors.map((f) => f.max_height_m))),
+      margin_m: r2(Math.min(...floors.map((f) => f.margin_m))),
+      floors_allowed: firstOver < 0 ? floors.length : firstOver,
+      over_floors: floors.filter((f) => !f.ok).map((f) => f.floor),
+      basis: BASIS,
+    };
+  }
+
+  // 판정 요청(context/values, values 우선) → 아래층부터 층고 목록(못 구하면 null)
+  function floorHeightsFrom(pick) {
+    const list = numList(pick("floor_heights_m"));
+    if (list) return list;
+
+    const floors = num(pick("floors"));
+    const height = num(pick("height_m"));
+    const typical = num(pick("floor_height_m"));
+    const ground = num(pick("ground_floor_height_m"));
+
+    if (Number.isInteger(floors) && floors >= 1) {
+      if (typical != null || ground != null) {
+        const t = typical ?? ground;
+        return [ground ?? t, ...Array(floors - 1).fill(t)];
+      }
+      if (height != null) return Array(floors).fill(height / floors);
+    }
+    return height != null ? [height] : null;
+  }
+
+  /**
+   * 판정 전 values 에 일조 사선 산정값을 채움(사용자가 넣은 값이 있으면 그대로)
+   * → { values(새 객체), daylight: computeEnvelope 결과 + { source, note } | null(높이/경계 거리 없음) }
+   */
+  function judgeValues({ context, values } = {}) {
+    const v = values || {};
+    const c = context || {};
+    const pick = (k) => (num(v[k]) != null || (typeof v[k] === "string" && v[k].trim()) ? v[k] : c[k]);
+
+    const heights = floorHeightsFrom(pick);
+    const gap = num(pick("setback_m"));
+    const gaps = numList(pick("north_gaps_m"));
+    if (!heights || (gap == null && !gaps)) return { values: { ...v }, daylight: null };
+
+    let env;
+    try {
+      env = computeEnvelope({ floor_heights: heights, north_gap_m: gap, north_gaps: gaps });
+    } catch {
+      return { values: { ...v }, daylight: null };
+    }
+
+    const out = { ...v };
+    const given = num(v.daylight_margin_m) != null;
+    if (!given) {
+      out.daylight_margin_m = env.margin_m;
+      out.daylight_max_height_m = env.max_height_m;
+      out.daylight_floors_allowed = env.floors_allowed;
+    }
+    return { values: out, daylight: { ...env, source: given ? "values" : "computed", note: NOTE } };
+  }
+
+  return {
+    LOW_HEIGHT_M,
+    LOW_GAP_M,
+    BASIS,
+    NOTE,
+    ZONINGS,
+    appliesToZoning,
+    maxHeightAt,
+    requiredGap,
+    computeEnvelope,
+    judgeValues,
+  };
+});
@@ -0,0 +1,284 @@
+/**
+ * functions/lib/geo_cache.js
+ * 외부 조회(Nominatim geocode/reverse, VWorld 용도지역) 응답 캐시 (Express / Cloudflare Pages Functions 공용)
+ *
+ * 사용처:
+ *  - Express(functions/index.js):        const GeoCache = require("./lib/geo_cache");
+ *  - Cloudflare(functions/api/[[path]]): import GeoCache from "../lib/geo_cache.js";
+ *
+ * 키: geocode 는 정규화한 검색어, reverse/zoning 은 반올림한 좌표(+ provider 이름)
+ *   geocode:서울 중구 세종대로 110 / reverse:37.5665,126.978 / zoning:vworld:37.56650,126.97800
+ * 저장소는 앞에서부터 조회(memory → firestore | kv | cache_api), 뒤쪽에서 맞으면 앞쪽에 다시 채움.
+ * 저장소 오류는 캐시 없음으로 취급(조회는 계속), fetcher 오류는 저장하지 않고 그대로 throw.
+ * 못 찾은 응답(found:false)은 negative TTL(기본 10분)로 짧게 — 데이터가 채워지면 곧 다시 조회.
+ *
+ * 응답에 붙이는 cache 블록: { status: "hit" | "miss" | "bypass", layer, key, age_s, ttl_s, stored }
+ */
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.GeoCache = api;
+})(typeof globalThis !== "undefined" ? globalThis : this, () => {
+  "use strict";
+
+  const MINUTE_MS = 60 * 1000;
+  const DAY_MS = 24 * 60 * MINUTE_MS;
+
+  // Nominatim 정책(같은 검색 반복 금지) 기준으로 넉넉하게, 용도지역은 고시 변경이 있어 짧게
+  const DEFAULT_TTL_MS = {
+    geocode: 7 * DAY_MS,
+    reverse: 30 * DAY_MS,
+    zoning: 1 * DAY_MS,
+    // found:false 응답(geocode/zoning 공통, 위 kind 별 TTL 보다 길면 그 TTL)
+    negative: 10 * MINUTE_MS,
+  };
+
+  // 좌표 반올림 자릿수: 4 ≈ 11m(행정구역 수준), 5 ≈ 1.1m(용도지역 경계 근처는 구분)
+  const COORD_DIGITS = { reverse: 4, zoning: 5 };
+
+  const MAX_QUERY_LENGTH = 200;
+
+  // 검색어 정규화: NFC + 공백 하나로 + 소문자 (키 길이 제한)
+  function normalizeQuery(q) {
+    return String(q ?? "")
+      .normalize("NFC")
+      .trim()
+      .replace(/\s+/g, " ")
+      .toLowerCase()
+      .slice(0, MAX_QUERY_LENGTH);
+  }
+
+  function roundCoord(n, digits) {
+    const v = Number(n);
+    return Number.isFinite(v) ? v.toFixed(digits) : "";
+  }
+
+  /**
+   * kind: geocode | reverse | zoning
+   *  - geocode: input = 검색어(문자열) 또는 { q }
+   *  - reverse/zoning: input = { lat, lon }
+   *  scope: 같은 좌표라도 데이터 소스가 다르면 다른 키(예: zoning 의 provider 이름)
+   */
+  function cacheKey(kind, input, scope = "") {
+    const prefix = scope ? `${kind}:${scope}` : kind;
+    if (kind === "geocode") return `${prefix}:${normalizeQuery(typeof input === "object" ? input?.q : input)}`;
+    const digits = COORD_DIGITS[kind] ?? 5;
+    return `${prefix}:${roundCoord(input?.lat, digits)},${roundCoord(input?.lon, digits)}`;
+  }
+
+  /**
+   * 환경변수 GEO_CACHE_TTL_GEOCODE_S / _REVERSE_S / _ZONING_S / _NEGATIVE_S(초) → createGeoCache 의 ttlMs
+   *  env: process.env 또는 Cloudflare env (없거나 숫자가 아니면 그 kind 는 기본값, 0 이면 캐시 안 함)
+   */
+  function ttlMsFromEnv(env) {
+    const out = {};
+    Object.keys(DEFAULT_TTL_MS).forEach((kind) => {
+      const raw = env?.[`GEO_CACHE_TTL_${kind.toUpperCase()}_S`];
+      if (raw == null || String(raw).trim() === "") return;
+      const sec = Number(raw);
+      if (Number.isFinite(sec)) out[kind] = Math.max(0, sec) * 1000;
+    });
+    return out;
+  }
+
+  /* =========================
+     stores: { name, get(key) → entry | null, set(key, entry) }
+     entry: { value, stored_at, expires_at } (ms)
+  ========================= */
+
+  // 인스턴스 메모리(LRU, maxEntries 넘으면 가장 오래 안 쓴 것부터 버림)
+  function createMemoryStore({ maxEntries = 500 } = {}) {
+    const map = new Map();
+    return {
+      name: "memory",
+      async get(key) {
+        const e = map.get(key);
+        if (!e) return null;
+        map.delete(key);
+        map.set(key, e);
+        return e;
+      },
+      async set(key, entry) {
+        map.delete(key);
+        map.set(key, entry);
+        while (map.size > maxEntries) map.delete(map.keys().next().value);
+      },
+      size: () => map.size,
+    };
+  }
+
+  // Firestore 문서 id 에 "/" 를 못 써서 인코딩
+  function docId(key) {
+    return encodeURIComponent(key).slice(0, 1400);
+  }
+
+  // Express: Firestore 컬렉션(인스턴스 사이 공유). value 는 JSON 문자열로(중첩 배열 제한 회피)
+  function createFirestoreStore({ getDb, collection = "geo_cache" }) {
+    return {
+      name: "firestore",
+      async get(key) {
+        const snap = await getDb().collection(collection).doc(docId(key)).get();
+        if (!snap.exists) return null;
+        const d = snap.data() || {};
+        return { value: JSON.parse(d.value_json), stored_at: d.stored_at, expires_at: d.expires_at };
+      },
+      async set(key, entry) {
+        await getDb()
+          .collection(collection)
+          .doc(docId(key))
+          .set({ key, value_json: JSON.stringify(entry.value), stored_at: entry.stored_at, expires_at: entry.expires_at });
+      },
+    };
+  }
+
+  // Cloudflare: KV 바인딩(expirationTtl 최소 60초)
+  function createKvStore(kv) {
+    return {
+      name: "kv",
+      async get(key) {
+        return (await kv.get(key, "json")) || null;
+      },
+      async set(key, entry) {
+        const ttl = Math.max(60, Math.ceil((entry.expires_at - entry.stored_at) / 1000));
+        await kv.put(key, JSON.stringify(entry), { expirationTtl: ttl });
+      },
+    };
+  }
+
+  // Cloudflare: Cache API(caches.default, 데이터센터 단위). 키는 가짜 URL
+  function createCacheApiStore(cache, { origin = "https://geo-cache.internal" } = {}) {
+    const urlOf = (key) => `${origin}/${encodeURIComponent(key)}`;
+    return {
+      name: "cache_api",
+      async get(key) {
+        const r = await cache.match(urlOf(key));
+        return r ? r.json() : null;
+      },
+      async set(key, entry) {
+        const ttl = Math.max(1, Math.ceil((entry.expires_at - entry.stored_at) / 1000));
+        await cache.put(
+          urlOf(key),
+          new Response(JSON.stringify(entry), {
+            headers: { "content-type": "application/json", "cache-control": `max-age=${ttl}` },
+          })
+        );
+      },
+    };
+  }
+
+  /* =========================
+     cache
+  ========================= */
+
+  /**
+   * stores: 조회 순서대로(보통 [memory, firestore|kv|cache_api])
+   * ttlMs:  { geocode, reverse, zoning, negative } (빠진 kind 는 DEFAULT_TTL_MS)
+   * onError(err, store, op): 저장소 오류 기록용(선택)
+   */
+  function createGeoCache({ stores = [createMemoryStore()], ttlMs = {}, now = () => Date.now(), onError = null } = {}) {
+    const ttls = { ...DEFAULT_TTL_MS, ...ttlMs };
+    const stats = {}; // kind -> { hit, miss }
+    const count = (kind, field) => {
+      stats[kind] = stats[kind] || { hit: 0, miss: 0 };
+      stats[kind][field]++;
+    };
+    const safe = async (store, op, fn) => {
+      try {
+        return await fn();
+      } catch (e) {
+        if (onError) onError(e, store, op);
+        return null;
+      }
+    };
+
+    async function lookup(key) {
+      const t = now();
+      for (let i = 0; i < stores.length; i++) {
+        const store = stores[i];
+        const entry = await safe(store, "get", () => store.get(key));
+        if (!entry || !(Number(entry.expires_at) > t)) continue;
+        // 뒤쪽 저장소에서 맞으면 앞쪽(메모리)에 다시 채움
+        for (let j = 0; j < i; j++) await safe(stores[j], "set", () => stores[j].set(key, entry));
+        return { entry, layer: store.name };
+      }
+      return null;
+    }
+
+    /**
+     * 캐시에 있으면 그 값, 없으면 fetcher() 결과를 저장하고 반환
+     *  cacheable(value): false 면 저장하지 않음(일시 오류 응답 등)
+     *  negative(value): true 면 ttlMs.negative 로 저장(기본: found === false)
+     *  → { value, cache:{ status, layer, key, age_s, ttl_s, stored } }
+     *  fetcher 가 throw 하면 err.cache = { status:"miss", stored:false, key } 를 붙여 다시 throw
+     */
+    async function wrap(
+      kind,
+      input,
+      fetcher,
+      { scope = "", cacheable = () => true, negative = (v) => v?.found === false } = {}
+    ) {
+      const key = cacheKey(kind, input, scope);
+      const ttl = Math.max(0, Number(ttls[kind]) || 0);
+
+      if (ttl > 0) {
+        const hit = await lookup(key);
+        if (hit) {
+          count(kind, "hit");
+          const t = now();
+          return {
+            value: hit.entry.value,
+            cache: {
+              status: "hit",
+              layer: hit.layer,
+              key,
+              age_s: Math.max(0, Math.round((t - Number(hit.entry.stored_at)) / 1000)),
+              ttl_s: Math.max(0, Math.round((Number(hit.entry.expires_at) - t) / 1000)),
+            },
+          };
+        }
+      }
+
+      count(kind, "miss");
+      let value;
+      try {
+        value = await fetcher();
+      } catch (e) {
+        if (e && typeof e === "object") e.cache = { status: "miss", key, stored: false };
+        throw e;
+      }
+
+      const valueTtl = negative(value) ? Math.min(ttl, Math.max(0, Number(ttls.negative) || 0)) : ttl;
+      const store = valueTtl > 0 && cacheable(value);
+      if (store) {
+        const t = now();
+        const entry = { value, stored_at: t, expires_at: t + valueTtl };
+        await Promise.all(stores.map((s) => safe(s, "set", () => s.set(key, entry))));
+      }
+      return { value, cache: { status: "miss", layer: null, key, ttl_s: Math.round(valueTtl / 1000), stored: store } };
+    }
+
+    return {
+      wrap,
+      stores: stores.map((s) => s.name),
+      ttl_s: Object.fromEntries(Object.entries(ttls).map(([k, v]) => [k, Math.round(v / 1000)])),
+      stats: () => JSON.parse(JSON.stringify(stats)),
+    };
+  }
+
+  // 캐시를 거치지 않은 응답(로컬 데이터/조회 안 함)
+  const BYPASS = Object.freeze({ status: "bypass" });
+
+  return {
+    DEFAULT_TTL_MS,
+    COORD_DIGITS,
+    BYPASS,
+    normalizeQuery,
+    cacheKey,
+    ttlMsFromEnv,
+    createMemoryStore,
+    createFirestoreStore,
+    createKvStore,
+    createCacheApiStore,
+    createGeoCache,
+  };
+});
@@ -0,0 +1,101 @@
+/**
+ * functions/lib/judge.js
+ * POST /api/checklists/judge 판정 파이프라인
+ * 서버 계산값(주차/일조)을 values 에 채운 뒤 체크리스트 판정
+ * (Express / Cloudflare Pages Functions / scripts/rule_fixtures.js 공용)
+ *
+ * 사용처:
+ *  - Express(functions/index.js):
+ *      const Judge = require("./lib/judge");
+ *  - Cloudflare(functions/api/[[path]]):
+ *      import Judge from "../lib/judge.js";
+ *
+ * prepareValues(baseRules, {context, values})
+ *   → {values, parking, daylight, ordinance}
+ *  - 조례(RuleEngine.resolveOrdinance) → 법정 주차대수(lib/parking.js)
+ *    → 정북방향 일조 여유(lib/daylight.js) 순서
+ *
+ * judge({checklists, ruleEngine, baseRules, context, values, explain})
+ *   → RuleEngine.judgeChecklist 결과 + {parking, daylight}
+ */
+/* global globalThis */
+(function(root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(
+        require("./rule_engine"),
+        require("./parking"),
+        require("./daylight"),
+    );
+  } else {
+    root.Judge = factory(root.RuleEngine, root.Parking, root.Daylight);
+  }
+})(typeof globalThis !== "undefined" ? globalThis : this, (
+    RuleEngine,
+    Parking,
+    Daylight,
+) => {
+  "use strict";
+
+  /**
+   * 주차/일조 계산값을 values 에 채움
+   * @param {object} baseRules base_rules.json
+   * @param {object} input {context, values}
+   * @return {object} {values, parking, daylight, ordinance}
+   */
+  function prepareValues(baseRules, input) {
+    const ctx = (input && input.context) || {};
+    const values = (input && input.values) || {};
+
+    // 법정 주차대수: 용도별 면적 × 설치기준(조례 > 국가) → values.parking_required
+    const ordinance = RuleEngine.resolveOrdinance(ctx.jurisdiction, baseRules);
+    const withParking = Parking.judgeValues(baseRules, {
+      context: ctx,
+      values,
+      ordinance,
+    });
+
+    // 정북방향 일조 사선: 층별 허용 높이 → values.daylight_margin_m
+    // (층고/경계 거리 없으면 그대로)
+    const withDaylight = Daylight.judgeValues({
+      context: ctx,
+      values: withParking.values,
+    });
+
+    return {
+      values: withDaylight.values,
+      parking: withParking.parking,
+      daylight: withDaylight.daylight,
+      ordinance,
+    };
+  }
+
+  /**
+   * prepareValues 후 RuleEngine.judgeChecklist
+   * @param {object} input
+   *   {checklists, ruleEngine, baseRules, context, values, explain}
+   * @return {object} judgeChecklist 결과 + {parking, daylight}
+   */
+  function judge(input) {
+    const ctx = (input && input.context) || {};
+    const prepared = prepareValues(input.baseRules, {
+      context: ctx,
+      values: input.values,
+    });
+    const judged = RuleEngine.judgeChecklist({
+      checklists: input.checklists,
+      ruleEngine: input.ruleEngine,
+      context: ctx,
+      values: prepared.values,
+      explain: !!input.explain,
+    });
+    return Object.assign({}, judged, {
+      parking: prepared.parking,
+      daylight: prepared.daylight,
+    });
+  }
+
+  return {
+    prepareValues,
+    judge,
+  };
+});
@@ -0,0 +1,508 @@
+/**
+ * functions/lib/massing.js
+ * 건축 규모(매스) 산정: 대지 → 건축선 후퇴 → 건폐율/대지 형상 → 용적률 → 높이/일조/층수 제한 → 지하층
+ * (Express / Cloudflare Pages Functions 공용)
+ *
+ * 사용처:
+ *  - Express(functions/index.js):        const Massing = require("./lib/massing");
+ *  - Cloudflare(functions/api/[[path]]): import Massing from "../lib/massing.js";
+ *
+ * computeMassing(input) → { result, steps }
+ *  - steps: 제약을 하나씩 적용한 순서대로 [{ key, label, before, after, unit, reduced, note, basis? }]
+ *    (reduced: 그 단계에서 값이 줄었는지 — 화면/상담 멘트에서 "왜 이만큼인지" 설명용)
+ *  - 건물은 층마다 같은 바닥(footprint)을 쌓는 상자로 보고, 맨 위층만 남은 면적으로 작게 둠
+ *  - 정북방향 일조는 lib/daylight.js 의 층별 허용 높이(checklists/judge 의 daylight 와 같은 계산)
+ *
+ * computeWithLimits(input, caps, { mode }) → computeMassing 결과 + limits(입력값 vs 법정 상한) + compare(요청값/상한 나란히)
+ *  - caps 는 호출 쪽이 용도지역 룰(base_rules)에서 찾아서 넘김: { bcr_max, far_max, layers? }
+ *  - zoning 을 주면 정북방향 일조는 전용·일반주거지역에서만(그 밖이면 north_gap 무시 + daylight_skip 단계)
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./rule_engine"), require("./daylight"));
+  else root.Massing = factory(root.RuleEngine, root.Daylight);
+})(typeof globalThis !== "undefined" ? globalThis : this, (RuleEngine, Daylight) => {
+  "use strict";
+
+  const DEFAULT_FLOOR_HEIGHT_M = 3.3;
+
+  const NOTE = "※ 층마다 같은 바닥을 쌓는 상자형 매스 기준입니다. 실제는 대지 형상·주차·조례·심의 등으로 달라질 수 있어요.";
+
+  // 건축법 제46조: 도로 폭이 4m 미만이면 도로 중심선에서 2m 물러난 선이 건축선
+  const MIN_ROAD_WIDTH_M = 4;
+
+  const BASIS = {
+    road_setback: "건축법 제46조, 시행령 제119조 제1항 제1호",
+    coverage: "건축법 제55조",
+    far: "건축법 제56조",
+    exempt: "건축법 시행령 제119조 제1항 제4호",
+    daylight: Daylight.BASIS,
+    basement: "건축법 시행령 제119조 제1항 제4호 가목",
+  };
+
+  const r2 = (n) => (Number.isFinite(n) ? Math.round(n * 100) / 100 : null);
+  const EPS = 1e-9;
+
+  // 숫자 입력 해석은 RuleEngine.toNum 하나로(빈 문자열/공백은 0 이 아니라 값 없음)
+  const num = RuleEngine.toNum;
+
+  /**
+   * 쿼리/본문 → computeMassing 입력 (숫자가 아니면 null)
+   *  get(name): URLSearchParams.get 또는 req.query 조회
+   *  site, coverage, far, floor(기준층 층고), ground_floor(1층 층고), width, depth(대지 폭/깊이, 도로에서 안쪽으로),
+   *  road_width, frontage(접도 길이), basements, basement_area(지하 1개 층 면적), exempt(용적률 제외 지상 면적),
+   *  height_limit, floor_limit, north_gap(건물 북쪽 면 ~ 정북 대지경계선, 주거지역에서 정북 일조 적용 시)
+   */
+  function inputFromQuery(get) {
+    return {
+      site_area_m2: num(get("site")),
+      coverage_pct: num(get("coverage")),
+      far_pct: num(get("far")),
+      floor_height_m: num(get("floor")),
+      ground_floor_height_m: num(get("ground_floor")),
+      width_m: num(get("width")),
+      depth_m: num(get("depth")),
+      road_width_m: num(get("road_width")),
+      frontage_m: num(get("frontage")),
+      basement_floors: num(get("basements")),
+      basement_area_m2: num(get("basement_area")),
+      exempt_area_m2: num(get("exempt")),
+      height_limit_m: num(get("height_limit")),
+      floor_limit: num(get("floor_limit")),
+      north_gap_m: num(get("north_gap")),
+    };
+  }
+
+  // → 오류 메시지 배열(비어 있으면 통과)
+  function validateInput(inp) {
+    const errors = [];
+    const pos = (k, v) => {
+      if (v != null && !(v > 0)) errors.push(`${k} 는 0보다 커야 합니다`);
+    };
+    const nonNeg = (k, v) => {
+      if (v != null && !(v >= 0)) errors.push(`${k} 는 0 이상이어야 합니다`);
+    };
+    const int = (k, v, min) => {
+      if (v != null && !(Number.isInteger(v) && v >= min)) errors.push(`${k} 는 ${min} 이상 정수여야 합니다`);
+    };
+
+    const hasShape = inp.width_m != null || inp.depth_m != null;
+    if (hasShape && (inp.width_m == null || inp.depth_m == null)) errors.push("width/depth 는 같이 넣어야 합니다");
+    if (inp.site_area_m2 == null && !hasShape) errors.push("site(대지면적) 또는 width/depth 가 필요합니다");
+    if (inp.coverage_pct == null || inp.coverage_pct <= 0 || inp.coverage_pct > 100) errors.push("coverage 는 0 초과 100 이하(%)");
+    if (inp.far_pct == null || inp.far_pct <= 0) errors.push("far 는 0보다 커야 합니다");
+
+    pos("site", inp.site_area_m2);
+    pos("width", inp.width_m);
+    pos("depth", inp.depth_m);
+    pos("floor", inp.floor_height_m);
+    pos("ground_floor", inp.ground_floor_height_m);
+    pos("road_width", inp.road_width_m);
+    pos("frontage", inp.frontage_m);
+    pos("height_limit", inp.height_limit_m);
+    nonNeg("basement_area", inp.basement_area_m2);
+    nonNeg("exempt", inp.exempt_area_m2);
+    nonNeg("north_gap", inp.north_gap_m);
+    int("basements", inp.basement_floors, 0);
+    int("floor_limit", inp.floor_limit, 1);
+    if (inp.frontage_m != null && inp.road_width_m == null) errors.push("frontage 는 road_width 와 같이 넣어야 합니다");
+    return errors;
+  }
+
+  // 높이 한도 안에 들어가는 층수(1층 층고 + 기준층 층고)
+  function floorsWithin(heightM, groundM, typicalM) {
+    if (!Number.isFinite(heightM)) return Infinity;
+    if (heightM + EPS < groundM) return 0;
+    return 1 + Math.floor((heightM - groundM) / typicalM + EPS);
+  }
+
+  function computeMassing(input) {
+    const errors = validateInput(input || {});
+    if (errors.length) {
+      throw Object.assign(new Error(`invalid params: ${errors.join(", ")}`), { code: "invalid_params", errors });
+    }
+
+    const inp = input;
+    const typical = inp.floor_height_m ?? DEFAULT_FLOOR_HEIGHT_M;
+    const ground = inp.ground_floor_height_m ?? typical;
+    const exempt = inp.exempt_area_m2 ?? 0;
+    const basements = inp.basement_floors ?? 0;
+    const hasShape = inp.width_m != null;
+
+    const steps = [];
+    const step = (key, label, before, after, unit, note, extra = {}) =>
+      steps.push({
+        key,
+        label,
+        before: r2(before),
+        after: r2(after),
+        unit,
+        reduced: before != null && after != null && after < before - EPS,
+        note,
+        ...(BASIS[key] ? { basis: BASIS[key] } : {}),
+        ...extra,
+      });
+
+    // 1) 대지면적
+    const site = inp.site_area_m2 ?? inp.width_m * inp.depth_m;
+    step(
+      "site",
+      "대지면적",
+      null,
+      site,
+      "㎡",
+      inp.site_area_m2 != null ? "입력한 대지면적" : `대지 폭 ${r2(inp.width_m)}m × 깊이 ${r2(inp.depth_m)}m`
+    );
+
+    // 2) 건축선 후퇴: 후퇴한 부분은 대지면적에서 빠지고, 건축 가능한 깊이도 그만큼 줄어듦
+    let roadSetback = 0;
+    let effSite = site;
+    if (inp.road_width_m != null) {
+      if (inp.road_width_m < MIN_ROAD_WIDTH_M) {
+        roadSetback = (MIN_ROAD_WIDTH_M - inp.road_width_m) / 2;
+        const frontage = inp.frontage_m ?? inp.width_m;
+        if (frontage == null) {
+          step(
+            "road_setback",
+            "건축선 후퇴",
+            site,
+            site,
+            "㎡",
+            `도로 폭 ${r2(inp.road_width_m)}m → ${r2(roadSetback)}m 후퇴 대상이지만 접도 길이(frontage)를 몰라 면적은 빼지 않음`
+          );
+        } else {
+          const lost = frontage * roadSetback;
+          effSite = Math.max(0, site - lost);
+          step(
+            "road_setback",
+            "건축선 후퇴",
+            site,
+            effSite,
+            "㎡",
+            `도로 폭 ${r2(inp.road_width_m)}m(4m 미만) → 도로 중심선에서 2m 되는 선까지 ${r2(roadSetback)}m 후퇴, ` +
+              `접도 ${r2(frontage)}m × ${r2(roadSetback)}m = ${r2(lost)}㎡ 를 대지면적에서 제외`
+          );
+        }
+      } else {
+        step("road_setback", "건축선 후퇴", site, site, "㎡", `도로 폭 ${r2(inp.road_width_m)}m(4m 이상) → 후퇴 없음`);
+      }
+    }
+
+    // 3) 건폐율 → 최대 건축면적
+    const footprintBcr = (effSite * inp.coverage_pct) / 100;
+    step(
+      "coverage",
+      "건축면적(건폐율)",
+      null,
+      footprintBcr,
+      "㎡",
+      `대지면적 ${r2(effSite)}㎡ × 건폐율 ${r2(inp.coverage_pct)}%`
+    );
+
+    // 정북 일조: 1.5m 보다 가까이 둔 건물은 1.5m 로 물려서 계산
+    const daylight = inp.north_gap_m != null;
+    const northGap = daylight ? Math.max(inp.north_gap_m, Daylight.LOW_GAP_M) : 0;
+
+    // 4) 대지 형상: 폭 × (깊이 - 건축선 후퇴 - 정북 이격) 안에 들어가야 함
+    let footprint = footprintBcr;
+    let footprintBy = "coverage";
+    if (hasShape) {
+      const depth = Math.max(0, inp.depth_m - roadSetback - northGap);
+      const shape = inp.width_m * depth;
+      const cut = [
+        roadSetback ? `건축선 후퇴 ${r2(roadSetback)}m` : "",
+        daylight ? `정북 이격 ${r2(northGap)}m` : "",
+      ].filter(Boolean);
+      if (shape < footprintBcr - EPS) {
+        footprint = shape;
+        footprintBy = "shape";
+      }
+      step(
+        "shape",
+        "건축면적(대지 형상)",
+        footprintBcr,
+        footprint,
+        "㎡",
+        `건축 가능 범위 폭 ${r2(inp.width_m)}m × 깊이 ${r2(depth)}m${cut.length ? `(${cut.join(", ")} 제외)` : ""}` +
+          ` = ${r2(shape)}㎡` +
+          (footprintBy === "shape" ? " → 건폐율보다 작아 이 값으로" : " → 건폐율 한도 안")
+      );
+    }
+
+    // 5) 용적률 → 용적률 산정 연면적 한도, 6) 용적률 제외 면적은 그 위에 더함
+    const farMax = (effSite * inp.far_pct) / 100;
+    step("far", "지상 연면적(용적률)", null, farMax, "㎡", `대지면적 ${r2(effSite)}㎡ × 용적률 ${r2(inp.far_pct)}%`);
+    if (exempt > 0) {
+      step(
+        "exempt",
+        "용적률 제외 면적",
+        farMax,
+        farMax + exempt,
+        "㎡",
+        `용적률 산정에서 빠지는 지상 면적 ${r2(exempt)}㎡ 추가(주차장·피난안전구역 등)`
+      );
+    }
+
+    // 7) 층수: 연면적을 건축면적으로 나눈 만큼 쌓되, 높이/일조/층수 제한 중 가장 낮은 것까지
+    const wanted = footprint > 0 ? Math.ceil((farMax + exempt) / footprint - EPS) : 0;
+    step(
+      "floors_far",
+      "지상 층수(연면적 ÷ 건축면적)",
+      null,
+      wanted,
+      "층",
+      `${r2(farMax + exempt)}㎡ ÷ ${r2(footprint)}㎡ → ${wanted}층(맨 위층은 남은 면적만)`
+    );
+
+    const caps = [];
+    if (inp.height_limit_m != null) {
+      caps.push({
+        key: "height_limit",
+        label: "높이 제한",
+        height: inp.height_limit_m,
+        note: `최고 높이 ${r2(inp.height_limit_m)}m`,
+      });
+    }
+    if (daylight) {
+      // 층별 허용 높이(lib/daylight.js)로 아래층부터 들어가는 층수 — 허용 높이를 넘는 첫 층까지 쌓아 봄
+      const h = Daylight.maxHeightAt(northGap);
+      const stack = floorsWithin(h, ground, typical) + 1;
+      const env = Daylight.computeEnvelope({
+        floor_heights: [ground, ...Array(stack - 1).fill(typical)],
+        north_gap_m: northGap,
+      });
+      caps.push({
+        key: "daylight",
+        label: "정북방향 일조",
+        height: h,
+        floors: env.floors_allowed,
+        note:
+          `정북 대지경계선까지 ${r2(northGap)}m` +
+          (inp.north_gap_m < Daylight.LOW_GAP_M ? `(입력 ${r2(inp.north_gap_m)}m → 최소 1.5m 로 물림)` : "") +
+          ` → 높이 ${r2(h)}m 까지(10m 이하 1.5m, 초과 부분은 거리 × 2)`,
+      });
+    }
+    let floors = wanted;
+    let floorsBy = "far";
+    let maxHeight = null;
+    caps.forEach((c) => {
+      const n = c.floors ?? floorsWithin(c.height, ground, typical);
+      maxHeight = maxHeight == null ? c.height : Math.min(maxHeight, c.height);
+      step(
+        c.key,
+        c.label,
+        floors,
+        Math.min(floors, n),
+        "층",
+        `${c.note} → 1층 ${r2(ground)}m + 기준층 ${r2(typical)}m 로 ${n}층`
+      );
+      if (n < floors) {
+        floors = n;
+        floorsBy = c.key;
+      }
+    });
+    if (inp.floor_limit != null) {
+      step("floor_limit", "층수 제한", floors, Math.min(floors, inp.floor_limit), "층", `${inp.floor_limit}층 이하`);
+      if (inp.floor_limit < floors) {
+        floors = inp.floor_limit;
+        floorsBy = "floor_limit";
+      }
+    }
+
+    // 8) 쌓을 수 있는 만큼만 연면적 사용(용적률 면적 먼저, 남으면 제외 면적)
+    const capacity = floors * footprint;
+    const farUsed = Math.min(farMax, capacity);
+    const exemptUsed = Math.min(exempt, Math.max(0, capacity - farUsed));
+    const above = farUsed + exemptUsed;
+    if (floorsBy !== "far") {
+      step(
+        "far_used",
+        "지상 연면적(층수 반영)",
+        farMax + exempt,
+        above,
+        "㎡",
+        `${floors}층 × ${r2(footprint)}㎡ 까지만 쌓을 수 있음`
+      );
+    }
+
+    // 9) 지하층: 연면적에는 들어가지만 용적률 산정에서는 제외
+    const basementPerFloor = inp.basement_area_m2 ?? footprint;
+    const basementArea = basements * basementPerFloor;
+    if (basements > 0) {
+      step(
+        "basement",
+        "지하층",
+        above,
+        above + basementArea,
+        "㎡",
+        `지하 ${basements}개 층 × ${r2(basementPerFloor)}㎡ = ${r2(basementArea)}㎡ (용적률 산정 제외)`
+      );
+    }
+
+    const height = floors > 0 ? ground + (floors - 1) * typical : 0;
+    const top = floors > 0 ? above - (floors - 1) * footprint : 0;
+
+    const result = {
+      site_area_m2: r2(site),
+      effective_site_area_m2: r2(effSite),
+      road_setback_m: r2(roadSetback),
+      footprint_m2: r2(footprint),
+      far_floor_area_max_m2: r2(farMax),
+      far_floor_area_m2: r2(farUsed),
+      exempt_floor_area_m2: r2(exemptUsed),
+      above_ground_floor_area_m2: r2(above),
+      basement_floor_area_m2: r2(basementArea),
+      gross_floor_area_m2: r2(above + basementArea),
+      floors_above: floors,
+      floors_below: basements,
+      top_floor_area_m2: r2(top),
+      height_m: r2(height),
+      max_height_m: r2(maxHeight),
+      bcr_pct: effSite > 0 ? r2((footprint / effSite) * 100) : null,
+      far_used_pct: effSite > 0 ? r2((farUsed / effSite) * 100) : null,
+      limited_by: { footprint: footprintBy, floors: floorsBy },
+
+      // 예전 응답 필드(요약/체크리스트 자동 입력에서 씀)
+      maxBuildingArea_m2: r2(footprint),
+      maxTotalFloorArea_m2: r2(above + basementArea),
+      estFloors: floors,
+      estHeight_m: r2(height),
+    };
+
+    return { result, steps };
+  }
+
+  /* =========================
+     용도지역 상한(건폐율/용적률) 적용
+  ========================= */
+  const ENFORCE_MODES = ["clamp", "flag"];
+
+  const LIMIT_ITEMS = [
+    { key: "coverage", input: "coverage_pct", cap: "bcr_max", label: "건폐율", basis: "국토계획법 제77조" },
+    { key: "far", input: "far_pct", cap: "far_max", label: "용적률", basis: "국토계획법 제78조" },
+  ];
+
+  /**
+   * 입력 건폐율/용적률을 법정 상한과 맞춰 봄
+   *  caps: { bcr_max, far_max, layers?: { bcr_max, far_max } } — 상한이 없는 항목은 검사 안 함(status: no_limit)
+   *  mode: clamp(기본, 넘으면 상한으로 낮춤) | flag(입력값 그대로 두고 over 표시)
+   *  입력이 비어 있으면 상한으로 채움(status: filled)
+   * → { input(적용값), mode, items:[{ key, label, unit, requested, legal_max, applied, status, layer }], over_limit }
+   */
+  function applyLimits(input, caps, { mode = "clamp" } = {}) {
+    const m = ENFORCE_MODES.includes(mode) ? mode : "clamp";
+    const out = { ...input };
+    const items = LIMIT_ITEMS.map((it) => {
+      const requested = input[it.input] ?? null;
+      const max = num(caps?.[it.cap]);
+      let applied = requested;
+      let status = "ok";
+      if (max == null) status = "no_limit";
+      else if (requested == null) {
+        applied = max;
+        status = "filled";
+      } else if (requested > max + EPS) {
+        status = m === "clamp" ? "clamped" : "over";
+        if (m === "clamp") applied = max;
+      }
+      out[it.input] = applied;
+      return {
+        key: it.key,
+        label: it.label,
+        unit: "%",
+        requested,
+        legal_max: max,
+        applied,
+        status,
+        layer: max == null ? null : caps?.layers?.[it.cap] || "national",
+        basis: it.basis,
+      };
+    });
+    return { input: out, mode: m, items, over_limit: items.some((i) => i.status === "clamped" || i.status === "over") };
+  }
+
+  // 나란히 비교할 핵심 수치
+  function summaryOf(result) {
+    if (!result) return null;
+    const keys = ["footprint_m2", "far_floor_area_m2", "gross_floor_area_m2", "floors_above", "height_m", "bcr_pct", "far_used_pct"];
+    return Object.fromEntries(keys.map((k) => [k, result[k]]));
+  }
+
+  // 입력이 맞지 않으면(예: 건폐율 100% 초과 요청) 그 시나리오는 null
+  function tryCompute(input) {
+    return validateInput(input).length ? null : computeMassing(input).result;
+  }
+
+  /**
+   * 상한 적용 + 규모 산정
+   *  - 적용값으로 computeMassing, 상한을 바꾼 항목은 steps 맨 앞에 "건폐율 상한" 같은 단계로 남김
+   *  - compare.requested: 입력값 그대로(상한 무시) / compare.legal: 건폐율·용적률을 상한까지 썼을 때
+   *  적용값이 여전히 유효하지 않으면 computeMassing 과 같은 invalid_params 오류
+   */
+  function computeWithLimits(rawInput, caps, { mode = "clamp", zoning = null } = {}) {
+    // 정북방향 일조는 전용·일반주거지역만(checklists daylight 항목과 같은 대상)
+    const skipDaylight = !!zoning && rawInput?.north_gap_m != null && !Daylight.appliesToZoning(zoning);
+    const input = skipDaylight ? { ...rawInput, north_gap_m: null } : rawInput;
+
+    const limits = applyLimits(input, caps, { mode });
+    const { result, steps } = computeMassing(limits.input);
+
+    const capSteps = limits.items
+      .filter((it) => it.status === "clamped" || it.status === "over" || it.status === "filled")
+      .map((it) => ({
+        key: `limit_${it.key}`,
+        label: `${it.label} 상한`,
+        before: it.requested,
+        after: it.applied,
+        unit: "%",
+        reduced: it.status === "clamped",
+        note:
+          it.status === "filled"
+            ? `입력이 없어 법정 상한 ${it.legal_max}% 적용`
+            : it.status === "clamped"
+              ? `입력 ${it.requested}% 가 법정 상한 ${it.legal_max}% 를 넘어 상한으로 낮춤`
+              : `입력 ${it.requested}% 가 법정 상한 ${it.legal_max}% 를 넘음(입력값 그대로 계산)`,
+        basis: it.basis,
+      }));
+
+    const legalInput = { ...input };
+    limits.items.forEach((it, i) => {
+      if (it.legal_max != null) legalInput[LIMIT_ITEMS[i].input] = it.legal_max;
+    });
+    const requestedGiven = LIMIT_ITEMS.every((it) => input[it.input] != null);
+
+    if (skipDaylight) {
+      capSteps.push({
+        key: "daylight_skip",
+        label: "정북방향 일조",
+        before: null,
+        after: null,
+        unit: "층",
+        reduced: false,
+        note: `${zoning} 은 정북방향 일조 대상(전용·일반주거지역)이 아니라 정북 이격 ${r2(rawInput.north_gap_m)}m 는 높이 계산에 안 씀`,
+        basis: Daylight.BASIS,
+      });
+    }
+
+    return {
+      result,
+      steps: [...capSteps, ...steps],
+      limits: { mode: limits.mode, items: limits.items, over_limit: limits.over_limit },
+      compare: {
+        requested: requestedGiven ? summaryOf(tryCompute(input)) : null,
+        legal: limits.items.some((it) => it.legal_max != null) ? summaryOf(tryCompute(legalInput)) : null,
+      },
+    };
+  }
+
+  return {
+    DEFAULT_FLOOR_HEIGHT_M,
+    MIN_ROAD_WIDTH_M,
+    NOTE,
+    ENFORCE_MODES,
+    inputFromQuery,
+    validateInput,
+    computeMassing,
+    applyLimits,
+    computeWithLimits,
+  };
+});
@@ -0,0 +1,166 @@
+/**
+ * functions/lib/parking.js
+ * 법정 주차대수 산정: 용도별 시설면적 × 설치기준(국가 주차장법 시행령 별표1 + 지자체 조례) → 합계
+ * (Express / Cloudflare Pages Functions 공용)
+ *
+ * 사용처: lib/judge.js(POST /api/checklists/judge 판정 파이프라인)
+ *
+ * 기준표: base_rules.json
+ *  - parking.rates: { "<uses_catalog 코드>": { label?, per_m2, exempt_below_m2?, base_area_m2?, base_stalls?, basis? } }
+ *      · exempt_below_m2 이하 → 0대, base_area_m2 이하 → base_stalls 대, 초과분은 per_m2 ㎡ 당 1대
+ *        (단독주택: 50㎡ 이하 0 / 150㎡ 이하 1대 / 초과 100㎡ 당 1대, 나머지는 per_m2 만)
+ *  - ordinances[].parking: 같은 모양의 지자체 조례 값(있는 항목만 국가 기준을 덮어씀)
+ *  - 조례는 호출 쪽이 RuleEngine.resolveOrdinance 로 찾아서 넘김
+ *
+ * computeParking(baseRules, { areas, ordinance }) → { required, exact, items, unknown, ordinance }
+ *  - 용도별 대수는 소수 그대로 더한 뒤 합계에서 0.5 이상 올림(별표1 비고)
+ *
+ * judgeValues(baseRules, { context, values, ordinance }) → { values, parking }
+ *  - POST /api/checklists/judge 용: 계산한 parking_required 를 values 에 넣음(사용자가 넣은 값이 있으면 그대로)
+ *  - 용도별 면적: context.area_by_use { CODE: ㎡ } 또는 context.use + gross_area_m2(values 우선)
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./rule_engine"));
+  else root.Parking = factory(root.RuleEngine);
+})(typeof globalThis !== "undefined" ? globalThis : this, (RuleEngine) => {
+  "use strict";
+
+  const BASIS = "주차장법 시행령 제6조 별표1";
+
+  const NOTE = "※ 시설면적 기준 간이 산정입니다. 세대수 기준(공동주택)·부설주차장 설치제한 지역·감면 등은 조례로 확인해 주세요.";
+
+  const r2 = (n) => (Number.isFinite(n) ? Math.round(n * 100) / 100 : null);
+  const EPS = 1e-9;
+
+  // 숫자 입력 해석은 RuleEngine.toNum 하나로(빈 문자열/공백은 0 이 아니라 값 없음)
+  const num = RuleEngine.toNum;
+
+  const own = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+  function ratesOf(baseRules) {
+    const rates = baseRules?.parking?.rates;
+    return rates && typeof rates === "object" ? rates : {};
+  }
+
+  // 설치기준 하나 → 면적에 대한 대수(소수 그대로)
+  function stallsFor(rate, area) {
+    const per = num(rate?.per_m2);
+    if (!(per > 0) || !(area > 0)) return 0;
+    const exempt = num(rate.exempt_below_m2) ?? 0;
+    const baseArea = num(rate.base_area_m2) ?? 0;
+    const baseStalls = num(rate.base_stalls) ?? 0;
+    if (area <= exempt + EPS) return 0;
+    if (area <= baseArea + EPS) return baseStalls;
+    return baseStalls + (area - baseArea) / per;
+  }
+
+  // 0.5 이상 올림
+  function roundStalls(n) {
+    const whole = Math.floor(n + EPS);
+    return n - whole >= 0.5 - EPS ? whole + 1 : whole;
+  }
+
+  /**
+   * areas: { CODE: ㎡ } (0 이하/숫자 아님은 무시)
+   * ordinance: base_rules.ordinances[] 항목(없으면 국가 기준만)
+   * → { required, exact, items:[{ use, label, area_m2, per_m2, stalls, layer, basis }], unknown:[CODE], ordinance }
+   *   required: 기준표에 없는 용도가 하나라도 있으면 null(일부만 더한 값을 법정 대수로 쓰지 않음)
+   */
+  function computeParking(baseRules, { areas, ordinance = null } = {}) {
+    const national = ratesOf(baseRules);
+    const local = ordinance?.parking && typeof ordinance.parking === "object" ? ordinance.parking : {};
+    const labels = new Map((baseRules?.uses_catalog || []).map((u) => [String(u?.code || ""), String(u?.label || "")]));
+
+    const items = [];
+    const unknown = [];
+    Object.entries(areas || {}).forEach(([code, raw]) => {
+      const use = String(code || "").trim();
+      const area = num(raw);
+      if (!use || !(area > 0)) return;
+
+      // 기준표 자체 키만 봄("toString" 같은 용도 코드가 prototype 에 걸리지 않게)
+      const localRate = own(local, use) ? local[use] : null;
+      const nationalRate = own(national, use) ? national[use] : null;
+      const layer = localRate && ordinance ? "ordinance" : nationalRate ? "national" : null;
+      if (!layer) {
+        unknown.push(use);
+        return;
+      }
+      const rate = { ...(nationalRate || {}), ...(layer === "ordinance" ? localRate : {}) };
+      const stalls = stallsFor(rate, area);
+      items.push({
+        use,
+        label: rate.label || labels.get(use) || use,
+        area_m2: r2(area),
+        per_m2: num(rate.per_m2),
+        stalls: r2(stalls),
+        layer,
+        basis: layer === "ordinance" ? ordinance.title || ordinance.jurisdiction : rate.basis || BASIS,
+        _exact: stalls,
+      });
+    });
+
+    const exact = items.reduce((s, it) => s + it._exact, 0);
+    items.forEach((it) => delete it._exact);
+    const ordUsed = !!ordinance && items.some((it) => it.layer === "ordinance");
+
+    return {
+      required: items.length && !unknown.length ? roundStalls(exact) : null,
+      exact: items.length ? r2(exact) : null,
+      items,
+      unknown,
+      ordinance: ordUsed ? { id: ordinance.id || null, jurisdiction: ordinance.jurisdiction, title: ordinance.title || null } : null,
+    };
+  }
+
+  // 판정 요청(context/values) → 용도별 면적
+  function areasFromJudge(context, values) {
+    const byUse = context?.area_by_use;
+    if (byUse && typeof byUse === "object" && !Array.isArray(byUse)) {
+      const out = {};
+      Object.entries(byUse).forEach(([k, v]) => {
+        const n = num(v);
+        if (n != null) out[k] = n;
+      });
+      if (Object.keys(out).length) return out;
+    }
+
+    const use = String(context?.use || "").trim();
+    const area = num(values?.gross_area_m2) ?? num(context?.gross_area_m2);
+    return use && area != null ? { [use]: area } : {};
+  }
+
+  /**
+   * 판정 전 values 에 parking_required 를 채움
+   * → { values(새 객체), parking: computeParking 결과 + { jurisdiction, source, note } | null(면적/용도 없음) }
+   */
+  function judgeValues(baseRules, { context, values, ordinance = null } = {}) {
+    const areas = areasFromJudge(context, values);
+    if (!Object.keys(areas).length) return { values: { ...(values || {}) }, parking: null };
+
+    const computed = computeParking(baseRules, { areas, ordinance });
+    const given = num(values?.parking_required);
+    const out = { ...(values || {}) };
+    if (given == null && computed.required != null) out.parking_required = computed.required;
+
+    return {
+      values: out,
+      parking: {
+        ...computed,
+        jurisdiction: String(context?.jurisdiction || "").trim() || null,
+        source: given != null ? "values" : "computed",
+        note: NOTE,
+      },
+    };
+  }
+
+  return {
+    BASIS,
+    NOTE,
+    stallsFor,
+    roundStalls,
+    computeParking,
+    areasFromJudge,
+    judgeValues,
+  };
+});
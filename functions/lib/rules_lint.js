@@ -0,0 +1,386 @@
+/**
+ * functions/lib/rules_lint.js
+ * 룰 파일(checklists / rule_engine / base_rules / laws) 스키마 검증 + 파일 간 교차 검사
+ *
+ * 사용처:
+ *  - scripts/lint_rules.js (CLI)
+ *  - functions/index.js     (관리자 API: 게시 전 Firestore 수정본이 합쳐진 룰셋 검사)
+ *
+ * Express 전용(CommonJS) — 브라우저/Cloudflare 로 복사되지 않음
+ */
+
+const fs = require("fs");
+const path = require("path");
+const RuleEngine = require("./rule_engine");
+const Daylight = require("./daylight");
+
+const SCHEMA_DIR = path.join(__dirname, "..", "schemas");
+
+const RULE_FILES = ["checklists", "rule_engine", "base_rules", "laws"];
+
+// values 에 항상 합쳐지는 컨텍스트 키(mergeJudgeValues)
+const CONTEXT_KEYS = ["zoning", "use", "jurisdiction"];
+
+// 판정 전에 서버가 values 에 채우는 키(입력으로 선언하지 않아도 됨)
+const { COMPUTED_KEYS } = RuleEngine;
+
+const KNOWN_OPS = ["missing", "present", "in", "not_in", "eq", "neq", "lt", "lte", "gt", "gte"];
+
+/* =========================
+   JSON Schema (사용하는 부분만)
+   type / enum / required / properties / additionalProperties / patternProperties / propertyNames
+   items / minItems / minLength / maxLength / pattern / minimum / maximum / anyOf / $ref(#/$defs/..)
+========================= */
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "number") return Number.isInteger(v) ? "integer" : "number";
+  return typeof v;
+}
+
+function typeMatches(want, v) {
+  const t = typeOf(v);
+  if (want === "number") return t === "number" || t === "integer";
+  return want === t;
+}
+
+function resolveRef(root, ref) {
+  const m = String(ref).match(/^#\/\$defs\/(.+)$/);
+  const def = m ? root.$defs?.[m[1]] : null;
+  if (!def) throw new Error(`schema: 지원하지 않는 $ref ${ref}`);
+  return def;
+}
+
+function validateSchema(root, schema, v, at, errors) {
+  if (schema.$ref) return validateSchema(root, resolveRef(root, schema.$ref), v, at, errors);
+
+  if (schema.anyOf) {
+    const ok = schema.anyOf.some((s) => {
+      const sub = [];
+      validateSchema(root, s, v, at, sub);
+      return sub.length === 0;
+    });
+    if (!ok) {
+      errors.push(`${at}: 허용된 형태가 아닙니다 (${JSON.stringify(v).slice(0, 80)})`);
+      return;
+    }
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => typeMatches(t, v))) {
+      errors.push(`${at}: ${types.join("|")} 이어야 합니다 (현재 ${typeOf(v)})`);
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(v)) {
+    errors.push(`${at}: ${JSON.stringify(v)} 는 허용값(${schema.enum.join(", ")})이 아닙니다`);
+  }
+
+  if (typeof v === "string") {
+    if (schema.minLength != null && v.length < schema.minLength) errors.push(`${at}: 빈 문자열입니다`);
+    if (schema.maxLength != null && v.length > schema.maxLength) errors.push(`${at}: ${schema.maxLength}자를 넘습니다`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(v)) {
+      errors.push(`${at}: "${v}" 가 형식(${schema.pattern})에 맞지 않습니다`);
+    }
+  }
+
+  if (typeof v === "number") {
+    if (schema.minimum != null && v < schema.minimum) errors.push(`${at}: ${schema.minimum} 이상이어야 합니다`);
+    if (schema.maximum != null && v > schema.maximum) errors.push(`${at}: ${schema.maximum} 이하이어야 합니다`);
+  }
+
+  if (Array.isArray(v)) {
+    if (schema.minItems != null && v.length < schema.minItems) errors.push(`${at}: 최소 ${schema.minItems}개 필요합니다`);
+    if (schema.items) v.forEach((x, i) => validateSchema(root, schema.items, x, `${at}[${i}]`, errors));
+  }
+
+  if (typeOf(v) === "object") {
+    (schema.required || []).forEach((k) => {
+      if (v[k] === undefined) errors.push(`${at}: 필수 키 "${k}" 가 없습니다`);
+    });
+
+    Object.keys(v).forEach((k) => {
+      const child = `${at}.${k}`;
+      if (schema.propertyNames?.pattern && !new RegExp(schema.propertyNames.pattern).test(k)) {
+        errors.push(`${child}: 키 "${k}" 가 형식(${schema.propertyNames.pattern})에 맞지 않습니다`);
+      }
+
+      if (schema.properties && schema.properties[k]) {
+        validateSchema(root, schema.properties[k], v[k], child, errors);
+        return;
+      }
+      const pp = Object.keys(schema.patternProperties || {}).find((p) => new RegExp(p).test(k));
+      if (pp) {
+        validateSchema(root, schema.patternProperties[pp], v[k], child, errors);
+        return;
+      }
+      if (schema.additionalProperties === false) {
+        errors.push(`${child}: 알 수 없는 키입니다(오타?)`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+        validateSchema(root, schema.additionalProperties, v[k], child, errors);
+      }
+    });
+  }
+}
+
+/* =========================
+   cross checks
+========================= */
+
+// 조건 트리의 leaf 들을 경로와 함께 순회
+function walkConditions(node, at, fn) {
+  if (!node || typeof node !== "object") return;
+  if (Array.isArray(node.all)) return node.all.forEach((c, i) => walkConditions(c, `${at}.all[${i}]`, fn));
+  if (Array.isArray(node.any)) return node.any.forEach((c, i) => walkConditions(c, `${at}.any[${i}]`, fn));
+  if (node.not !== undefined) return walkConditions(node.not, `${at}.not`, fn);
+  fn(node, at);
+}
+
+function ruleConditions(rule) {
+  const out = [];
+  if (rule?.when) out.push(["when", rule.when]);
+  (Array.isArray(rule?.when_all) ? rule.when_all : []).forEach((c, i) => out.push([`when_all[${i}]`, c]));
+  (Array.isArray(rule?.when_any) ? rule.when_any : []).forEach((c, i) => out.push([`when_any[${i}]`, c]));
+  return out;
+}
+
+// 식 문법 검사 + 참조 키 수집
+function checkExpr(src, at, errors) {
+  const c = RuleEngine.compileExpr(src);
+  if (c.error) {
+    errors.push(`${at}: expr 문법 오류 - ${c.error}`);
+    return [];
+  }
+  return RuleEngine.exprKeys(src);
+}
+
+function leafKeys(leaf, at, errors) {
+  const keys = [];
+  if (leaf.key) keys.push(String(leaf.key).trim());
+  if (leaf.expr) keys.push(...checkExpr(leaf.expr, `${at}.expr`, errors));
+
+  const operands = Array.isArray(leaf.value) ? leaf.value : [leaf.value];
+  operands.forEach((v) => {
+    if (v && typeof v === "object" && typeof v.expr === "string") keys.push(...checkExpr(v.expr, `${at}.value.expr`, errors));
+  });
+  return keys;
+}
+
+function crossCheck(files, report) {
+  const { checklists, rule_engine: ruleEngine, base_rules: baseRules, laws } = files;
+  const err = (m) => report.errors.push(m);
+  const warn = (m) => report.warnings.push(m);
+
+  const items = RuleEngine.getChecklistArray(checklists);
+  const engineItems = Array.isArray(ruleEngine?.default_conditional) ? ruleEngine.default_conditional : [];
+  const catalog = new Set((baseRules?.uses_catalog || []).map((u) => String(u?.code || "")));
+
+  // --- 중복 id
+  const seen = (arr, label) => {
+    const ids = new Set();
+    arr.forEach((x, i) => {
+      const id = String(x?.id || "");
+      if (!id) return;
+      if (ids.has(id)) err(`${label}[${i}]: 중복 id "${id}"`);
+      ids.add(id);
+    });
+    return ids;
+  };
+  const checklistIds = seen(items, "checklists.json default_conditional");
+  const engineIds = seen(engineItems, "rule_engine.json default_conditional");
+
+  // --- checklists ↔ rule_engine
+  items.forEach((it, i) => {
+    if (it?.id && !engineIds.has(String(it.id))) {
+      err(`checklists.json default_conditional[${i}]: "${it.id}" 에 대응하는 rule_engine.json 항목이 없습니다`);
+    }
+  });
+  engineItems.forEach((eng, i) => {
+    if (eng?.id && !checklistIds.has(String(eng.id))) {
+      warn(`rule_engine.json default_conditional[${i}]: "${eng.id}" 는 checklists.json 에 없는 항목입니다(사용되지 않음)`);
+    }
+  });
+
+  // --- derived
+  const derivedKeys = new Set();
+  (Array.isArray(ruleEngine?.derived) ? ruleEngine.derived : []).forEach((d, i) => {
+    const at = `rule_engine.json derived[${i}]`;
+    if (typeof d?.expr === "string") checkExpr(d.expr, `${at}.expr`, report.errors);
+    if (d?.key) {
+      if (derivedKeys.has(d.key)) err(`${at}: 중복 derived key "${d.key}"`);
+      derivedKeys.add(String(d.key));
+    }
+  });
+
+  // --- auto_rules
+  const checklistById = new Map(items.map((it) => [String(it?.id || ""), it]));
+  const ruleIds = new Map();
+
+  engineItems.forEach((eng, i) => {
+    const base = `rule_engine.json default_conditional[${i}](${eng?.id || "?"})`;
+    const checkItem = checklistById.get(String(eng?.id || ""));
+
+    const declared = new Set([...CONTEXT_KEYS, ...COMPUTED_KEYS, ...derivedKeys]);
+    (Array.isArray(checkItem?.inputs) ? checkItem.inputs : []).forEach((inp) => {
+      if (inp && typeof inp === "object" && inp.key) declared.add(String(inp.key).trim());
+    });
+    const optional = Array.isArray(eng?.optional_inputs) ? eng.optional_inputs : [];
+    optional.forEach((k, j) => {
+      if (checkItem && !declared.has(String(k))) {
+        warn(`${base}.optional_inputs[${j}]: "${k}" 는 checklists.json inputs 에 없습니다`);
+      }
+    });
+
+    (Array.isArray(eng?.auto_rules) ? eng.auto_rules : []).forEach((rule, j) => {
+      const at = `${base}.auto_rules[${j}]`;
+
+      const rid = String(rule?.id || "");
+      if (rid) {
+        if (ruleIds.has(rid)) err(`${at}: 중복 rule id "${rid}" (먼저 나온 곳: ${ruleIds.get(rid)})`);
+        else ruleIds.set(rid, at);
+      }
+
+      const conds = ruleConditions(rule);
+      if (conds.length === 0) warn(`${at}: 조건(when/when_all/when_any)이 없어 절대 매칭되지 않습니다`);
+
+      conds.forEach(([name, cond]) => {
+        walkConditions(cond, `${at}.${name}`, (leaf, leafAt) => {
+          const op = String(leaf?.op || "").trim().toLowerCase();
+          if (!KNOWN_OPS.includes(op)) err(`${leafAt}: 알 수 없는 op "${leaf?.op}"`);
+
+          leafKeys(leaf, leafAt, report.errors).forEach((k) => {
+            if (checkItem && !declared.has(k)) {
+              err(`${leafAt}: key "${k}" 가 checklists.json "${eng.id}" inputs 에 선언되지 않았습니다`);
+            }
+          });
+        });
+      });
+    });
+  });
+
+  // --- refs → laws
+  items.forEach((it, i) => {
+    (Array.isArray(it?.refs) ? it.refs : []).forEach((code, j) => {
+      if (!laws || !laws[String(code).trim()]) {
+        err(`checklists.json default_conditional[${i}](${it.id}).refs[${j}]: "${code}" 가 laws.json 에 없습니다`);
+      }
+    });
+  });
+  Object.keys(laws || {}).forEach((code) => {
+    const id = laws[code]?.id;
+    if (id && id !== code) warn(`laws.json ${code}: id "${id}" 가 키와 다릅니다`);
+  });
+
+  // --- uses → uses_catalog
+  (Array.isArray(baseRules?.rules) ? baseRules.rules : []).forEach((r, i) => {
+    Object.keys(r?.uses || {}).forEach((code) => {
+      if (!catalog.has(code)) err(`base_rules.json rules[${i}](${r.id}).uses: "${code}" 가 uses_catalog 에 없습니다`);
+    });
+  });
+  items.forEach((it, i) => {
+    (it?.applies_to?.use_in || []).forEach((code, j) => {
+      if (!catalog.has(String(code))) {
+        err(`checklists.json default_conditional[${i}](${it.id}).applies_to.use_in[${j}]: "${code}" 가 uses_catalog 에 없습니다`);
+      }
+    });
+  });
+
+  // --- zoning aliases → 다른 용도지역 정식 명칭과 겹치면 resolveZoning 이 엉뚱한 곳으로 감
+  //     (여러 용도지역이 같은 alias/code 를 갖는 것은 허용: "일반주거지역", UQA120 → 후보 목록)
+  const zoningRules = Array.isArray(baseRules?.rules) ? baseRules.rules : [];
+  const zoningByKey = new Map(zoningRules.map((r) => [RuleEngine.zoningKey(r?.zoning), String(r?.zoning || "")]));
+  zoningRules.forEach((r, i) => {
+    const at = `base_rules.json rules[${i}](${r?.id})`;
+    (Array.isArray(r?.aliases) ? r.aliases : []).forEach((alias, j) => {
+      const owner = zoningByKey.get(RuleEngine.zoningKey(alias));
+      if (owner && owner !== r.zoning) err(`${at}.aliases[${j}]: "${alias}" 는 다른 용도지역 "${owner}" 의 명칭입니다`);
+      else if (owner) warn(`${at}.aliases[${j}]: "${alias}" 는 정식 명칭과 같아 필요 없습니다`);
+    });
+  });
+
+  // --- parking.rates / ordinances[].parking → uses_catalog 코드
+  Object.keys(baseRules?.parking?.rates || {}).forEach((code) => {
+    if (!catalog.has(code)) err(`base_rules.json parking.rates: "${code}" 가 uses_catalog 에 없습니다`);
+  });
+  (Array.isArray(baseRules?.ordinances) ? baseRules.ordinances : []).forEach((ord, i) => {
+    Object.keys(ord?.parking || {}).forEach((code) => {
+      if (!catalog.has(code)) err(`base_rules.json ordinances[${i}](${ord?.id}).parking: "${code}" 가 uses_catalog 에 없습니다`);
+    });
+  });
+
+  // --- ordinances → 용도지역 명칭은 rules[] 에 있어야 하고, 조례 상한이 국가 상한보다 높으면 안 됨
+  const ordNames = new Map();
+  (Array.isArray(baseRules?.ordinances) ? baseRules.ordinances : []).forEach((ord, i) => {
+    const at = `base_rules.json ordinances[${i}](${ord?.id})`;
+    [ord?.jurisdiction, ...(Array.isArray(ord?.aliases) ? ord.aliases : [])].forEach((name) => {
+      const key = String(name || "").trim();
+      if (!key) return;
+      if (ordNames.has(key)) err(`${at}: 지자체 명칭 "${key}" 가 ${ordNames.get(key)} 와 겹칩니다`);
+      else ordNames.set(key, at);
+    });
+    Object.entries(ord?.caps || {}).forEach(([zoning, caps]) => {
+      const rule = zoningRules.find((r) => String(r?.zoning || "") === zoning);
+      if (!rule) return err(`${at}.caps: "${zoning}" 는 rules[] 의 용도지역 정식 명칭이 아닙니다`);
+      ["bcr_max", "far_max"].forEach((k) => {
+        if (caps?.[k] != null && rule[k] != null && caps[k] > rule[k]) {
+          err(`${at}.caps["${zoning}"].${k}: ${caps[k]} 이 국가 상한 ${rule[k]} 보다 큽니다`);
+        }
+      });
+    });
+  });
+
+  // --- 일조 여유(daylight_margin_m)로 판정하는 항목 → applies_to.zoning_in 이 lib/daylight.js 대상 용도지역과 같아야 함
+  //     (다르면 규모 산정은 정북 이격을 적용하는데 체크리스트에는 항목이 안 보이거나 그 반대)
+  engineItems.forEach((eng) => {
+    if (!RuleEngine.ruleKeys(eng).includes("daylight_margin_m")) return;
+    const i = items.findIndex((it) => String(it?.id || "") === String(eng?.id || ""));
+    if (i < 0) return;
+    const listed = items[i]?.applies_to?.zoning_in || [];
+    const at = `checklists.json default_conditional[${i}](${items[i].id}).applies_to.zoning_in`;
+    const missing = Daylight.ZONINGS.filter((z) => !listed.includes(z));
+    const extra = listed.filter((z) => !Daylight.ZONINGS.includes(z));
+    if (missing.length) err(`${at}: 정북방향 일조 대상 용도지역이 빠졌습니다(${missing.join(", ")})`);
+    if (extra.length) err(`${at}: 정북방향 일조 대상이 아닌 용도지역입니다(${extra.join(", ")})`);
+  });
+
+  // --- applies_to.overlay_in → 지역/지구/구역 명칭인지(오타면 조용히 항상 제외됨)
+  items.forEach((it, i) => {
+    (it?.applies_to?.overlay_in || []).forEach((name, j) => {
+      if (!RuleEngine.overlayType(name)) {
+        warn(`checklists.json default_conditional[${i}](${it.id}).applies_to.overlay_in[${j}]: "${name}" 는 ~지역/~지구/~구역 명칭이 아닙니다`);
+      }
+    });
+  });
+}
+
+/* =========================
+   entry
+========================= */
+
+function loadSchemas() {
+  const out = {};
+  RULE_FILES.forEach((name) => {
+    out[name] = JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, `${name}.schema.json`), "utf-8"));
+  });
+  return out;
+}
+
+/**
+ * files: { checklists, rule_engine, base_rules, laws } (없는 파일은 스키마 검사 생략)
+ * opts.skipSchema: 교차 검사에만 쓰고 스키마는 보지 않을 파일(예: Firestore laws 는 모양이 다를 수 있음)
+ * → { errors: string[], warnings: string[] }
+ */
+function lintRuleset(files, { schemas = loadSchemas(), skipSchema = [] } = {}) {
+  const report = { errors: [], warnings: [] };
+  RULE_FILES.forEach((name) => {
+    if (files[name] === undefined || skipSchema.includes(name)) return;
+    validateSchema(schemas[name], schemas[name], files[name], `${name}.json`, report.errors);
+  });
+  crossCheck(files, report);
+  return report;
+}
+
+module.exports = { RULE_FILES, KNOWN_OPS, loadSchemas, validateSchema, crossCheck, lintRuleset };
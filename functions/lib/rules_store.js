@@ -0,0 +1,235 @@
+/**
+ * functions/lib/rules_store.js
+ * Firestore 룰 저장소 — 재배포 없이 룰 수정(초안 draft → 게시 publish)
+ *
+ * 컬렉션 rules_store, 문서 id "<kind>:<key>"
+ *  {
+ *    kind, key,
+ *    draft:     { op, data, updated_at, updated_by } | null,
+ *    published: { op, data, published_at, published_by, revision } | null
+ *  }
+ *  - op: "upsert" (data 로 교체/추가) | "delete" (번들 파일에 있는 항목을 숨김)
+ *
+ * kind
+ *  - zoning     : base_rules.json rules[]                  (key = zoning)
+ *  - checklist  : checklists.json default_conditional[]    (key = id)
+ *  - auto_rules : rule_engine.json default_conditional[]   (key = id, 항목의 auto_rules/strategy/default_result 등 통째로)
+ *
+ * 판정에는 published 만 반영(번들 파일 + published 덮어쓰기). draft 는 관리자 API에서만 보임.
+ * published 목록은 인스턴스마다 ttlMs 동안 캐시 → 다른 인스턴스에는 최대 ttlMs 뒤 반영.
+ *
+ * Express 전용(CommonJS) — 브라우저/Cloudflare 로 복사되지 않음
+ */
+
+const RuleEngine = require("./rule_engine");
+
+const COLLECTION = "rules_store";
+const OPS = ["upsert", "delete"];
+
+// kind → 번들 파일/배열 위치/키 필드
+const KINDS = {
+  zoning: {
+    file: "base_rules",
+    keyField: "zoning",
+    list: (data) => (Array.isArray(data?.rules) ? data.rules : []),
+    withList: (data, list) => ({ ...(data || {}), rules: list }),
+  },
+  checklist: {
+    file: "checklists",
+    keyField: "id",
+    list: (data) => RuleEngine.getChecklistArray(data),
+    withList: (data, list) => ({ ...(data || {}), default_conditional: list }),
+  },
+  auto_rules: {
+    file: "rule_engine",
+    keyField: "id",
+    list: (data) => (Array.isArray(data?.default_conditional) ? data.default_conditional : []),
+    withList: (data, list) => ({ ...(data || {}), default_conditional: list }),
+  },
+};
+
+function isKind(kind) {
+  return Object.prototype.hasOwnProperty.call(KINDS, kind);
+}
+
+// Firestore 문서 id 에 못 쓰는 "/" 와 ".", ".." 만 막음(한글 용도지역명은 그대로)
+function isValidKey(key) {
+  const s = String(key || "").trim();
+  return !!s && s.length <= 200 && !s.includes("/") && s !== "." && s !== "..";
+}
+
+function docId(kind, key) {
+  return `${kind}:${key}`;
+}
+
+function fileKeyOf(kind, item) {
+  return String(item?.[KINDS[kind].keyField] ?? "").trim();
+}
+
+/**
+ * 번들 룰(files) 위에 entries({kind,key,op,data}) 를 덮어씀 — 원본 객체는 건드리지 않음
+ * files: { base_rules, checklists, rule_engine } → 같은 모양의 새 객체
+ */
+function applyEntries(files, entries) {
+  const out = { ...files };
+  const byKind = {};
+  (entries || []).forEach((e) => {
+    if (!isKind(e?.kind)) return;
+    (byKind[e.kind] = byKind[e.kind] || []).push(e);
+  });
+
+  Object.keys(byKind).forEach((kind) => {
+    const spec = KINDS[kind];
+    const list = spec.list(out[spec.file]).slice();
+
+    byKind[kind].forEach((e) => {
+      const idx = list.findIndex((item) => fileKeyOf(kind, item) === e.key);
+      if (e.op === "delete") {
+        if (idx >= 0) list.splice(idx, 1);
+        return;
+      }
+      if (idx >= 0) list[idx] = e.data;
+      else list.push(e.data);
+    });
+
+    out[spec.file] = spec.withList(out[spec.file], list);
+  });
+
+  return out;
+}
+
+// 저장할 data 의 키 필드가 URL 의 key 와 같은지
+function checkEntryData(kind, key, op, data) {
+  if (!OPS.includes(op)) return `invalid_op (${OPS.join(" | ")})`;
+  if (op === "delete") return null;
+  if (!data || typeof data !== "object" || Array.isArray(data)) return "missing data (object)";
+  const field = KINDS[kind].keyField;
+  if (String(data[field] ?? "").trim() !== key) return `data.${field} must equal "${key}"`;
+  return null;
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+/**
+ * getDb: () => Firestore (admin.firestore)
+ * ttlMs: published 목록 캐시 시간
+ */
+function createRulesStore({ getDb, ttlMs = 30_000 }) {
+  let cache = null; // { at, entries, updated_at }
+
+  const col = () => getDb().collection(COLLECTION);
+
+  function toEntry(doc) {
+    const d = doc.data() || {};
+    return { id: doc.id, kind: d.kind, key: d.key, draft: d.draft || null, published: d.published || null };
+  }
+
+  async function listDocs(kind) {
+    const q = kind ? col().where("kind", "==", kind) : col();
+    const snap = await q.get();
+    const out = [];
+    snap.forEach((doc) => out.push(toEntry(doc)));
+    return out;
+  }
+
+  function invalidate() {
+    cache = null;
+  }
+
+  /**
+   * 게시된 덮어쓰기 목록 (ttl 캐시)
+   * → { entries:[{kind,key,op,data,revision,published_at}], updated_at }
+   */
+  async function getPublished() {
+    if (cache && Date.now() - cache.at < ttlMs) return cache;
+
+    const docs = await listDocs();
+    const entries = docs
+      .filter((d) => isKind(d.kind) && d.published && OPS.includes(d.published.op))
+      .map((d) => ({
+        kind: d.kind,
+        key: d.key,
+        op: d.published.op,
+        data: d.published.data || null,
+        revision: d.published.revision || 0,
+        published_at: d.published.published_at || null,
+      }))
+      .sort((a, b) => String(a.published_at || "").localeCompare(String(b.published_at || "")));
+
+    const updatedAt = entries.length ? entries[entries.length - 1].published_at : null;
+    cache = { at: Date.now(), entries, updated_at: updatedAt };
+    return cache;
+  }
+
+  async function getEntry(kind, key) {
+    const snap = await col().doc(docId(kind, key)).get();
+    return snap.exists ? toEntry(snap) : null;
+  }
+
+  async function saveDraft(kind, key, { op, data }, user) {
+    const ref = col().doc(docId(kind, key));
+    const draft = { op, data: op === "delete" ? null : data, updated_at: nowIso(), updated_by: user || null };
+    await ref.set({ kind, key, draft }, { merge: true });
+    return draft;
+  }
+
+  // 초안 버리기(게시본이 없으면 문서째 삭제)
+  async function discardDraft(kind, key) {
+    const ref = col().doc(docId(kind, key));
+    return getDb().runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (!snap.exists || !snap.data()?.draft) return { discarded: false };
+      if (snap.data()?.published) tx.update(ref, { draft: null });
+      else tx.delete(ref);
+      return { discarded: true };
+    });
+  }
+
+  // 초안 → 게시 (revision +1). 초안이 없으면 { published: null }
+  async function publish(kind, key, user) {
+    const ref = col().doc(docId(kind, key));
+    const out = await getDb().runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      const cur = snap.exists ? snap.data() : null;
+      if (!cur?.draft) return { published: null };
+
+      const published = {
+        op: cur.draft.op,
+        data: cur.draft.data || null,
+        published_at: nowIso(),
+        published_by: user || null,
+        revision: Number(cur.published?.revision || 0) + 1,
+      };
+      tx.set(ref, { kind, key, draft: null, published });
+      return { published };
+    });
+    invalidate();
+    return out;
+  }
+
+  // 저장소 문서 삭제 → 번들 파일 상태로 되돌림(즉시 반영)
+  async function revert(kind, key) {
+    const ref = col().doc(docId(kind, key));
+    const snap = await ref.get();
+    if (!snap.exists) return { reverted: false };
+    await ref.delete();
+    invalidate();
+    return { reverted: true };
+  }
+
+  return { getPublished, listDocs, getEntry, saveDraft, discardDraft, publish, revert, invalidate };
+}
+
+module.exports = {
+  COLLECTION,
+  KINDS,
+  OPS,
+  isKind,
+  isValidKey,
+  fileKeyOf,
+  applyEntries,
+  checkEntryData,
+  createRulesStore,
+};
@@ -0,0 +1,184 @@
+/**
+ * functions/lib/upstream_limiter.js
+ * 외부 provider(Nominatim, VWorld) 호출 속도 제한(token bucket) + 같은 조회 동시 요청 합치기(coalescing)
+ * (Express / Cloudflare Pages Functions 공용)
+ *
+ * 사용처:
+ *  - Express(functions/index.js):        const UpstreamLimiter = require("./lib/upstream_limiter");
+ *  - Cloudflare(functions/api/[[path]]): import UpstreamLimiter from "../lib/upstream_limiter.js";
+ *
+ * limiter.run(provider, key, fn, { cost })
+ *  - 같은 provider+key 가 진행 중이면 새로 부르지 않고 그 Promise 를 같이 기다림(토큰도 안 씀)
+ *  - 아니면 토큰 cost 개를 쓰고 fn() 호출. 토큰이 모자라면 maxWaitMs 안에 채워질 때만 기다리고,
+ *    더 걸리면 rate_limited 오류(status 429, retry_after_s) 를 throw → 호출 쪽에서 429 + Retry-After 응답
+ *  - 제한은 프로세스(Express 인스턴스 / Cloudflare isolate) 단위. 여러 인스턴스 합산 제한은 하지 않음
+ */
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.UpstreamLimiter = api;
+})(typeof globalThis !== "undefined" ? globalThis : this, () => {
+  "use strict";
+
+  // ratePerSec: 초당 채워지는 토큰, burst: 최대 토큰(한 번에 몰아 쓸 수 있는 양)
+  //  - nominatim: 사용 정책 최대 1 req/s (https://operations.osmfoundation.org/policies/nominatim/)
+  //  - vworld:    HTTP 요청 1건 = 토큰 1개(용도지역 조회는 데이터셋 수만큼 cost)
+  const DEFAULT_LIMITS = {
+    nominatim: { ratePerSec: 1, burst: 1 },
+    vworld: { ratePerSec: 10, burst: 20 },
+  };
+
+  const DEFAULT_MAX_WAIT_MS = 2000;
+
+  function rateLimitedError(provider, retryAfterMs) {
+    const retry_after_s = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    return Object.assign(new Error(`${provider} 호출 한도를 넘었습니다. ${retry_after_s}초 뒤에 다시 시도해 주세요.`), {
+      code: "rate_limited",
+      status: 429,
+      provider,
+      retry_after_s,
+    });
+  }
+
+  function isRateLimited(e) {
+    return !!e && e.code === "rate_limited";
+  }
+
+  /**
+   * token bucket
+   *  reserve(cost) → 기다릴 ms (0 이면 바로). 기다리는 만큼 토큰을 미리 빌려 씀(음수) → 뒤 요청은 그만큼 더 기다림
+   *  waitFor(cost) → 지금 reserve 하면 기다릴 ms (토큰은 쓰지 않음)
+   */
+  function createTokenBucket({ ratePerSec, burst, now = () => Date.now() }) {
+    const rate = Math.max(0.001, Number(ratePerSec) || 1);
+    const capacity = Math.max(1, Number(burst) || 1);
+    let tokens = capacity;
+    let last = now();
+
+    const refill = () => {
+      const t = now();
+      tokens = Math.min(capacity, tokens + ((t - last) / 1000) * rate);
+      last = t;
+    };
+    // burst 보다 큰 cost 는 영원히 못 채우므로 capacity 로 자름
+    const clamp = (cost) => Math.min(capacity, Math.max(0, Number(cost) || 1));
+
+    return {
+      rate,
+      capacity,
+      waitFor(cost = 1) {
+        refill();
+        const c = clamp(cost);
+        return tokens >= c ? 0 : Math.ceil(((c - tokens) / rate) * 1000);
+      },
+      reserve(cost = 1) {
+        const wait = this.waitFor(cost);
+        tokens -= clamp(cost);
+        return wait;
+      },
+      tokens() {
+        refill();
+        return tokens;
+      },
+    };
+  }
+
+  /**
+   * 환경변수 → createLimiter 옵션
+   *  UPSTREAM_RATE_<PROVIDER>(초당), UPSTREAM_BURST_<PROVIDER>, UPSTREAM_MAX_WAIT_MS
+   *  env: process.env 또는 Cloudflare env (없거나 숫자가 아니면 기본값)
+   */
+  function optionsFromEnv(env) {
+    const num = (name) => {
+      const raw = env?.[name];
+      if (raw == null || String(raw).trim() === "") return null;
+      const n = Number(raw);
+      return Number.isFinite(n) && n >= 0 ? n : null;
+    };
+    const limits = {};
+    Object.keys(DEFAULT_LIMITS).forEach((p) => {
+      const rate = num(`UPSTREAM_RATE_${p.toUpperCase()}`);
+      const burst = num(`UPSTREAM_BURST_${p.toUpperCase()}`);
+      limits[p] = {
+        ratePerSec: rate > 0 ? rate : DEFAULT_LIMITS[p].ratePerSec,
+        burst: burst > 0 ? burst : DEFAULT_LIMITS[p].burst,
+      };
+    });
+    const maxWaitMs = num("UPSTREAM_MAX_WAIT_MS");
+    return { limits, maxWaitMs: maxWaitMs ?? DEFAULT_MAX_WAIT_MS };
+  }
+
+  /**
+   * limits: { [provider]: { ratePerSec, burst } } (없는 provider 는 제한 없이 coalescing 만)
+   * sleep: 테스트/런타임 교체용
+   */
+  function createLimiter({
+    limits = DEFAULT_LIMITS,
+    maxWaitMs = DEFAULT_MAX_WAIT_MS,
+    now = () => Date.now(),
+    sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+  } = {}) {
+    const buckets = {};
+    Object.entries(limits || {}).forEach(([p, l]) => {
+      buckets[p] = createTokenBucket({ ...l, now });
+    });
+    const inflight = new Map(); // provider:key -> Promise
+    const stats = {}; // provider -> { calls, coalesced, waited, limited }
+    const count = (provider, field) => {
+      stats[provider] = stats[provider] || { calls: 0, coalesced: 0, waited: 0, limited: 0 };
+      stats[provider][field]++;
+    };
+
+    async function call(provider, fn, cost) {
+      const bucket = buckets[provider];
+      if (bucket) {
+        const wait = bucket.waitFor(cost);
+        if (wait > maxWaitMs) {
+          count(provider, "limited");
+          throw rateLimitedError(provider, wait);
+        }
+        bucket.reserve(cost);
+        if (wait > 0) {
+          count(provider, "waited");
+          await sleep(wait);
+        }
+      }
+      count(provider, "calls");
+      return fn();
+    }
+
+    function run(provider, key, fn, { cost = 1 } = {}) {
+      const k = `${provider}:${key}`;
+      if (inflight.has(k)) {
+        count(provider, "coalesced");
+        return inflight.get(k);
+      }
+      const p = call(provider, fn, cost).finally(() => inflight.delete(k));
+      inflight.set(k, p);
+      return p;
+    }
+
+    return {
+      run,
+      limits: Object.fromEntries(
+        Object.entries(buckets).map(([p, b]) => [p, { rate_per_s: b.rate, burst: b.capacity }])
+      ),
+      maxWaitMs,
+      snapshot: () => ({
+        inflight: inflight.size,
+        tokens: Object.fromEntries(Object.entries(buckets).map(([p, b]) => [p, Math.round(b.tokens() * 100) / 100])),
+        stats: JSON.parse(JSON.stringify(stats)),
+      }),
+    };
+  }
+
+  return {
+    DEFAULT_LIMITS,
+    DEFAULT_MAX_WAIT_MS,
+    rateLimitedError,
+    isRateLimited,
+    createTokenBucket,
+    optionsFromEnv,
+    createLimiter,
+  };
+});
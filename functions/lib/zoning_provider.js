@@ -0,0 +1,176 @@
+/**
+ * functions/lib/zoning_provider.js
+ * 용도지역/필지 조회 provider 인터페이스 + 로컬 GeoJSON provider (Express / Cloudflare Pages Functions 공용)
+ *
+ * 사용처:
+ *  - Express(functions/index.js):        const ZoningProvider = require("./lib/zoning_provider");
+ *  - Cloudflare(functions/api/[[path]]): import ZoningProvider from "../lib/zoning_provider.js";
+ *
+ * provider 는 아래 세 함수를 가진 객체(ZoningProvider.defineProvider 로 모양 검사):
+ *  - lookupZoning({ lat, lon })    → { found, features:[{ name, layer, type }], source, meta, raw_status?, errors? }
+ *                                     features 는 좌표에 걸린 용도지역/지구/구역 전부(→ RuleEngine.buildOverlays)
+ *  - lookupParcel(pnu)             → { found, pnu, polygons, jibun, addr, raw_status? }
+ *  - lookupZonePolygons(polygons)  → { zones:[{ name, layer, type?, polygons }], source, errors? }
+ *                                     필지 bbox 에 걸친 폴리곤(지구/구역이 섞여 있을 수 있어 호출 쪽에서 용도지역만 거름)
+ *  데이터 소스 전체가 실패하면 throw → 호출 쪽에서 ZONING_FALLBACK_MODE(degraded) 처리
+ *
+ * VWorld 구현은 런타임별(Express: Data API, Cloudflare: WMS GetFeatureInfo + Data API)로 각 파일에 있고,
+ * 로컬 구현(createLocalProvider)은 번들/지자체 GeoJSON 에 점-폴리곤 판정(ParcelGeo)만 하므로 네트워크가 필요 없음.
+ * Shapefile 은 GeoJSON(EPSG:4326)으로 바꿔서 넣으세요: ogr2ogr -f GeoJSON -t_srs EPSG:4326 zoning.geojson zoning.shp
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./parcel_geo"));
+  else root.ZoningProvider = factory(root.ParcelGeo);
+})(typeof globalThis !== "undefined" ? globalThis : this, (ParcelGeo) => {
+  "use strict";
+
+  const PROVIDER_METHODS = ["lookupZoning", "lookupParcel", "lookupZonePolygons"];
+
+  // 명칭 필드(VWorld 데이터셋/WMS 응답, 지자체 export 에서 흔한 이름 순)
+  const NAME_FIELDS = [
+    "uname",
+    "UNAME",
+    "name",
+    "NAME",
+    "dname",
+    "zone_name",
+    "zonename",
+    "ZONENAME",
+    "zone_nm",
+    "ZONE_NM",
+    "UQ126_NM",
+    "UQ126_NAME",
+    "LU_NM",
+    "SCLS_NM",
+  ];
+
+  function pickFirstNonEmpty(obj, keys) {
+    for (const k of keys) {
+      const v = obj?.[k];
+      if (v == null) continue;
+      const s = String(v).trim();
+      if (s) return s;
+    }
+    return "";
+  }
+
+  // feature.properties → 용도지역/지구/구역 명칭 ("" 이면 명칭 없음)
+  function featureName(props, fields = NAME_FIELDS) {
+    return pickFirstNonEmpty(props || {}, fields);
+  }
+
+  /**
+   * provider 모양 검사 + 빠진 함수는 "지원 안 함" 응답으로 채움
+   *  impl: { name, lookupZoning, lookupParcel?, lookupZonePolygons? }
+   */
+  function defineProvider(impl) {
+    const name = String(impl?.name || "").trim();
+    if (!name) throw new Error("zoning provider: name 이 필요합니다");
+    if (typeof impl.lookupZoning !== "function") throw new Error(`zoning provider ${name}: lookupZoning 이 필요합니다`);
+
+    const unsupported = (method) => async () => {
+      throw new Error(`zoning provider ${name}: ${method} 미지원`);
+    };
+    const out = { name };
+    PROVIDER_METHODS.forEach((m) => {
+      out[m] = typeof impl[m] === "function" ? impl[m] : unsupported(m);
+    });
+    out.supports = PROVIDER_METHODS.filter((m) => typeof impl[m] === "function");
+    return out;
+  }
+
+  /* =========================
+     local GeoJSON provider
+  ========================= */
+
+  // FeatureCollection → [{ name, layer, type, polygons, bbox, props }] (폴리곤 아닌 feature/명칭 없는 feature 는 제외)
+  function indexFeatures(fc, { nameFields, layerDefault, requireName = true }) {
+    const feats = Array.isArray(fc?.features) ? fc.features : [];
+    const out = [];
+    feats.forEach((f) => {
+      const polygons = ParcelGeo.parsePolygonInput(f?.geometry);
+      if (!polygons) return;
+      const props = f?.properties || {};
+      const name = featureName(props, nameFields);
+      if (!name && requireName) return;
+      out.push({
+        name,
+        layer: String(props.layer || layerDefault),
+        type: props.type ? String(props.type) : null,
+        polygons,
+        bbox: ParcelGeo.bboxOf(polygons),
+        props,
+      });
+    });
+    return out;
+  }
+
+  function pointBox(lon, lat) {
+    return { minx: lon, miny: lat, maxx: lon, maxy: lat };
+  }
+
+  /**
+   * 로컬 GeoJSON provider
+   *  - zoning:  FeatureCollection (용도지역/지구/구역 폴리곤, properties 에 명칭(NAME_FIELDS) + 선택 layer/type)
+   *  - parcels: FeatureCollection (선택, properties.pnu 19자리 + jibun/addr) → lookupParcel
+   *  - source:  응답 source/meta 에 남길 이름(파일 경로 등)
+   *  좌표는 EPSG:4326 [lon, lat]. 겹치는 feature 는 파일 순서대로 전부 돌려줌.
+   */
+  function createLocalProvider({ zoning, parcels = null, source = "local_geojson", nameFields = NAME_FIELDS } = {}) {
+    const zones = indexFeatures(zoning, { nameFields, layerDefault: source });
+    const lots = indexFeatures(parcels, { nameFields: ["pnu", "PNU"], layerDefault: source, requireName: true });
+    const meta = {
+      file: source,
+      features: zones.length,
+      parcels: parcels ? lots.length : null,
+      name: zoning?.name ? String(zoning.name) : undefined,
+    };
+
+    return defineProvider({
+      name: "local",
+
+      async lookupZoning({ lat, lon }) {
+        const pt = [Number(lon), Number(lat)];
+        const box = pointBox(pt[0], pt[1]);
+        const hits = zones
+          .filter((z) => ParcelGeo.bboxOverlaps(z.bbox, box) && ParcelGeo.pointInPolygons(pt, z.polygons))
+          .map((z) => ({ name: z.name, layer: z.layer, type: z.type }));
+        return {
+          found: hits.length > 0,
+          features: hits,
+          source: hits.length ? "local_geojson" : "local_geojson_no_features",
+          meta,
+        };
+      },
+
+      async lookupParcel(pnu) {
+        const key = String(pnu || "").trim();
+        const hit = lots.find((p) => p.name === key) || null;
+        if (!hit) return { found: false, pnu: key, raw_status: parcels ? "NOT_FOUND" : "NO_PARCEL_DATA" };
+        return {
+          found: true,
+          pnu: key,
+          polygons: hit.polygons,
+          jibun: String(hit.props.jibun || "").trim(),
+          addr: String(hit.props.addr || "").trim(),
+        };
+      },
+
+      async lookupZonePolygons(polygons) {
+        const bb = ParcelGeo.bboxOf(polygons);
+        const hits = zones
+          .filter((z) => ParcelGeo.bboxOverlaps(z.bbox, bb))
+          .map((z) => ({ name: z.name, layer: z.layer, type: z.type, polygons: z.polygons }));
+        return { zones: hits, source: hits.length ? "local_geojson" : "local_geojson_no_features" };
+      },
+    });
+  }
+
+  return {
+    PROVIDER_METHODS,
+    NAME_FIELDS,
+    featureName,
+    defineProvider,
+    createLocalProvider,
+  };
+});
@@ -0,0 +1,202 @@
+/**
+ * functions/scripts/build_rules.js
+ *
+ * ✅ 룰셋 원본(<repo>/rules)을 두 백엔드가 읽는 위치로 복사 + manifest.json(버전/해시) 생성
+ *  - functions/rules : Express (RULES_DIR)
+ *  - public/rules    : Cloudflare Pages (env.ASSETS) / 브라우저
+ *
+ * manifest.json
+ *  { version, updated_at, hash, files: { "<name>.json": { version?, sha256 } }, releases: [...] }
+ *  - hash: 파일별 sha256 을 이름순으로 이어 붙여 다시 sha256 → 두 복사본이 같은 룰을 서빙하는지 비교용
+ *
+ * releases (과거 룰셋 고정 재현: ?ruleset=0.4.0)
+ *  - rules/releases/<version>/ 는 해당 버전의 동결 스냅샷(ruleset.json + 룰 파일 4개)
+ *  - 현재 version 의 스냅샷이 없으면 빌드 시 자동 생성, 있는데 내용이 다르면 실패(= version 을 올려야 함)
+ *  - 복사본: <target>/releases/<version>/*.json + manifest.json
+ *
+ * 사용 예)
+ *   cd functions
+ *   node scripts/build_rules.js           (복사 + manifest 갱신)
+ *   node scripts/build_rules.js --check   (복사본/manifest가 원본과 다르면 exit 1, 쓰기 없음)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const FUNCTIONS_DIR = path.join(__dirname, "..");
+const REPO_DIR = path.join(FUNCTIONS_DIR, "..");
+const SOURCE_DIR = path.join(REPO_DIR, "rules");
+
+// [표시용 이름, 절대 경로]
+const TARGET_DIRS = [
+  ["functions/rules", path.join(FUNCTIONS_DIR, "rules")],
+  ["public/rules", path.join(REPO_DIR, "public", "rules")],
+];
+
+const RELEASES_DIR = path.join(SOURCE_DIR, "releases");
+
+const RULE_FILES = ["base_rules.json", "checklists.json", "laws.json", "rule_engine.json"];
+const RULESET_FILE = "ruleset.json";
+const MANIFEST_FILE = "manifest.json";
+
+function parseArgs(argv) {
+  return { check: argv.slice(2).includes("--check") };
+}
+
+function readIfExists(p) {
+  try {
+    return fs.readFileSync(p, "utf-8");
+  } catch {
+    return null;
+  }
+}
+
+function sha256(text) {
+  return crypto.createHash("sha256").update(text, "utf-8").digest("hex");
+}
+
+function compareVersions(a, b) {
+  const pa = String(a).split(".").map(Number);
+  const pb = String(b).split(".").map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const d = (pa[i] || 0) - (pb[i] || 0);
+    if (d) return d;
+  }
+  return 0;
+}
+
+function readRuleset(dir) {
+  const bodies = {};
+  [RULESET_FILE, ...RULE_FILES].forEach((name) => {
+    bodies[name] = fs.readFileSync(path.join(dir, name), "utf-8");
+  });
+  const ruleset = JSON.parse(bodies[RULESET_FILE]);
+  if (!ruleset?.version) throw new Error(`${path.relative(REPO_DIR, dir)}/${RULESET_FILE} 에 version 이 없습니다.`);
+  return { ruleset, bodies };
+}
+
+function listReleases() {
+  if (!fs.existsSync(RELEASES_DIR)) return [];
+  return fs
+    .readdirSync(RELEASES_DIR, { withFileTypes: true })
+    .filter((d) => d.isDirectory())
+    .map((d) => d.name)
+    .sort(compareVersions);
+}
+
+// 현재 버전 스냅샷 확인/생성. 이미 있는데 내용이 다르면 version 을 안 올린 것
+function ensureCurrentRelease(current, args) {
+  const version = String(current.ruleset.version);
+  const dir = path.join(RELEASES_DIR, version);
+
+  if (fs.existsSync(dir)) {
+    const frozen = readRuleset(dir).bodies;
+    const changed = RULE_FILES.filter((name) => frozen[name] !== current.bodies[name]);
+    if (changed.length) {
+      throw new Error(
+        `rules/${changed.join(", rules/")} 가 동결된 ${version} 스냅샷과 다릅니다. rules/ruleset.json 의 version 을 올려 주세요.`
+      );
+    }
+    return null;
+  }
+
+  if (args.check) return `rules/releases/${version}`;
+
+  fs.mkdirSync(dir, { recursive: true });
+  [RULESET_FILE, ...RULE_FILES].forEach((name) => fs.writeFileSync(path.join(dir, name), current.bodies[name], "utf-8"));
+  console.log(`[rules] frozen   rules/releases/${version}`);
+  return null;
+}
+
+function buildManifest(ruleset, bodies) {
+  const files = {};
+  RULE_FILES.forEach((name) => {
+    const data = JSON.parse(bodies[name]);
+    // version 이 없는 파일(laws.json: 코드 → 조문 카드 표)은 sha256 만 — 바뀌었는지는 ruleset version/hash 로
+    files[name] = data?.version
+      ? { version: String(data.version), sha256: sha256(bodies[name]) }
+      : { sha256: sha256(bodies[name]) };
+  });
+
+  const hash = sha256(RULE_FILES.map((name) => `${name}:${files[name].sha256}`).join("\n"));
+
+  return {
+    version: String(ruleset?.version || ""),
+    updated_at: String(ruleset?.updated_at || ""),
+    hash,
+    files,
+  };
+}
+
+function toOutputs(bodies, manifest) {
+  const out = {};
+  RULE_FILES.forEach((name) => {
+    out[name] = bodies[name];
+  });
+  out[MANIFEST_FILE] = `${JSON.stringify(manifest, null, 2)}\n`;
+  return out;
+}
+
+function main() {
+  const args = parseArgs(process.argv);
+  const stale = [];
+
+  const current = readRuleset(SOURCE_DIR);
+  const missingRelease = ensureCurrentRelease(current, args);
+  if (missingRelease) {
+    stale.push(missingRelease);
+    console.log(`[rules] STALE    ${missingRelease} (현재 버전 스냅샷 없음)`);
+  }
+
+  const releases = listReleases();
+  if (!releases.includes(String(current.ruleset.version))) releases.push(String(current.ruleset.version));
+  releases.sort(compareVersions);
+
+  const manifest = { ...buildManifest(current.ruleset, current.bodies), releases };
+  console.log(`[rules] ruleset ${manifest.version} · ${manifest.hash.slice(0, 12)} · releases ${releases.join(", ")}`);
+
+  // [복사본 기준 상대 경로, 내용]
+  const outputs = [];
+  Object.entries(toOutputs(current.bodies, manifest)).forEach(([name, body]) => outputs.push([name, body]));
+  releases.forEach((version) => {
+    const dir = path.join(RELEASES_DIR, version);
+    if (!fs.existsSync(dir)) return; // --check 에서 아직 안 얼린 현재 버전
+    const rel = readRuleset(dir);
+    Object.entries(toOutputs(rel.bodies, buildManifest(rel.ruleset, rel.bodies))).forEach(([name, body]) => {
+      outputs.push([`releases/${version}/${name}`, body]);
+    });
+  });
+
+  for (const [label, dir] of TARGET_DIRS) {
+    for (const [name, body] of outputs) {
+      const dst = path.join(dir, name);
+      if (readIfExists(dst) === body) {
+        console.log(`[rules] ok       ${label}/${name}`);
+        continue;
+      }
+
+      if (args.check) {
+        stale.push(`${label}/${name}`);
+        console.log(`[rules] STALE    ${label}/${name}`);
+        continue;
+      }
+
+      fs.mkdirSync(path.dirname(dst), { recursive: true });
+      fs.writeFileSync(dst, body, "utf-8");
+      console.log(`[rules] updated  ${label}/${name}`);
+    }
+  }
+
+  if (stale.length) {
+    console.error(`[rules] ❌ ${stale.length}개 파일이 원본(rules/)과 다릅니다. \`npm run build:rules\` 를 실행해 주세요.`);
+    process.exit(1);
+  }
+}
+
+try {
+  main();
+} catch (e) {
+  console.error("[rules] ERROR:", e?.message || e);
+  process.exit(1);
+}
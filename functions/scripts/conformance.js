@@ -0,0 +1,1007 @@
+/**
+ * functions/scripts/conformance.js
+ *
+ * ✅ 판정 엔진 conformance 스위트
+ *    같은 체크리스트/입력값이면 어느 런타임이 답하든 같은 판정이 나와야 함.
+ *
+ *  - express:    functions/index.js 의 api 함수를 로컬 http 서버로 띄워 POST /api/checklists/judge, GET /api/uses/check
+ *  - cloudflare: functions/api/[[path]].js onRequest 를 직접 호출 (env.ASSETS는 로컬 파일로 대체)
+ *  - browser:    public/lib/rule_engine.js 를 브라우저처럼(<script>) 로드해 RuleEngine.judgeChecklist / checkUse
+ *                + 입력 즉시 판정(public/script.js 의 RuleEngine.judgeItemInstant): 서버 계산 키를 안 쓰는 항목은 전체 판정과 같고,
+ *                  주차/일조처럼 서버 계산 키를 쓰는 항목은 pending(서버 응답 전에 임시 판정을 내지 않음)
+ *
+ * 룰셋/케이스: functions/conformance/rules/*.json, functions/conformance/cases.json
+ *   cases:     체크리스트 판정
+ *   use_cases: 용도지역 명칭 해석(약칭/코드/모호) + 용도 판정 { name, zoning, use, expect:{ zoning, status, matched, candidates? } }
+ *   zoning_cases: 로컬 GeoJSON provider(geodata/*.sample.geojson)로 GET /api/zoning/by-coord — express/cloudflare 만
+ *                 + GET /api/reverse(Nominatim 은 NOMINATIM_REVERSE 고정 응답으로 대체)의 jurisdiction
+ *                 { name, lat, lon, expect:{ found, zoning, overlays:[name...] } }
+ *   parcel_cases: 로컬 GeoJSON provider 로 POST /api/zoning/by-parcel(그린 폴리곤) — express/cloudflare 만
+ *                 용도지역별 상한은 jurisdiction 조례까지 적용(/api/calc?zones 와 같은 값)
+ *                 { name, body:{ polygon, jurisdiction? }, expect:{ zones?:{ 용도지역: { bcr_max, far_max, layers? } }, weighted?:{ mode, bcr_max, far_max } } }
+ *   address_cases: 로컬 주소 provider(geodata/address.sample.json + parcels.sample.geojson)로 GET /api/geocode(후보 점수/신뢰도 포함) — express/cloudflare 만
+ *                 { name, q, expect:{ found, kind, normalized?, pnu, bjd_code?, precision? } }
+ *   location_cases: 화면 흐름(public/script.js 를 가짜 DOM/Leaflet 으로 로드, API 는 express 런타임) — 지도 클릭 순서대로
+ *                 위치를 옮긴 뒤 남은 용도지역/선택값/건폐율·용적률 (새 위치의 용도지역을 못 정하면 이전 위치 값이 남으면 안 됨)
+ *                 { name, clicks:[{ lat, lon, fail?:[API 경로...](fetch 실패) }], expect:{ zoning, select, bcr, far } }
+ *   nominatim_cases: ADDRESS_PROVIDER=nominatim 으로 띄운 express/cloudflare 의 GET /api/geocode
+ *                 (Nominatim 검색은 NOMINATIM_SEARCH 고정 응답 — format=jsonv2&addressdetails=1 이 아니면 400, 장애 검색어는 503)
+ *                 { name, q, expect:{ status, error?, found?, precision?, candidates?, address?(result.address 있음) } }
+ *   calc_cases: 규모 산정 GET /api/calc — express/cloudflare 만
+ *                 { name, params:{ site|width,depth, coverage, far, ..., zoning?, zones?, jurisdiction?, enforce? },
+ *                   expect:{ floors_above, height_m, ..., limited_by, reduced:[step key...], limits?:{ key: status }, layers?:{ key: layer }, compare? } }
+ *   parking_cases: 법정 주차대수(lib/parking.js) → POST /api/checklists/judge 의 parking 항목 — express/cloudflare 만
+ *                 { name, context:{ zoning, use, jurisdiction?, area_by_use? }, values:{ gross_area_m2?, parking_provided? },
+ *                   expect:{ status, rule_id?, required?, layers?:{ CODE: "ordinance"|"national" }, unknown?:[CODE] } }
+ *   daylight_cases: 정북방향 일조 사선(lib/daylight.js) → POST /api/checklists/judge 의 daylight_auto 항목 — express/cloudflare 만
+ *                 { name, context:{ zoning, use, north_gaps_m? }, values:{ setback_m?, height_m?, floors?, floor_height_m?, floor_heights_m? },
+ *                   expect:{ status, rule_id?, margin_m?(null = 산정 없음), floors_allowed?, max_heights?:[층별 허용 높이] } }
+ *
+ * 사용 예)
+ *   cd functions
+ *   node scripts/conformance.js
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const vm = require("vm");
+const { pathToFileURL } = require("url");
+
+const FUNCTIONS_DIR = path.join(__dirname, "..");
+const CONFORMANCE_DIR = path.join(FUNCTIONS_DIR, "conformance");
+const RULES_DIR = path.join(CONFORMANCE_DIR, "rules");
+const PUBLIC_ENGINE = path.join(FUNCTIONS_DIR, "..", "public", "lib", "rule_engine.js");
+const PUBLIC_PARCEL_GEO = path.join(FUNCTIONS_DIR, "..", "public", "lib", "parcel_geo.js");
+const PUBLIC_SCRIPT = path.join(FUNCTIONS_DIR, "..", "public", "script.js");
+const CF_ROUTER = path.join(FUNCTIONS_DIR, "api", "[[path]].js");
+const GEODATA_DIR = path.join(FUNCTIONS_DIR, "geodata");
+const SAMPLE_ZONING = "zoning.sample.geojson";
+const SAMPLE_PARCELS = "parcels.sample.geojson";
+const SAMPLE_ADDRESS = "address.sample.json";
+
+// /api/reverse 가 부르는 Nominatim 대신 돌려줄 고정 응답(네트워크 없이 jurisdiction 조립만 비교)
+const NOMINATIM_REVERSE_URL = "https://nominatim.openstreetmap.org/reverse";
+const NOMINATIM_REVERSE = {
+  display_name: "세종로, 종로구, 서울특별시, 대한민국",
+  address: { suburb: "세종로", county: "종로구", city: "서울특별시", country: "대한민국", country_code: "kr" },
+};
+
+// /api/geocode(ADDRESS_PROVIDER=nominatim)가 부르는 Nominatim 검색 고정 응답: 검색어(q) → 결과 배열, 없는 검색어는 []
+const NOMINATIM_SEARCH_URL = "https://nominatim.openstreetmap.org/search";
+const NOMINATIM_SEARCH_DOWN = "업스트림 장애";
+const NOMINATIM_SEARCH = {
+  "서울특별시 종로구 세종대로 175": [
+    {
+      lat: "37.5724",
+      lon: "126.9768",
+      display_name: "175, 세종대로, 세종로, 종로구, 서울특별시, 03172, 대한민국",
+      importance: 0.41,
+      address: { house_number: "175", road: "세종대로", quarter: "세종로", borough: "종로구", city: "서울특별시", postcode: "03172", country: "대한민국", country_code: "kr" },
+    },
+  ],
+  "서울특별시 종로구 청운동": [
+    {
+      lat: "37.5871",
+      lon: "126.9686",
+      display_name: "청운동, 종로구, 서울특별시, 대한민국",
+      importance: 0.3,
+      address: { quarter: "청운동", borough: "종로구", city: "서울특별시", country: "대한민국", country_code: "kr" },
+    },
+  ],
+};
+
+function stubNominatim() {
+  const realFetch = globalThis.fetch;
+  const jsonResponse = (body, status = 200) =>
+    new Response(JSON.stringify(body), { status, headers: { "content-type": "application/json" } });
+  globalThis.fetch = async (input, init) => {
+    const url = typeof input === "string" ? input : input?.url || String(input);
+    if (url.startsWith(NOMINATIM_REVERSE_URL)) return jsonResponse(NOMINATIM_REVERSE);
+    if (url.startsWith(NOMINATIM_SEARCH_URL)) {
+      // 두 런타임이 같은 형식으로 묻는지: 다른 형식이면 실제 Nominatim 과 달리 400 으로 돌려 케이스가 깨지게 함
+      const params = new URL(url).searchParams;
+      if (params.get("format") !== "jsonv2" || params.get("addressdetails") !== "1") {
+        return jsonResponse({ error: "unexpected format" }, 400);
+      }
+      const q = params.get("q") || "";
+      if (q.includes(NOMINATIM_SEARCH_DOWN)) return jsonResponse({ error: "service unavailable" }, 503);
+      return jsonResponse(NOMINATIM_SEARCH[q] || []);
+    }
+    return realFetch(input, init);
+  };
+}
+
+function readJson(p) {
+  return JSON.parse(fs.readFileSync(p, "utf-8"));
+}
+
+/* =========================
+   runtimes
+========================= */
+
+// addressProvider: "local"(기본) | "nominatim" — index.js 는 env 를 로드할 때 읽으므로 provider 마다 새로 require
+async function startExpress({ addressProvider = "local" } = {}) {
+  // index.js가 RULES_DIR을 읽기 전에 conformance 룰셋으로 교체
+  process.env.RULES_DIR = RULES_DIR;
+  // 용도지역 조회는 네트워크 없이 로컬 샘플 GeoJSON 으로
+  process.env.ZONING_PROVIDER = "local";
+  process.env.ZONING_GEOJSON = path.join(GEODATA_DIR, SAMPLE_ZONING);
+  // 주소 해석도 로컬 주소 표 + 샘플 필지로
+  process.env.ADDRESS_PROVIDER = addressProvider;
+  process.env.ADDRESS_JSON = path.join(GEODATA_DIR, SAMPLE_ADDRESS);
+  process.env.PARCELS_GEOJSON = path.join(GEODATA_DIR, SAMPLE_PARCELS);
+  // Nominatim 은 고정 응답이라 호출 제한(기본 1/s)으로 기다릴 필요 없음
+  process.env.UPSTREAM_RATE_NOMINATIM = "100";
+  process.env.UPSTREAM_BURST_NOMINATIM = "100";
+  delete require.cache[require.resolve("../index.js")];
+  const { api } = require("../index.js");
+
+  const server = http.createServer(api);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    name: addressProvider === "local" ? "express" : `express:${addressProvider}`,
+    base,
+    async judge(body) {
+      const r = await fetch(`${base}/api/checklists/judge`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      return r.json();
+    },
+    async checkUse(zoning, use) {
+      const r = await fetch(`${base}/api/uses/check?${new URLSearchParams({ zoning, use })}`);
+      return r.json();
+    },
+    async byCoord(lat, lon) {
+      const r = await fetch(`${base}/api/zoning/by-coord?${new URLSearchParams({ lat, lon })}`);
+      return r.json();
+    },
+    async reverse(lat, lon) {
+      const r = await fetch(`${base}/api/reverse?${new URLSearchParams({ lat, lon })}`);
+      return r.json();
+    },
+    async byParcel(body) {
+      const r = await fetch(`${base}/api/zoning/by-parcel`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      return r.json();
+    },
+    async geocode(q) {
+      const r = await fetch(`${base}/api/geocode?${new URLSearchParams({ q })}`);
+      return { ...(await r.json()), http_status: r.status };
+    },
+    async calc(params) {
+      const r = await fetch(`${base}/api/calc?${new URLSearchParams(params)}`);
+      return r.json();
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+// addressProvider: express 와 같음(모듈 캐시/호출 제한을 나누려고 provider 마다 새로 import)
+async function startCloudflare({ addressProvider = "local" } = {}) {
+  // [[path]].js는 ESM(.js) → 상대 import를 절대 경로로 바꾼 .mjs 임시본으로 로드
+  const libUrl = pathToFileURL(path.join(FUNCTIONS_DIR, "lib")).href;
+  const src = fs.readFileSync(CF_ROUTER, "utf-8").replace(/from "\.\.\/lib\//g, `from "${libUrl}/`);
+  const tmp = path.join(os.tmpdir(), `cf_router_${process.pid}_${addressProvider}.mjs`);
+  fs.writeFileSync(tmp, src, "utf-8");
+
+  let mod;
+  try {
+    mod = await import(pathToFileURL(tmp).href);
+  } finally {
+    fs.unlinkSync(tmp);
+  }
+
+  // Pages ASSETS 바인딩 대체: /rules/*.json → conformance 룰셋, /geodata/*.(geo)json → functions/geodata
+  const env = {
+    ZONING_PROVIDER: "local",
+    ZONING_GEOJSON: `/geodata/${SAMPLE_ZONING}`,
+    ADDRESS_PROVIDER: addressProvider,
+    ADDRESS_JSON: `/geodata/${SAMPLE_ADDRESS}`,
+    PARCELS_GEOJSON: `/geodata/${SAMPLE_PARCELS}`,
+    UPSTREAM_RATE_NOMINATIM: "100",
+    UPSTREAM_BURST_NOMINATIM: "100",
+    ASSETS: {
+      fetch: async (req) => {
+        const p = new URL(req.url).pathname;
+        const m = p.match(/^\/rules\/([\w.-]+\.json)$/);
+        const g = p.match(/^\/geodata\/([\w.-]+\.(?:geo)?json)$/);
+        const file = m ? path.join(RULES_DIR, m[1]) : g ? path.join(GEODATA_DIR, g[1]) : null;
+        if (!file || !fs.existsSync(file)) return new Response("not found", { status: 404 });
+        return new Response(fs.readFileSync(file, "utf-8"), { headers: { "content-type": "application/json" } });
+      },
+    },
+  };
+
+  return {
+    name: addressProvider === "local" ? "cloudflare" : `cloudflare:${addressProvider}`,
+    async judge(body) {
+      const request = new Request("http://conformance.local/api/checklists/judge", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const r = await mod.onRequest({ request, env, params: { path: ["checklists", "judge"] } });
+      return r.json();
+    },
+    async checkUse(zoning, use) {
+      const request = new Request(`http://conformance.local/api/uses/check?${new URLSearchParams({ zoning, use })}`);
+      const r = await mod.onRequest({ request, env, params: { path: ["uses", "check"] } });
+      return r.json();
+    },
+    async byCoord(lat, lon) {
+      const request = new Request(`http://conformance.local/api/zoning/by-coord?${new URLSearchParams({ lat, lon })}`);
+      const r = await mod.onRequest({ request, env, params: { path: ["zoning", "by-coord"] } });
+      return r.json();
+    },
+    async reverse(lat, lon) {
+      const request = new Request(`http://conformance.local/api/reverse?${new URLSearchParams({ lat, lon })}`);
+      const r = await mod.onRequest({ request, env, params: { path: ["reverse"] } });
+      return r.json();
+    },
+    async byParcel(body) {
+      const request = new Request("http://conformance.local/api/zoning/by-parcel", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const r = await mod.onRequest({ request, env, params: { path: ["zoning", "by-parcel"] } });
+      return r.json();
+    },
+    async geocode(q) {
+      const request = new Request(`http://conformance.local/api/geocode?${new URLSearchParams({ q })}`);
+      const r = await mod.onRequest({ request, env, params: { path: ["geocode"] } });
+      return { ...(await r.json()), http_status: r.status };
+    },
+    async calc(params) {
+      const request = new Request(`http://conformance.local/api/calc?${new URLSearchParams(params)}`);
+      const r = await mod.onRequest({ request, env, params: { path: ["calc"] } });
+      return r.json();
+    },
+    close: async () => {},
+  };
+}
+
+function startBrowser() {
+  // <script> 로드와 같은 조건: module/exports 없음, window(global)에 RuleEngine 노출
+  const sandbox = {};
+  sandbox.window = sandbox;
+  vm.createContext(sandbox);
+  vm.runInContext(fs.readFileSync(PUBLIC_ENGINE, "utf-8"), sandbox, { filename: PUBLIC_ENGINE });
+
+  const engine = sandbox.RuleEngine;
+  if (!engine) throw new Error("public/lib/rule_engine.js 가 window.RuleEngine 을 노출하지 않습니다.");
+
+  const checklists = readJson(path.join(RULES_DIR, "checklists.json"));
+  const ruleEngine = readJson(path.join(RULES_DIR, "rule_engine.json"));
+  const baseRules = readJson(path.join(RULES_DIR, "base_rules.json"));
+
+  return {
+    name: "browser",
+    async judge(body) {
+      const judged = engine.judgeChecklist({
+        checklists,
+        ruleEngine,
+        context: body.context,
+        values: body.values,
+        explain: body.explain,
+      });
+      // vm 컨텍스트 객체 → 일반 JSON으로(응답과 같은 형태)
+      return JSON.parse(JSON.stringify({ ok: true, data: { summary: judged.summary, results: judged.results } }));
+    },
+    // 입력 즉시 판정: enriched 항목/derived 로 항목마다 judgeItemInstant (public/script.js 와 같은 호출)
+    async judgeInstant(body) {
+      const enriched = engine.enrichChecklist({ checklists, ruleEngine, context: body.context });
+      const results = enriched.items.map((item) =>
+        engine.judgeItemInstant({
+          item,
+          ruleEngine: { derived: enriched.derived },
+          context: body.context,
+          values: body.values,
+        })
+      );
+      return JSON.parse(JSON.stringify({ ok: true, data: { results } }));
+    },
+    async checkUse(zoning, use) {
+      return JSON.parse(JSON.stringify({ ok: true, ...engine.checkUse(baseRules, zoning, use) }));
+    },
+    close: async () => {},
+  };
+}
+
+/* =========================
+   compare
+========================= */
+
+// 런타임 간 비교 대상(판정에 의미 있는 필드만)
+/* =========================
+   page: public/script.js 화면 흐름 (index.html 과 같은 순서로 lib → script.js 로드)
+   - DOM 은 PAGE_ELEMENT_IDS 만 있는 가짜(나머지 $(id) 는 null → script.js 의 ?. 로 건너뜀)
+   - Leaflet 은 지도 click 핸들러만 잡아 두는 가짜, fetch 는 apiBase(express 런타임)로
+========================= */
+const PAGE_ELEMENT_IDS = ["map", "zoning", "bcr", "far", "ruleHint", "addrResult"];
+
+function fakeElement(id = "") {
+  const listeners = {};
+  return {
+    id,
+    value: "",
+    innerHTML: "",
+    textContent: "",
+    options: [],
+    style: {},
+    classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+    addEventListener: (type, fn) => (listeners[type] = listeners[type] || []).push(fn),
+    appendChild(child) {
+      this.options.push(child);
+      return child;
+    },
+    insertBefore(child) {
+      this.options.push(child);
+      return child;
+    },
+    setAttribute() {},
+    getAttribute: () => null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+  };
+}
+
+async function startPage({ apiBase }) {
+  const elements = Object.fromEntries(PAGE_ELEMENT_IDS.map((id) => [id, fakeElement(id)]));
+  const mapHandlers = {};
+  const layer = () => ({
+    addTo() {
+      return this;
+    },
+    on() {
+      return this;
+    },
+    setLatLng() {
+      return this;
+    },
+  });
+  const L = {
+    map: () => ({
+      setView() {
+        return this;
+      },
+      on(type, fn) {
+        mapHandlers[type] = fn;
+        return this;
+      },
+      addLayer() {},
+      removeLayer() {},
+    }),
+    tileLayer: layer,
+    marker: layer,
+  };
+
+  // 진행 중 fetch 수: 지도 클릭 핸들러는 promise 를 돌려주지 않으므로 fetch 가 멈출 때까지 기다림
+  let inflight = 0;
+  let failPaths = [];
+  const pageFetch = async (url, init) => {
+    inflight++;
+    try {
+      const pathname = String(url).split("?")[0];
+      if (failPaths.includes(pathname)) throw new TypeError("Failed to fetch");
+      return await fetch(`${apiBase}${url}`, init);
+    } finally {
+      inflight--;
+    }
+  };
+  const idle = async () => {
+    for (let quiet = 0; quiet < 5; ) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      quiet = inflight ? 0 : quiet + 1;
+    }
+  };
+
+  const windowListeners = {};
+  const sandbox = {
+    console: { log() {}, warn() {}, error() {} },
+    fetch: pageFetch,
+    AbortController,
+    URLSearchParams,
+    setTimeout,
+    clearTimeout,
+    L,
+    addEventListener: (type, fn) => (windowListeners[type] = windowListeners[type] || []).push(fn),
+    document: {
+      getElementById: (id) => elements[id] || null,
+      createElement: () => fakeElement(),
+      querySelector: () => null,
+      querySelectorAll: () => [],
+    },
+  };
+  sandbox.window = sandbox;
+  vm.createContext(sandbox);
+  for (const file of [PUBLIC_ENGINE, PUBLIC_PARCEL_GEO, PUBLIC_SCRIPT]) {
+    vm.runInContext(fs.readFileSync(file, "utf-8"), sandbox, { filename: file });
+  }
+  (windowListeners.DOMContentLoaded || []).forEach((fn) => fn());
+  await idle();
+
+  return {
+    name: "page",
+    async click(lat, lon, { fail = [] } = {}) {
+      if (!mapHandlers.click) throw new Error("public/script.js 가 지도 click 핸들러를 걸지 않았습니다.");
+      failPaths = fail;
+      mapHandlers.click({ latlng: { lat, lng: lon } });
+      await idle();
+      failPaths = [];
+    },
+    state: () => ({
+      zoning: vm.runInContext("_ctx.zoning", sandbox),
+      select: elements.zoning.value,
+      bcr: String(elements.bcr.value),
+      far: String(elements.far.value),
+    }),
+    close: async () => {},
+  };
+}
+
+function checkLocationExpect(state, expect) {
+  const errors = [];
+  ["zoning", "select", "bcr", "far"].forEach((k) => {
+    if (expect[k] !== undefined && state[k] !== expect[k]) errors.push(`${k}: expected "${expect[k]}", got "${state[k]}"`);
+  });
+  return errors;
+}
+
+function verdictOf(res) {
+  const results = res?.data?.results || [];
+  return {
+    summary: res?.data?.summary?.status || null,
+    results: results.map((r) => ({
+      id: r.id,
+      status: r.status,
+      message: r.message,
+      rule_id: r.matched_rule_id ?? null,
+      rule_ids: r.matched_rule_ids || [],
+      missing: (r.missing_inputs || []).map((m) => m.key),
+      explain: r.explain || null,
+    })),
+  };
+}
+
+function checkExpect(verdict, expect) {
+  const errors = [];
+  if (expect.summary && verdict.summary !== expect.summary) {
+    errors.push(`summary: expected ${expect.summary}, got ${verdict.summary}`);
+  }
+
+  const want = expect.results || {};
+  const gotIds = verdict.results.map((r) => r.id);
+  Object.keys(want).forEach((id) => {
+    if (!gotIds.includes(id)) errors.push(`${id}: expected in results, but filtered out`);
+  });
+  gotIds.forEach((id) => {
+    if (!want[id]) errors.push(`${id}: not expected in results`);
+  });
+
+  verdict.results.forEach((r) => {
+    const w = want[r.id];
+    if (!w) return;
+    if (w.status && r.status !== w.status) errors.push(`${r.id}.status: expected ${w.status}, got ${r.status}`);
+    if (w.rule_id !== undefined && r.rule_id !== w.rule_id) {
+      errors.push(`${r.id}.rule_id: expected ${w.rule_id}, got ${r.rule_id}`);
+    }
+    if (Array.isArray(w.rule_ids) && w.rule_ids.join(",") !== r.rule_ids.join(",")) {
+      errors.push(`${r.id}.rule_ids: expected [${w.rule_ids.join(",")}], got [${r.rule_ids.join(",")}]`);
+    }
+    if (Array.isArray(w.missing) && w.missing.join(",") !== r.missing.join(",")) {
+      errors.push(`${r.id}.missing: expected [${w.missing.join(",")}], got [${r.missing.join(",")}]`);
+    }
+  });
+
+  return errors;
+}
+
+// uses/check 응답에서 비교할 필드(candidates 는 점수/근거까지 같아야 함)
+function useVerdictOf(res) {
+  return {
+    zoning: res?.zoning ?? null,
+    status: res?.status ?? null,
+    message: res?.message ?? null,
+    resolved: res?.resolved || null,
+  };
+}
+
+function checkUseExpect(verdict, expect) {
+  const errors = [];
+  if (expect.zoning !== undefined && verdict.zoning !== expect.zoning) {
+    errors.push(`zoning: expected ${expect.zoning}, got ${verdict.zoning}`);
+  }
+  if (expect.status && verdict.status !== expect.status) {
+    errors.push(`status: expected ${expect.status}, got ${verdict.status}`);
+  }
+  if (expect.matched !== undefined && !!verdict.resolved?.matched !== expect.matched) {
+    errors.push(`resolved.matched: expected ${expect.matched}, got ${!!verdict.resolved?.matched}`);
+  }
+  const got = (verdict.resolved?.candidates || []).map((c) => c.zoning);
+  if (Array.isArray(expect.candidates) && expect.candidates.join(",") !== got.join(",")) {
+    errors.push(`candidates: expected [${expect.candidates.join(",")}], got [${got.join(",")}]`);
+  }
+  return errors;
+}
+
+// by-coord 응답에서 비교할 필드 + 같은 좌표 reverse 의 jurisdiction
+function zoningVerdictOf(res) {
+  return {
+    found: !!res?.found,
+    zoning: res?.zoning || "",
+    provider: res?.provider || null,
+    source: res?.source ?? null,
+    overlays: (res?.overlays || []).map((o) => `${o.type}:${o.name}`),
+    resolved: res?.resolved || null,
+    jurisdiction: res?.reverse?.jurisdiction ?? null,
+  };
+}
+
+function checkZoningExpect(verdict, expect) {
+  const errors = [];
+  if (expect.found !== undefined && verdict.found !== expect.found) {
+    errors.push(`found: expected ${expect.found}, got ${verdict.found}`);
+  }
+  if (expect.zoning !== undefined && verdict.zoning !== expect.zoning) {
+    errors.push(`zoning: expected ${expect.zoning}, got ${verdict.zoning}`);
+  }
+  if (expect.source !== undefined && verdict.source !== expect.source) {
+    errors.push(`source: expected ${expect.source}, got ${verdict.source}`);
+  }
+  if (expect.jurisdiction !== undefined && verdict.jurisdiction !== expect.jurisdiction) {
+    errors.push(`jurisdiction: expected ${expect.jurisdiction}, got ${verdict.jurisdiction}`);
+  }
+  const names = verdict.overlays.map((o) => o.split(":").slice(1).join(":"));
+  if (Array.isArray(expect.overlays) && expect.overlays.join(",") !== names.join(",")) {
+    errors.push(`overlays: expected [${expect.overlays.join(",")}], got [${names.join(",")}]`);
+  }
+  return errors;
+}
+
+// geocode 응답에서 비교할 필드(주소 해석 결과 + 찾은 좌표)
+// by-parcel: 용도지역별 상한/출처 + 면적 가중 결과
+function parcelVerdictOf(res) {
+  const zones = {};
+  (res?.zones || []).forEach((z) => {
+    zones[z.zoning] = { pct: z.pct, bcr_max: z.bcr_max, far_max: z.far_max, layers: z.layers || null };
+  });
+  const w = res?.weighted;
+  return {
+    found: !!res?.found,
+    zoning: res?.zoning || "",
+    zones,
+    weighted: w ? { mode: w.mode, bcr_max: w.bcr_max, far_max: w.far_max } : null,
+  };
+}
+
+function checkParcelExpect(verdict, expect) {
+  const errors = [];
+  Object.entries(expect.zones || {}).forEach(([zoning, want]) => {
+    const got = verdict.zones[zoning];
+    if (!got) return errors.push(`zones.${zoning}: missing`);
+    ["bcr_max", "far_max"].forEach((k) => {
+      if (want[k] !== undefined && got[k] !== want[k]) errors.push(`zones.${zoning}.${k}: expected ${want[k]}, got ${got[k]}`);
+    });
+    Object.entries(want.layers || {}).forEach(([k, layer]) => {
+      if (got.layers?.[k] !== layer) errors.push(`zones.${zoning}.layers.${k}: expected ${layer}, got ${got.layers?.[k]}`);
+    });
+  });
+  Object.entries(expect.weighted || {}).forEach(([k, want]) => {
+    if (verdict.weighted?.[k] !== want) errors.push(`weighted.${k}: expected ${want}, got ${verdict.weighted?.[k]}`);
+  });
+  return errors;
+}
+
+function addressVerdictOf(res) {
+  return {
+    found: !!res?.found,
+    kind: res?.address?.kind || null,
+    normalized: res?.address?.normalized || "",
+    bjd_code: res?.address?.bjd_code || null,
+    pnu: res?.address?.pnu || null,
+    precision: res?.result?.precision || null,
+    lat: res?.result?.lat ?? null,
+    lon: res?.result?.lon ?? null,
+    candidates: Array.isArray(res?.candidates) ? res.candidates.map((c) => c.pnu || `${c.lat},${c.lon}`) : [],
+    confidence: res?.confidence?.level || null,
+    needs_confirmation: !!res?.needs_confirmation,
+  };
+}
+
+function checkAddressExpect(verdict, expect) {
+  const errors = [];
+  ["found", "kind", "normalized", "bjd_code", "pnu", "precision", "confidence", "needs_confirmation"].forEach((k) => {
+    if (expect[k] !== undefined && verdict[k] !== expect[k]) errors.push(`${k}: expected ${expect[k]}, got ${verdict[k]}`);
+  });
+  if (expect.candidates !== undefined && verdict.candidates.length !== expect.candidates) {
+    errors.push(`candidates: expected ${expect.candidates}, got ${verdict.candidates.length}`);
+  }
+  return errors;
+}
+
+// Nominatim geocode: 실패 응답(status/error)까지 비교하므로 ok 여부와 상관없이 판정
+//  - result/candidates 는 응답 모양 그대로(address 포함) — 런타임끼리 같아야 함
+function nominatimVerdictOf({ res }) {
+  const cand = (c) => ({
+    lat: c.lat,
+    lon: c.lon,
+    display_name: c.display_name,
+    precision: c.precision,
+    parts: c.parts,
+    address: c.address,
+    score: c.score,
+  });
+  return {
+    status: res?.http_status ?? null,
+    error: res?.ok ? null : res?.error || null,
+    found: !!res?.found,
+    provider: res?.provider || null,
+    result: res?.result || null,
+    candidates: Array.isArray(res?.candidates) ? res.candidates.map(cand) : [],
+  };
+}
+
+function checkNominatimExpect(verdict, expect) {
+  const errors = [];
+  ["status", "error", "found"].forEach((k) => {
+    if (expect[k] !== undefined && verdict[k] !== expect[k]) errors.push(`${k}: expected ${expect[k]}, got ${verdict[k]}`);
+  });
+  if (expect.precision !== undefined && verdict.result?.precision !== expect.precision) {
+    errors.push(`precision: expected ${expect.precision}, got ${verdict.result?.precision}`);
+  }
+  if (expect.candidates !== undefined && verdict.candidates.length !== expect.candidates) {
+    errors.push(`candidates: expected ${expect.candidates}, got ${verdict.candidates.length}`);
+  }
+  if (expect.address) {
+    if (!verdict.result?.address) errors.push("result.address: expected Nominatim addressdetails, got null");
+    if (verdict.candidates.some((c) => !c.address)) errors.push("candidates[].address: expected Nominatim addressdetails");
+  }
+  return errors;
+}
+
+// calc 응답에서 비교할 필드(결과 전체 + 단계별 값/이유 + 용도지역 상한 적용/비교)
+function calcVerdictOf(res) {
+  const limits = res?.limits || null;
+  return {
+    result: res?.result || null,
+    steps: (res?.steps || []).map((st) => ({ key: st.key, after: st.after, reduced: st.reduced, note: st.note })),
+    limits: limits && {
+      zoning: limits.zoning,
+      found: limits.found,
+      source: limits.source ?? null,
+      mixed: limits.mixed || null,
+      over_limit: limits.over_limit ?? null,
+      items: (limits.items || []).map((it) => ({
+        key: it.key,
+        legal_max: it.legal_max,
+        applied: it.applied,
+        status: it.status,
+        layer: it.layer,
+      })),
+    },
+    compare: res?.compare || null,
+  };
+}
+
+function checkCalcExpect(verdict, expect) {
+  const errors = [];
+  const r = verdict.result || {};
+  Object.entries(expect).forEach(([k, want]) => {
+    if (k === "reduced") {
+      const got = verdict.steps.filter((st) => st.reduced).map((st) => st.key);
+      if (got.join(",") !== want.join(",")) errors.push(`reduced: expected [${want.join(",")}], got [${got.join(",")}]`);
+    } else if (k === "limited_by") {
+      if (r.limited_by?.floors !== want) errors.push(`limited_by: expected ${want}, got ${r.limited_by?.floors}`);
+    } else if (k === "limits") {
+      // { coverage: "clamped", far: "ok", ... } → 항목별 status
+      Object.entries(want).forEach(([key, status]) => {
+        const got = verdict.limits?.items.find((it) => it.key === key)?.status;
+        if (got !== status) errors.push(`limits.${key}: expected ${status}, got ${got}`);
+      });
+    } else if (k === "layers") {
+      // { far: "ordinance", coverage: "national" } → 상한 출처(조례 > 국가)
+      Object.entries(want).forEach(([key, layer]) => {
+        const got = verdict.limits?.items.find((it) => it.key === key)?.layer;
+        if (got !== layer) errors.push(`layers.${key}: expected ${layer}, got ${got}`);
+      });
+    } else if (k === "compare") {
+      // { requested: { footprint_m2: 160 }, legal: {...} } (requested: null 이면 비교 없음)
+      Object.entries(want).forEach(([side, fields]) => {
+        const got = verdict.compare?.[side] ?? null;
+        if (fields === null) {
+          if (got !== null) errors.push(`compare.${side}: expected null`);
+          return;
+        }
+        Object.entries(fields).forEach(([f, v]) => {
+          if (got?.[f] !== v) errors.push(`compare.${side}.${f}: expected ${v}, got ${got?.[f]}`);
+        });
+      });
+    } else if (r[k] !== want) {
+      errors.push(`${k}: expected ${want}, got ${r[k]}`);
+    }
+  });
+  return errors;
+}
+
+// judge 응답에서 parking 항목 판정 + 산정 내역(meta.parking)
+function parkingVerdictOf(res) {
+  const r = (res?.data?.results || []).find((x) => x.id === "parking") || null;
+  const p = res?.meta?.parking || null;
+  return {
+    status: r?.status ?? null,
+    rule_id: r?.matched_rule_id ?? null,
+    message: r?.message ?? null,
+    parking: p && {
+      required: p.required,
+      exact: p.exact,
+      items: p.items.map((it) => ({ use: it.use, area_m2: it.area_m2, per_m2: it.per_m2, stalls: it.stalls, layer: it.layer })),
+      unknown: p.unknown,
+      source: p.source,
+    },
+  };
+}
+
+function checkParkingExpect(verdict, expect) {
+  const errors = [];
+  ["status", "rule_id"].forEach((k) => {
+    if (expect[k] !== undefined && verdict[k] !== expect[k]) errors.push(`${k}: expected ${expect[k]}, got ${verdict[k]}`);
+  });
+  if (expect.required !== undefined && (verdict.parking?.required ?? null) !== expect.required) {
+    errors.push(`required: expected ${expect.required}, got ${verdict.parking?.required ?? null}`);
+  }
+  Object.entries(expect.layers || {}).forEach(([use, layer]) => {
+    const got = verdict.parking?.items.find((it) => it.use === use)?.layer;
+    if (got !== layer) errors.push(`layers.${use}: expected ${layer}, got ${got}`);
+  });
+  if (Array.isArray(expect.unknown) && expect.unknown.join(",") !== (verdict.parking?.unknown || []).join(",")) {
+    errors.push(`unknown: expected [${expect.unknown.join(",")}], got [${(verdict.parking?.unknown || []).join(",")}]`);
+  }
+  return errors;
+}
+
+// judge 응답에서 daylight_auto 항목 판정 + 층별 산정 내역(meta.daylight)
+function daylightVerdictOf(res) {
+  const r = (res?.data?.results || []).find((x) => x.id === "daylight_auto") || null;
+  const d = res?.meta?.daylight || null;
+  return {
+    status: r?.status ?? null,
+    rule_id: r?.matched_rule_id ?? null,
+    message: r?.message ?? null,
+    daylight: d && {
+      margin_m: d.margin_m,
+      floors_allowed: d.floors_allowed,
+      floors: d.floors.map((f) => ({ floor: f.floor, top_m: f.top_m, gap_m: f.gap_m, max_height_m: f.max_height_m, margin_m: f.margin_m })),
+      source: d.source,
+    },
+  };
+}
+
+function checkDaylightExpect(verdict, expect) {
+  const errors = [];
+  ["status", "rule_id"].forEach((k) => {
+    if (expect[k] !== undefined && verdict[k] !== expect[k]) errors.push(`${k}: expected ${expect[k]}, got ${verdict[k]}`);
+  });
+  ["margin_m", "floors_allowed"].forEach((k) => {
+    const got = verdict.daylight?.[k] ?? null;
+    if (expect[k] !== undefined && got !== expect[k]) errors.push(`${k}: expected ${expect[k]}, got ${got}`);
+  });
+  if (Array.isArray(expect.max_heights)) {
+    const got = (verdict.daylight?.floors || []).map((f) => f.max_height_m);
+    if (got.join(",") !== expect.max_heights.join(",")) {
+      errors.push(`max_heights: expected [${expect.max_heights.join(",")}], got [${got.join(",")}]`);
+    }
+  }
+  return errors;
+}
+
+// 브라우저 입력 즉시 판정 vs 같은 런타임의 전체 판정
+//  - pending: 서버 계산 키를 써서 즉시 판정하면 안 되는 항목 id(결과에 있어야 하고 pending 이어야 함)
+async function instantErrors(rt, body, { pending = [] } = {}) {
+  if (!rt) return [];
+  const full = verdictOf(await rt.judge(body));
+  const instant = (await rt.judgeInstant(body))?.data?.results || [];
+  const errors = [];
+
+  pending.forEach((id) => {
+    const r = instant.find((x) => x.id === id);
+    if (!r) errors.push(`[${rt.name}:instant] ${id}: expected in results`);
+    else if (!r.pending) errors.push(`[${rt.name}:instant] ${id}: expected pending, got ${r.status}(${r.matched_rule_id})`);
+  });
+  instant.forEach((r) => {
+    const f = full.results.find((x) => x.id === r.id);
+    if (r.pending || !f) return;
+    if (r.status !== f.status || (r.matched_rule_id ?? null) !== f.rule_id || r.message !== f.message) {
+      errors.push(`[${rt.name}:instant] ${r.id}: expected ${f.status}(${f.rule_id}), got ${r.status}(${r.matched_rule_id ?? null})`);
+    }
+  });
+  return errors;
+}
+
+// 런타임별 응답 → 기대값 + 런타임끼리 같은지 (errors 배열 반환)
+async function compareRuntimes(runtimes, call, toVerdict, check) {
+  const errors = [];
+  const verdicts = {};
+
+  for (const rt of runtimes) {
+    const res = await call(rt);
+    if (!res?.ok) {
+      errors.push(`[${rt.name}] request failed: ${res?.error || "unknown"}`);
+      continue;
+    }
+    verdicts[rt.name] = toVerdict(res);
+    check(verdicts[rt.name]).forEach((e) => errors.push(`[${rt.name}] ${e}`));
+  }
+
+  // 기대값에 없는 필드(message, explain 등)까지 런타임끼리 같아야 함
+  const names = Object.keys(verdicts);
+  const ref = JSON.stringify(verdicts[names[0]]);
+  names.slice(1).forEach((n) => {
+    if (JSON.stringify(verdicts[n]) !== ref) errors.push(`[${n}] verdict differs from ${names[0]}`);
+  });
+  return errors;
+}
+
+async function main() {
+  const {
+    cases,
+    use_cases: useCases = [],
+    zoning_cases: zoningCases = [],
+    parcel_cases: parcelCases = [],
+    address_cases: addressCases = [],
+    calc_cases: calcCases = [],
+    parking_cases: parkingCases = [],
+    daylight_cases: daylightCases = [],
+    location_cases: locationCases = [],
+    nominatim_cases: nominatimCases = [],
+  } = readJson(path.join(CONFORMANCE_DIR, "cases.json"));
+  const total =
+    cases.length +
+    useCases.length +
+    zoningCases.length +
+    parcelCases.length +
+    addressCases.length +
+    calcCases.length +
+    parkingCases.length +
+    daylightCases.length +
+    locationCases.length +
+    nominatimCases.length;
+
+  stubNominatim();
+  const runtimes = [await startExpress(), await startCloudflare(), startBrowser()];
+  // Nominatim geocode 는 ADDRESS_PROVIDER=nominatim 으로 따로 띄운 서버 런타임끼리
+  const nominatimRuntimes = nominatimCases.length
+    ? [await startExpress({ addressProvider: "nominatim" }), await startCloudflare({ addressProvider: "nominatim" })]
+    : [];
+  console.log(`[conformance] runtimes: ${runtimes.map((r) => r.name).join(", ")}`);
+  console.log(
+    `[conformance] cases: ${cases.length}, use_cases: ${useCases.length}, zoning_cases: ${zoningCases.length}, ` +
+      `parcel_cases: ${parcelCases.length}, address_cases: ${addressCases.length}, calc_cases: ${calcCases.length}, parking_cases: ${parkingCases.length}, ` +
+      `daylight_cases: ${daylightCases.length}, location_cases: ${locationCases.length}, ` +
+      `nominatim_cases: ${nominatimCases.length}`
+  );
+
+  const browser = runtimes.find((rt) => typeof rt.judgeInstant === "function");
+
+  let failed = 0;
+  const report = (name, errors) => {
+    if (errors.length) {
+      failed++;
+      console.log(`  ❌ ${name}`);
+      errors.forEach((e) => console.log(`     - ${e}`));
+    } else {
+      console.log(`  ✅ ${name}`);
+    }
+  };
+
+  try {
+    for (const c of cases) {
+      // explain도 런타임끼리 같아야 하므로 항상 켜서 비교
+      const body = { context: c.context || {}, values: c.values || {}, explain: true };
+      report(c.name, [
+        ...(await compareRuntimes(runtimes, (rt) => rt.judge(body), verdictOf, (v) => checkExpect(v, c.expect || {}))),
+        ...(await instantErrors(browser, body)),
+      ]);
+    }
+    for (const c of useCases) {
+      report(
+        `[uses] ${c.name}`,
+        await compareRuntimes(
+          runtimes,
+          (rt) => rt.checkUse(c.zoning, c.use),
+          useVerdictOf,
+          (v) => checkUseExpect(v, c.expect || {})
+        )
+      );
+    }
+    // 용도지역 조회는 서버 런타임만(브라우저는 API 를 부름)
+    const servers = runtimes.filter((rt) => typeof rt.byCoord === "function");
+    for (const c of zoningCases) {
+      report(
+        `[zoning] ${c.name}`,
+        await compareRuntimes(
+          servers,
+          async (rt) => ({ ...(await rt.byCoord(c.lat, c.lon)), reverse: await rt.reverse(c.lat, c.lon) }),
+          zoningVerdictOf,
+          (v) => checkZoningExpect(v, c.expect || {})
+        )
+      );
+    }
+    for (const c of parcelCases) {
+      report(
+        `[parcel] ${c.name}`,
+        await compareRuntimes(servers, (rt) => rt.byParcel(c.body), parcelVerdictOf, (v) => checkParcelExpect(v, c.expect || {}))
+      );
+    }
+    for (const c of addressCases) {
+      report(
+        `[address] ${c.name}`,
+        await compareRuntimes(servers, (rt) => rt.geocode(c.q), addressVerdictOf, (v) => checkAddressExpect(v, c.expect || {}))
+      );
+    }
+    for (const c of calcCases) {
+      report(
+        `[calc] ${c.name}`,
+        await compareRuntimes(servers, (rt) => rt.calc(c.params), calcVerdictOf, (v) => checkCalcExpect(v, c.expect || {}))
+      );
+    }
+    // 법정 주차대수는 서버가 계산해 values 에 넣음(브라우저 엔진만으로는 안 나옴 → 즉시 판정은 pending)
+    for (const c of parkingCases) {
+      const body = { context: c.context || {}, values: c.values || {} };
+      report(`[parking] ${c.name}`, [
+        ...(await compareRuntimes(servers, (rt) => rt.judge(body), parkingVerdictOf, (v) => checkParkingExpect(v, c.expect || {}))),
+        ...(await instantErrors(browser, body, { pending: ["parking"] })),
+      ]);
+    }
+    // 일조 사선 여유(daylight_margin_m)도 서버가 계산
+    for (const c of daylightCases) {
+      const body = { context: c.context || {}, values: c.values || {} };
+      report(`[daylight] ${c.name}`, [
+        ...(await compareRuntimes(servers, (rt) => rt.judge(body), daylightVerdictOf, (v) => checkDaylightExpect(v, c.expect || {}))),
+        ...(await instantErrors(browser, body, { pending: ["daylight_auto"] })),
+      ]);
+    }
+    // 화면 흐름은 케이스마다 새 페이지(이전 케이스 상태가 남지 않게)
+    const express = runtimes.find((rt) => rt.name === "express");
+    for (const c of locationCases) {
+      const page = await startPage({ apiBase: express.base });
+      for (const step of c.clicks || []) await page.click(step.lat, step.lon, { fail: step.fail });
+      report(`[location] ${c.name}`, checkLocationExpect(page.state(), c.expect || {}));
+    }
+    // 실패 응답도 비교하므로 { ok: true, res } 로 감싸서 넘김
+    for (const c of nominatimCases) {
+      report(
+        `[nominatim] ${c.name}`,
+        await compareRuntimes(
+          nominatimRuntimes,
+          async (rt) => ({ ok: true, res: await rt.geocode(c.q) }),
+          nominatimVerdictOf,
+          (v) => checkNominatimExpect(v, c.expect || {})
+        )
+      );
+    }
+  } finally {
+    for (const rt of [...runtimes, ...nominatimRuntimes]) await rt.close();
+  }
+
+  if (failed) {
+    console.error(`[conformance] ❌ failed ${failed}/${total}`);
+    process.exit(1);
+  }
+  console.log(`[conformance] ✅ passed ${total}/${total}`);
+  process.exit(0);
+}
+
+main().catch((err) => {
+  console.error("[conformance] ERROR:", err?.message || err);
+  process.exit(1);
+});
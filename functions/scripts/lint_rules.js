@@ -0,0 +1,71 @@
+/**
+ * functions/scripts/lint_rules.js
+ *
+ * ✅ rules/*.json 스키마 검증 + 파일 간 교차 검사
+ *    손으로 고친 오타가 런타임에서 조용히 unknown 이 되기 전에 잡기 위함.
+ *
+ *  - 스키마: functions/schemas/{checklists,rule_engine,base_rules,laws}.schema.json
+ *  - 교차 검사:
+ *      · checklists 항목 id 에 대응하는 rule_engine 항목이 없음
+ *      · auto_rules / derived 가 참조하는 key 가 inputs(또는 optional_inputs/derived/컨텍스트)에 없음
+ *      · refs 가 laws.json 에 없는 코드를 가리킴
+ *      · 알 수 없는 op, 문법 오류가 있는 expr
+ *      · 중복 id(체크리스트 항목 / rule_engine 항목 / auto_rule)
+ *      · base_rules.rules[].uses / applies_to.use_in 코드가 uses_catalog 에 없음
+ *      · applies_to.overlay_in 이 ~지역/~지구/~구역 명칭이 아님(경고)
+ *
+ * 사용 예)
+ *   cd functions
+ *   node scripts/lint_rules.js                          (functions/rules)
+ *   node scripts/lint_rules.js --dir ../public/rules     (다른 룰셋 폴더)
+ *
+ * 오류가 하나라도 있으면 exit 1 (경고만 있으면 exit 0)
+ * 검사 로직은 lib/rules_lint.js (관리자 API 의 게시 전 검사와 공용)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const RulesLint = require("../lib/rules_lint");
+
+const FUNCTIONS_DIR = path.join(__dirname, "..");
+const DEFAULT_RULES_DIR = path.join(FUNCTIONS_DIR, "rules");
+
+function parseArgs(argv) {
+  const out = { dir: DEFAULT_RULES_DIR };
+  const args = argv.slice(2);
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--dir" && args[i + 1]) out.dir = path.resolve(args[++i]);
+  }
+  return out;
+}
+
+function main() {
+  const args = parseArgs(process.argv);
+  const rel = path.relative(process.cwd(), args.dir) || ".";
+  const readErrors = [];
+  const files = {};
+
+  for (const name of RulesLint.RULE_FILES) {
+    const file = path.join(args.dir, `${name}.json`);
+    try {
+      files[name] = JSON.parse(fs.readFileSync(file, "utf-8"));
+    } catch (e) {
+      readErrors.push(`${name}.json: 읽기/파싱 실패 - ${e?.message || e}`);
+    }
+  }
+
+  const report = RulesLint.lintRuleset(files);
+  report.errors.unshift(...readErrors);
+
+  console.log(`[lint] rules: ${rel}`);
+  report.warnings.forEach((w) => console.log(`  ⚠️ ${w}`));
+  report.errors.forEach((e) => console.log(`  ❌ ${e}`));
+
+  if (report.errors.length) {
+    console.error(`[lint] ❌ errors ${report.errors.length}, warnings ${report.warnings.length}`);
+    process.exit(1);
+  }
+  console.log(`[lint] ✅ ok (warnings ${report.warnings.length})`);
+}
+
+main();
@@ -0,0 +1,234 @@
+/**
+ * functions/scripts/rule_fixtures.js
+ *
+ * ✅ 룰 단위 테스트(fixtures) 실행기
+ *    "이 입력이면 road_access 는 deny" 같은 기대값을 룰을 고칠 때마다 확인.
+ *
+ *  - fixtures: rules/fixtures/*.json (형식: functions/schemas/fixtures.schema.json)
+ *      { name, context:{zoning,use,jurisdiction}, values:{...},
+ *        expect:{ summary?, results:{ <checklist id>: "deny" | {status,rule_id,rule_ids,missing} }, absent?:[id] } }
+ *    · results 에 적은 항목만 비교(나머지 항목은 보지 않음), absent 는 applies_to 로 빠져야 하는 항목
+ *  - 판정: POST /api/checklists/judge 와 같은 lib/judge.js 파이프라인(주차대수/일조 여유 산정 → 판정, 네트워크 없이 로컬 룰 파일)
+ *  - 실패하면 기대/실제 차이 + 해당 항목의 룰 평가 과정(explain)을 출력하고 exit 1
+ *
+ * 사용 예)
+ *   cd functions
+ *   node scripts/rule_fixtures.js                            (../rules + ../rules/fixtures)
+ *   node scripts/rule_fixtures.js --dir ../rules/releases/0.4.2 --fixtures ../rules/fixtures
+ *   node scripts/rule_fixtures.js --only road                (이름/파일명에 road 가 들어간 것만)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const RuleEngine = require("../lib/rule_engine");
+const Judge = require("../lib/judge");
+const RulesLint = require("../lib/rules_lint");
+
+const FUNCTIONS_DIR = path.join(__dirname, "..");
+const DEFAULT_RULES_DIR = path.join(FUNCTIONS_DIR, "..", "rules");
+const SCHEMA_FILE = path.join(FUNCTIONS_DIR, "schemas", "fixtures.schema.json");
+
+function parseArgs(argv) {
+  const out = { dir: DEFAULT_RULES_DIR, fixtures: null, only: "" };
+  const args = argv.slice(2);
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--dir" && args[i + 1]) out.dir = path.resolve(args[++i]);
+    else if (args[i] === "--fixtures" && args[i + 1]) out.fixtures = path.resolve(args[++i]);
+    else if (args[i] === "--only" && args[i + 1]) out.only = String(args[++i]);
+  }
+  if (!out.fixtures) out.fixtures = path.join(out.dir, "fixtures");
+  return out;
+}
+
+function readJson(p) {
+  return JSON.parse(fs.readFileSync(p, "utf-8"));
+}
+
+function listFixtureFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((f) => f.endsWith(".json"))
+    .sort()
+    .map((f) => path.join(dir, f));
+}
+
+/* =========================
+   compare
+========================= */
+
+// "deny" 축약형 → { status: "deny" }
+function normalizeItemExpect(w) {
+  return typeof w === "string" ? { status: w } : w || {};
+}
+
+// judge 응답(data) 과 같은 필드에서 비교값만 추림 (conformance.js verdictOf 와 같은 기준)
+function verdictOf(judged) {
+  return {
+    summary: judged?.summary?.status || null,
+    results: (judged?.results || []).map((r) => ({
+      id: r.id,
+      status: r.status,
+      rule_id: r.matched_rule_id ?? null,
+      rule_ids: r.matched_rule_ids || [],
+      missing: (r.missing_inputs || []).map((m) => m.key),
+      explain: r.explain || null,
+    })),
+  };
+}
+
+function diffFixture(verdict, expect, knownIds) {
+  const errors = [];
+  const byId = new Map(verdict.results.map((r) => [r.id, r]));
+
+  if (expect.summary && verdict.summary !== expect.summary) {
+    errors.push({ at: "summary", want: expect.summary, got: verdict.summary });
+  }
+
+  Object.keys(expect.results || {}).forEach((id) => {
+    const w = normalizeItemExpect(expect.results[id]);
+    const r = byId.get(id);
+    if (!knownIds.has(id)) {
+      errors.push({ at: id, want: "checklists.json 항목", got: "없는 id(오타?)" });
+      return;
+    }
+    if (!r) {
+      errors.push({ at: id, want: "결과에 포함", got: "applies_to 로 제외됨" });
+      return;
+    }
+    if (w.status && r.status !== w.status) errors.push({ at: `${id}.status`, want: w.status, got: r.status, id });
+    if (w.rule_id !== undefined && r.rule_id !== w.rule_id) {
+      errors.push({ at: `${id}.rule_id`, want: w.rule_id, got: r.rule_id, id });
+    }
+    if (Array.isArray(w.rule_ids) && w.rule_ids.join(",") !== r.rule_ids.join(",")) {
+      errors.push({ at: `${id}.rule_ids`, want: `[${w.rule_ids.join(",")}]`, got: `[${r.rule_ids.join(",")}]`, id });
+    }
+    if (Array.isArray(w.missing) && w.missing.join(",") !== r.missing.join(",")) {
+      errors.push({ at: `${id}.missing`, want: `[${w.missing.join(",")}]`, got: `[${r.missing.join(",")}]`, id });
+    }
+  });
+
+  (expect.absent || []).forEach((id) => {
+    if (byId.has(id)) errors.push({ at: id, want: "applies_to 로 제외", got: `결과에 포함(${byId.get(id).status})` });
+  });
+
+  return errors;
+}
+
+// explain 조건 트리 → "road_width_m lt 4 (실제 3.5 ✓)" 식 한 줄
+function condText(node) {
+  if (!node) return "";
+  if (node.type === "all" || node.type === "any") {
+    return `${node.type}(${(node.children || []).map(condText).join(", ")})`;
+  }
+  if (node.type === "not") return `not(${condText(node.children?.[0])})`;
+  if (node.type !== "leaf") return node.reason || node.type;
+
+  const target = node.target !== undefined ? ` ${JSON.stringify(node.target)}` : "";
+  return `${node.key || node.expr} ${node.op}${target} (실제 ${JSON.stringify(node.actual)} ${node.result ? "✓" : "✗"})`;
+}
+
+// 실패한 항목의 룰 평가 과정 한 줄씩
+function explainLines(result) {
+  const ex = result?.explain;
+  if (!ex) return [];
+  if (!ex.has_engine_entry) return ["(rule_engine.json 항목 없음 → default)"];
+
+  const lines = (ex.rules || []).map((t) => {
+    const mark = t.selected ? "▶" : t.matched ? "●" : "·";
+    const why = t.matched ? "" : ` (${t.skipped_reason})`;
+    const cond = t.condition ? `  ${condText(t.condition)}` : "";
+    return `${mark} ${t.rule_id} p${t.priority} → ${t.result}${why}${cond}`;
+  });
+  if (ex.used_default) lines.push(`▶ default → ${ex.default_result}`);
+  if (ex.demoted_need_input) lines.push("(need_input 이지만 비어 있는 필수 입력이 없어 conditional 로 낮춤)");
+  return lines;
+}
+
+/* =========================
+   main
+========================= */
+
+function main() {
+  const args = parseArgs(process.argv);
+  const rel = (p) => path.relative(process.cwd(), p) || ".";
+
+  const checklists = readJson(path.join(args.dir, "checklists.json"));
+  const ruleEngine = readJson(path.join(args.dir, "rule_engine.json"));
+  const baseRules = readJson(path.join(args.dir, "base_rules.json"));
+  const knownIds = new Set(RuleEngine.getChecklistArray(checklists).map((it) => String(it?.id || "")));
+  const schema = readJson(SCHEMA_FILE);
+
+  const files = listFixtureFiles(args.fixtures);
+  console.log(`[fixtures] rules: ${rel(args.dir)} (rule_engine ${ruleEngine?.version || "?"})`);
+  if (!files.length) {
+    console.error(`[fixtures] ❌ ${rel(args.fixtures)} 에 fixtures(*.json)가 없습니다.`);
+    process.exit(1);
+  }
+
+  let total = 0;
+  let failed = 0;
+
+  for (const file of files) {
+    const name = path.basename(file);
+    let doc;
+    try {
+      doc = readJson(file);
+    } catch (e) {
+      console.log(`  ❌ ${name}: 읽기/파싱 실패 - ${e?.message || e}`);
+      failed++;
+      continue;
+    }
+
+    const schemaErrors = [];
+    RulesLint.validateSchema(schema, schema, doc, name, schemaErrors);
+    if (schemaErrors.length) {
+      schemaErrors.forEach((e) => console.log(`  ❌ ${e}`));
+      failed++;
+      continue;
+    }
+
+    const fixtures = doc.fixtures.filter((f) => !args.only || name.includes(args.only) || f.name.includes(args.only));
+    if (!fixtures.length) continue;
+    console.log(`[fixtures] ${name}`);
+
+    for (const fx of fixtures) {
+      total++;
+      const verdict = verdictOf(Judge.judge({
+        checklists,
+        ruleEngine,
+        baseRules,
+        context: fx.context || {},
+        values: fx.values || {},
+        explain: true,
+      }));
+
+      const errors = diffFixture(verdict, fx.expect, knownIds);
+      if (!errors.length) {
+        console.log(`  ✅ ${fx.name}`);
+        continue;
+      }
+
+      failed++;
+      console.log(`  ❌ ${fx.name}`);
+      errors.forEach((e) => console.log(`      ${e.at}: expected ${e.want}, got ${e.got}`));
+
+      const traced = new Set();
+      errors.forEach((e) => {
+        if (!e.id || traced.has(e.id)) return;
+        traced.add(e.id);
+        const r = verdict.results.find((x) => x.id === e.id);
+        console.log(`      ${e.id} 평가 과정:`);
+        explainLines(r).forEach((line) => console.log(`        ${line}`));
+      });
+    }
+  }
+
+  if (failed) {
+    console.error(`[fixtures] ❌ failed ${failed}/${total}`);
+    process.exit(1);
+  }
+  console.log(`[fixtures] ✅ passed ${total}/${total}`);
+}
+
+main();
@@ -0,0 +1,67 @@
+/**
+ * functions/scripts/sync_shared.js
+ *
+ * ✅ functions/lib 의 공용 모듈을 public/lib 로 복사 (브라우저가 같은 코드를 쓰도록)
+ *
+ * 사용 예)
+ *   cd functions
+ *   node scripts/sync_shared.js           (복사)
+ *   node scripts/sync_shared.js --check   (복사본이 다르면 exit 1, 쓰기 없음)
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const FUNCTIONS_DIR = path.join(__dirname, "..");
+const PUBLIC_DIR = path.join(FUNCTIONS_DIR, "..", "public");
+
+// [원본(functions 기준), 복사본(public 기준)]
+const SHARED_FILES = [
+  ["lib/rule_engine.js", "lib/rule_engine.js"],
+  ["lib/parcel_geo.js", "lib/parcel_geo.js"],
+];
+
+function parseArgs(argv) {
+  return { check: argv.slice(2).includes("--check") };
+}
+
+function readIfExists(p) {
+  try {
+    return fs.readFileSync(p, "utf-8");
+  } catch {
+    return null;
+  }
+}
+
+function main() {
+  const args = parseArgs(process.argv);
+  const stale = [];
+
+  for (const [srcRel, dstRel] of SHARED_FILES) {
+    const src = path.join(FUNCTIONS_DIR, srcRel);
+    const dst = path.join(PUBLIC_DIR, dstRel);
+
+    const body = fs.readFileSync(src, "utf-8");
+    if (readIfExists(dst) === body) {
+      console.log(`[sync] ok       public/${dstRel}`);
+      continue;
+    }
+
+    if (args.check) {
+      stale.push(dstRel);
+      console.log(`[sync] STALE    public/${dstRel} (원본: functions/${srcRel})`);
+      continue;
+    }
+
+    fs.mkdirSync(path.dirname(dst), { recursive: true });
+    fs.writeFileSync(dst, body, "utf-8");
+    console.log(`[sync] updated  public/${dstRel}`);
+  }
+
+  if (stale.length) {
+    console.error(`[sync] ❌ ${stale.length}개 파일이 원본과 다릅니다. \`npm run sync\` 를 실행해 주세요.`);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,327 @@
+/**
+ * functions/lib/parcel_geo.js
+ * 필지(대지) 폴리곤 ↔ 용도지역 폴리곤 면적 계산 (Express / Cloudflare Pages Functions / 브라우저 공용)
+ *
+ * 사용처:
+ *  - Express(functions/index.js):        const ParcelGeo = require("./lib/parcel_geo");
+ *  - Cloudflare(functions/api/[[path]]): import ParcelGeo from "../lib/parcel_geo.js";
+ *  - Browser(public/script.js):          <script src="./lib/parcel_geo.js"></script> → window.ParcelGeo
+ *
+ * 좌표는 GeoJSON 순서 [lon, lat] (EPSG:4326). 면적은 필지 중심 기준 국소 평면(m)으로 근사.
+ * 용도지역별 면적은 필지 안 격자점 표본(grid sampling)으로 나눔 — 필지 규모에서는 오차 1% 안팎.
+ *
+ * ⚠️ public/lib/parcel_geo.js 는 이 파일의 복사본입니다. 수정 후 `npm run sync` 로 갱신하세요.
+ */
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.ParcelGeo = api;
+})(typeof globalThis !== "undefined" ? globalThis : this, () => {
+  "use strict";
+
+  // 국토계획법 제84조: 가장 작은 부분이 이 면적 이하면 건폐율·용적률은 가중평균, 나머지 건축제한은 가장 넓은 용도지역
+  const MIXED_ZONE_SMALL_PART_M2 = 330;
+
+  // 한 변 표본 수(기본 80 → 필지 bbox 안 최대 6,400점)
+  const DEFAULT_GRID = 80;
+
+  const M_PER_DEG_LAT = 110540;
+  const M_PER_DEG_LON = 111320;
+
+  function isLonLat(p) {
+    return Array.isArray(p) && p.length >= 2 && Number.isFinite(Number(p[0])) && Number.isFinite(Number(p[1]));
+  }
+
+  // 닫힘점 제거 + 숫자화 (3점 미만이면 null)
+  function cleanRing(ring) {
+    if (!Array.isArray(ring)) return null;
+    const pts = ring.filter(isLonLat).map((p) => [Number(p[0]), Number(p[1])]);
+    if (pts.length > 1) {
+      const a = pts[0];
+      const b = pts[pts.length - 1];
+      if (a[0] === b[0] && a[1] === b[1]) pts.pop();
+    }
+    return pts.length >= 3 ? pts : null;
+  }
+
+  // GeoJSON Polygon coordinates → [[outer], [hole]...] | null
+  function cleanPolygon(rings) {
+    if (!Array.isArray(rings)) return null;
+    const out = rings.map(cleanRing);
+    if (!out[0]) return null;
+    return out.filter(Boolean);
+  }
+
+  /**
+   * 폴리곤 입력 통일 → polygons: [ [outerRing, ...holes], ... ] (각 링은 [lon, lat] 배열)
+   *  - GeoJSON Feature / FeatureCollection / Polygon / MultiPolygon
+   *  - [[lat, lon], ...] (Leaflet LatLng 순서, 지도에서 그린 점 목록)
+   *  - [{ lat, lng|lon }, ...]
+   * 해석 못 하면 null
+   */
+  function parsePolygonInput(input) {
+    if (!input) return null;
+
+    if (Array.isArray(input)) {
+      const pts = input
+        .map((p) => {
+          if (Array.isArray(p) && p.length >= 2) return [Number(p[1]), Number(p[0])];
+          if (p && typeof p === "object") return [Number(p.lng ?? p.lon), Number(p.lat)];
+          return null;
+        })
+        .filter((p) => p && Number.isFinite(p[0]) && Number.isFinite(p[1]));
+      const ring = cleanRing(pts);
+      return ring ? [[ring]] : null;
+    }
+
+    if (typeof input !== "object") return null;
+    if (input.type === "Feature") return parsePolygonInput(input.geometry);
+    if (input.type === "FeatureCollection") {
+      const all = (input.features || []).map((f) => parsePolygonInput(f?.geometry)).filter(Boolean);
+      return all.length ? [].concat(...all) : null;
+    }
+    if (input.type === "Polygon") {
+      const poly = cleanPolygon(input.coordinates);
+      return poly ? [poly] : null;
+    }
+    if (input.type === "MultiPolygon") {
+      const polys = (input.coordinates || []).map(cleanPolygon).filter(Boolean);
+      return polys.length ? polys : null;
+    }
+    return null;
+  }
+
+  function bboxOf(polygons) {
+    let minx = Infinity;
+    let miny = Infinity;
+    let maxx = -Infinity;
+    let maxy = -Infinity;
+    (polygons || []).forEach((poly) =>
+      (poly[0] || []).forEach(([x, y]) => {
+        if (x < minx) minx = x;
+        if (y < miny) miny = y;
+        if (x > maxx) maxx = x;
+        if (y > maxy) maxy = y;
+      })
+    );
+    return Number.isFinite(minx) ? { minx, miny, maxx, maxy } : null;
+  }
+
+  function bboxOverlaps(a, b) {
+    return !!a && !!b && a.minx <= b.maxx && b.minx <= a.maxx && a.miny <= b.maxy && b.miny <= a.maxy;
+  }
+
+  // [lon, lat] → 기준점(lon0, lat0)에서의 [x(m), y(m)]
+  function projector(lon0, lat0) {
+    const kx = M_PER_DEG_LON * Math.cos((lat0 * Math.PI) / 180);
+    return ([lon, lat]) => [(lon - lon0) * kx, (lat - lat0) * M_PER_DEG_LAT];
+  }
+
+  function ringAreaXY(ring) {
+    let s = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      s += (ring[j][0] + ring[i][0]) * (ring[j][1] - ring[i][1]);
+    }
+    return Math.abs(s) / 2;
+  }
+
+  // 면적(㎡): 외곽 - 구멍
+  function polygonsArea(polygons) {
+    const bb = bboxOf(polygons);
+    if (!bb) return 0;
+    const proj = projector((bb.minx + bb.maxx) / 2, (bb.miny + bb.maxy) / 2);
+    let area = 0;
+    polygons.forEach((poly) =>
+      poly.forEach((ring, i) => {
+        const a = ringAreaXY(ring.map(proj));
+        area += i === 0 ? a : -a;
+      })
+    );
+    return Math.max(0, area);
+  }
+
+  function pointInRing([x, y], ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+  }
+
+  function pointInPolygons(pt, polygons) {
+    return (polygons || []).some((poly) => pointInRing(pt, poly[0]) && !poly.slice(1).some((h) => pointInRing(pt, h)));
+  }
+
+  function round(n, digits = 2) {
+    const k = 10 ** digits;
+    return Math.round(n * k) / k;
+  }
+
+  /**
+   * 필지 안에서 용도지역별 면적/비율
+   *  parcel: polygons (parsePolygonInput 결과)
+   *  zones:  [{ name, polygons, ...meta }] — 같은 점이 여러 zone 에 걸리면 앞쪽 zone 으로 셈
+   *  → { parcel_area_m2, samples, parts:[{ name, area_m2, pct, ...meta }], uncovered_pct }
+   *    parts 는 같은 name 끼리 합치고 면적 큰 순
+   */
+  function zoneShares(parcel, zones, { grid = DEFAULT_GRID } = {}) {
+    const parcelArea = polygonsArea(parcel);
+    const bb = bboxOf(parcel);
+    if (!bb || parcelArea <= 0) return { parcel_area_m2: 0, samples: 0, parts: [], uncovered_pct: 100 };
+
+    const cand = (zones || [])
+      .map((z) => ({ z, bb: bboxOf(z.polygons) }))
+      .filter((c) => bboxOverlaps(c.bb, bb));
+
+    const n = Math.max(10, Math.min(400, Math.round(grid) || DEFAULT_GRID));
+    const dx = (bb.maxx - bb.minx) / n;
+    const dy = (bb.maxy - bb.miny) / n;
+
+    const counts = new Map(); // name -> { count, zone }
+    let samples = 0;
+    let uncovered = 0;
+
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        const pt = [bb.minx + (i + 0.5) * dx, bb.miny + (j + 0.5) * dy];
+        if (!pointInPolygons(pt, parcel)) continue;
+        samples++;
+
+        const hit = cand.find((c) => pointInPolygons(pt, c.z.polygons));
+        if (!hit) {
+          uncovered++;
+          continue;
+        }
+        const key = String(hit.z.name || "");
+        const cur = counts.get(key) || { count: 0, zone: hit.z };
+        cur.count++;
+        counts.set(key, cur);
+      }
+    }
+
+    if (!samples) return { parcel_area_m2: round(parcelArea), samples: 0, parts: [], uncovered_pct: 100 };
+
+    const parts = Array.from(counts.values())
+      .map(({ count, zone }) => {
+        const meta = { ...zone };
+        delete meta.polygons;
+        return {
+          ...meta,
+          name: String(zone.name || ""),
+          area_m2: round((parcelArea * count) / samples),
+          pct: round((100 * count) / samples, 1),
+        };
+      })
+      .sort((a, b) => b.area_m2 - a.area_m2);
+
+    return {
+      parcel_area_m2: round(parcelArea),
+      samples,
+      parts,
+      uncovered_pct: round((100 * uncovered) / samples, 1),
+    };
+  }
+
+  /**
+   * 여러 용도지역에 걸친 대지의 건폐율/용적률 상한 (국토계획법 제84조)
+   *  parts: [{ zoning, area_m2, bcr_max, far_max }] (상한 모르는 부분은 가중평균에서 빠지고 partial=true)
+   *  → { mode, bcr_max, far_max, dominant_zoning, smallest_part_m2, partial, note }
+   *    mode: single | weighted_average(가장 작은 부분 ≤ 330㎡) | per_part(부분별 적용, 가중평균은 대지 전체 합계 기준)
+   */
+  function mixedZoneLimits(parts, { smallPartM2 = MIXED_ZONE_SMALL_PART_M2 } = {}) {
+    const list = (parts || []).filter((p) => p && Number(p.area_m2) > 0);
+    if (!list.length) return null;
+
+    const dominant = list.reduce((a, b) => (Number(b.area_m2) > Number(a.area_m2) ? b : a));
+    const smallest = list.reduce((a, b) => (Number(b.area_m2) < Number(a.area_m2) ? b : a));
+
+    const weighted = (field) => {
+      const known = list.filter((p) => Number.isFinite(Number(p[field])) && p[field] !== null && p[field] !== "");
+      const area = known.reduce((s, p) => s + Number(p.area_m2), 0);
+      if (!area) return null;
+      return round(known.reduce((s, p) => s + Number(p.area_m2) * Number(p[field]), 0) / area);
+    };
+
+    const partial = list.some((p) => p.bcr_max == null || p.far_max == null);
+
+    let mode = "single";
+    let note = "하나의 용도지역에 속한 대지입니다.";
+    if (list.length > 1) {
+      if (Number(smallest.area_m2) <= smallPartM2) {
+        mode = "weighted_average";
+        note =
+          `가장 작은 부분(${round(Number(smallest.area_m2), 1)}㎡)이 ${smallPartM2}㎡ 이하 → ` +
+          "건폐율·용적률은 면적 가중평균, 그 밖의 건축제한은 가장 넓은 용도지역 기준(국토계획법 제84조).";
+      } else {
+        mode = "per_part";
+        note =
+          `모든 부분이 ${smallPartM2}㎡ 초과 → 부분별로 각 용도지역 기준 적용. ` +
+          "가중평균값은 대지 전체 허용 면적 합계를 대지면적으로 나눈 참고값입니다.";
+      }
+    }
+
+    return {
+      mode,
+      bcr_max: weighted("bcr_max"),
+      far_max: weighted("far_max"),
+      dominant_zoning: String(dominant.zoning || dominant.name || ""),
+      smallest_part_m2: round(Number(smallest.area_m2)),
+      partial,
+      note: partial ? `${note} (상한을 모르는 용도지역은 가중평균에서 제외)` : note,
+    };
+  }
+
+  /**
+   * 규모 산정(/api/calc) zones 파라미터: "제2종일반주거지역:600,일반상업지역:200" (용도지역:면적㎡)
+   *  → [{ zoning, area_m2 }] (면적이 0 이하/숫자 아님은 버림, 남는 게 없으면 null)
+   */
+  function parseZoneParts(raw) {
+    const parts = String(raw || "")
+      .split(",")
+      .map((s) => {
+        const i = s.lastIndexOf(":");
+        if (i < 0) return null;
+        const zoning = s.slice(0, i).trim();
+        const area = Number(s.slice(i + 1));
+        return zoning && Number.isFinite(area) && area > 0 ? { zoning, area_m2: area } : null;
+      })
+      .filter(Boolean);
+    return parts.length ? parts : null;
+  }
+
+  /**
+   * 혼재 대지의 상한(Massing.computeWithLimits 의 caps 모양)
+   *  parts: [{ zoning, area_m2, bcr_max, far_max }] — 용도지역별 상한은 호출 쪽이 RuleEngine.zoningCaps(조례 > 국가)로 채움
+   *  → { bcr_max, far_max, layers:{ 값마다 "parcel_weighted" }, national:null, ordinance:null, mixed: mixedZoneLimits 결과 } | null
+   */
+  function mixedZoneCaps(parts) {
+    const mixed = mixedZoneLimits(parts);
+    if (!mixed) return null;
+    const layer = (v) => (v == null ? null : "parcel_weighted");
+    return {
+      bcr_max: mixed.bcr_max,
+      far_max: mixed.far_max,
+      layers: { bcr_max: layer(mixed.bcr_max), far_max: layer(mixed.far_max) },
+      national: null,
+      ordinance: null,
+      mixed,
+    };
+  }
+
+  return {
+    MIXED_ZONE_SMALL_PART_M2,
+    DEFAULT_GRID,
+    parsePolygonInput,
+    bboxOf,
+    bboxOverlaps,
+    projector,
+    polygonsArea,
+    pointInPolygons,
+    zoneShares,
+    mixedZoneLimits,
+    parseZoneParts,
+    mixedZoneCaps,
+  };
+});
@@ -0,0 +1,1237 @@
+/**
+ * functions/lib/rule_engine.js
+ * 체크리스트 자동 판정 엔진 (Express / Cloudflare Pages Functions / 브라우저 공용)
+ *
+ * 사용처:
+ *  - Express(functions/index.js):        const RuleEngine = require("./lib/rule_engine");
+ *  - Cloudflare(functions/api/[[path]]): import RuleEngine from "../lib/rule_engine.js";
+ *  - Browser(public/script.js):          <script src="./lib/rule_engine.js"></script> → window.RuleEngine
+ *
+ * ⚠️ public/lib/rule_engine.js 는 이 파일의 복사본입니다.
+ *    수정 후 `npm run sync` 로 갱신하고 `npm run conformance` 로 세 런타임 판정이 같은지 확인하세요.
+ */
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.RuleEngine = api;
+})(typeof globalThis !== "undefined" ? globalThis : this, () => {
+  "use strict";
+
+  const STATUSES = ["allow", "conditional", "deny", "need_input", "unknown"];
+
+  // 심각도 순서: deny > need_input > conditional > allow (unknown은 가장 낮음)
+  const STATUS_SEVERITY = { unknown: 0, allow: 1, conditional: 2, need_input: 3, deny: 4 };
+
+  // rule_set.strategy
+  //  - first_match: priority 순으로 처음 맞는 룰 하나
+  //  - all_matches: 맞는 룰 전부(대표 판정은 priority가 가장 높은 룰)
+  //  - worst_of:    맞는 룰 전부(대표 판정은 가장 심각한 결과, 같으면 priority 순)
+  const STRATEGIES = ["first_match", "all_matches", "worst_of"];
+
+  // rule_engine.json에 항목이 없을 때 쓰는 기본 rule_set
+  const DEFAULT_RULE_SET = {
+    strategy: "first_match",
+    default_result: "conditional",
+    default_message: "⚠️ 추가 검토가 필요합니다.",
+  };
+
+  // applies_to 최소값 비교에 쓰는 컨텍스트 숫자 키
+  const CONTEXT_NUMERIC_KEYS = ["floors", "height_m", "gross_area_m2"];
+
+  // 판정 전에 서버가 values 에 채우는 키(lib/judge.js: 주차 lib/parking.js, 일조 lib/daylight.js)
+  const COMPUTED_KEYS = ["parking_required", "daylight_margin_m", "daylight_max_height_m", "daylight_floors_allowed"];
+
+  // 좌표에 겹치는 도시계획 레이어 종류(명칭 끝말로 구분: ~지역 / ~지구 / ~구역)
+  const OVERLAY_TYPES = {
+    zone: "용도지역",
+    district: "용도지구",
+    area: "용도구역",
+  };
+
+  // -------------------------
+  // Utilities
+  // -------------------------
+  function normalizeStatus(s) {
+    const v = String(s || "").trim().toLowerCase();
+    if (v === "allow") return "allow";
+    if (v === "deny") return "deny";
+    if (v === "conditional") return "conditional";
+    if (v === "need_input") return "need_input";
+    if (v === "unknown") return "unknown";
+    if (v === "warn") return "conditional"; // legacy
+    return "unknown";
+  }
+
+  function severityOf(status) {
+    return STATUS_SEVERITY[normalizeStatus(status)] ?? 0;
+  }
+
+  function worstStatus(statuses) {
+    let worst = "unknown";
+    (statuses || []).forEach((s) => {
+      const st = normalizeStatus(s);
+      if (severityOf(st) > severityOf(worst)) worst = st;
+    });
+    return worst;
+  }
+
+  // 쿼리/바디 플래그(explain=1 등)
+  function parseFlag(v) {
+    const s = String(v ?? "").trim().toLowerCase();
+    return s === "1" || s === "true" || s === "yes" || s === "on";
+  }
+
+  // 모르는 strategy는 기존 동작(first_match)으로
+  function normalizeStrategy(s) {
+    const v = String(s || "").trim().toLowerCase();
+    return STRATEGIES.includes(v) ? v : "first_match";
+  }
+
+  function toNum(v) {
+    if (v === "" || v === undefined || v === null) return null;
+    // 공백 문자열은 Number(" ") === 0 이 되므로 "값 없음"으로 취급
+    if (typeof v === "string" && v.trim() === "") return null;
+    const n = Number(v);
+    return Number.isFinite(n) ? n : null;
+  }
+
+  function isMissing(val) {
+    if (val === undefined || val === null) return true;
+    if (typeof val === "number") return !Number.isFinite(val);
+    return String(val).trim() === "";
+  }
+
+  // 입력값 정리: 숫자로 읽히는 문자열은 숫자로, 공백 문자열은 그대로(=missing)
+  function normalizeValues(valuesIn) {
+    const out = {};
+    Object.keys(valuesIn || {}).forEach((k) => {
+      const v = valuesIn[k];
+      const n = toNum(v);
+      out[k] = n != null && typeof v !== "boolean" ? n : v;
+    });
+    return out;
+  }
+
+  // -------------------------
+  // Expressions (산술식 샌드박스: eval/Function 없이 직접 파싱)
+  //  - 숫자, 입력 키, + - * / %, 괄호, min/max/abs/round/floor/ceil
+  //  - 참조한 키가 비었거나 0으로 나누면 결과는 null (→ 비교 조건은 false)
+  // -------------------------
+  const EXPR_MAX_LENGTH = 500;
+
+  const EXPR_FUNCS = {
+    min: { arity: [1, 16], fn: (...a) => Math.min(...a) },
+    max: { arity: [1, 16], fn: (...a) => Math.max(...a) },
+    abs: { arity: [1, 1], fn: (x) => Math.abs(x) },
+    floor: { arity: [1, 1], fn: (x) => Math.floor(x) },
+    ceil: { arity: [1, 1], fn: (x) => Math.ceil(x) },
+    // round(x) 또는 round(x, 자릿수)
+    round: {
+      arity: [1, 2],
+      fn: (x, d = 0) => {
+        const k = Math.pow(10, Math.trunc(d));
+        return Math.round(x * k) / k;
+      },
+    },
+  };
+
+  function tokenizeExpr(src) {
+    const tokens = [];
+    let i = 0;
+    while (i < src.length) {
+      const ch = src[i];
+      if (/\s/.test(ch)) {
+        i++;
+        continue;
+      }
+      const num = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(src.slice(i));
+      if (num) {
+        tokens.push({ t: "num", v: Number(num[0]), pos: i });
+        i += num[0].length;
+        continue;
+      }
+      const id = /^[A-Za-z_][A-Za-z0-9_]*/.exec(src.slice(i));
+      if (id) {
+        tokens.push({ t: "id", v: id[0], pos: i });
+        i += id[0].length;
+        continue;
+      }
+      if ("+-*/%(),".includes(ch)) {
+        tokens.push({ t: ch, pos: i });
+        i++;
+        continue;
+      }
+      throw new Error(`expr: unexpected '${ch}' at ${i}`);
+    }
+    return tokens;
+  }
+
+  /**
+   * 산술식 → AST
+   * expr := term (("+"|"-") term)* / term := unary (("*"|"/"|"%") unary)*
+   * unary := ("-"|"+") unary | primary / primary := num | id | id "(" args ")" | "(" expr ")"
+   * 문법 오류는 throw (lint에서 사용), 런타임 평가는 evalExpr에서 null로 흡수
+   */
+  function parseExpr(srcRaw) {
+    const src = String(srcRaw ?? "");
+    if (!src.trim()) throw new Error("expr: empty");
+    if (src.length > EXPR_MAX_LENGTH) throw new Error(`expr: longer than ${EXPR_MAX_LENGTH} chars`);
+
+    const tokens = tokenizeExpr(src);
+    let p = 0;
+
+    const peek = () => tokens[p];
+    const expect = (t) => {
+      const tok = tokens[p];
+      if (!tok || tok.t !== t) throw new Error(`expr: expected '${t}' at ${tok ? tok.pos : src.length}`);
+      p++;
+      return tok;
+    };
+
+    function parseAdd() {
+      let left = parseMul();
+      while (peek() && (peek().t === "+" || peek().t === "-")) {
+        const op = tokens[p++].t;
+        left = { type: "bin", op, left, right: parseMul() };
+      }
+      return left;
+    }
+
+    function parseMul() {
+      let left = parseUnary();
+      while (peek() && (peek().t === "*" || peek().t === "/" || peek().t === "%")) {
+        const op = tokens[p++].t;
+        left = { type: "bin", op, left, right: parseUnary() };
+      }
+      return left;
+    }
+
+    function parseUnary() {
+      const tok = peek();
+      if (tok && (tok.t === "-" || tok.t === "+")) {
+        p++;
+        const arg = parseUnary();
+        return tok.t === "-" ? { type: "neg", arg } : arg;
+      }
+      return parsePrimary();
+    }
+
+    function parsePrimary() {
+      const tok = tokens[p++];
+      if (!tok) throw new Error("expr: unexpected end");
+
+      if (tok.t === "num") return { type: "num", value: tok.v };
+
+      if (tok.t === "(") {
+        const inner = parseAdd();
+        expect(")");
+        return inner;
+      }
+
+      if (tok.t === "id") {
+        if (!peek() || peek().t !== "(") return { type: "var", name: tok.v };
+
+        const f = EXPR_FUNCS[tok.v];
+        if (!f) throw new Error(`expr: unknown function '${tok.v}' at ${tok.pos}`);
+        p++;
+        const args = [];
+        if (peek() && peek().t !== ")") {
+          args.push(parseAdd());
+          while (peek() && peek().t === ",") {
+            p++;
+            args.push(parseAdd());
+          }
+        }
+        expect(")");
+        if (args.length < f.arity[0] || args.length > f.arity[1]) {
+          throw new Error(`expr: ${tok.v}() takes ${f.arity.join("~")} args`);
+        }
+        return { type: "call", name: tok.v, args };
+      }
+
+      throw new Error(`expr: unexpected '${tok.t}' at ${tok.pos}`);
+    }
+
+    const ast = parseAdd();
+    const rest = tokens[p];
+    if (rest) throw new Error(`expr: unexpected '${rest.t === "id" || rest.t === "num" ? rest.v : rest.t}' at ${rest.pos}`);
+    return ast;
+  }
+
+  const _exprCache = new Map(); // src -> { ast } | { error }
+
+  function compileExpr(src) {
+    const k = String(src ?? "");
+    if (_exprCache.has(k)) return _exprCache.get(k);
+    let out;
+    try {
+      out = { ast: parseExpr(k) };
+    } catch (e) {
+      out = { error: String(e?.message || e) };
+    }
+    _exprCache.set(k, out);
+    return out;
+  }
+
+  function evalExprAst(node, values) {
+    if (node.type === "num") return node.value;
+    if (node.type === "var") return toNum(values ? values[node.name] : undefined);
+    if (node.type === "neg") {
+      const v = evalExprAst(node.arg, values);
+      return v == null ? null : -v;
+    }
+    if (node.type === "call") {
+      const args = node.args.map((a) => evalExprAst(a, values));
+      if (args.some((a) => a == null)) return null;
+      const v = EXPR_FUNCS[node.name].fn(...args);
+      return Number.isFinite(v) ? v : null;
+    }
+
+    const a = evalExprAst(node.left, values);
+    const b = evalExprAst(node.right, values);
+    if (a == null || b == null) return null;
+
+    let v = null;
+    if (node.op === "+") v = a + b;
+    else if (node.op === "-") v = a - b;
+    else if (node.op === "*") v = a * b;
+    else if (node.op === "/") v = b === 0 ? null : a / b;
+    else if (node.op === "%") v = b === 0 ? null : a % b;
+    return v != null && Number.isFinite(v) ? v : null;
+  }
+
+  // 식 평가(문법 오류/값 없음 → null)
+  function evalExpr(src, values) {
+    const c = compileExpr(src);
+    return c.ast ? evalExprAst(c.ast, values) : null;
+  }
+
+  // 식이 참조하는 입력 키 목록 (lint/설명용)
+  function exprKeys(src) {
+    const c = compileExpr(src);
+    const keys = new Set();
+    (function walk(n) {
+      if (!n) return;
+      if (n.type === "var") keys.add(n.name);
+      if (n.arg) walk(n.arg);
+      if (n.left) walk(n.left);
+      if (n.right) walk(n.right);
+      (n.args || []).forEach(walk);
+    })(c.ast);
+    return Array.from(keys);
+  }
+
+  // 조건 value 자리: 상수 또는 { expr: "..." }
+  function isExprRef(v) {
+    return !!v && typeof v === "object" && !Array.isArray(v) && typeof v.expr === "string";
+  }
+
+  function resolveOperand(v, values) {
+    return isExprRef(v) ? evalExpr(v.expr, values) : v;
+  }
+
+  // -------------------------
+  // Derived values (rule_engine.json 의 derived: [{ key, expr, label }])
+  // -------------------------
+  function getDerivedDefs(ruleEngineJson) {
+    const arr = Array.isArray(ruleEngineJson?.derived) ? ruleEngineJson.derived : [];
+    return arr.filter((d) => d && String(d.key || "").trim() && typeof d.expr === "string");
+  }
+
+  // 선언 순서대로 계산(앞에서 만든 파생값을 뒤에서 참조 가능). 사용자가 직접 넣은 값이 있으면 그 값 우선
+  function applyDerived(ruleEngineJson, values) {
+    const out = { ...(values || {}) };
+    getDerivedDefs(ruleEngineJson).forEach((d) => {
+      const key = String(d.key).trim();
+      if (!isMissing(out[key])) return;
+      const v = evalExpr(d.expr, out);
+      if (v != null) out[key] = v;
+    });
+    return out;
+  }
+
+  // -------------------------
+  // Conditions
+  // -------------------------
+  function exprErrorOf(src) {
+    return compileExpr(src).error || null;
+  }
+
+  /**
+   * leaf 평가 + 설명
+   * - actual: 비교에 쓴 값(key 값 또는 expr 결과), target: value(또는 value.expr 결과)
+   * - reason: false 가 된 이유(조건 오류/값 없음 등). 단순히 비교가 거짓이면 없음
+   */
+  function evalLeaf(cond, values) {
+    if (!cond || !(cond.key || cond.expr) || !cond.op) return { result: false, reason: "invalid_condition" };
+
+    const op = String(cond.op).trim().toLowerCase();
+    const raw = cond.expr ? evalExpr(cond.expr, values) : values?.[String(cond.key).trim()];
+    const out = { op, actual: raw === undefined ? null : raw };
+
+    const err = cond.expr ? exprErrorOf(cond.expr) : null;
+    if (err) return { ...out, result: false, reason: "expr_error", error: err };
+
+    if (op === "missing") return { ...out, result: isMissing(raw) };
+    if (op === "present") return { ...out, result: !isMissing(raw) };
+
+    if (op === "in" || op === "not_in") {
+      const arr = Array.isArray(cond.value) ? cond.value.map((x) => resolveOperand(x, values)) : [];
+      const hit = arr.map((x) => String(x)).includes(String(raw));
+      return { ...out, target: arr, result: op === "in" ? hit : !hit };
+    }
+
+    const target = resolveOperand(cond.value, values);
+    out.target = target === undefined ? null : target;
+
+    // value 는 { expr } 일 때만 식(그냥 문자열은 "제1종일반주거지역" 같은 상수)
+    const vErr = isExprRef(cond.value) ? exprErrorOf(cond.value.expr) : null;
+    if (vErr) return { ...out, result: false, reason: "expr_error", error: vErr };
+
+    const vNum = toNum(raw);
+    const tNum = toNum(target);
+
+    if (op === "eq") {
+      if (vNum != null && tNum != null) return { ...out, result: vNum === tNum };
+      return { ...out, result: String(raw) === String(target) };
+    }
+    if (op === "neq") {
+      if (vNum != null && tNum != null) return { ...out, result: vNum !== tNum };
+      return { ...out, result: String(raw) !== String(target) };
+    }
+
+    if (!["lt", "lte", "gt", "gte"].includes(op)) return { ...out, result: false, reason: "unknown_op" };
+    if (vNum == null) return { ...out, result: false, reason: "value_missing" };
+    if (tNum == null) return { ...out, result: false, reason: "target_missing" };
+
+    if (op === "lt") return { ...out, result: vNum < tNum };
+    if (op === "lte") return { ...out, result: vNum <= tNum };
+    if (op === "gt") return { ...out, result: vNum > tNum };
+    return { ...out, result: vNum >= tNum };
+  }
+
+  // leaf: { key | expr, op, value } (value 자리에 { expr } 가능)
+  function evalCond(cond, values) {
+    return evalLeaf(cond, values).result;
+  }
+
+  /**
+   * 조건 트리 평가
+   * - leaf: { key, op, value }
+   * - { all: [node...] } / { any: [node...] } / { not: node } 를 재귀로 중첩 가능
+   * - 빈 all/any 는 false (when_all/when_any 가 비어 있으면 매칭 안 하던 기존 동작과 동일)
+   */
+  function evalCondTree(node, values) {
+    if (!node || typeof node !== "object") return false;
+
+    if (Array.isArray(node.all)) {
+      return node.all.length > 0 && node.all.every((c) => evalCondTree(c, values));
+    }
+    if (Array.isArray(node.any)) {
+      return node.any.some((c) => evalCondTree(c, values));
+    }
+    if (node.not !== undefined) {
+      return node.not ? !evalCondTree(node.not, values) : false;
+    }
+    return evalCond(node, values);
+  }
+
+  /**
+   * explain용 조건 트리 평가: evalCondTree 와 같은 결과 + 노드별 설명
+   * - 단락 평가 없이 모든 leaf를 평가(어느 조건이 막았는지 보이도록)
+   */
+  function traceCondTree(node, values) {
+    if (!node || typeof node !== "object") return { type: "invalid", result: false, reason: "invalid_condition" };
+
+    if (Array.isArray(node.all)) {
+      const children = node.all.map((c) => traceCondTree(c, values));
+      return { type: "all", result: children.length > 0 && children.every((c) => c.result), children };
+    }
+    if (Array.isArray(node.any)) {
+      const children = node.any.map((c) => traceCondTree(c, values));
+      return { type: "any", result: children.some((c) => c.result), children };
+    }
+    if (node.not !== undefined) {
+      if (!node.not) return { type: "not", result: false, reason: "invalid_condition", children: [] };
+      const child = traceCondTree(node.not, values);
+      return { type: "not", result: !child.result, children: [child] };
+    }
+
+    const leaf = evalLeaf(node, values);
+    const out = { type: "leaf" };
+    if (node.key) out.key = String(node.key).trim();
+    if (node.expr) out.expr = String(node.expr);
+    out.op = leaf.op ?? (node.op ? String(node.op) : null);
+    out.value = node.value === undefined ? null : node.value;
+    out.actual = leaf.actual ?? null;
+    if (leaf.target !== undefined) out.target = leaf.target;
+    out.result = leaf.result;
+    if (leaf.reason) out.reason = leaf.reason;
+    if (leaf.error) out.error = leaf.error;
+    return out;
+  }
+
+  // rule의 when / when_all / when_any 를 하나의 조건 트리로 (when_all/when_any 는 all/any 의 축약형)
+  function ruleCondition(rule) {
+    if (!rule) return null;
+    if (rule.when) return rule.when;
+    if (Array.isArray(rule.when_all) && rule.when_all.length > 0) return { all: rule.when_all };
+    if (Array.isArray(rule.when_any) && rule.when_any.length > 0) return { any: rule.when_any };
+    return null;
+  }
+
+  function ruleMatches(rule, values) {
+    const cond = ruleCondition(rule);
+    return cond ? evalCondTree(cond, values) : false;
+  }
+
+  function sortByPriority(autoRules) {
+    const rules = Array.isArray(autoRules) ? autoRules : [];
+    // Array#sort는 안정 정렬 → 같은 priority면 파일에 적힌 순서 유지
+    return rules.slice().sort((a, b) => (toNum(b?.priority) ?? 0) - (toNum(a?.priority) ?? 0));
+  }
+
+  function toHit(rule) {
+    return {
+      result: normalizeStatus(rule.result),
+      message: String(rule.message || "").trim(),
+      rule_id: rule.id || null,
+      priority: toNum(rule.priority) ?? 0,
+    };
+  }
+
+  /**
+   * rule_set.strategy 에 따라 auto_rules 평가
+   * - hits: 매칭된 룰(priority 순). first_match는 최대 1개
+   * - hit:  항목의 대표 판정으로 쓸 룰
+   */
+  function evaluateRules(autoRules, values, strategy, trace) {
+    const strat = normalizeStrategy(strategy);
+    const hits = [];
+    const traced = [];
+
+    for (const r of sortByPriority(autoRules)) {
+      if (!trace) {
+        if (!ruleMatches(r, values)) continue;
+        hits.push(toHit(r));
+        if (strat === "first_match") break;
+        continue;
+      }
+
+      // explain: first_match로 이미 결정된 뒤의 룰도 조건은 보여주되 "평가 안 함"으로 표시
+      const cond = ruleCondition(r);
+      const stopped = strat === "first_match" && hits.length > 0;
+      const condition = cond ? traceCondTree(cond, values) : null;
+      const entry = {
+        rule_id: r?.id || null,
+        priority: toNum(r?.priority) ?? 0,
+        result: normalizeStatus(r?.result),
+        message: String(r?.message || "").trim(),
+        matched: false,
+        selected: false,
+        skipped_reason: null,
+        condition,
+      };
+
+      if (stopped) entry.skipped_reason = "first_match_already_matched";
+      else if (!cond) entry.skipped_reason = "no_condition";
+      else if (!condition.result) entry.skipped_reason = "condition_false";
+      else {
+        entry.matched = true;
+        entry.hit = toHit(r);
+        hits.push(entry.hit);
+      }
+      traced.push(entry);
+    }
+
+    let hit = hits[0] || null;
+    if (strat === "worst_of") {
+      // hits는 priority 순 → 심각도가 같으면 앞쪽(높은 priority) 유지
+      hits.forEach((h) => {
+        if (severityOf(h.result) > severityOf(hit.result)) hit = h;
+      });
+    }
+
+    if (trace) {
+      traced.forEach((e) => {
+        e.selected = !!hit && e.hit === hit;
+        delete e.hit;
+        trace.push(e);
+      });
+    }
+
+    return { strategy: strat, hit, hits };
+  }
+
+  function evaluateFirstMatch(autoRules, values) {
+    return evaluateRules(autoRules, values, "first_match").hit;
+  }
+
+  // -------------------------
+  // Data helpers
+  // -------------------------
+  function indexRuleEngineById(ruleEngineJson) {
+    const map = new Map();
+    const arr = Array.isArray(ruleEngineJson?.default_conditional) ? ruleEngineJson.default_conditional : [];
+    arr.forEach((x) => {
+      if (x && x.id) map.set(String(x.id), x);
+    });
+    return map;
+  }
+
+  function getChecklistArray(raw) {
+    const items = raw?.default_conditional || raw?.items || raw?.checklists || [];
+    return Array.isArray(items) ? items : [];
+  }
+
+  function collectRefs(items) {
+    const set = new Set();
+    (items || []).forEach((it) => {
+      (Array.isArray(it?.refs) ? it.refs : []).forEach((c) => {
+        const code = String(c || "").trim();
+        if (code) set.add(code);
+      });
+    });
+    return Array.from(set);
+  }
+
+  function buildMissingInputs(checkItem, values, optionalKeys = []) {
+    const inputs = Array.isArray(checkItem?.inputs) ? checkItem.inputs : [];
+    const opt = new Set((optionalKeys || []).map((k) => String(k)));
+
+    const missing = [];
+    for (const inp of inputs) {
+      // 문자열 inputs는 안내 문구(입력칸 아님)
+      if (typeof inp === "string") continue;
+      const key = String(inp?.key || "").trim();
+      if (!key) continue;
+      if (opt.has(key)) continue;
+
+      if (isMissing(values ? values[key] : undefined)) {
+        missing.push({ key, label: String(inp.label || key) });
+      }
+    }
+    return missing;
+  }
+
+  // -------------------------
+  // applies_to filter
+  // -------------------------
+  function includesStr(arr, s) {
+    if (!Array.isArray(arr) || arr.length === 0) return true;
+    return arr.map((x) => String(x).trim()).includes(String(s || "").trim());
+  }
+
+  // -------------------------
+  // Overlays (용도지역 + 용도지구 + 용도구역)
+  // -------------------------
+  // "고도지구(최고)" / " 경관 지구 " → 괄호/공백 제거 후 비교
+  function overlayKey(name) {
+    return String(name || "")
+      .replace(/\([^)]*\)/g, "")
+      .replace(/\s+/g, "")
+      .trim();
+  }
+
+  // 명칭 → zone | district | area (끝말로 못 고르면 fallback, 없으면 null)
+  function overlayType(name, fallback = null) {
+    const k = overlayKey(name);
+    if (/지역$/.test(k)) return "zone";
+    if (/지구$/.test(k)) return "district";
+    if (/구역$/.test(k)) return "area";
+    return Object.prototype.hasOwnProperty.call(OVERLAY_TYPES, fallback) ? fallback : null;
+  }
+
+  /**
+   * 레이어 조회 결과 → [{ type, type_label, name, layer }] (중복 제거, 지역→지구→구역 순)
+   * - raw: [{ name, layer?, type? }] (type 은 명칭으로 못 고를 때만 사용)
+   */
+  function buildOverlays(raw) {
+    const order = Object.keys(OVERLAY_TYPES);
+    const seen = new Set();
+    const out = [];
+    (Array.isArray(raw) ? raw : []).forEach((x) => {
+      const name = String(x?.name || "").trim();
+      if (!name) return;
+      const type = overlayType(name, x?.type);
+      const dedupe = `${type}|${overlayKey(name)}`;
+      if (seen.has(dedupe)) return;
+      seen.add(dedupe);
+      out.push({ type, type_label: type ? OVERLAY_TYPES[type] : "기타", name, layer: x?.layer ? String(x.layer) : null });
+    });
+    const rank = (t) => (order.includes(t) ? order.indexOf(t) : order.length);
+    return out.sort((a, b) => rank(a.type) - rank(b.type));
+  }
+
+  // 컨텍스트 overlays: ["경관지구"] | "경관지구,고도지구" | [{ name }] → 이름 배열
+  function normalizeOverlayNames(raw) {
+    const arr = Array.isArray(raw) ? raw : typeof raw === "string" ? raw.split(",") : [];
+    const names = arr
+      .map((x) => String(x && typeof x === "object" ? x.name || "" : x || "").trim())
+      .filter(Boolean);
+    return Array.from(new Set(names));
+  }
+
+  function passesAppliesTo(item, ctx) {
+    const a = item?.applies_to;
+    if (!a) return true;
+
+    if (!includesStr(a.zoning_in, ctx?.zoning)) return false;
+    if (!includesStr(a.use_in, ctx?.use)) return false;
+    if (!includesStr(a.jurisdiction_in, ctx?.jurisdiction)) return false;
+
+    // overlay_in: 좌표에 겹치는 지역/지구/구역 중 하나라도 맞아야 적용(조회 결과가 없으면 제외)
+    if (Array.isArray(a.overlay_in) && a.overlay_in.length) {
+      const have = new Set(normalizeOverlayNames(ctx?.overlays).map(overlayKey));
+      if (!a.overlay_in.some((o) => have.has(overlayKey(o)))) return false;
+    }
+
+    // 값이 아직 없으면(모름) 일단 포함 → 입력 후 다시 걸러짐
+    function meetsMin(th, val) {
+      const t = toNum(th);
+      const v = toNum(val);
+      if (t == null || v == null) return true;
+      return v >= t;
+    }
+
+    if (!meetsMin(a.min_floors, ctx?.floors)) return false;
+    if (!meetsMin(a.min_height_m, ctx?.height_m)) return false;
+    if (!meetsMin(a.min_gross_area_m2, ctx?.gross_area_m2)) return false;
+
+    return true;
+  }
+
+  // -------------------------
+  // Context / values
+  // -------------------------
+  function normalizeContext(context) {
+    const c = context || {};
+    const ctx = { ...c };
+    ctx.zoning = String(c.zoning || "").trim();
+    ctx.use = String(c.use || "").trim();
+    ctx.jurisdiction = String(c.jurisdiction || "").trim();
+    ctx.overlays = normalizeOverlayNames(c.overlays);
+    CONTEXT_NUMERIC_KEYS.forEach((k) => {
+      const n = toNum(c[k]);
+      if (n != null) ctx[k] = n;
+      else delete ctx[k];
+    });
+    return ctx;
+  }
+
+  // 컨텍스트(zoning/use/jurisdiction + 규모 값)를 values에 합침 (values에 이미 있으면 values 우선)
+  function mergeJudgeValues(ctx, values) {
+    const merged = { ...(values || {}) };
+
+    ["zoning", "use", "jurisdiction"].forEach((k) => {
+      const s = String(ctx?.[k] || "").trim();
+      if (s && merged[k] === undefined) merged[k] = s;
+    });
+    CONTEXT_NUMERIC_KEYS.forEach((k) => {
+      const n = toNum(ctx?.[k]);
+      if (n != null && merged[k] === undefined) merged[k] = n;
+    });
+
+    return merged;
+  }
+
+  // -------------------------
+  // Judge
+  // -------------------------
+  /**
+   * 항목 하나 판정
+   * - opts.explain: true 면 결과에 explain(평가한 룰/조건별 실제값/스킵 이유)을 붙임
+   */
+  function judgeItem(checkItem, engineItem, values, opts = {}) {
+    const eng = engineItem || {};
+    const ruleSet = { ...DEFAULT_RULE_SET, ...(eng.rule_set || {}) };
+    const defaultResult = normalizeStatus(ruleSet.default_result);
+    const defaultMessage = String(ruleSet.default_message || "").trim();
+
+    const optional = Array.isArray(eng.optional_inputs) ? eng.optional_inputs : [];
+    const missing_inputs = buildMissingInputs(checkItem, values, optional);
+
+    const trace = opts.explain ? [] : null;
+    const { strategy, hit, hits } = evaluateRules(eng.auto_rules, values, ruleSet.strategy, trace);
+
+    let status = hit ? hit.result : defaultResult;
+    let message = hit && hit.message ? hit.message : defaultMessage;
+
+    // need_input인데 실제로 비어 있는 필수 입력이 없으면 conditional로 낮춤
+    const demoted = status === "need_input" && missing_inputs.length === 0;
+    if (demoted) {
+      status = "conditional";
+      message = defaultMessage || message;
+    }
+
+    const out = {
+      id: String(checkItem?.id || ""),
+      status,
+      message,
+      missing_inputs,
+      matched_rule_id: hit?.rule_id || null,
+      matched_rule_ids: hits.map((h) => h.rule_id).filter(Boolean),
+      findings: hits,
+      strategy,
+      priority: hit?.priority ?? 0,
+      judge: hit,
+    };
+
+    if (trace) {
+      out.explain = {
+        has_engine_entry: !!engineItem,
+        strategy,
+        default_result: defaultResult,
+        default_message: defaultMessage,
+        used_default: !hit,
+        demoted_need_input: demoted,
+        rules: trace,
+      };
+    }
+
+    return out;
+  }
+
+  // 항목의 auto_rules 조건(식/{ expr } 비교값 포함)이 참조하는 키
+  function ruleKeys(engineItem) {
+    const keys = new Set();
+    const addExpr = (src) => exprKeys(src).forEach((k) => keys.add(k));
+    (function walk(node) {
+      if (!node || typeof node !== "object") return;
+      if (Array.isArray(node.all)) return node.all.forEach(walk);
+      if (Array.isArray(node.any)) return node.any.forEach(walk);
+      if (node.not !== undefined) return walk(node.not);
+      if (node.key) keys.add(String(node.key).trim());
+      if (typeof node.expr === "string") addExpr(node.expr);
+      (Array.isArray(node.value) ? node.value : [node.value]).forEach((v) => {
+        if (isExprRef(v)) addExpr(v.expr);
+      });
+    })({ all: (engineItem?.auto_rules || []).map(ruleCondition).filter(Boolean) });
+    return Array.from(keys);
+  }
+
+  // 서버 계산 키 + 그 키로 만드는 derived 키
+  function computedKeysOf(ruleEngineJson) {
+    const out = new Set(COMPUTED_KEYS);
+    getDerivedDefs(ruleEngineJson).forEach((d) => {
+      if (exprKeys(d.expr).some((k) => out.has(k))) out.add(String(d.key).trim());
+    });
+    return out;
+  }
+
+  /**
+   * 브라우저 즉시 판정(입력할 때마다, 서버 판정 응답 전에)
+   * - 서버 judge 와 같은 값 준비: 컨텍스트 합치기(mergeJudgeValues) → derived(applyDerived)
+   * - 조건이 서버 계산 키(COMPUTED_KEYS)를 참조하는 항목은 판정하지 않음 → { id, pending: true } (서버 판정을 기다림)
+   * - ruleEngine 은 derived 정의만 씀({ derived } 로 넘겨도 됨), engineItem 이 없으면 enriched 항목(item) 자체
+   */
+  function judgeItemInstant({ item, engineItem, ruleEngine, context, values } = {}) {
+    const eng = engineItem || item;
+    const computed = computedKeysOf(ruleEngine);
+    if (ruleKeys(eng).some((k) => computed.has(k))) return { id: String(item?.id || ""), pending: true };
+
+    const ctx = normalizeContext(context);
+    const merged = applyDerived(ruleEngine, mergeJudgeValues(ctx, normalizeValues(values)));
+    return { ...judgeItem(item, eng, merged), pending: false };
+  }
+
+  function summarizeResults(results) {
+    const counts = { allow: 0, conditional: 0, deny: 0, need_input: 0, unknown: 0 };
+    const missingKeys = new Set();
+
+    (results || []).forEach((r) => {
+      counts[normalizeStatus(r?.status)]++;
+
+      const miss = Array.isArray(r?.missing_inputs) ? r.missing_inputs : [];
+      miss.forEach((m) => {
+        const k = String(m?.key || "").trim();
+        if (k) missingKeys.add(k);
+      });
+    });
+
+    const status = worstStatus(Object.keys(counts).filter((k) => counts[k] > 0));
+
+    const total = results?.length ?? 0;
+
+    return {
+      status,
+      total,
+      counts,
+      missing_inputs: Array.from(missingKeys),
+      note: total === 0 ? "적용되는 체크리스트 항목이 없습니다. (조건/필터 결과)" : undefined,
+    };
+  }
+
+  /**
+   * POST /api/checklists/judge 공용 파이프라인
+   * - applies_to 필터 → 항목별 judgeItem → summary
+   */
+  function judgeChecklist({ checklists, ruleEngine, context, values, explain = false } = {}) {
+    const ctx = normalizeContext(context);
+    const merged = applyDerived(ruleEngine, mergeJudgeValues(ctx, normalizeValues(values)));
+
+    // applies_to 필터는 context에 없으면 values의 규모 값을 사용
+    const filterCtx = { ...ctx };
+    CONTEXT_NUMERIC_KEYS.forEach((k) => {
+      if (filterCtx[k] == null && toNum(merged[k]) != null) filterCtx[k] = toNum(merged[k]);
+    });
+
+    const engineById = indexRuleEngineById(ruleEngine);
+    const items = getChecklistArray(checklists).filter((it) => passesAppliesTo(it, filterCtx));
+    const results = items.map((it) => judgeItem(it, engineById.get(String(it?.id || "")), merged, { explain }));
+
+    return {
+      context: filterCtx,
+      values: merged,
+      items,
+      results,
+      summary: summarizeResults(results),
+    };
+  }
+
+  /**
+   * GET /api/checklists/enriched 공용 파이프라인
+   * - 체크리스트 항목에 rule_engine 정의 + 초기 판정(server_judge)을 붙여서 반환
+   */
+  function enrichChecklist({ checklists, ruleEngine, context, explain = false } = {}) {
+    const judged = judgeChecklist({ checklists, ruleEngine, context, values: {}, explain });
+    const engineById = indexRuleEngineById(ruleEngine);
+
+    const items = judged.items.map((it, i) => {
+      const eng = engineById.get(String(it?.id || "")) || {};
+      const r = judged.results[i];
+      return {
+        ...it,
+        rule_set: eng.rule_set || null,
+        auto_rules: Array.isArray(eng.auto_rules) ? eng.auto_rules : [],
+        optional_inputs: Array.isArray(eng.optional_inputs) ? eng.optional_inputs : [],
+        server_judge: {
+          result: r.status,
+          message: r.message,
+          rule_id: r.matched_rule_id,
+          rule_ids: r.matched_rule_ids,
+          findings: r.findings,
+          priority: r.priority,
+        },
+        missing_inputs: r.missing_inputs,
+        ...(r.explain ? { explain: r.explain } : {}),
+      };
+    });
+
+    // derived: 브라우저 즉시 판정(judgeItemInstant)이 서버와 같은 파생값을 쓰도록
+    return { context: judged.context, values: judged.values, items, summary: judged.summary, derived: getDerivedDefs(ruleEngine) };
+  }
+
+  // -------------------------
+  // Zoning resolver (VWorld 명칭 / 약칭 / 옛 명칭 / 코드 → base_rules zoning)
+  // -------------------------
+  // base_rules.rules[]: { zoning, aliases?:[...], codes?:["UQA121"] }
+  //  점수: exact 100 > code 95 > normalized 90 > alias 80 > contains 60 (입력이 이름을 포함) > fragment 40~50
+  //  맨 위 후보가 하나뿐이고 60 이상이면 matched, 동점이면 ambiguous(자동 적용 안 함, candidates 로 선택)
+  const ZONING_MATCH_SCORES = { exact: 100, code: 95, normalized: 90, alias: 80, contains: 60, fragment: 40 };
+  const ZONING_MATCH_MIN = ZONING_MATCH_SCORES.contains;
+  const ZONING_CODE_RE = /^UQ[A-Z]\d{3}$/i;
+
+  // 비교 키: 괄호 내용/공백/가운뎃점 제거, "제1종" → "1종", 끝의 "지역" 제거
+  // "제1종일반주거지역(…)" / "1종 일반주거" → "1종일반주거"
+  function zoningKey(name) {
+    return String(name || "")
+      .replace(/\([^)]*\)/g, "")
+      .replace(/[\s·ㆍ_-]+/g, "")
+      .replace(/제(\d+종)/g, "$1")
+      .replace(/지역$/, "")
+      .toLowerCase();
+  }
+
+  function zoningRulesOf(baseRules) {
+    if (Array.isArray(baseRules?.rules)) return baseRules.rules;
+    if (Array.isArray(baseRules?.zoning_rules)) return baseRules.zoning_rules;
+    return [];
+  }
+
+  /**
+   * 용도지역 명칭 → base_rules 항목
+   * → { input, matched, zoning, via, score, ambiguous, candidates:[{ zoning, score, via }] } (점수 높은 순)
+   */
+  function resolveZoning(name, baseRules, { limit = 5 } = {}) {
+    const input = String(name || "").trim();
+    const out = { input, matched: false, zoning: "", via: null, score: 0, ambiguous: false, candidates: [] };
+    if (!input) return out;
+
+    const key = zoningKey(input);
+    const code = ZONING_CODE_RE.test(input) ? input.toUpperCase() : "";
+    const best = new Map(); // zoning -> { zoning, score, via }
+    const consider = (zoning, via, score = ZONING_MATCH_SCORES[via]) => {
+      const cur = best.get(zoning);
+      if (!cur || score > cur.score) best.set(zoning, { zoning, score, via });
+    };
+
+    zoningRulesOf(baseRules).forEach((rule) => {
+      const zoning = String(rule?.zoning || "").trim();
+      if (!zoning) return;
+      if (zoning === input) return consider(zoning, "exact");
+
+      const codes = Array.isArray(rule.codes) ? rule.codes.map((c) => String(c).toUpperCase()) : [];
+      if (code && codes.includes(code)) return consider(zoning, "code");
+
+      const zk = zoningKey(zoning);
+      if (key && zk === key) return consider(zoning, "normalized");
+
+      const aliasKeys = (Array.isArray(rule.aliases) ? rule.aliases : []).map(zoningKey).filter(Boolean);
+      if (key && aliasKeys.includes(key)) return consider(zoning, "alias");
+
+      // 부분 일치: 입력이 이름을 품으면(더 구체적) contains, 입력이 이름의 조각이면 fragment(후보로만)
+      if (key.length < 2) return;
+      [zk, ...aliasKeys].forEach((k) => {
+        if (!k) return;
+        if (key.includes(k)) consider(zoning, "contains");
+        else if (k.includes(key)) consider(zoning, "fragment", ZONING_MATCH_SCORES.fragment + Math.round((10 * key.length) / k.length));
+      });
+    });
+
+    // 점수 높은 순(같으면 base_rules 순서). 명칭/코드/alias 로 바로 맞은 게 있으면 부분 일치는 후보에서 뺌
+    //  ("제2종일반주거지역" 안의 "일반주거지역" alias 때문에 1종/3종이 후보로 따라오지 않게)
+    let ranked = Array.from(best.values()).sort((a, b) => b.score - a.score);
+    if (ranked[0]?.score >= ZONING_MATCH_SCORES.alias) ranked = ranked.filter((c) => c.score >= ZONING_MATCH_SCORES.alias);
+    out.candidates = ranked.slice(0, Math.max(1, limit));
+
+    const top = ranked[0];
+    if (!top) return out;
+    out.ambiguous = ranked.filter((c) => c.score === top.score).length > 1;
+    if (!out.ambiguous && top.score >= ZONING_MATCH_MIN) {
+      out.matched = true;
+      out.zoning = top.zoning;
+      out.via = top.via;
+      out.score = top.score;
+    }
+    return out;
+  }
+
+  // resolveZoning 결과 → 해당 base_rules 항목(없으면 null)
+  function findZoningRule(baseRules, name) {
+    const r = resolveZoning(name, baseRules);
+    if (!r.matched) return null;
+    return zoningRulesOf(baseRules).find((x) => String(x?.zoning || "").trim() === r.zoning) || null;
+  }
+
+  // -------------------------
+  // 조례 상한 (base_rules.ordinances[] — 지자체 도시계획 조례가 국가 상한보다 낮게 정한 건폐율/용적률)
+  // { id, jurisdiction:"서울특별시", aliases?:["서울"], title?, caps:{ "<용도지역>": { bcr_max?, far_max? } }, meta? }
+  //  적용 순서: 조례 > 국가(rules[] 의 bcr_max/far_max). 조례에 없는 값은 국가 상한 그대로
+  // -------------------------
+  const CAP_KEYS = ["bcr_max", "far_max"];
+
+  function ordinancesOf(baseRules) {
+    return Array.isArray(baseRules?.ordinances) ? baseRules.ordinances : [];
+  }
+
+  // "서울특별시 종로구 사직동" → ["서울특별시","종로구","사직동"] (쉼표/공백 구분)
+  function jurisdictionTokens(name) {
+    return String(name || "")
+      .split(/[\s,]+/)
+      .map((t) => t.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * 지자체 표기(역지오코딩 jurisdiction: "서울특별시 종로구 …" / "서울" 등) → ordinances 항목
+   *  - 항목 명칭/alias 의 토큰들이 입력 토큰 안에 연속으로 있으면 일치
+   *  - 여러 개 맞으면 토큰이 더 긴 쪽(시·도 < 시·군·구)
+   * → 항목 또는 null
+   */
+  function resolveOrdinance(jurisdiction, baseRules) {
+    const input = jurisdictionTokens(jurisdiction);
+    if (!input.length) return null;
+
+    const runIn = (names) =>
+      input.some((_, i) => names.length && names.every((t, j) => input[i + j] === t));
+
+    let best = null;
+    let bestLen = 0;
+    ordinancesOf(baseRules).forEach((ord) => {
+      [ord?.jurisdiction, ...(Array.isArray(ord?.aliases) ? ord.aliases : [])].forEach((name) => {
+        const names = jurisdictionTokens(name);
+        if (names.length > bestLen && runIn(names)) {
+          best = ord;
+          bestLen = names.length;
+        }
+      });
+    });
+    return best;
+  }
+
+  /**
+   * 용도지역 룰(rules[] 항목) + 지자체 → 적용 상한
+   *  - 조례는 국가 상한 안에서만 정함 → 둘 다 있으면 작은 값(조례가 더 크면 오기로 보고 국가 상한)
+   *  - layers 는 실제로 적용된 쪽(같으면 ordinance), ordinance 는 조례가 하나라도 적용됐을 때만
+   * → { bcr_max, far_max, layers:{ bcr_max, far_max }("ordinance"|"national"|null),
+   *     national:{ bcr_max, far_max }, ordinance:{ id, jurisdiction, title, ref }|null }
+   */
+  function zoningCaps(rule, jurisdiction, baseRules) {
+    const national = {};
+    CAP_KEYS.forEach((k) => {
+      national[k] = toNum(rule?.[k] ?? rule?.[k.replace(/_max$/, "")]);
+    });
+
+    const ord = jurisdiction ? resolveOrdinance(jurisdiction, baseRules) : null;
+    const zoning = String(rule?.zoning || "").trim();
+    const capsKey = ord
+      ? Object.keys(ord.caps || {}).find((k) => k === zoning || zoningKey(k) === zoningKey(zoning))
+      : null;
+    const local = capsKey ? ord.caps[capsKey] : null;
+
+    const out = { bcr_max: null, far_max: null, layers: {}, national, ordinance: null };
+    CAP_KEYS.forEach((k) => {
+      const v = toNum(local?.[k]);
+      const useLocal = v != null && (national[k] == null || v <= national[k]);
+      out[k] = useLocal ? v : national[k];
+      out.layers[k] = useLocal ? "ordinance" : national[k] != null ? "national" : null;
+    });
+    if (CAP_KEYS.some((k) => out.layers[k] === "ordinance")) {
+      out.ordinance = {
+        id: ord.id || null,
+        jurisdiction: ord.jurisdiction,
+        title: ord.title || null,
+        ref: ord.meta?.evidence?.ref || null,
+      };
+    }
+    return out;
+  }
+
+  // -------------------------
+  // Use check (base_rules.rules[].uses — /api/uses/check)
+  // -------------------------
+  function useMessage(status) {
+    const s = normalizeStatus(status);
+    if (s === "allow") return "✅ 가능(1차 통과)";
+    if (s === "conditional") return "⚠️ 조건부 가능(추가 검토 필요)";
+    if (s === "deny") return "❌ 불가/제한 가능성 큼(추가 검토 필요)";
+    if (s === "need_input") return "❓ 입력이 필요합니다(추가 정보 필요)";
+    return "❓ 정보가 부족해요(간이 판정)";
+  }
+
+  /**
+   * 용도지역 × 용도 간이 판정
+   * → { zoning, use, status, message, source, resolved }
+   *   zoning 은 resolveZoning 으로 맞춘 base_rules 명칭(못 맞추면 입력 그대로, status unknown)
+   */
+  function checkUse(baseRules, zoning, use) {
+    const resolved = resolveZoning(zoning, baseRules);
+    const useCode = String(use || "").trim();
+    const rule = resolved.matched
+      ? zoningRulesOf(baseRules).find((x) => String(x?.zoning || "").trim() === resolved.zoning) || null
+      : null;
+
+    if (!rule) {
+      return {
+        zoning: resolved.input,
+        use: useCode,
+        status: "unknown",
+        message: resolved.ambiguous
+          ? "❓ 용도지역 명칭이 여러 후보와 겹칩니다(후보에서 선택해 주세요)"
+          : "❓ 해당 용도지역 룰이 없습니다(간이 판정 불가)",
+        source: "base_rules_not_found",
+        resolved,
+      };
+    }
+
+    const status = normalizeStatus(rule?.uses?.[useCode] || "unknown");
+    return {
+      zoning: resolved.zoning,
+      use: useCode,
+      status,
+      message: useMessage(status),
+      source: "base_rules.rules[].uses",
+      resolved,
+    };
+  }
+
+  // -------------------------
+  // Ruleset (rules/manifest.json → 응답의 ruleset 블록)
+  // -------------------------
+  // 파일별 version 을 가진 룰 파일만(laws.json 은 코드 → 조문 카드 표라 version 이 없음 —
+  // 조문이 바뀌면 ruleset version/hash 가 바뀌므로 ?ruleset= 으로 구분됨)
+  const RULESET_FILES = ["base_rules", "checklists", "rule_engine"];
+
+  // ?ruleset=0.4.0 (경로로 쓰이므로 숫자.숫자 형태만 허용)
+  function isRulesetVersion(v) {
+    return /^\d+(\.\d+){1,3}$/.test(String(v || "").trim());
+  }
+
+  /**
+   * 판정 응답에 붙이는 ruleset 블록
+   * - manifest 가 없으면(conformance 등 빌드 안 된 룰 폴더) loaded 의 파일별 version 으로 채움
+   */
+  function rulesetBlock(manifest, { pinned = false, loaded = {} } = {}) {
+    const files = {};
+    RULESET_FILES.forEach((name) => {
+      const m = manifest?.files?.[`${name}.json`];
+      const v = m ? m.version : loaded[name]?.version;
+      files[name] = v ? String(v) : null;
+    });
+    return {
+      version: manifest?.version || null,
+      hash: manifest?.hash || null,
+      pinned: !!pinned,
+      files,
+    };
+  }
+
+  return {
+    STATUSES,
+    STATUS_SEVERITY,
+    STRATEGIES,
+    DEFAULT_RULE_SET,
+    COMPUTED_KEYS,
+    OVERLAY_TYPES,
+    ZONING_MATCH_SCORES,
+    normalizeStatus,
+    severityOf,
+    worstStatus,
+    normalizeStrategy,
+    parseFlag,
+    toNum,
+    isMissing,
+    normalizeValues,
+    parseExpr,
+    compileExpr,
+    evalExpr,
+    exprKeys,
+    getDerivedDefs,
+    applyDerived,
+    evalLeaf,
+    evalCond,
+    evalCondTree,
+    traceCondTree,
+    ruleCondition,
+    ruleMatches,
+    evaluateRules,
+    evaluateFirstMatch,
+    indexRuleEngineById,
+    getChecklistArray,
+    collectRefs,
+    buildMissingInputs,
+    overlayKey,
+    overlayType,
+    buildOverlays,
+    normalizeOverlayNames,
+    zoningKey,
+    resolveZoning,
+    findZoningRule,
+    resolveOrdinance,
+    zoningCaps,
+    useMessage,
+    checkUse,
+    passesAppliesTo,
+    normalizeContext,
+    mergeJudgeValues,
+    judgeItem,
+    ruleKeys,
+    judgeItemInstant,
+    summarizeResults,
+    judgeChecklist,
+    enrichChecklist,
+    isRulesetVersion,
+    rulesetBlock,
+  };
+});
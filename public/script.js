@@ -1,6 +1,9 @@
 // public/script.js (FULL REPLACE)
 let map;
 let marker;
+// geocode 후보 마커(신뢰도가 낮을 때 지도에서 고르기) + 마지막 geocode 후보 목록
+let geoPickLayer = null;
+let _geoPick = { query: "", candidates: [], address: null };
 let lastCalcResult = null;
 
 // 현재 화면에 렌더된 체크리스트(요약 만들 때 refs 안정적으로 쓰기 위함)
@@ -14,11 +17,18 @@ let _ctx = {
   jurisdiction: "",
   zoning: "",
   use: "",
+  // 좌표에 겹치는 용도지역/용도지구/용도구역 [{ type, type_label, name }] (/api/zoning/by-coord)
+  overlays: [],
+  // 서버가 데모 용도지역을 준 경우(ZONING_FALLBACK_MODE=demo) → 이후 요청/결과/요약에 데모 표시
+  demo: false,
 };
 
 // renderChecklist에서 쓸 현재 아이템(이벤트 위임에서 참조)
 let _currentChecklistItems = [];
 
+// ✅ rule_engine.json derived 정의(enriched meta.derived) → 입력 즉시 판정도 서버와 같은 파생값
+let _checklistDerived = [];
+
 // ✅ use code -> label 매핑(요약에서 사람이 읽는 라벨로 표기)
 let _useLabelMap = {};
 
@@ -35,6 +45,14 @@ let _lastUseStatus = "";
 // ✅ 마지막 서버 요약(summary) 저장 (요약문/헤더에 활용)
 let _lastServerSummary = null;
 
+// ✅ 마지막 서버 판정에 쓰인 룰셋(version/hash) — 요약문에 남겨 나중에 ?ruleset= 으로 재현
+let _lastRuleset = null;
+
+// ✅ 필지(대지 경계) 기준 용도지역 면적(/api/zoning/by-parcel) + 지도에 경계 그리기 상태
+let _parcel = null;
+let _parcelDraw = { active: false, points: [] }; // points: [[lat, lon], ...]
+let parcelLayer = null;
+
 // ✅ calc 자동 입력 후 서버판정 재호출 중복 방지용 플래그
 let _isAutoFillRunning = false;
 
@@ -73,6 +91,159 @@ function buildQuery(params) {
   return qs ? `?${qs}` : "";
 }
 
+// context.overlays 로 넘길 이름 목록(applies_to.overlay_in 필터용)
+function overlayNames() {
+  return (_ctx.overlays || []).map((o) => o?.name).filter(Boolean);
+}
+
+// 좌표 조회 결과의 용도지구/용도구역 표시(용도지역은 위에 따로 표시)
+function overlayHintHtml(overlays) {
+  const list = (overlays || []).filter((o) => o?.type !== "zone");
+  if (!list.length) return "";
+  const chips = list
+    .map((o) => `<span class="overlayChip">${escapeHtml(o.type_label || "기타")} · ${escapeHtml(o.name)}</span>`)
+    .join("");
+  return `<div class="ruleAutoOverlays">겹치는 지구/구역: ${chips}</div>`;
+}
+
+// geocode 응답의 주소 해석(address 블록): 종류 + 표준 표기 + PNU
+const ADDRESS_KIND_LABELS = { road: "도로명", jibun: "지번", pnu: "PNU", partial: "행정구역" };
+
+function addressPartsHtml(address, result) {
+  if (!address) return "";
+  const kind = ADDRESS_KIND_LABELS[address.kind];
+  const rows = [];
+  if (kind) rows.push(`<div class="muted-sm">${escapeHtml(kind)} · ${escapeHtml(address.normalized || "")}</div>`);
+  if (address.pnu) {
+    rows.push(
+      `<div class="muted-sm">PNU ${escapeHtml(address.pnu)}${
+        address.bjd_name ? ` <span class="inlineDim">(${escapeHtml(address.bjd_name)})</span>` : ""
+      }</div>`
+    );
+  } else if (address.pnu_note) {
+    rows.push(`<div class="muted-sm">${escapeHtml(address.pnu_note)}</div>`);
+  }
+  if (result?.precision === "area") {
+    rows.push(`<div class="muted-sm">⚠️ 번지/건물번호까지는 찾지 못해 읍면동·도로 위치로 표시했어요.</div>`);
+  }
+  return rows.join("");
+}
+
+// geocode 후보 목록(점수순): 버튼 data-pick-geocode=rank → addrResult 클릭 위임으로 적용
+const GEO_MISSED_LABELS = { sido: "시도", sigungu: "시군구", place: "읍면동/도로", number: "번지/건물번호" };
+
+function geocodeCandidatesHtml(candidates, { pickedRank = null } = {}) {
+  const list = Array.isArray(candidates) ? candidates : [];
+  if (!list.length) return "";
+  return `
+    <div class="geoCands">
+      ${list
+        .map((c) => {
+          const missed = (c.missed || []).map((k) => GEO_MISSED_LABELS[k] || k);
+          return `
+            <button type="button" class="ghost geoCand${c.rank === pickedRank ? " is-picked" : ""}" data-pick-geocode="${c.rank}">
+              <b>${c.rank}</b> ${escapeHtml(c.display_name || "")}
+              <span class="inlineDim">· 일치 ${Math.round((c.score || 0) * 100)}%${
+                c.precision === "area" ? " · 읍면동 수준" : ""
+              }${missed.length ? ` · 안 맞음: ${escapeHtml(missed.join(", "))}` : ""}</span>
+            </button>`;
+        })
+        .join("")}
+    </div>`;
+}
+
+// 신뢰도 낮음 → 후보 고르기 안내(서버 confidence.reasons 그대로)
+function geocodePickerHtml(data) {
+  const reasons = (data?.confidence?.reasons || []).map((r) => `<div class="muted-sm">⚠️ ${escapeHtml(r.message)}</div>`);
+  return `
+    <div>🤔 위치가 확실하지 않아요. 목록이나 지도에서 맞는 위치를 골라 주세요.</div>
+    ${reasons.join("")}
+    ${geocodeCandidatesHtml(data?.candidates)}
+    <div class="muted-sm">고르기 전에는 용도지역/룰을 자동 적용하지 않아요.</div>
+    ${addressPartsHtml(data?.address, null)}
+  `;
+}
+
+// 데모 용도지역 표시(서버 응답 demo:true 에서 시작, 사용자가 용도지역을 직접 고르면 해제)
+const DEMO_BANNER_TEXT = "⚠️ 데모 데이터: 실제로 조회한 용도지역이 아닙니다. 상담/인허가 판단에 쓰지 마세요.";
+
+function demoBannerHtml(note) {
+  if (!_ctx.demo) return "";
+  return `<div class="demoBanner">${escapeHtml(note || DEMO_BANNER_TEXT)}</div>`;
+}
+
+// 데모 용도지역에서 이어진 요청이면 쿼리에 demo=1
+function demoParams() {
+  return _ctx.demo ? { demo: 1 } : {};
+}
+
+// 필지 조회 결과: 용도지역별 면적/비율 표 + 면적 가중 건폐율/용적률
+function parcelResultHtml(data) {
+  const parcel = data?.parcel || {};
+  const zones = Array.isArray(data?.zones) ? data.zones : [];
+  const w = data?.weighted || null;
+  const title = parcel.pnu
+    ? `${escapeHtml(parcel.addr || parcel.jibun || parcel.pnu)} <span class="inlineDim">(PNU ${escapeHtml(parcel.pnu)})</span>`
+    : "지도에 그린 대지 경계";
+
+  const rows = zones
+    .map(
+      (z) => `
+        <tr>
+          <td>${escapeHtml(z.zoning)}${z.matched ? "" : ' <span class="inlineDim">(룰 없음)</span>'}</td>
+          <td class="num">${fmt(z.area_m2)} ㎡</td>
+          <td class="num">${fmt(z.pct)}%</td>
+          <td class="num">${z.bcr_max ?? "-"}%${capLayerTag(z, "bcr_max")} / ${z.far_max ?? "-"}%${capLayerTag(z, "far_max")}</td>
+        </tr>`
+    )
+    .join("");
+
+  const modeLabel = { single: "단일 용도지역", weighted_average: "면적 가중평균", per_part: "부분별 적용(가중평균은 참고값)" };
+
+  return `
+    ${data?.demo ? demoBannerHtml(data.demo_note) : ""}
+    <div>🗺️ ${title} · 약 <b>${fmt(parcel.area_m2)} ㎡</b></div>
+    <table class="parcelZones">
+      <thead><tr><th>용도지역</th><th>면적</th><th>비율</th><th>건폐율/용적률 상한</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    ${
+      w
+        ? `<div class="parcelWeighted">
+            ${escapeHtml(modeLabel[w.mode] || w.mode)}: 건폐율 <b>${w.bcr_max ?? "-"}%</b> / 용적률 <b>${w.far_max ?? "-"}%</b>
+            <button class="ghost" type="button" data-apply-parcel="1">이 상한으로 산정</button>
+          </div>
+          <div class="muted-sm parcelNote">${escapeHtml(w.note || "")}</div>`
+        : ""
+    }
+    ${
+      data?.uncovered_pct > 0
+        ? `<div class="muted-sm parcelNote">용도지역 자료가 없는 부분 ${fmt(data.uncovered_pct)}%</div>`
+        : ""
+    }
+    <div class="muted-sm parcelNote">source: ${escapeHtml(data?.source || "-")} · 격자 표본 ${fmt(data?.method?.samples)}점 기준 근사</div>
+  `;
+}
+
+// 지금 건폐율/용적률 입력값이 필지 가중 상한 그대로인지(산정 결과/요약에 근거 표시용)
+function parcelWeightedApplied() {
+  const w = _parcel?.weighted;
+  if (!w || (_parcel.zones || []).length < 2) return false;
+  return Number($("bcr")?.value) === Number(w.bcr_max) && Number($("far")?.value) === Number(w.far_max);
+}
+
+function parcelZonesText() {
+  return (_parcel?.zones || []).map((z) => `${z.zoning} ${fmt(z.pct)}%`).join(" · ");
+}
+
+// /api/calc zones 파라미터: "용도지역:면적㎡,..." (서버가 용도지역별 상한을 면적 가중)
+function parcelZonesParam() {
+  return (_parcel?.zones || [])
+    .filter((z) => z.zoning && Number(z.area_m2) > 0)
+    .map((z) => `${z.zoning}:${z.area_m2}`)
+    .join(",");
+}
+
 // 디바운스
 function debounce(fn, wait = 450) {
   let t = null;
@@ -123,18 +294,8 @@ function badgeText(state) {
   return map[state] || "";
 }
 
-// ✅ 서버/프론트 판정 status 정규화
-function normalizeStatus(s) {
-  const v = String(s || "").trim().toLowerCase();
-  if (v === "allow") return "allow";
-  if (v === "deny") return "deny";
-  if (v === "conditional") return "conditional";
-  if (v === "need_input") return "need_input";
-  if (v === "unknown") return "unknown";
-  // 과거 데이터 호환
-  if (v === "warn") return "conditional";
-  return "unknown";
-}
+// ✅ 서버/프론트 판정 status 정규화 (lib/rule_engine.js 공용)
+const normalizeStatus = RuleEngine.normalizeStatus;
 
 // ✅ 배지(화면용) - inline style 제거: CSS class로 처리
 function badgeHtml(statusRaw) {
@@ -198,12 +359,11 @@ function ensureSelectHasOption(selectEl, value, { labelSuffix = " (자동)", sel
 /* =========================
    ✅ V월드 zoning 실패 시 후보 선택 UI
 ========================= */
-function renderZoningPickPanelHtml({ note = "", raw_name = "", candidates = [], sourceData = "" } = {}) {
+// 용도지역 후보 버튼(ruleHint 안에서 data-pick-zoning 클릭 위임으로 적용)
+function zoningCandidateButtonsHtml(candidates) {
   const cand = Array.isArray(candidates) ? candidates.filter(Boolean) : [];
-  const hasCand = cand.length > 0;
-
-  const btns = hasCand
-    ? `
+  if (!cand.length) return "";
+  return `
       <div style="margin-top:10px;">
         <div class="muted-sm" style="margin-bottom:6px;">후보를 눌러 수동 적용할 수 있어요:</div>
         <div class="actions actions--start actions--gap-sm" style="margin-top:0;">
@@ -216,18 +376,34 @@ function renderZoningPickPanelHtml({ note = "", raw_name = "", candidates = [],
             .join("")}
         </div>
       </div>
-    `
-    : "";
+    `;
+}
+
+function renderZoningPickPanelHtml({ note = "", reason = null, raw_name = "", candidates = [], sourceData = "" } = {}) {
+  const cand = Array.isArray(candidates) ? candidates.filter(Boolean) : [];
+  const hasCand = cand.length > 0;
+
+  const btns = zoningCandidateButtonsHtml(cand);
 
   const rawLine = raw_name ? `<div class="muted-sm" style="margin-top:6px;">V월드 원문: ${escapeHtml(raw_name)}</div>` : "";
   const srcLine = sourceData ? `<div class="muted-sm" style="margin-top:6px;">source: ${escapeHtml(sourceData)}</div>` : "";
 
+  // degraded(키 없음/조회 실패): 서버가 준 이유 그대로 표시
+  const reasonLine = reason?.message
+    ? `<div style="margin-top:6px;">⚠️ ${escapeHtml(reason.message)}${
+        reason.detail ? ` <span class="inlineDim">(${escapeHtml(reason.detail)})</span>` : ""
+      }</div>`
+    : "";
+
   return `
     <div>🧭 좌표 기반 용도지역 자동 판별: 실패</div>
+    ${reasonLine}
     ${note ? `<div class="inlineDim" style="margin-top:6px;">${escapeHtml(note)}</div>` : ""}
     ${rawLine}
     ${srcLine}
-    <div class="inlineDim" style="margin-top:6px;">→ 또는, 아래 “후보”를 눌러 바로 적용해 보세요.</div>
+    <div class="inlineDim" style="margin-top:6px;">${
+      hasCand ? "→ 또는, 아래 “후보”를 눌러 바로 적용해 보세요." : "→ 위 용도지역 목록에서 직접 선택해 주세요."
+    }</div>
     ${btns}
   `;
 }
@@ -689,12 +865,16 @@ async function loadEnrichedChecklistWithContext(extra = {}) {
       zoning: zoning || _ctx.zoning || "",
       use: use || _ctx.use || "",
       jurisdiction: _ctx.jurisdiction || "",
+      overlays: overlayNames().join(","),
       ...calcExtra,
+      ...demoParams(),
+      explain: 1,
       ...extra,
     };
 
     const data = await fetchJson(`/api/checklists/enriched${buildQuery(params)}`);
     const items = data.data?.default_conditional || [];
+    _checklistDerived = Array.isArray(data.meta?.derived) ? data.meta.derived : [];
     return { items, meta: data.meta || null };
   } catch (e) {
     console.warn("checklists/enriched load failed:", e);
@@ -702,98 +882,6 @@ async function loadEnrichedChecklistWithContext(extra = {}) {
   }
 }
 
-/* =========================
-   ✅ 자동 판정(프론트 입력 기반)
-========================= */
-function toNumFront(v) {
-  if (v === "" || v === undefined || v === null) return null;
-  const n = Number(v);
-  return Number.isFinite(n) ? n : null;
-}
-
-function evalCondFront(cond, values) {
-  if (!cond || !cond.key || !cond.op) return false;
-
-  const op = String(cond.op).trim().toLowerCase();
-  const key = String(cond.key).trim();
-  const raw = values?.[key];
-
-  if (op === "missing") {
-    if (raw === undefined || raw === null) return true;
-    if (typeof raw === "number") return !Number.isFinite(raw);
-    return String(raw).trim() === "";
-  }
-  if (op === "present") {
-    if (raw === undefined || raw === null) return false;
-    if (typeof raw === "number") return Number.isFinite(raw);
-    return String(raw).trim() !== "";
-  }
-
-  if (op === "in" || op === "not_in") {
-    const arr = Array.isArray(cond.value) ? cond.value : [];
-    const hit = arr.map((x) => String(x)).includes(String(raw));
-    return op === "in" ? hit : !hit;
-  }
-
-  const vNum = toNumFront(raw);
-  const tNum = toNumFront(cond.value);
-
-  if (op === "eq") {
-    if (vNum != null && tNum != null) return vNum === tNum;
-    return String(raw) === String(cond.value);
-  }
-  if (op === "neq") {
-    if (vNum != null && tNum != null) return vNum !== tNum;
-    return String(raw) !== String(cond.value);
-  }
-
-  if (vNum == null || tNum == null) return false;
-  if (op === "lt") return vNum < tNum;
-  if (op === "lte") return vNum <= tNum;
-  if (op === "gt") return vNum > tNum;
-  if (op === "gte") return vNum >= tNum;
-
-  return false;
-}
-
-function ruleMatchesFront(rule, values) {
-  if (!rule) return false;
-
-  if (rule.when) return evalCondFront(rule.when, values);
-
-  if (Array.isArray(rule.when_all) && rule.when_all.length > 0) {
-    return rule.when_all.every((c) => evalCondFront(c, values));
-  }
-
-  if (Array.isArray(rule.when_any) && rule.when_any.length > 0) {
-    return rule.when_any.some((c) => evalCondFront(c, values));
-  }
-
-  return false;
-}
-
-function evaluateAutoRules(it, values) {
-  const rules = Array.isArray(it?.auto_rules) ? it.auto_rules : [];
-  if (!rules.length) return null;
-
-  const sorted = rules
-    .slice()
-    .sort((a, b) => (toNumFront(b.priority) ?? 0) - (toNumFront(a.priority) ?? 0));
-
-  for (const rule of sorted) {
-    if (!ruleMatchesFront(rule, values)) continue;
-
-    return {
-      result: normalizeStatus(rule.result),
-      message: rule.message,
-      rule_id: rule.id || null,
-      priority: toNumFront(rule.priority) ?? 0,
-    };
-  }
-
-  return null;
-}
-
 /* =========================
    ✅ 서버 판정용: 체크리스트 입력값 수집
 ========================= */
@@ -820,6 +908,9 @@ function collectValuesForServerJudge() {
     });
   }
 
+  // 높이를 직접 넣었으면 calc 층고로 층별 높이를 만들지 않음(서버는 층고 > 높이 순으로 씀)
+  const heightTyped = values.height_m != null;
+
   if (lastCalcResult?.result) {
     const r = lastCalcResult.result;
     if (values.floors == null && Number.isFinite(Number(r.estFloors))) values.floors = Number(r.estFloors);
@@ -829,12 +920,124 @@ function collectValuesForServerJudge() {
     }
   }
 
+  // ✅ rule_engine.json derived(bcr_actual/far_actual 등) 계산용: 대지면적 + 적용 상한
+  if (lastCalcResult?.input) {
+    const inp = lastCalcResult.input;
+    if (values.site_area_m2 == null && Number.isFinite(Number(inp.landArea))) values.site_area_m2 = Number(inp.landArea);
+    if (values.bcr_max == null && Number.isFinite(Number(inp.bcr))) values.bcr_max = Number(inp.bcr);
+    if (values.far_max == null && Number.isFinite(Number(inp.far))) values.far_max = Number(inp.far);
+
+    // ✅ 정북방향 일조 사선(lib/daylight.js): 규모 산정의 정북 이격 + 층고 → 층별 허용 높이
+    const d = inp.detail || {};
+    if (values.setback_m == null && d.north_gap != null && Number.isFinite(Number(d.north_gap))) {
+      values.setback_m = Number(d.north_gap);
+    }
+    if (!heightTyped && values.floor_height_m == null && Number.isFinite(Number(inp.floorHeight))) {
+      values.floor_height_m = Number(inp.floorHeight);
+      if (d.ground_floor != null && Number.isFinite(Number(d.ground_floor))) {
+        values.ground_floor_height_m = Number(d.ground_floor);
+      }
+    }
+  }
+
   return values;
 }
 
 /* =========================
    ✅ 서버 판정 결과를 화면에 반영
 ========================= */
+// all_matches / worst_of 는 맞은 룰이 여러 개 → 메시지를 모두 보여줌
+function judgeMessageText(message, findings) {
+  const list = Array.isArray(findings) ? findings : [];
+  if (list.length <= 1) return String(message || "").trim();
+
+  const msgs = list.map((f) => String(f?.message || "").trim()).filter(Boolean);
+  return Array.from(new Set(msgs)).join(" · ");
+}
+
+/* =========================
+   ✅ 판정 설명(explain=1) 패널: "왜 이렇게 판정됐나요?"
+========================= */
+const EXPLAIN_REASON_LABELS = {
+  condition_false: "조건 불일치",
+  no_condition: "조건(when) 없음",
+  first_match_already_matched: "first_match: 앞선 룰이 이미 적용됨",
+  invalid_condition: "조건 형식 오류",
+  expr_error: "식 오류",
+  unknown_op: "알 수 없는 연산자",
+  value_missing: "값 없음",
+  target_missing: "비교 기준값 없음",
+};
+
+function explainValueText(v) {
+  if (v === null || v === undefined || v === "") return "(없음)";
+  if (typeof v === "object") return JSON.stringify(v);
+  return String(v);
+}
+
+function explainCondHtml(node) {
+  if (!node) return "";
+  const mark = node.result ? "✔" : "✘";
+  const reason = node.reason ? ` · ${EXPLAIN_REASON_LABELS[node.reason] || node.reason}` : "";
+  const err = node.error ? ` (${node.error})` : "";
+
+  if (node.type === "leaf") {
+    const left = node.key || node.expr || "?";
+    const right = ["missing", "present"].includes(node.op) ? "" : ` ${explainValueText(node.value)}`;
+    const target =
+      node.target !== undefined && JSON.stringify(node.target) !== JSON.stringify(node.value)
+        ? ` → ${explainValueText(node.target)}`
+        : "";
+    return `<li>${mark} <code>${escapeHtml(`${left} ${node.op}${right}`)}</code> 실제값: ${escapeHtml(
+      explainValueText(node.actual)
+    )}${escapeHtml(target)}${escapeHtml(reason + err)}</li>`;
+  }
+
+  const label = { all: "모두(all)", any: "하나라도(any)", not: "아님(not)" }[node.type] || node.type;
+  const children = (node.children || []).map(explainCondHtml).join("");
+  return `<li>${mark} ${escapeHtml(label + reason)}<ul>${children}</ul></li>`;
+}
+
+function renderExplainPanel(id, explain) {
+  const wrap = $(`explain_wrap_${id}`);
+  const panel = $(`explain_${id}`);
+  if (!wrap || !panel) return;
+  if (!explain) {
+    wrap.classList.add("is-hidden");
+    return;
+  }
+  wrap.classList.remove("is-hidden");
+
+  const head = [
+    `전략: ${explain.strategy}`,
+    explain.has_engine_entry ? "" : "rule_engine.json 항목 없음",
+    explain.used_default ? `맞는 룰 없음 → 기본값 ${explain.default_result}` : "",
+    explain.demoted_need_input ? "need_input이지만 비어 있는 입력이 없어 conditional로 낮춤" : "",
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+  const rules = (explain.rules || [])
+    .map((r) => {
+      const state = r.selected ? "✅ 적용" : r.matched ? "☑️ 일치" : `⏭️ 건너뜀(${EXPLAIN_REASON_LABELS[r.skipped_reason] || r.skipped_reason})`;
+      return `
+        <div class="explainRule${r.selected ? " is-selected" : ""}">
+          <div>${escapeHtml(state)} · <code>${escapeHtml(r.rule_id || "(id 없음)")}</code> · p${escapeHtml(
+            String(r.priority)
+          )} → ${badgeHtml(r.result)}</div>
+          ${r.message ? `<div class="muted-sm">${escapeHtml(r.message)}</div>` : ""}
+          ${r.condition ? `<ul class="explainCond">${explainCondHtml(r.condition)}</ul>` : ""}
+        </div>
+      `;
+    })
+    .join("");
+
+  panel.innerHTML = `
+    <div class="muted-sm">${escapeHtml(head)}</div>
+    ${rules || `<div class="muted-sm">auto_rules 없음</div>`}
+  `;
+}
+
 function applyServerJudgeResults(results) {
   const list = $("checklistList");
   if (!list) return;
@@ -846,11 +1049,12 @@ function applyServerJudgeResults(results) {
     if (!judgeEl || !msgEl) return;
 
     const status = normalizeStatus(row.status ?? row?.judge?.result);
-    const message = String(row.message ?? row?.judge?.message ?? "").trim();
+    const message = judgeMessageText(row.message ?? row?.judge?.message, row.findings);
     const missingInputs = row.missing_inputs || [];
 
     judgeEl.innerHTML = badgeHtml(status);
     msgEl.textContent = message || "";
+    renderExplainPanel(id, row.explain);
 
     if (status === "need_input") {
       markMissingInputs(id, missingInputs);
@@ -863,6 +1067,59 @@ function applyServerJudgeResults(results) {
   });
 }
 
+// judge meta.parking → parking 항목 메시지 아래 법정 주차대수 산정 내역
+function parkingBreakdownText(parking) {
+  if (!parking) return "";
+  const layer = (l) => (l === "ordinance" ? "조례" : "국가");
+  const parts = (parking.items || []).map(
+    (it) => `${it.label} ${fmt(it.area_m2)}㎡ ÷ ${fmt(it.per_m2)}㎡ → ${fmt(it.stalls)}대(${layer(it.layer)})`
+  );
+  if ((parking.unknown || []).length) parts.push(`기준표 없음: ${parking.unknown.join(", ")}`);
+  const head =
+    parking.required != null ? `법정 주차대수 ${fmt(parking.required)}대` : "법정 주차대수 산정 불가";
+  const src = parking.source === "values" ? " · 입력값 사용" : "";
+  return `🅿️ ${head}${src}${parts.length ? ` — ${parts.join(" + ")}` : ""}`;
+}
+
+function applyParkingBreakdown(parking) {
+  const msgEl = $("judge_msg_parking");
+  if (!msgEl) return;
+  let el = $("judge_parking_calc");
+  if (!el) {
+    el = document.createElement("div");
+    el.id = "judge_parking_calc";
+    el.className = "muted-sm";
+    msgEl.insertAdjacentElement("afterend", el);
+  }
+  el.textContent = parkingBreakdownText(parking);
+}
+
+// judge meta.daylight → daylight 항목 메시지 아래 층별 일조 사선 허용 높이
+function daylightBreakdownText(daylight) {
+  if (!daylight) return "";
+  const parts = (daylight.floors || []).map(
+    (f) => `${f.floor}층 ${fmt(f.top_m)}m / 허용 ${fmt(f.max_height_m)}m${f.ok ? "" : " ❌"}`
+  );
+  const margin = Number(daylight.margin_m);
+  const head = `☀️ 정북 경계 ${fmt(daylight.gap_m)}m · 여유 ${margin >= 0 ? "" : "−"}${fmt(Math.abs(margin))}m`;
+  const over = (daylight.over_floors || []).length ? ` · ${fmt(daylight.floors_allowed)}층까지 가능` : "";
+  const src = daylight.source === "values" ? " · 입력값 사용" : "";
+  return `${head}${over}${src}${parts.length ? ` — ${parts.join(", ")}` : ""}`;
+}
+
+function applyDaylightBreakdown(daylight) {
+  const msgEl = $("judge_msg_daylight");
+  if (!msgEl) return;
+  let el = $("judge_daylight_calc");
+  if (!el) {
+    el = document.createElement("div");
+    el.id = "judge_daylight_calc";
+    el.className = "muted-sm";
+    msgEl.insertAdjacentElement("afterend", el);
+  }
+  el.textContent = daylightBreakdownText(daylight);
+}
+
 // ✅ summary를 힌트/상태에 반영
 function applyServerSummary(summary) {
   const s = summary || null;
@@ -892,6 +1149,22 @@ function applyServerSummary(summary) {
 /* =========================
    ✅ 서버 전체 판정 실행 (공통 함수)
 ========================= */
+// 판정 context: 서버 판정 요청과 입력 즉시 판정이 같은 값을 씀
+function buildJudgeContext() {
+  const zoning = ($("zoning")?.value || "").trim();
+  const use = ($("useSelect")?.value || "").trim();
+
+  return {
+    zoning: zoning || _ctx.zoning || "",
+    use: use || _ctx.use || "",
+    jurisdiction: _ctx.jurisdiction || "",
+    overlays: overlayNames(),
+    // ✅ calc 기반 파생값도 context에 같이 넣어두면(서버 mergeJudgeValues가 반영)
+    ...buildEnrichedExtraFromCalc(),
+    ...(_ctx.demo ? { demo: true } : {}),
+  };
+}
+
 async function runServerJudgeAndApply() {
   const judgeServerHint = $("judgeServerHint");
 
@@ -908,23 +1181,15 @@ async function runServerJudgeAndApply() {
     return { ok: false, reason: "missing_context" };
   }
 
-  const values = collectValuesForServerJudge();
-
   const payload = {
-    context: {
-      zoning: zoning || _ctx.zoning || "",
-      use: use || _ctx.use || "",
-      jurisdiction: _ctx.jurisdiction || "",
-      // ✅ calc 기반 파생값도 context에 같이 넣어두면(서버 mergeJudgeValues가 반영)
-      ...buildEnrichedExtraFromCalc(),
-    },
-    values,
+    context: buildJudgeContext(),
+    values: collectValuesForServerJudge(),
   };
 
   if (judgeServerHint) judgeServerHint.textContent = "서버 판정 중...";
 
   try {
-    const data = await fetchJson("/api/checklists/judge", {
+    const data = await fetchJson("/api/checklists/judge?explain=1", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify(payload),
@@ -934,13 +1199,18 @@ async function runServerJudgeAndApply() {
     const results = data.data?.results || [];
 
     applyServerJudgeResults(results);
+    applyParkingBreakdown(data.meta?.parking || null);
+    applyDaylightBreakdown(data.meta?.daylight || null);
     applyServerSummary(summary);
+    _lastRuleset = data.ruleset || null;
 
     const miss = data.meta?.missing_refs || [];
     if (judgeServerHint) {
       const base = judgeServerHint.innerHTML || judgeServerHint.textContent || "";
       judgeServerHint.innerHTML =
-        `${base}` + (miss.length ? ` <span class="inlineDim">· laws.json 미등록 refs: ${escapeHtml(miss.join(", "))}</span>` : "");
+        (data.demo ? "⚠️ 데모 용도지역 기준 판정 · " : "") +
+        `${base}` +
+        (miss.length ? ` <span class="inlineDim">· laws.json 미등록 refs: ${escapeHtml(miss.join(", "))}</span>` : "");
     }
 
     return { ok: true, summary, results, meta: data.meta || null };
@@ -1111,6 +1381,13 @@ function renderChecklist(items, opts = {}) {
           }
 
           <div id="judge_msg_${escapeHtml(it.id)}" class="clJudgeMsg"></div>
+
+          <div id="explain_wrap_${escapeHtml(it.id)}" class="clExplain is-hidden">
+            <button type="button" class="ghost clExplainBtn" data-toggle-explain="${escapeHtml(it.id)}">
+              🔍 왜 이렇게 판정됐나요?
+            </button>
+            <div id="explain_${escapeHtml(it.id)}" class="explainPanel is-hidden"></div>
+          </div>
         </div>
       `;
     })
@@ -1135,6 +1412,13 @@ function renderChecklist(items, opts = {}) {
         return;
       }
 
+      const explainBtn = e.target?.closest?.("button[data-toggle-explain]");
+      if (explainBtn) {
+        const panel = $(`explain_${explainBtn.getAttribute("data-toggle-explain")}`);
+        if (panel) panel.classList.toggle("is-hidden");
+        return;
+      }
+
       const btn = e.target?.closest?.("button[data-toggle-laws]");
       if (!btn) return;
 
@@ -1172,27 +1456,29 @@ function renderChecklist(items, opts = {}) {
       }
       recomputeItemMissingFlag(checklistId);
 
-      const inputEls = list.querySelectorAll(`input[data-checklist-id="${checklistId}"]`);
-
-      const values = {};
-      inputEls.forEach((ie) => {
-        const k = ie.getAttribute("data-input-key");
-        if (!k) return;
-        values[k] = ie.value;
-      });
-
       const item = (_currentChecklistItems || []).find((x) => x.id === checklistId);
       if (!item) return;
 
-      const judged = evaluateAutoRules(item, values);
+      // ✅ 자동 판정(프론트 입력 기반): enriched 항목에 rule_set/auto_rules가 같이 들어있음 → 서버와 같은 엔진
+      //    값도 서버 판정 요청과 같게(전체 입력 + calc + context + derived)
+      const judged = RuleEngine.judgeItemInstant({
+        item,
+        ruleEngine: { derived: _checklistDerived },
+        context: buildJudgeContext(),
+        values: collectValuesForServerJudge(),
+      });
 
       const judgeEl = $(`judge_${checklistId}`);
       const msgEl = $(`judge_msg_${checklistId}`);
       if (!judgeEl || !msgEl) return;
 
-      if (judged) {
-        judgeEl.innerHTML = badgeHtml(judged.result) || escapeHtml(judged.result);
-        msgEl.textContent = judged.message || "";
+      // 법정 주차대수/일조 여유처럼 서버가 계산하는 값을 쓰는 항목 → 서버 판정까지 대기 표시
+      if (judged.pending) {
+        judgeEl.innerHTML = `<span class="judgeBadge judgeBadge--unknown">⏳ 산정 중</span>`;
+        msgEl.textContent = "서버에서 산정 중이에요...";
+      } else if (judged.judge) {
+        judgeEl.innerHTML = badgeHtml(judged.status);
+        msgEl.textContent = judgeMessageText(judged.message, judged.findings);
       }
 
       debouncedServerJudge();
@@ -1209,9 +1495,12 @@ function renderChecklist(items, opts = {}) {
     const sj = it.server_judge;
     if (sj?.result) {
       judgeEl.innerHTML = badgeHtml(sj.result);
-      if (sj.message) msgEl.textContent = sj.message;
+      const text = judgeMessageText(sj.message, sj.findings);
+      if (text) msgEl.textContent = text;
     }
 
+    renderExplainPanel(id, it.explain);
+
     const miss = it.missing_inputs || [];
     if (miss.length) markMissingInputs(id, miss);
     else setItemMissingFlag(id, false);
@@ -1240,11 +1529,138 @@ function renderChecklist(items, opts = {}) {
 /* =========================
    계산
 ========================= */
+// 규모 산정 상세 조건(선택) 입력 id → /api/calc 파라미터 (비어 있으면 안 보냄)
+const CALC_DETAIL_INPUTS = {
+  siteWidth: "width",
+  siteDepth: "depth",
+  roadWidth: "road_width",
+  roadFrontage: "frontage",
+  groundFloorHeight: "ground_floor",
+  basements: "basements",
+  exemptArea: "exempt",
+  heightLimit: "height_limit",
+  floorLimit: "floor_limit",
+  northGap: "north_gap",
+};
+
+function calcDetailParams() {
+  const out = {};
+  Object.entries(CALC_DETAIL_INPUTS).forEach(([id, key]) => {
+    const v = String($(id)?.value ?? "").trim();
+    if (v) out[key] = v;
+  });
+  return out;
+}
+
+// /api/calc steps → 단계별 산정 목록(줄어든 단계는 강조)
+function calcStepsHtml(steps) {
+  const list = Array.isArray(steps) ? steps : [];
+  if (!list.length) return "";
+  const items = list.map((st) => {
+    const after = st.after == null ? "" : `${fmt(st.after)} ${st.unit}`;
+    const change = st.reduced ? `${fmt(st.before)} ${st.unit} → ` : "";
+    const basis = st.basis ? ` <span class="inlineDim">(${escapeHtml(st.basis)})</span>` : "";
+    return `
+      <li class="${st.reduced ? "is-reduced" : ""}">
+        <b>${escapeHtml(st.label)}</b>: ${change}<b>${after}</b>
+        <div class="muted-sm">${escapeHtml(st.note || "")}${basis}</div>
+      </li>`;
+  });
+  return `
+    <details class="calcSteps" open>
+      <summary>단계별 산정</summary>
+      <ol>${items.join("")}</ol>
+    </details>`;
+}
+
+// /api/rules/apply rule.layers → 상한 값마다 출처(조례/국가)
+const CAP_LAYER_LABELS = { ordinance: "조례", national: "국가", parcel_weighted: "면적 가중" };
+
+function capLayerTag(rule, key) {
+  const layer = rule?.layers?.[key];
+  if (!layer) return "";
+  const national = rule.national?.[key];
+  const diff = layer === "ordinance" && national != null && national !== rule[key] ? `, 국가 ${national}%` : "";
+  return ` <span class="inlineDim">(${CAP_LAYER_LABELS[layer] || layer}${diff})</span>`;
+}
+
+function ordinanceLineHtml(rule) {
+  if (rule?.ordinance) {
+    return `<div class="inlineDim">📜 ${escapeHtml(rule.ordinance.title || rule.ordinance.jurisdiction)} 상한 우선 적용</div>`;
+  }
+  return rule?.jurisdiction
+    ? `<div class="inlineDim">${escapeHtml(rule.jurisdiction)} 조례 자료가 없어 국가 상한(국토계획법 시행령) 기준입니다.</div>`
+    : "";
+}
+
+const LIMIT_STATUS_LABELS = {
+  ok: "상한 이내",
+  clamped: "상한으로 낮춤",
+  over: "상한 초과(표시만)",
+  filled: "입력 없음 → 상한 적용",
+  no_limit: "상한 정보 없음",
+};
+
+// /api/calc limits + compare → 입력값 vs 법정 상한 vs 적용값 표 + 요청/상한 기준 규모 비교
+function calcLimitsHtml(limits, compare) {
+  if (!limits) return "";
+  if (!limits.found) {
+    const cands = (limits.candidates || []).map(escapeHtml).join(", ");
+    return `<div class="calcLimits">⚠️ 용도지역(${escapeHtml(limits.zoning)}) 상한을 찾지 못해 입력값 그대로 계산했어요.${
+      cands ? ` <span class="inlineDim">후보: ${cands}</span>` : ""
+    }</div>`;
+  }
+
+  const pct = (v) => (v == null ? "-" : `${fmt(v)}%`);
+  const rows = (limits.items || []).map(
+    (it) => `
+      <tr class="${it.status === "clamped" || it.status === "over" ? "is-over" : ""}">
+        <td>${escapeHtml(it.label)}</td>
+        <td>${pct(it.requested)}</td>
+        <td>${pct(it.legal_max)}${it.layer ? ` <span class="inlineDim">${CAP_LAYER_LABELS[it.layer] || it.layer}</span>` : ""}</td>
+        <td><b>${pct(it.applied)}</b></td>
+        <td class="muted-sm">${escapeHtml(LIMIT_STATUS_LABELS[it.status] || it.status)}</td>
+      </tr>`
+  );
+
+  const cmpRows = [
+    ["건축면적", "footprint_m2", "㎡"],
+    ["지상 연면적", "far_floor_area_m2", "㎡"],
+    ["지상 층수", "floors_above", "층"],
+    ["높이", "height_m", "m"],
+  ];
+  const side = (obj, k, unit) => (obj && obj[k] != null ? `${fmt(obj[k])} ${unit}` : "-");
+  const cmp =
+    compare && (compare.requested || compare.legal)
+      ? `
+      <table class="calcLimitTable">
+        <thead><tr><th></th><th>요청값 기준</th><th>법정 상한 기준</th></tr></thead>
+        <tbody>${cmpRows
+          .map(([label, k, unit]) => `<tr><td>${label}</td><td>${side(compare.requested, k, unit)}</td><td>${side(compare.legal, k, unit)}</td></tr>`)
+          .join("")}</tbody>
+      </table>`
+      : "";
+
+  return `
+    <div class="calcLimits">
+      <div><b>📏 ${escapeHtml(limits.mixed ? "용도지역별 면적 가중" : limits.zoning)} 법정 상한</b>${
+        limits.over_limit ? ` <span class="judgeBadge judgeBadge--conditional">초과 입력 있음</span>` : ""
+      }</div>
+      <table class="calcLimitTable">
+        <thead><tr><th></th><th>입력</th><th>법정 상한</th><th>적용</th><th></th></tr></thead>
+        <tbody>${rows.join("")}</tbody>
+      </table>
+      ${cmp}
+    </div>`;
+}
+
 async function runCalc() {
   const landArea = Number($("landArea")?.value);
   const bcr = Number($("bcr")?.value);
   const far = Number($("far")?.value);
   const floorHeight = Number($("floorHeight")?.value) || 3.3;
+  const detail = calcDetailParams();
+  const hasShape = detail.width != null && detail.depth != null;
 
   const resultEl = $("result");
   const talkEl = $("talkTrack");
@@ -1255,21 +1671,32 @@ async function runCalc() {
   }
 
   if (
-    !isFiniteNumber(landArea) ||
-    landArea <= 0 ||
+    ((!isFiniteNumber(landArea) || landArea <= 0) && !hasShape) ||
     !isFiniteNumber(bcr) ||
     bcr <= 0 ||
     !isFiniteNumber(far) ||
     far <= 0
   ) {
-    resultEl.innerHTML = "대지면적(㎡), 건폐율(%), 용적률(%)을 0보다 크게 입력해 주세요.";
+    resultEl.innerHTML = "대지면적(㎡, 또는 상세 조건의 대지 폭/깊이), 건폐율(%), 용적률(%)을 0보다 크게 입력해 주세요.";
     talkEl.value = "검토 결과를 먼저 계산해 주세요.";
     return;
   }
 
-  const url = `/api/calc?site=${encodeURIComponent(landArea)}&coverage=${encodeURIComponent(bcr)}&far=${encodeURIComponent(
-    far
-  )}&floor=${encodeURIComponent(floorHeight)}`;
+  // 용도지역 상한 검사: 혼재 대지(면적 가중 상한을 채운 경우)는 용도지역별 면적(zones)을 보내 서버가 가중 상한으로 검사
+  const zoning = String($("zoning")?.value || _ctx.zoning || "").trim();
+  const zones = parcelWeightedApplied() ? parcelZonesParam() : "";
+
+  const url = `/api/calc${buildQuery({
+    site: landArea > 0 ? landArea : null,
+    coverage: bcr,
+    far,
+    floor: floorHeight,
+    ...detail,
+    zoning,
+    zones,
+    jurisdiction: zoning || zones ? _ctx.jurisdiction : "",
+    ...demoParams(),
+  })}`;
 
   resultEl.innerHTML = "계산 중...";
 
@@ -1277,21 +1704,60 @@ async function runCalc() {
     const data = await fetchJson(url);
     const res = data.result;
 
-    lastCalcResult = { input: { landArea, bcr, far, floorHeight }, result: res };
+    const mixedZone = parcelWeightedApplied() ? { mode: _parcel.weighted.mode, zones: parcelZonesText() } : null;
+    const site = res.site_area_m2 ?? landArea;
+    const limits = data.limits || null;
+    const appliedPct = (key, fallback) => limits?.items?.find((it) => it.key === key)?.applied ?? fallback;
+    const bcrUsed = appliedPct("coverage", bcr);
+    const farUsed = appliedPct("far", far);
+    lastCalcResult = {
+      input: { landArea: site, bcr, far, floorHeight, detail },
+      result: res,
+      steps: data.steps || [],
+      limits,
+      compare: data.compare || null,
+      mixedZone,
+      demo: !!data.demo,
+    };
 
     resultEl.innerHTML = `
-      <div><b>✅ 기본 산정 결과</b></div>
-      <div>최대 건축면적(단순): <b>${fmt(res.maxBuildingArea_m2)} ㎡</b></div>
-      <div>최대 연면적(단순): <b>${fmt(res.maxTotalFloorArea_m2)} ㎡</b></div>
-      <div>예상 층수: <b>${fmt(res.estFloors)} 층</b></div>
-      <div>예상 건물 높이: <b>${fmt(res.estHeight_m)} m</b></div>
+      ${data.demo ? demoBannerHtml(data.demo_note) : ""}
+      <div><b>✅ 규모 산정 결과</b></div>
+      ${mixedZone ? `<div>🧩 용도지역 혼재 대지: 면적 가중 상한 적용 (${escapeHtml(mixedZone.zones)})</div>` : ""}
+      <div>건축면적: <b>${fmt(res.footprint_m2)} ㎡</b> <span class="inlineDim">(건폐율 ${fmt(res.bcr_pct)}%)</span></div>
+      <div>지상 연면적(용적률 산정): <b>${fmt(res.far_floor_area_m2)} ㎡</b> <span class="inlineDim">(용적률 ${fmt(
+        res.far_used_pct
+      )}%)</span></div>
+      <div>연면적(지하·용적률 제외 면적 포함): <b>${fmt(res.gross_floor_area_m2)} ㎡</b></div>
+      <div>층수: <b>지상 ${fmt(res.floors_above)}층${res.floors_below ? ` / 지하 ${fmt(res.floors_below)}층` : ""}</b></div>
+      <div>건물 높이: <b>${fmt(res.height_m)} m</b></div>
+      ${calcLimitsHtml(limits, data.compare)}
+      ${calcStepsHtml(data.steps)}
       <div class="calcNote">${escapeHtml(data.note || "")}</div>
     `;
 
     talkEl.value = [
-      `대지면적 ${fmt(landArea)}㎡ 기준, 건폐율 ${fmt(bcr)}% 적용 시 1층 최대 약 ${fmt(res.maxBuildingArea_m2)}㎡까지 가능합니다.`,
-      `용적률 ${fmt(far)}% 기준으로 총 연면적은 약 ${fmt(res.maxTotalFloorArea_m2)}㎡까지 가능합니다.`,
-      `층고를 ${fmt(floorHeight)}m로 가정하면 약 ${fmt(res.estFloors)}층 규모(높이 약 ${fmt(res.estHeight_m)}m)가 예상됩니다.`,
+      data.demo ? `[데모 데이터] ${DEMO_BANNER_TEXT}` : "",
+      mixedZone
+        ? `대지가 ${mixedZone.zones}로 나뉘어 있어, 건폐율·용적률은 용도지역별 상한을 면적 비율로 가중한 값을 적용했습니다.`
+        : "",
+      limits?.over_limit
+        ? `입력하신 값 중 ${limits.mixed ? "용도지역별 면적 가중" : limits.zoning} 법정 상한(${limits.items
+            .filter((it) => it.status === "clamped" || it.status === "over")
+            .map((it) => `${it.label} ${fmt(it.legal_max)}%`)
+            .join(", ")})을 넘는 항목이 있어, ${
+            limits.mode === "clamp" ? "상한으로 낮춰 계산했습니다." : "상한 초과 상태로 참고 계산만 했습니다."
+          }`
+        : "",
+      `대지면적 ${fmt(site)}㎡ 기준, 건폐율 ${fmt(bcrUsed)}% 적용 시 1층 최대 약 ${fmt(res.footprint_m2)}㎡까지 가능합니다.`,
+      res.effective_site_area_m2 < res.site_area_m2
+        ? `접한 도로가 좁아 건축선이 ${fmt(res.road_setback_m)}m 물러나므로, 건폐율·용적률은 ${fmt(res.effective_site_area_m2)}㎡ 기준으로 봤습니다.`
+        : "",
+      `용적률 ${fmt(farUsed)}% 기준으로 지상 연면적은 약 ${fmt(res.far_floor_area_m2)}㎡까지 가능합니다.`,
+      `층고를 ${fmt(floorHeight)}m로 가정하면 지상 약 ${fmt(res.floors_above)}층 규모(높이 약 ${fmt(res.height_m)}m)가 예상됩니다.`,
+      ...(data.steps || [])
+        .filter((st) => st.reduced && st.key !== "road_setback" && !st.key.startsWith("limit_"))
+        .map((st) => `- ${st.label}: ${st.note}`),
       data.note ? `※ 참고: ${data.note}` : "",
     ]
       .filter(Boolean)
@@ -1331,7 +1797,7 @@ async function runCalc() {
    리셋/복사
 ========================= */
 function resetAll() {
-  ["landArea", "bcr", "far", "floorHeight"].forEach((id) => {
+  ["landArea", "bcr", "far", "floorHeight", ...Object.keys(CALC_DETAIL_INPUTS)].forEach((id) => {
     const el = $(id);
     if (el) el.value = "";
   });
@@ -1339,6 +1805,7 @@ function resetAll() {
   lastCalcResult = null;
   _lastUseStatus = "";
   _lastServerSummary = null;
+  _lastRuleset = null;
 
   const resultEl = $("result");
   const talkEl = $("talkTrack");
@@ -1350,7 +1817,7 @@ function resetAll() {
 
   renderChecklist([]);
 
-  ["addrResult", "ruleHint", "useResult"].forEach((id) => {
+  ["addrResult", "ruleHint", "useResult", "parcelResult"].forEach((id) => {
     const el = $(id);
     if (el) el.innerHTML = "";
   });
@@ -1364,18 +1831,39 @@ function resetAll() {
     } catch {}
     marker = null;
   }
+  if (geoPickLayer && map) {
+    try {
+      map.removeLayer(geoPickLayer);
+    } catch {}
+  }
+  geoPickLayer = null;
+  _geoPick = { query: "", candidates: [], address: null };
+  if (parcelLayer && map) {
+    try {
+      map.removeLayer(parcelLayer);
+    } catch {}
+  }
+  parcelLayer = null;
+  _parcel = null;
+  _parcelDraw = { active: false, points: [] };
+  const drawBtn = $("parcelDrawBtn");
+  if (drawBtn) drawBtn.textContent = "대지 경계 그리기";
+
   if (map) map.setView([37.5665, 126.978], 13);
 
   const addrInput = $("addr");
   if (addrInput) addrInput.value = "";
 
+  const pnuInput = $("pnu");
+  if (pnuInput) pnuInput.value = "";
+
   const zoningSelect = $("zoning");
   if (zoningSelect) zoningSelect.value = "";
 
   const useSelect = $("useSelect");
   if (useSelect) useSelect.value = "";
 
-  _ctx = { addr: "", lat: null, lon: null, jurisdiction: "", zoning: "", use: "" };
+  _ctx = { addr: "", lat: null, lon: null, jurisdiction: "", zoning: "", use: "", overlays: [], demo: false };
 }
 
 async function copyTalk() {
@@ -1433,6 +1921,9 @@ function buildSummaryText() {
   const zoningState = zoning ? "guess" : "unsure";
   const useState = use ? "guess" : "unsure";
   const calcState = lastCalcResult?.result ? "sure" : "unsure";
+  const overlayLines = (_ctx.overlays || [])
+    .filter((o) => o?.type !== "zone")
+    .map((o) => `${o.name}(${o.type_label || "기타"})`);
 
   const serverFinal = normalizeStatus(_lastServerSummary?.status || _lastUseStatus || "");
 
@@ -1495,11 +1986,18 @@ function buildSummaryText() {
     const r = lastCalcResult.result;
     calcSummary = [
       "",
-      "📐 기본 산정 결과(검토 결과 보기 기준)",
-      `- 최대 건축면적(단순): ${fmt(r.maxBuildingArea_m2)} ㎡`,
-      `- 최대 연면적(단순): ${fmt(r.maxTotalFloorArea_m2)} ㎡`,
-      `- 예상 층수: ${fmt(r.estFloors)} 층`,
+      "📐 규모 산정 결과(검토 결과 보기 기준)",
+      `- 건축면적: ${fmt(r.maxBuildingArea_m2)} ㎡`,
+      `- 지상 연면적(용적률 산정): ${fmt(r.far_floor_area_m2 ?? r.maxTotalFloorArea_m2)} ㎡`,
+      `- 연면적(지하 포함): ${fmt(r.maxTotalFloorArea_m2)} ㎡`,
+      `- 예상 층수: 지상 ${fmt(r.estFloors)} 층${r.floors_below ? ` / 지하 ${fmt(r.floors_below)} 층` : ""}`,
       `- 예상 건물 높이: ${fmt(r.estHeight_m)} m`,
+      ...(lastCalcResult.limits?.found
+        ? lastCalcResult.limits.items
+            .filter((it) => it.legal_max != null)
+            .map((it) => `- ${it.label}: 입력 ${it.requested ?? "-"}% / 법정 상한 ${it.legal_max}% / 적용 ${it.applied}%`)
+        : []),
+      ...(lastCalcResult.steps || []).filter((st) => st.reduced).map((st) => `  · ${st.label}: ${st.note}`),
     ].join("\n");
   }
 
@@ -1525,11 +2023,21 @@ function buildSummaryText() {
 
   return [
     "📌 건축 기본 검토 요약",
+    _ctx.demo ? `[데모 데이터] ${DEMO_BANNER_TEXT}` : "",
     addr ? `- 주소: ${addr}` : "- 주소: (미입력)",
     `- 지자체(추정): ${_ctx.jurisdiction || "(미확정)"} ${badgeText(jurisdictionState)}`,
-    `- 용도지역(간이): ${zoning || "(미선택)"} ${badgeText(zoningState)}`,
+    `- 용도지역(간이): ${zoning || "(미선택)"} ${_ctx.demo ? "[데모]" : badgeText(zoningState)}`,
+    overlayLines.length ? `- 용도지구/구역(좌표 조회): ${overlayLines.join(", ")} ${badgeText("guess")}` : "",
+    _parcel?.zones?.length
+      ? `- 필지 용도지역(면적비): ${parcelZonesText()}${
+          _parcel.weighted ? ` → 가중 건폐율 ${_parcel.weighted.bcr_max ?? "-"}% / 용적률 ${_parcel.weighted.far_max ?? "-"}%` : ""
+        } ${badgeText("guess")}`
+      : "",
     `- 용도(간이): ${usePretty || "(미선택)"} ${badgeText(useState)}`,
     serverFinal ? `- 서버 최종판정: ${serverFinal.toUpperCase()}` : `- 서버 최종판정: (미실행)`,
+    _lastRuleset?.version
+      ? `- 룰셋: ${_lastRuleset.version}${_lastRuleset.hash ? ` (${String(_lastRuleset.hash).slice(0, 12)})` : ""}`
+      : "",
     `- 기본 산정: ${badgeText(calcState)}`,
     `- 대지면적: ${landArea || "-"} ㎡`,
     `- 건폐율(입력/상한): ${bcr || "-"} %`,
@@ -1592,6 +2100,7 @@ window.addEventListener("DOMContentLoaded", () => {
 
     ensureSelectHasOption(zoningSelect, z, { labelSuffix: " (수동선택)" });
     _ctx.zoning = z;
+    _ctx.demo = false;
 
     try {
       await applyRuleByZoning(z, { silent: false });
@@ -1637,23 +2146,50 @@ window.addEventListener("DOMContentLoaded", () => {
     if (!zoning) return;
     if (!silent) setText(ruleHint, "룰 적용 중...");
 
-    const data = await fetchJson(`/api/rules/apply?zoning=${encodeURIComponent(zoning)}`);
+    const data = await fetchJson(
+      `/api/rules/apply${buildQuery({ zoning, jurisdiction: _ctx.jurisdiction, ...demoParams() })}`
+    );
 
     const rule = data.rule || data.result || {};
+
+    // 명칭을 하나로 못 맞춤(모호/없음) → 상한을 채우지 않고 후보 버튼
+    if (rule.bcr_max == null && rule.far_max == null && Array.isArray(data.candidates)) {
+      if (!silent) {
+        setText(
+          ruleHint,
+          `
+          ${data.demo ? demoBannerHtml(data.demo_note) : ""}
+          <div>❓ <b>${escapeHtml(zoning)}</b>: ${escapeHtml(data.note || "zoning rule not found")}</div>
+          ${zoningCandidateButtonsHtml(data.candidates)}
+        `
+        );
+      }
+      return;
+    }
+
     const bcrEl = $("bcr");
     const farEl = $("far");
     if (bcrEl && rule.bcr_max != null) bcrEl.value = rule.bcr_max;
     if (farEl && rule.far_max != null) farEl.value = rule.far_max;
 
+    // 약칭/코드로 맞춘 경우 정식 명칭 표시
+    const viaLine =
+      data.resolved?.matched && data.resolved.zoning !== zoning
+        ? `<div class="inlineDim">→ ${escapeHtml(data.resolved.zoning)} (${escapeHtml(data.resolved.via)})</div>`
+        : "";
+
     if (!silent) {
       setText(
         ruleHint,
         `
+        ${data.demo ? demoBannerHtml(data.demo_note) : ""}
         <div>✅ <b>${escapeHtml(zoning)}</b> 룰 적용 완료</div>
+        ${viaLine}
         <div class="ruleAppliedMeta">
-          건폐율(상한): ${rule.bcr_max ?? "-"}% /
-          용적률(상한): ${rule.far_max ?? "-"}%
+          건폐율(상한): ${rule.bcr_max ?? "-"}%${capLayerTag(rule, "bcr_max")} /
+          용적률(상한): ${rule.far_max ?? "-"}%${capLayerTag(rule, "far_max")}
         </div>
+        ${ordinanceLineHtml(rule)}
       `
       );
     }
@@ -1667,6 +2203,7 @@ window.addEventListener("DOMContentLoaded", () => {
     }
     try {
       _ctx.zoning = zoning;
+      _ctx.demo = false;
       await applyRuleByZoning(zoning);
     } catch (e) {
       setText(ruleHint, `❌ 룰 적용 실패: ${escapeHtml(String(e))}`);
@@ -1678,6 +2215,7 @@ window.addEventListener("DOMContentLoaded", () => {
     if (!zoning) return;
     try {
       _ctx.zoning = zoning;
+      _ctx.demo = false;
       await applyRuleByZoning(zoning, { silent: false });
 
       const use = useSelect?.value || "";
@@ -1766,7 +2304,7 @@ window.addEventListener("DOMContentLoaded", () => {
       _ctx.zoning = z;
       _ctx.use = u;
 
-      const data = await fetchJson(`/api/uses/check?zoning=${encodeURIComponent(z)}&use=${encodeURIComponent(u)}`);
+      const data = await fetchJson(`/api/uses/check${buildQuery({ zoning: z, use: u, ...demoParams() })}`);
       const useLabel = _useLabelMap[u] || u;
 
       _lastUseStatus = data.status || "";
@@ -1774,8 +2312,14 @@ window.addEventListener("DOMContentLoaded", () => {
       setText(
         useResult,
         `
+          ${data.demo ? demoBannerHtml(data.demo_note) : ""}
           <div><b>${escapeHtml(data.message)}</b></div>
           <div class="useRow">용도지역: ${escapeHtml(data.zoning)}</div>
+          ${
+            Array.isArray(data.candidates) && data.candidates.length
+              ? `<div class="useRow">후보: ${data.candidates.map((c) => escapeHtml(c)).join(", ")}</div>`
+              : ""
+          }
           <div class="useRow">용도: ${escapeHtml(useLabel)} (${escapeHtml(u)})</div>
           ${
             _ctx.jurisdiction ? `<div class="useRow">지자체(추정): ${escapeHtml(_ctx.jurisdiction)}</div>` : ""
@@ -1849,9 +2393,410 @@ window.addEventListener("DOMContentLoaded", () => {
     }
   });
 
+  /* =========================
+     ✅ 필지(대지 경계) → 용도지역별 면적 → 가중 건폐율/용적률
+  ========================= */
+  const parcelResult = $("parcelResult");
+  const parcelDrawBtn = $("parcelDrawBtn");
+  const pnuInput = $("pnu");
+
+  function showParcelLayer(layer) {
+    if (!map) return;
+    if (parcelLayer) {
+      try {
+        map.removeLayer(parcelLayer);
+      } catch {}
+    }
+    parcelLayer = layer ? layer.addTo(map) : null;
+  }
+
+  function renderParcelDraft() {
+    const pts = _parcelDraw.points;
+    showParcelLayer(pts.length >= 3 ? L.polygon(pts) : pts.length ? L.polyline(pts) : null);
+
+    const polygons = pts.length >= 3 ? ParcelGeo.parsePolygonInput(pts) : null;
+    const area = polygons ? ParcelGeo.polygonsArea(polygons) : 0;
+    setText(
+      parcelResult,
+      `✏️ 지도를 클릭해 대지 꼭짓점을 찍어 주세요(3개 이상). 현재 ${pts.length}개${
+        area ? ` · 약 ${fmt(Math.round(area * 10) / 10)} ㎡` : ""
+      } → 다 찍었으면 <b>그리기 완료</b>`
+    );
+  }
+
+  async function runParcelLookup(body) {
+    setText(parcelResult, "필지 용도지역 조회 중...");
+    try {
+      // 지자체를 알면 용도지역별 상한에 조례 적용(/api/calc 가 지키는 상한과 같게)
+      const data = await fetchJson("/api/zoning/by-parcel", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...body, jurisdiction: _ctx.jurisdiction || undefined }),
+      });
+
+      if (!data.found) {
+        _parcel = null;
+        const why = data.hint || data.degraded?.reason?.message || data.note || data.source || "";
+        setText(
+          parcelResult,
+          `⚠️ 필지/용도지역을 찾지 못했어요. ${escapeHtml(why)}${
+            data.parcel?.area_m2 ? `<div class="muted-sm parcelNote">그린 대지 면적: 약 ${fmt(data.parcel.area_m2)} ㎡</div>` : ""
+          }`
+        );
+        return;
+      }
+
+      _parcel = data;
+      if (map && data.parcel?.geometry) {
+        showParcelLayer(L.geoJSON(data.parcel.geometry));
+        try {
+          map.fitBounds(parcelLayer.getBounds(), { maxZoom: 19 });
+        } catch {}
+      }
+      setText(parcelResult, parcelResultHtml(data));
+    } catch (e) {
+      setText(parcelResult, `❌ 필지 조회 실패: ${escapeHtml(String(e))}`);
+    }
+  }
+
+  parcelDrawBtn?.addEventListener("click", async () => {
+    if (!map) return;
+    if (!_parcelDraw.active) {
+      _parcelDraw = { active: true, points: [] };
+      parcelDrawBtn.textContent = "그리기 완료";
+      renderParcelDraft();
+      return;
+    }
+
+    const points = _parcelDraw.points.slice();
+    _parcelDraw = { active: false, points: [] };
+    parcelDrawBtn.textContent = "대지 경계 그리기";
+    if (points.length < 3) {
+      showParcelLayer(null);
+      setText(parcelResult, "꼭짓점이 3개 이상이어야 해요. 다시 그려 주세요.");
+      return;
+    }
+    await runParcelLookup({ polygon: points });
+  });
+
+  $("parcelPnuBtn")?.addEventListener("click", async () => {
+    const pnu = String(pnuInput?.value || "").replace(/[\s-]/g, "");
+    if (!/^\d{19}$/.test(pnu)) {
+      setText(parcelResult, "PNU는 숫자 19자리예요. (예: 1168010100101230004)");
+      return;
+    }
+    await runParcelLookup({ pnu });
+  });
+
+  $("parcelClearBtn")?.addEventListener("click", () => {
+    _parcel = null;
+    _parcelDraw = { active: false, points: [] };
+    if (parcelDrawBtn) parcelDrawBtn.textContent = "대지 경계 그리기";
+    showParcelLayer(null);
+    setText(parcelResult, "");
+  });
+
+  // 가중 상한 적용: 건폐율/용적률 + (비어 있으면) 대지면적, 용도지역은 가장 넓은 용도지역으로
+  parcelResult?.addEventListener("click", (e) => {
+    const btn = e.target?.closest?.("button[data-apply-parcel]");
+    if (!btn || !_parcel?.weighted) return;
+    const w = _parcel.weighted;
+
+    if ($("bcr") && w.bcr_max != null) $("bcr").value = w.bcr_max;
+    if ($("far") && w.far_max != null) $("far").value = w.far_max;
+    const landEl = $("landArea");
+    if (landEl && !String(landEl.value || "").trim() && _parcel.parcel?.area_m2) landEl.value = _parcel.parcel.area_m2;
+
+    if (w.dominant_zoning) {
+      ensureSelectHasOption(zoningSelect, w.dominant_zoning, { labelSuffix: " (필지)" });
+      _ctx.zoning = w.dominant_zoning;
+      _ctx.demo = _parcel.demo === true;
+      if ((useSelect?.value || "").trim()) debouncedAutoUseCheck();
+    }
+
+    setText(
+      ruleHint,
+      `${demoBannerHtml(_parcel.demo_note)}
+       <div>🧩 필지 기준 상한 적용: 건폐율 ${w.bcr_max ?? "-"}% / 용적률 ${w.far_max ?? "-"}%</div>
+       <div class="muted-sm">${escapeHtml(parcelZonesText())}</div>`
+    );
+  });
+
   /* =========================
      ✅ 주소 → 자동 파이프라인
   ========================= */
+  function clearGeocodePicks() {
+    if (geoPickLayer && map) {
+      try {
+        map.removeLayer(geoPickLayer);
+      } catch {}
+    }
+    geoPickLayer = null;
+  }
+
+  // 후보 마커(번호 툴팁) — 마커를 눌러도 그 후보로 확정
+  function showGeocodePicks(candidates) {
+    clearGeocodePicks();
+    if (!map || !window.L) return;
+    const markers = candidates
+      .filter((c) => Number.isFinite(Number(c.lat)) && Number.isFinite(Number(c.lon)))
+      .map((c) =>
+        L.marker([Number(c.lat), Number(c.lon)], { opacity: 0.75 })
+          .bindTooltip(`${c.rank}. ${c.display_name || ""}`)
+          .on("click", () => pickGeocodeCandidate(c.rank))
+      );
+    if (!markers.length) return;
+    geoPickLayer = L.featureGroup(markers).addTo(map);
+    try {
+      map.fitBounds(geoPickLayer.getBounds(), { maxZoom: 16, padding: [30, 30] });
+    } catch {}
+  }
+
+  async function pickGeocodeCandidate(rank) {
+    const cand = _geoPick.candidates.find((c) => c.rank === rank);
+    if (!cand) return;
+    if (_geocodeAbort) {
+      try {
+        _geocodeAbort.abort();
+      } catch {}
+    }
+    _geocodeAbort = new AbortController();
+    try {
+      await applyGeocodeCandidate(cand, { signal: _geocodeAbort.signal, picked: true });
+    } catch (e) {
+      if (String(e).includes("AbortError")) return;
+      setText(addrResult, `❌ 오류: ${escapeHtml(String(e))}`);
+    }
+  }
+
+  addrResult?.addEventListener("click", (e) => {
+    const btn = e.target?.closest?.("button[data-pick-geocode]");
+    if (!btn) return;
+    pickGeocodeCandidate(Number(btn.getAttribute("data-pick-geocode")));
+  });
+
+  // 후보 확정 → 좌표/마커 + 지자체·용도지역·룰 파이프라인
+  async function applyGeocodeCandidate(cand, { signal, picked = false } = {}) {
+    const lat = Number(cand.lat);
+    const lon = Number(cand.lon);
+    const others = _geoPick.candidates.filter((c) => c.rank !== cand.rank);
+
+    clearGeocodePicks();
+    _ctx.addr = _geoPick.query;
+    _ctx.lat = lat;
+    _ctx.lon = lon;
+    if (cand.pnu && pnuInput && !pnuInput.value.trim()) pnuInput.value = cand.pnu;
+
+    setText(
+      addrResult,
+      `
+        <div>✅ ${picked ? "선택한 위치" : "조회 성공"}</div>
+        <div class="geoName">${escapeHtml(cand.display_name || "")}</div>
+        <div class="geoCoord"><b>위도</b> ${lat} / <b>경도</b> ${lon}</div>
+        ${addressPartsHtml(_geoPick.address, cand)}
+        ${
+          others.length
+            ? `<details class="geoOthers"><summary class="muted-sm">다른 후보 ${others.length}곳</summary>${geocodeCandidatesHtml(
+                _geoPick.candidates,
+                { pickedRank: cand.rank }
+              )}</details>`
+            : ""
+        }
+      `
+    );
+
+    if (map && Number.isFinite(lat) && Number.isFinite(lon)) {
+      map.setView([lat, lon], 17);
+      placeSiteMarker(lat, lon);
+    }
+
+    await runLocationPipeline(lat, lon, signal);
+  }
+
+  // 현장 위치 마커: 끌어서 옮기면 그 좌표로 다시 조회
+  function placeSiteMarker(lat, lon) {
+    if (!map) return;
+    if (marker) {
+      marker.setLatLng([lat, lon]);
+      return;
+    }
+    marker = L.marker([lat, lon], { draggable: true }).addTo(map);
+    marker.on("dragend", () => {
+      const p = marker.getLatLng();
+      runCoordFlow(p.lat, p.lng, { reason: "마커 이동" });
+    });
+  }
+
+  /* =========================
+     ✅ 좌표(지도 클릭/마커 이동) → 자동 파이프라인
+  ========================= */
+  async function runCoordFlow(rawLat, rawLon, { reason = "" } = {}) {
+    // 클릭 좌표는 소수 6자리(약 0.1m)까지만
+    const lat = Math.round(rawLat * 1e6) / 1e6;
+    const lon = Math.round(rawLon * 1e6) / 1e6;
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) return;
+
+    _geocodeAbort?.abort();
+    _geocodeAbort = new AbortController();
+
+    clearGeocodePicks();
+    _ctx.addr = "";
+    _ctx.lat = lat;
+    _ctx.lon = lon;
+    placeSiteMarker(lat, lon);
+
+    const head = `
+      <div>📍 지도에서 지정한 위치 ${reason ? `<span class="inlineDim">(${escapeHtml(reason)})</span>` : ""}</div>
+      <div class="geoCoord"><b>위도</b> ${lat} / <b>경도</b> ${lon}</div>`;
+    setText(addrResult, `${head}<div class="muted-sm">지자체/용도지역 조회 중...</div>`);
+
+    try {
+      await runLocationPipeline(lat, lon, _geocodeAbort.signal, {
+        onReverse: (rdata) => {
+          _ctx.addr = rdata.found ? _ctx.jurisdiction : "";
+          const tail = _ctx.addr
+            ? `<div class="geoName">${escapeHtml(_ctx.addr)}</div>`
+            : rdata.error
+              ? `<div class="muted-sm">❌ 지자체 조회 실패: ${escapeHtml(rdata.error)}</div>`
+              : "";
+          setText(addrResult, `${head}${tail}`);
+        },
+      });
+    } catch (e) {
+      if (String(e).includes("AbortError")) return;
+      setText(addrResult, `❌ 오류: ${escapeHtml(String(e))}`);
+    }
+  }
+
+  // 지도 클릭: 대지 경계를 그리는 중이면 꼭짓점 추가, 아니면 그 좌표로 위치 지정
+  map?.on("click", (e) => {
+    if (_parcelDraw.active) {
+      _parcelDraw.points.push([e.latlng.lat, e.latlng.lng]);
+      renderParcelDraft();
+      return;
+    }
+    runCoordFlow(e.latlng.lat, e.latlng.lng, { reason: "지도 클릭" });
+  });
+
+  // 새 위치의 용도지역을 못 정했으면 이전 위치의 용도지역/선택값/적용 상한(건폐율·용적률)을 버림
+  //  (남겨 두면 판정/산정이 이전 위치 기준으로 계속 돎)
+  function clearLocationZoning() {
+    _ctx.zoning = "";
+    if (zoningSelect) zoningSelect.value = "";
+    if ($("bcr")) $("bcr").value = "";
+    if ($("far")) $("far").value = "";
+  }
+
+  // 좌표 → 지자체(reverse) → 용도지역(by-coord) → 룰 자동 적용 (주소 검색/지도 클릭 공용)
+  //  onReverse(rdata): 지자체 조회가 끝났을 때(실패하면 { found:false, error }) — 화면 갱신용
+  async function runLocationPipeline(lat, lon, signal, { onReverse = null } = {}) {
+    // 위치가 바뀌었으니 이전 지자체는 버림(조회 실패 시 엉뚱한 지자체로 판정 방지)
+    _ctx.jurisdiction = "";
+    let rdata = { found: false };
+    try {
+      rdata = await fetchJson(`/api/reverse?lat=${encodeURIComponent(lat)}&lon=${encodeURIComponent(lon)}`, {
+        signal,
+      });
+      if (rdata.found) _ctx.jurisdiction = (rdata.jurisdiction || "").trim();
+    } catch (e) {
+      console.warn("reverse failed:", e);
+      rdata = { found: false, error: String(e) };
+    }
+    if (signal?.aborted) return;
+    onReverse?.(rdata);
+
+    // ✅ V월드: 좌표 → 용도지역 자동 판별
+    try {
+      const zdata = await fetchJson(
+        `/api/zoning/by-coord?lat=${encodeURIComponent(lat)}&lon=${encodeURIComponent(lon)}`,
+        { signal }
+      );
+
+      _ctx.overlays = Array.isArray(zdata.overlays) ? zdata.overlays : [];
+      _ctx.demo = zdata.demo === true;
+
+      if (zdata.found && String(zdata.zoning || "").trim()) {
+        // 1) 옵션 불일치 대비: 옵션 없으면 추가 후 선택
+        ensureSelectHasOption(zoningSelect, zdata.zoning, { labelSuffix: " (자동)" });
+        _ctx.zoning = zdata.zoning;
+
+        // 2) 룰 자동 적용
+        try {
+          await applyRuleByZoning(zdata.zoning, { silent: true });
+          setText(
+            ruleHint,
+            `
+              ${demoBannerHtml(zdata.demo_note)}
+              <div>🧭 좌표 기반 용도지역 자동 설정</div>
+              <div class="ruleAutoZoning"><b>${escapeHtml(zdata.zoning)}</b> ${_ctx.demo ? "[데모]" : "[추정]"}</div>
+              <div class="ruleAutoDone">룰(건폐율/용적률) 자동 적용 완료</div>
+              ${overlayHintHtml(_ctx.overlays)}
+              ${
+                _ctx.jurisdiction
+                  ? `<div class="ruleAutoJuris">지자체(추정): ${escapeHtml(_ctx.jurisdiction)}</div>`
+                  : ""
+              }
+              ${
+                zdata?.source
+                  ? `<div class="muted-sm" style="margin-top:6px;">source: ${escapeHtml(zdata.source)}</div>`
+                  : ""
+              }
+            `
+          );
+        } catch (e) {
+          setText(ruleHint, `❌ 룰 자동 적용 실패: ${escapeHtml(String(e))}`);
+        }
+
+        // 3) 기본용도 자동 선택은 "비어있을 때만"
+        const defaultUse = "RES_HOUSE";
+        const curUse = (useSelect?.value || "").trim();
+
+        if (!curUse) {
+          if (_usesLoaded && useSelect) {
+            useSelect.value = defaultUse;
+            await checkUseAndMaybeChecklist({
+              zoning: zdata.zoning,
+              use: defaultUse,
+              reason: "기본용도(주거) 자동",
+            });
+          } else {
+            const retryOnce = async () => {
+              if (!_usesLoaded) return;
+              const nowUse = (useSelect?.value || "").trim();
+              if (nowUse) return;
+              if (useSelect) useSelect.value = defaultUse;
+              await checkUseAndMaybeChecklist({
+                zoning: zdata.zoning,
+                use: defaultUse,
+                reason: "기본용도(주거) 자동",
+              });
+            };
+            setTimeout(retryOnce, 250);
+            setTimeout(retryOnce, 800);
+          }
+        }
+      } else {
+        // found=false (키 없음/조회 실패(degraded)/해당 좌표 결과 없음/매칭 실패 등)
+        clearLocationZoning();
+        setText(
+          ruleHint,
+          renderZoningPickPanelHtml({
+            note: String(zdata.note || "").trim(),
+            reason: zdata.degraded?.reason || null,
+            raw_name: String(zdata.raw_name || "").trim(),
+            candidates: Array.isArray(zdata.candidates) ? zdata.candidates : [],
+            sourceData: String(zdata?.source || (zdata?.meta?.tried || []).join(",")),
+          })
+        );
+      }
+    } catch (e) {
+      if (signal?.aborted) return;
+      console.warn("auto zoning failed:", e);
+      // 여기서 실패해도 전체 플로우는 계속 진행 가능 (수동 선택)
+      clearLocationZoning();
+    }
+  }
+
   async function runGeocodeFlow(q, { reason = "" } = {}) {
     const query = (q || "").trim();
     if (!query) {
@@ -1880,124 +2825,32 @@ window.addEventListener("DOMContentLoaded", () => {
         signal: _geocodeAbort.signal,
       });
 
+      // 지번/PNU 로 만든 PNU 는 필지 조회 칸에 채움(비어 있을 때만)
+      if (data.address?.pnu && pnuInput && !pnuInput.value.trim()) pnuInput.value = data.address.pnu;
+
       if (!data.found) {
-        setText(addrResult, "검색 결과가 없습니다. 주소를 더 자세히 입력해 보세요.");
+        clearGeocodePicks();
+        setText(
+          addrResult,
+          `<div>검색 결과가 없습니다. 주소를 더 자세히 입력해 보세요.</div>${addressPartsHtml(data.address, null)}`
+        );
         return;
       }
 
-      const lat = Number(data.result.lat);
-      const lon = Number(data.result.lon);
-      const display_name = data.result.display_name;
-
-      _ctx.addr = query;
-      _ctx.lat = lat;
-      _ctx.lon = lon;
-
-      setText(
-        addrResult,
-        `
-          <div>✅ 조회 성공</div>
-          <div class="geoName">${escapeHtml(display_name)}</div>
-          <div class="geoCoord"><b>위도</b> ${lat} / <b>경도</b> ${lon}</div>
-        `
-      );
-
-      if (map && Number.isFinite(lat) && Number.isFinite(lon)) {
-        map.setView([lat, lon], 17);
-        if (marker) marker.setLatLng([lat, lon]);
-        else marker = L.marker([lat, lon]).addTo(map);
-      }
+      _geoPick = {
+        query,
+        candidates: Array.isArray(data.candidates) ? data.candidates : [],
+        address: data.address || null,
+      };
 
-      try {
-        const rdata = await fetchJson(`/api/reverse?lat=${encodeURIComponent(lat)}&lon=${encodeURIComponent(lon)}`, {
-          signal: _geocodeAbort.signal,
-        });
-        if (rdata.found) _ctx.jurisdiction = (rdata.jurisdiction || "").trim();
-      } catch (e) {
-        console.warn("reverse failed:", e);
+      // 신뢰도 낮음(점수 낮음/읍면동 수준/비슷한 후보 여럿): 사용자가 고를 때까지 용도지역/룰 적용 안 함
+      if (data.needs_confirmation && _geoPick.candidates.length) {
+        setText(addrResult, geocodePickerHtml(data));
+        showGeocodePicks(_geoPick.candidates);
+        return;
       }
 
-      // ✅ V월드: 좌표 → 용도지역 자동 판별
-      try {
-        const zdata = await fetchJson(
-          `/api/zoning/by-coord?lat=${encodeURIComponent(lat)}&lon=${encodeURIComponent(lon)}`,
-          { signal: _geocodeAbort.signal }
-        );
-
-        if (zdata.found && String(zdata.zoning || "").trim()) {
-          // 1) 옵션 불일치 대비: 옵션 없으면 추가 후 선택
-          ensureSelectHasOption(zoningSelect, zdata.zoning, { labelSuffix: " (자동)" });
-          _ctx.zoning = zdata.zoning;
-
-          // 2) 룰 자동 적용
-          try {
-            await applyRuleByZoning(zdata.zoning, { silent: true });
-            setText(
-              ruleHint,
-              `
-                <div>🧭 좌표 기반 용도지역 자동 설정</div>
-                <div class="ruleAutoZoning"><b>${escapeHtml(zdata.zoning)}</b> [추정]</div>
-                <div class="ruleAutoDone">룰(건폐율/용적률) 자동 적용 완료</div>
-                ${
-                  _ctx.jurisdiction
-                    ? `<div class="ruleAutoJuris">지자체(추정): ${escapeHtml(_ctx.jurisdiction)}</div>`
-                    : ""
-                }
-                ${
-                  zdata?.source?.data
-                    ? `<div class="muted-sm" style="margin-top:6px;">source: ${escapeHtml(zdata.source.data)}</div>`
-                    : ""
-                }
-              `
-            );
-          } catch (e) {
-            setText(ruleHint, `❌ 룰 자동 적용 실패: ${escapeHtml(String(e))}`);
-          }
-
-          // 3) 기본용도 자동 선택은 "비어있을 때만"
-          const defaultUse = "RES_HOUSE";
-          const curUse = (useSelect?.value || "").trim();
-
-          if (!curUse) {
-            if (_usesLoaded && useSelect) {
-              useSelect.value = defaultUse;
-              await checkUseAndMaybeChecklist({
-                zoning: zdata.zoning,
-                use: defaultUse,
-                reason: "기본용도(주거) 자동",
-              });
-            } else {
-              const retryOnce = async () => {
-                if (!_usesLoaded) return;
-                const nowUse = (useSelect?.value || "").trim();
-                if (nowUse) return;
-                if (useSelect) useSelect.value = defaultUse;
-                await checkUseAndMaybeChecklist({
-                  zoning: zdata.zoning,
-                  use: defaultUse,
-                  reason: "기본용도(주거) 자동",
-                });
-              };
-              setTimeout(retryOnce, 250);
-              setTimeout(retryOnce, 800);
-            }
-          }
-        } else {
-          // found=false (키 없음/해당 좌표 결과 없음/매칭 실패 등)
-          setText(
-            ruleHint,
-            renderZoningPickPanelHtml({
-              note: String(zdata.note || "").trim(),
-              raw_name: String(zdata.raw_name || "").trim(),
-              candidates: Array.isArray(zdata.candidates) ? zdata.candidates : [],
-              sourceData: String(zdata?.source?.data || (zdata?.source?.tried || []).join(",")),
-            })
-          );
-        }
-      } catch (e) {
-        console.warn("auto zoning failed:", e);
-        // 여기서 실패해도 전체 플로우는 계속 진행 가능 (수동 선택)
-      }
+      await applyGeocodeCandidate(_geoPick.candidates[0] || { ...data.result, rank: 1 }, { signal: _geocodeAbort.signal });
     } catch (e) {
       if (String(e).includes("AbortError")) return;
       setText(addrResult, `❌ 오류: ${escapeHtml(String(e))}`);